@@ -16,9 +16,11 @@
  */
 define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not directory name).
         './formats/aaigrid/AAIGridConstants',
+        './globe/AAIGridElevationCoverage',
         './formats/aaigrid/AAIGridMetadata',
         './formats/aaigrid/AAIGridReader',
         './error/AbstractError',
+        './formats/kml/util/Alias',
         './geom/Angle',
         './shapes/Annotation',
         './shapes/AnnotationAttributes',
@@ -41,11 +43,16 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './layer/BMNGRestLayer',
         './geom/BoundingBox',
         './gesture/ClickRecognizer',
+        './formats/geotiff/CogReader',
+        './layer/CogTiledImageLayer',
         './formats/collada/ColladaLoader',
         './util/Color',
+        './shapes/ColorizedSurfaceImage',
+        './util/ColorRamp',
         './shapes/Compass',
         './layer/CompassLayer',
         './layer/CoordinatesDisplayLayer',
+        './formats/kml/util/Data',
         './util/Date',
         './layer/DigitalGlobeTiledImageLayer',
         './gesture/DragRecognizer',
@@ -54,6 +61,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './globe/EarthRestElevationCoverage',
         './globe/ElevationCoverage',
         './globe/ElevationModel',
+        './formats/kml/util/ExtendedData',
         './util/Font',
         './util/FrameStatistics',
         './layer/FrameStatisticsLayer',
@@ -75,14 +83,21 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './formats/geojson/GeoJSONGeometryPoint',
         './formats/geojson/GeoJSONGeometryPolygon',
         './formats/geojson/GeoJSONParser',
+        './globe/GeoTiffElevationCoverage',
         './formats/geotiff/GeoTiffReader',
+        './formats/geotiff/GeoTiffWriter',
         './gesture/GestureRecognizer',
         './globe/Globe',
         './globe/Globe2D',
+        './formats/gltf/GltfLoader',
+        './formats/gltf/GltfScene',
         './util/GoToAnimator',
         './shaders/GpuProgram',
         './cache/GpuResourceCache',
         './shaders/GpuShader',
+        './formats/gpx/Gpx',
+        './formats/gpx/GpxExporter',
+        './globe/GridElevationCoverage',
         './shaders/GroundProgram',
         './util/HashMap',
         './util/HighlightController',
@@ -92,6 +107,8 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './util/Insets',
         './formats/kml/util/ItemIcon',
         './formats/kml/KmlAbstractView',
+        './formats/kml/tour/KmlAnimatedUpdate',
+        './formats/kml/controls/KmlBalloons',
         './formats/kml/styles/KmlBalloonStyle',
         './formats/kml/KmlCamera',
         './formats/kml/styles/KmlColorStyle',
@@ -99,8 +116,10 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './formats/kml/controls/KmlControls',
         './formats/kml/features/KmlDocument',
         './formats/kml/KmlElements',
+        './formats/kml/KmlExporter',
         './formats/kml/features/KmlFeature',
         './formats/kml/KmlFile',
+        './formats/kml/tour/KmlFlyTo',
         './formats/kml/features/KmlFolder',
         './formats/kml/geom/KmlGeometry',
         './formats/kml/features/KmlGroundOverlay',
@@ -118,18 +137,22 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './formats/kml/KmlLocation',
         './formats/kml/KmlLod',
         './formats/kml/KmlLookAt',
+        './formats/kml/geom/KmlModel',
         './formats/kml/geom/KmlMultiGeometry',
+        './formats/kml/geom/KmlMultiTrack',
         './formats/kml/features/KmlNetworkLink',
         './formats/kml/KmlObject',
         './formats/kml/KmlOrientation',
         './formats/kml/features/KmlOverlay',
         './formats/kml/features/KmlPhotoOverlay',
         './formats/kml/features/KmlPlacemark',
+        './formats/kml/tour/KmlPlaylist',
         './formats/kml/geom/KmlPoint',
         './formats/kml/geom/KmlPolygon',
         './formats/kml/styles/KmlPolyStyle',
         './formats/kml/KmlRegion',
         './formats/kml/features/KmlScreenOverlay',
+        './formats/kml/tour/KmlSoundCue',
         './formats/kml/styles/KmlStyle',
         './formats/kml/styles/KmlStyleMap',
         './formats/kml/styles/KmlStyleSelector',
@@ -138,8 +161,12 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './formats/kml/KmlTimeSpan',
         './formats/kml/KmlTimeStamp',
         './formats/kml/features/KmlTour',
+        './formats/kml/tour/KmlTourControl',
+        './formats/kml/tour/KmlTourPlayer',
+        './formats/kml/tour/KmlTourPrimitive',
         './formats/kml/geom/KmlTrack',
         './formats/kml/controls/KmlTreeVisibility',
+        './formats/kml/tour/KmlWait',
         './layer/LandsatRestLayer',
         './layer/Layer',
         './util/measure/LengthMeasurer',
@@ -156,6 +183,8 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './cache/MemoryCache',
         './cache/MemoryCacheListener',
         './layer/MercatorTiledImageLayer',
+        './formats/mvt/MvtStyle',
+        './formats/mvt/MvtTile',
         './navigate/Navigator',
         './util/NominatimGeocoder',
         './error/NotYetImplementedError',
@@ -180,18 +209,22 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './projections/ProjectionPolarEquidistant',
         './projections/ProjectionUPS',
         './projections/ProjectionWgs84',
+        './formats/mvt/ProtobufReader',
         './geom/Rectangle',
         './render/Renderable',
         './layer/RenderableLayer',
+        './formats/kml/util/ResourceMap',
         './layer/RestTiledImageLayer',
         './gesture/RotationRecognizer',
         './formats/kml/util/Scale',
         './formats/kml/util/Schema',
+        './formats/kml/util/SchemaData',
         './shapes/ScreenImage',
         './shapes/ScreenText',
         './geom/Sector',
         './shapes/ShapeAttributes',
         './formats/shapefile/Shapefile',
+        './formats/shapefile/ShapefileExporter',
         './layer/ShowTessellationLayer',
         './shaders/SkyProgram',
         './layer/StarFieldLayer',
@@ -234,6 +267,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './globe/UsgsNedHiElevationCoverage',
         './geom/Vec2',
         './geom/Vec3',
+        './layer/VectorTileLayer',
         './layer/ViewControlsLayer',
         './formats/kml/util/ViewVolume',
         './ogc/wcs/WcsCapabilities',
@@ -272,9 +306,11 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './util/WWUtil',
         './util/XmlDocument'],
     function (AAIGridConstants,
+              AAIGridElevationCoverage,
               AAIGridMetadata,
               AAIGridReader,
               AbstractError,
+              Alias,
               Angle,
               Annotation,
               AnnotationAttributes,
@@ -297,11 +333,16 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               BMNGRestLayer,
               BoundingBox,
               ClickRecognizer,
+              CogReader,
+              CogTiledImageLayer,
               ColladaLoader,
               Color,
+              ColorizedSurfaceImage,
+              ColorRamp,
               Compass,
               CompassLayer,
               CoordinatesDisplayLayer,
+              Data,
               DateWW,
               DigitalGlobeTiledImageLayer,
               DragRecognizer,
@@ -310,6 +351,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               EarthRestElevationCoverage,
               ElevationCoverage,
               ElevationModel,
+              ExtendedData,
               Font,
               FrameStatistics,
               FrameStatisticsLayer,
@@ -331,14 +373,21 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               GeoJSONGeometryPoint,
               GeoJSONGeometryPolygon,
               GeoJSONParser,
+              GeoTiffElevationCoverage,
               GeoTiffReader,
+              GeoTiffWriter,
               GestureRecognizer,
               Globe,
               Globe2D,
+              GltfLoader,
+              GltfScene,
               GoToAnimator,
               GpuProgram,
               GpuResourceCache,
               GpuShader,
+              Gpx,
+              GpxExporter,
+              GridElevationCoverage,
               GroundProgram,
               HashMap,
               HighlightController,
@@ -348,6 +397,8 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               Insets,
               ItemIcon,
               KmlAbstractView,
+              KmlAnimatedUpdate,
+              KmlBalloons,
               KmlBalloonStyle,
               KmlCamera,
               KmlColorStyle,
@@ -355,8 +406,10 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               KmlControls,
               KmlDocument,
               KmlElements,
+              KmlExporter,
               KmlFeature,
               KmlFile,
+              KmlFlyTo,
               KmlFolder,
               KmlGeometry,
               KmlGroundOverlay,
@@ -374,18 +427,22 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               KmlLocation,
               KmlLod,
               KmlLookAt,
+              KmlModel,
               KmlMultiGeometry,
+              KmlMultiTrack,
               KmlNetworkLink,
               KmlObject,
               KmlOrientation,
               KmlOverlay,
               KmlPhotoOverlay,
               KmlPlacemark,
+              KmlPlaylist,
               KmlPoint,
               KmlPolygon,
               KmlPolyStyle,
               KmlRegion,
               KmlScreenOverlay,
+              KmlSoundCue,
               KmlStyle,
               KmlStyleMap,
               KmlStyleSelector,
@@ -394,8 +451,12 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               KmlTimeSpan,
               KmlTimeStamp,
               KmlTour,
+              KmlTourControl,
+              KmlTourPlayer,
+              KmlTourPrimitive,
               KmlTrack,
               KmlTreeVisibility,
+              KmlWait,
               LandsatRestLayer,
               Layer,
               LengthMeasurer,
@@ -412,6 +473,8 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               MemoryCache,
               MemoryCacheListener,
               MercatorTiledImageLayer,
+              MvtStyle,
+              MvtTile,
               Navigator,
               NominatimGeocoder,
               NotYetImplementedError,
@@ -436,18 +499,22 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               ProjectionPolarEquidistant,
               ProjectionUPS,
               ProjectionWgs84,
+              ProtobufReader,
               Rectangle,
               Renderable,
               RenderableLayer,
+              ResourceMap,
               RestTiledImageLayer,
               RotationRecognizer,
               Scale,
               Schema,
+              SchemaData,
               ScreenImage,
               ScreenText,
               Sector,
               ShapeAttributes,
               Shapefile,
+              ShapefileExporter,
               ShowTessellationLayer,
               SkyProgram,
               StarFieldLayer,
@@ -490,6 +557,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               UnsupportedOperationError,
               Vec2,
               Vec3,
+              VectorTileLayer,
               ViewControlsLayer,
               ViewVolume,
               WcsCapabilities,
@@ -765,6 +833,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         };
 
         WorldWind['AAIGridConstants'] = AAIGridConstants;
+        WorldWind['AAIGridElevationCoverage'] = AAIGridElevationCoverage;
         WorldWind['AAIGridMetadata'] = AAIGridMetadata;
         WorldWind['AAIGridReader'] = AAIGridReader;
         WorldWind['AbstractError'] = AbstractError;
@@ -790,8 +859,12 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['BMNGRestLayer'] = BMNGRestLayer;
         WorldWind['BoundingBox'] = BoundingBox;
         WorldWind['ClickRecognizer'] = ClickRecognizer;
+        WorldWind['CogReader'] = CogReader;
+        WorldWind['CogTiledImageLayer'] = CogTiledImageLayer;
         WorldWind['ColladaLoader'] = ColladaLoader;
         WorldWind['Color'] = Color;
+        WorldWind['ColorizedSurfaceImage'] = ColorizedSurfaceImage;
+        WorldWind['ColorRamp'] = ColorRamp;
         WorldWind['Compass'] = Compass;
         WorldWind['CompassLayer'] = CompassLayer;
         WorldWind['CoordinatesDisplayLayer'] = CoordinatesDisplayLayer;
@@ -824,22 +897,32 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['GeoJSONGeometryPoint'] = GeoJSONGeometryPoint;
         WorldWind['GeoJSONGeometryPolygon'] = GeoJSONGeometryPolygon;
         WorldWind['GeoJSONParser'] = GeoJSONParser;
+        WorldWind['GeoTiffElevationCoverage'] = GeoTiffElevationCoverage;
         WorldWind['GeoTiffReader'] = GeoTiffReader;
+        WorldWind['GeoTiffWriter'] = GeoTiffWriter;
         WorldWind['GestureRecognizer'] = GestureRecognizer;
         WorldWind['Globe'] = Globe;
         WorldWind['Globe2D'] = Globe2D;
+        WorldWind['GltfLoader'] = GltfLoader;
+        WorldWind['GltfScene'] = GltfScene;
         WorldWind['GoToAnimator'] = GoToAnimator;
         WorldWind['GpuProgram'] = GpuProgram;
         WorldWind['GpuResourceCache'] = GpuResourceCache;
         WorldWind['GpuShader'] = GpuShader;
+        WorldWind['Gpx'] = Gpx;
+        WorldWind['GpxExporter'] = GpxExporter;
+        WorldWind['GridElevationCoverage'] = GridElevationCoverage;
         WorldWind['GroundProgram'] = GroundProgram;
         WorldWind['HashMap'] = HashMap;
         WorldWind['HighlightController'] = HighlightController;
         WorldWind['ImageSource'] = ImageSource;
         WorldWind['ImageTile'] = ImageTile;
         WorldWind['Insets'] = Insets;
+        WorldWind['KmlBalloons'] = KmlBalloons;
         WorldWind['KmlControls'] = KmlControls;
+        WorldWind['KmlExporter'] = KmlExporter;
         WorldWind['KmlFile'] = KmlFile;
+        WorldWind['KmlTourPlayer'] = KmlTourPlayer;
         WorldWind['KmlTreeVisibility'] = KmlTreeVisibility;
         WorldWind['LandsatRestLayer'] = LandsatRestLayer;
         WorldWind['Layer'] = Layer;
@@ -857,6 +940,8 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['MemoryCache'] = MemoryCache;
         WorldWind['MemoryCacheListener'] = MemoryCacheListener;
         WorldWind['MercatorTiledImageLayer'] = MercatorTiledImageLayer;
+        WorldWind['MvtStyle'] = MvtStyle;
+        WorldWind['MvtTile'] = MvtTile;
         WorldWind['Navigator'] = Navigator;
         WorldWind['NominatimGeocoder'] = NominatimGeocoder;
         WorldWind['NotYetImplementedError'] = NotYetImplementedError;
@@ -880,6 +965,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['ProjectionPolarEquidistant'] = ProjectionPolarEquidistant;
         WorldWind['ProjectionUPS'] = ProjectionUPS;
         WorldWind['ProjectionWgs84'] = ProjectionWgs84;
+        WorldWind['ProtobufReader'] = ProtobufReader;
         WorldWind['Rectangle'] = Rectangle;
         WorldWind['Renderable'] = Renderable;
         WorldWind['RenderableLayer'] = RenderableLayer;
@@ -890,6 +976,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['Sector'] = Sector;
         WorldWind['ShapeAttributes'] = ShapeAttributes;
         WorldWind['Shapefile'] = Shapefile;
+        WorldWind['ShapefileExporter'] = ShapefileExporter;
         WorldWind['ShowTessellationLayer'] = ShowTessellationLayer;
         WorldWind['SkyProgram'] = SkyProgram;
         WorldWind['StarFieldLayer'] = StarFieldLayer;
@@ -932,6 +1019,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['UnsupportedOperationError'] = UnsupportedOperationError;
         WorldWind['Vec2'] = Vec2;
         WorldWind['Vec3'] = Vec3;
+        WorldWind['VectorTileLayer'] = VectorTileLayer;
         WorldWind['ViewControlsLayer'] = ViewControlsLayer;
         WorldWind['WcsCapabilities'] = WcsCapabilities;
         WorldWind['WcsCoverage'] = WcsCoverage;
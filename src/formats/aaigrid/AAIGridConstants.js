@@ -27,6 +27,8 @@ define([],
             N_ROWS:'nrows',
             X_LL_CORNER: 'xllcorner',
             Y_LL_CORNER: 'yllcorner',
+            X_LL_CENTER: 'xllcenter',
+            Y_LL_CENTER: 'yllcenter',
             CELL_SIZE: 'cellsize',
             NO_DATA_VALUE: 'NODATA_value'
         };
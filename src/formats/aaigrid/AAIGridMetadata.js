@@ -17,8 +17,10 @@
 /**
  * @exports AAIGridMetadata
  */
-define([],
-    function () {
+define([
+        '../../geom/Sector'
+    ],
+    function (Sector) {
         'use strict';
 
         /**
@@ -40,6 +42,12 @@ define([],
             // Documented in defineProperties below.
             this._yllcorner = null;
 
+            // Documented in defineProperties below.
+            this._xllcenter = null;
+
+            // Documented in defineProperties below.
+            this._yllcenter = null;
+
             // Documented in defineProperties below.
             this._cellsize = null;
 
@@ -105,6 +113,36 @@ define([],
                 }
             },
 
+            /**
+             * The x-coordinate of the center of the lower left cell. Grids provide either this value or
+             * [xllcorner]{@link AAIGridMetadata#xllcorner}.
+             * @memberof AAIGridMetadata.prototype
+             * @type {Number}
+             */
+            xllcenter: {
+                get: function () {
+                    return this._xllcenter;
+                },
+                set: function (value) {
+                    this._xllcenter = value;
+                }
+            },
+
+            /**
+             * The y-coordinate of the center of the lower left cell. Grids provide either this value or
+             * [yllcorner]{@link AAIGridMetadata#yllcorner}.
+             * @memberof AAIGridMetadata.prototype
+             * @type {Number}
+             */
+            yllcenter: {
+                get: function () {
+                    return this._yllcenter;
+                },
+                set: function (value) {
+                    this._yllcenter = value;
+                }
+            },
+
             /**
              * The length of one side of a square cell (resolution of the grid).
              * @memberof AAIGridMetadata.prototype
@@ -132,6 +170,23 @@ define([],
                 set: function (value) {
                     this._NODATA_value = value;
                 }
+            },
+
+            /**
+             * The sector spanned by the cells of the grid, computed from the lower left corner or center, the
+             * cell size and the number of columns and rows. The coordinates of the grid are considered geographic.
+             * @memberof AAIGridMetadata.prototype
+             * @type {Sector}
+             * @readonly
+             */
+            sector: {
+                get: function () {
+                    var west = this._xllcorner !== null ? this._xllcorner : this._xllcenter - this._cellsize / 2,
+                        south = this._yllcorner !== null ? this._yllcorner : this._yllcenter - this._cellsize / 2;
+
+                    return new Sector(south, south + this._nrows * this._cellsize,
+                        west, west + this._ncols * this._cellsize);
+                }
             }
         });
 
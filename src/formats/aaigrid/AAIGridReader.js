@@ -172,6 +172,12 @@ define([
                 else if (words[0] === AAIGridConstants.Y_LL_CORNER) {
                     this.metadata.yllcorner = +words[1];
                 }
+                else if (words[0] === AAIGridConstants.X_LL_CENTER) {
+                    this.metadata.xllcenter = +words[1];
+                }
+                else if (words[0] === AAIGridConstants.Y_LL_CENTER) {
+                    this.metadata.yllcenter = +words[1];
+                }
                 else if (words[0] === AAIGridConstants.CELL_SIZE) {
                     this.metadata.cellsize = +words[1];
                 }
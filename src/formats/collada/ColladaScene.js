@@ -82,6 +82,9 @@ define([
 
             // Documented in defineProperties below.
             this._scale = 1;
+            this._xScale = 1;
+            this._yScale = 1;
+            this._zScale = 1;
 
             // Documented in defineProperties below.
             this._altitudeMode = WorldWind.ABSOLUTE;
@@ -314,6 +317,48 @@ define([
                 }
             },
 
+            /**
+             * The scene's scale factor for the x axis. It is applied together with the scale.
+             * @memberof ColladaScene.prototype
+             * @type {Number}
+             */
+            xScale: {
+                get: function () {
+                    return this._xScale;
+                },
+                set: function (value) {
+                    this._xScale = value;
+                }
+            },
+
+            /**
+             * The scene's scale factor for the y axis. It is applied together with the scale.
+             * @memberof ColladaScene.prototype
+             * @type {Number}
+             */
+            yScale: {
+                get: function () {
+                    return this._yScale;
+                },
+                set: function (value) {
+                    this._yScale = value;
+                }
+            },
+
+            /**
+             * The scene's scale factor for the z axis. It is applied together with the scale.
+             * @memberof ColladaScene.prototype
+             * @type {Number}
+             */
+            zScale: {
+                get: function () {
+                    return this._zScale;
+                },
+                set: function (value) {
+                    this._zScale = value;
+                }
+            },
+
             /**
              * The scene's Cartesian point on the globe for the specified position.
              * @memberof ColladaScene.prototype
@@ -853,7 +898,8 @@ define([
             this.transformationMatrix.multiplyByRotation(0, 1, 0, this.yRotation);
             this.transformationMatrix.multiplyByRotation(0, 0, 1, this.zRotation);
 
-            this.transformationMatrix.multiplyByScale(this.scale, this.scale, this.scale);
+            this.transformationMatrix.multiplyByScale(this.scale * this.xScale, this.scale * this.yScale,
+                this.scale * this.zScale);
 
             this.transformationMatrix.multiplyByTranslation(this.xTranslation, this.yTranslation, this.zTranslation);
 
@@ -19,11 +19,13 @@
  */
 define(['../../error/ArgumentError',
         './GeoJSONConstants',
-        '../../util/Logger'
+        '../../util/Logger',
+        '../../util/proj4-src'
     ],
     function (ArgumentError,
               GeoJSONConstants,
-              Logger) {
+              Logger,
+              Proj4) {
         "use strict";
 
         /**
@@ -45,42 +47,51 @@ define(['../../error/ArgumentError',
             /**
              * Exports a [Renderable]{@link Renderable} in GeoJSON format.
              * @param {Renderable} renderable The renderable to export.
+             * @param {String} crs Optional name of the coordinate reference system to write the coordinates in, e.g.
+             * "EPSG:3857". It must be known to proj4js. When specified, the coordinates are reprojected and the
+             * GeoJSON gets a named crs member. The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified renderable is null or undefined.
              * @returns {String} GeoJSON format.
              */
-            exportRenderable: function (renderable) {
+            exportRenderable: function (renderable, crs) {
                 if (!renderable) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportRenderable",
                             "missingRenderable"));
                 }
 
+                var geoJSON = this.exportGeometry(renderable, crs);
+                return geoJSON && this.addCrs(geoJSON, crs);
+            },
+
+            // Internal. Exports the geometry of a renderable without the crs member.
+            exportGeometry: function (renderable, crs) {
                 if (renderable instanceof WorldWind.Placemark) {
-                    return this.exportPlacemark(renderable);
+                    return this.exportPlacemark(renderable, crs);
                 }
                 else if (renderable instanceof WorldWind.SurfacePolyline) {
-                    return this.exportSurfacePolyline(renderable);
+                    return this.exportSurfacePolyline(renderable, crs);
                 }
                 else if (renderable instanceof WorldWind.SurfacePolygon) {
-                    return this.exportSurfacePolygon(renderable);
+                    return this.exportSurfacePolygon(renderable, crs);
                 }
                 else if (renderable instanceof WorldWind.SurfaceEllipse) {
-                    return this.exportSurfaceEllipse(renderable);
+                    return this.exportSurfaceEllipse(renderable, crs);
                 }
                 else if (renderable instanceof WorldWind.SurfaceCircle) {
-                    return this.exportSurfaceCircle(renderable);
+                    return this.exportSurfaceCircle(renderable, crs);
                 }
                 else if (renderable instanceof WorldWind.SurfaceRectangle) {
-                    return this.exportSurfaceRectangle(renderable);
+                    return this.exportSurfaceRectangle(renderable, crs);
                 }
                 else if (renderable instanceof WorldWind.SurfaceSector) {
-                    return this.exportSurfaceSector(renderable);
+                    return this.exportSurfaceSector(renderable, crs);
                 }
                 else if (renderable instanceof WorldWind.Path) {
-                    return this.exportPath(renderable);
+                    return this.exportPath(renderable, crs);
                 }
                 else if (renderable instanceof WorldWind.Polygon) {
-                    return this.exportPolygon(renderable);
+                    return this.exportPolygon(renderable, crs);
                 }
                 else {
                     Logger.log(Logger.LEVEL_WARNING, "Export renderable not implemented: " + renderable);
@@ -91,10 +102,12 @@ define(['../../error/ArgumentError',
             /**
              * Exports a list of [Renderable]{@link Renderable} in GeoJSON format of type GeometryCollection.
              * @param {Renderable[]} renderables The renderables to export.
+             * @param {String} crs Optional name of the coordinate reference system to write the coordinates in.
+             * See [exportRenderable]{@link GeoJSONExporter#exportRenderable}.
              * @throws {ArgumentError} If the specified renderable is null or undefined.
              * @returns {String} GeoJSON format.
              */
-            exportRenderables: function (renderables) {
+            exportRenderables: function (renderables, crs) {
                 if (!renderables) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportRenderables",
@@ -109,7 +122,7 @@ define(['../../error/ArgumentError',
                     sb = sb + '"' + GeoJSONConstants.FIELD_TYPE + '":"' + GeoJSONConstants.TYPE_GEOMETRY_COLLECTION + '"';
                     sb = sb + ',"' + GeoJSONConstants.FIELD_GEOMETRIES + '":[';
                     for (var i = 0; i < renderables.length; i++) {
-                        var exportedRenderable = this.exportRenderable(renderables[i])
+                        var exportedRenderable = this.exportGeometry(renderables[i], crs);
                         if (exportedRenderable) {
                             sb = sb + exportedRenderable;
                             sb = sb + ',';
@@ -121,36 +134,40 @@ define(['../../error/ArgumentError',
                     sb = sb + ']';
                     sb = sb + '}';
 
-                    return sb;
+                    return this.addCrs(sb, crs);
                 }
                 else {
-                    return this.exportRenderable(renderables[0]);
+                    return this.exportRenderable(renderables[0], crs);
                 }
             },
 
             /**
              * Exports a [Layer]{@link Layer} in GeoJSON format of type GeometryCollection.
              * @param {Layer} layer The layer to export.
+             * @param {String} crs Optional name of the coordinate reference system to write the coordinates in.
+             * See [exportRenderable]{@link GeoJSONExporter#exportRenderable}.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} GeoJSON format.
              */
-            exportLayer: function (layer) {
+            exportLayer: function (layer, crs) {
                 if (!layer) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportLayer",
                             "missingLayer"));
                 }
 
-                return this.exportRenderables(layer.renderables);
+                return this.exportRenderables(layer.renderables, crs);
             },
 
             /**
              * Exports a [Placemark]{@link Placemark} in GeoJSON format of type Point.
              * @param {Placemark} renderable The Placemark object.
+             * @param {String} crs Optional name of the coordinate reference system of the coordinates, e.g.
+             * "EPSG:3857". The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} GeoJSON format.
              */
-            exportPlacemark: function (renderable) {
+            exportPlacemark: function (renderable, crs) {
                 if (!(renderable instanceof WorldWind.Placemark)) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportPlacemark",
@@ -160,7 +177,7 @@ define(['../../error/ArgumentError',
                 var sb = '{';
                 sb = sb + '"' + GeoJSONConstants.FIELD_TYPE + '":"' + GeoJSONConstants.TYPE_POINT + '",';
                 sb = sb + '"' + GeoJSONConstants.FIELD_COORDINATES + '":';
-                sb = sb + '[' + renderable.position.longitude + ',' + renderable.position.latitude + ']';
+                sb = sb + this.coordinates(renderable.position, crs);
                 sb = sb + '}';
                 return sb;
             },
@@ -168,10 +185,12 @@ define(['../../error/ArgumentError',
             /**
              * Exports a [SurfacePolyline]{@link SurfacePolyline} in GeoJSON format of type LineString.
              * @param {SurfacePolyline} renderable The SurfacePolyline object.
+             * @param {String} crs Optional name of the coordinate reference system of the coordinates, e.g.
+             * "EPSG:3857". The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} GeoJSON format.
              */
-            exportSurfacePolyline: function (renderable) {
+            exportSurfacePolyline: function (renderable, crs) {
                 if (!(renderable instanceof WorldWind.SurfacePolyline)) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportSurfacePolyline",
@@ -182,8 +201,7 @@ define(['../../error/ArgumentError',
                 sb = sb + '"' + GeoJSONConstants.FIELD_TYPE + '":"' + GeoJSONConstants.TYPE_LINE_STRING + '",';
                 sb = sb + '"' + GeoJSONConstants.FIELD_COORDINATES + '":[';
                 for (var i = 0; i < renderable.boundaries.length; i++) {
-                    sb = sb + '[' + renderable.boundaries[i].longitude + ',' +
-                        renderable.boundaries[i].latitude + ']';
+                    sb = sb + this.coordinates(renderable.boundaries[i], crs);
                     if (i !== renderable.boundaries.length - 1) {
                         sb = sb + ',';
                     }
@@ -196,10 +214,12 @@ define(['../../error/ArgumentError',
             /**
              * Exports a [SurfacePolygon]{@link SurfacePolygon} in GeoJSON format of type Polygon.
              * @param {SurfacePolygon} renderable The SurfacePolygon object.
+             * @param {String} crs Optional name of the coordinate reference system of the coordinates, e.g.
+             * "EPSG:3857". The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} GeoJSON format.
              */
-            exportSurfacePolygon: function (renderable) {
+            exportSurfacePolygon: function (renderable, crs) {
                 if (!(renderable instanceof WorldWind.SurfacePolygon)) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportSurfacePolygon",
@@ -214,13 +234,11 @@ define(['../../error/ArgumentError',
                     for (var i = 0; i < renderable.boundaries.length; i++) {
                         sb = sb + '[';
                         for (var j = 0; j < renderable.boundaries[i].length; j++) {
-                            sb = sb + '[' + renderable.boundaries[i][j].longitude + ',' +
-                                renderable.boundaries[i][j].latitude + ']';
+                            sb = sb + this.coordinates(renderable.boundaries[i][j], crs);
                             sb = sb + ',';
 
                             if (j === renderable.boundaries[i].length - 1) {
-                                sb = sb + '[' + renderable.boundaries[i][0].longitude + ',' +
-                                    renderable.boundaries[i][0].latitude + ']';
+                                sb = sb + this.coordinates(renderable.boundaries[i][0], crs);
                             }
                         }
                         sb = sb + ']';
@@ -233,13 +251,11 @@ define(['../../error/ArgumentError',
                     //no holes
                     sb = sb + '[';
                     for (var i = 0; i < renderable.boundaries.length; i++) {
-                        sb = sb + '[' + renderable.boundaries[i].longitude + ',' +
-                            renderable.boundaries[i].latitude + ']';
+                        sb = sb + this.coordinates(renderable.boundaries[i], crs);
                         sb = sb + ',';
 
                         if (i === renderable.boundaries.length - 1) {
-                            sb = sb + '[' + renderable.boundaries[0].longitude + ',' +
-                                renderable.boundaries[0].latitude + ']';
+                            sb = sb + this.coordinates(renderable.boundaries[0], crs);
                         }
                     }
                     sb = sb + ']';
@@ -252,10 +268,12 @@ define(['../../error/ArgumentError',
             /**
              * Exports a [SurfaceEllipse]{@link SurfaceEllipse} in GeoJSON format of type Polygon.
              * @param {SurfaceEllipse} renderable The SurfaceEllipse object.
+             * @param {String} crs Optional name of the coordinate reference system of the coordinates, e.g.
+             * "EPSG:3857". The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} GeoJSON format.
              */
-            exportSurfaceEllipse: function (renderable) {
+            exportSurfaceEllipse: function (renderable, crs) {
                 if (!(renderable instanceof WorldWind.SurfaceEllipse)) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportSurfaceEllipse",
@@ -267,13 +285,11 @@ define(['../../error/ArgumentError',
                 sb = sb + '"' + GeoJSONConstants.FIELD_COORDINATES + '":[';
                 sb = sb + '[';
                 for (var i = 0; i < renderable._boundaries.length; i++) {
-                    sb = sb + '[' + renderable._boundaries[i].longitude + ',' +
-                        renderable._boundaries[i].latitude + ']';
+                    sb = sb + this.coordinates(renderable._boundaries[i], crs);
                     sb = sb + ',';
 
                     if (i === renderable._boundaries.length - 1) {
-                        sb = sb + '[' + renderable._boundaries[0].longitude + ',' +
-                            renderable._boundaries[0].latitude + ']';
+                        sb = sb + this.coordinates(renderable._boundaries[0], crs);
                     }
                 }
                 sb = sb + ']';
@@ -285,10 +301,12 @@ define(['../../error/ArgumentError',
             /**
              * Exports a [SurfaceCircle]{@link SurfaceCircle} in GeoJSON format of type Polygon.
              * @param {SurfaceCircle} renderable The SurfaceCircle object.
+             * @param {String} crs Optional name of the coordinate reference system of the coordinates, e.g.
+             * "EPSG:3857". The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} GeoJSON format.
              */
-            exportSurfaceCircle: function (renderable) {
+            exportSurfaceCircle: function (renderable, crs) {
                 if (!(renderable instanceof WorldWind.SurfaceCircle)) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportSurfaceCircle",
@@ -300,13 +318,11 @@ define(['../../error/ArgumentError',
                 sb = sb + '"' + GeoJSONConstants.FIELD_COORDINATES + '":[';
                 sb = sb + '[';
                 for (var i = renderable._boundaries.length - 1; i >= 0 ; i--) {
-                    sb = sb + '[' + renderable._boundaries[i].longitude + ',' +
-                        renderable._boundaries[i].latitude + ']';
+                    sb = sb + this.coordinates(renderable._boundaries[i], crs);
                     sb = sb + ',';
 
                     if (i === 0) {
-                        sb = sb + '[' + renderable._boundaries[renderable._boundaries.length-1].longitude + ',' +
-                            renderable._boundaries[renderable._boundaries.length-1].latitude + ']';
+                        sb = sb + this.coordinates(renderable._boundaries[renderable._boundaries.length-1], crs);
                     }
                 }
                 sb = sb + ']';
@@ -318,10 +334,12 @@ define(['../../error/ArgumentError',
             /**
              * Exports a [SurfaceRectangle]{@link SurfaceRectangle} in GeoJSON format of type Polygon.
              * @param {SurfaceRectangle} renderable The SurfaceRectangle object.
+             * @param {String} crs Optional name of the coordinate reference system of the coordinates, e.g.
+             * "EPSG:3857". The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} GeoJSON format.
              */
-            exportSurfaceRectangle: function (renderable) {
+            exportSurfaceRectangle: function (renderable, crs) {
                 if (!(renderable instanceof WorldWind.SurfaceRectangle)) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportSurfaceRectangle",
@@ -333,13 +351,11 @@ define(['../../error/ArgumentError',
                 sb = sb + '"' + GeoJSONConstants.FIELD_COORDINATES + '":[';
                 sb = sb + '[';
                 for (var i = 0; i < renderable._boundaries.length; i++) {
-                    sb = sb + '[' + renderable._boundaries[i].longitude + ',' +
-                        renderable._boundaries[i].latitude + ']';
+                    sb = sb + this.coordinates(renderable._boundaries[i], crs);
                     sb = sb + ',';
 
                     if (i === renderable._boundaries.length - 1) {
-                        sb = sb + '[' + renderable._boundaries[0].longitude + ',' +
-                            renderable._boundaries[0].latitude + ']';
+                        sb = sb + this.coordinates(renderable._boundaries[0], crs);
                     }
                 }
                 sb = sb + ']';
@@ -351,10 +367,12 @@ define(['../../error/ArgumentError',
             /**
              * Exports a [SurfaceSector]{@link SurfaceSector} in GeoJSON format of type Polygon.
              * @param {SurfaceSector} renderable The SurfaceSector object.
+             * @param {String} crs Optional name of the coordinate reference system of the coordinates, e.g.
+             * "EPSG:3857". The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} GeoJSON format.
              */
-            exportSurfaceSector: function (renderable) {
+            exportSurfaceSector: function (renderable, crs) {
                 if (!(renderable instanceof WorldWind.SurfaceSector)) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportSurfaceSector",
@@ -370,13 +388,11 @@ define(['../../error/ArgumentError',
                 renderable._boundaries.reverse();
 
                 for (var i = 0; i < renderable._boundaries.length; i++) {
-                    sb = sb + '[' + renderable._boundaries[i].longitude + ',' +
-                        renderable._boundaries[i].latitude + ']';
+                    sb = sb + this.coordinates(renderable._boundaries[i], crs);
                     sb = sb + ',';
 
                     if (i === renderable._boundaries.length - 1) {
-                        sb = sb + '[' + renderable._boundaries[0].longitude + ',' +
-                            renderable._boundaries[0].latitude + ']';
+                        sb = sb + this.coordinates(renderable._boundaries[0], crs);
                     }
                 }
                 sb = sb + ']';
@@ -388,10 +404,12 @@ define(['../../error/ArgumentError',
             /**
              * Exports a [Path]{@link Path} in GeoJSON format of type LineString.
              * @param {Path} renderable The Path object.
+             * @param {String} crs Optional name of the coordinate reference system of the coordinates, e.g.
+             * "EPSG:3857". The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} GeoJSON format.
              */
-            exportPath: function (renderable) {
+            exportPath: function (renderable, crs) {
                 if (!(renderable instanceof WorldWind.Path)) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportPath",
@@ -402,9 +420,7 @@ define(['../../error/ArgumentError',
                 sb = sb + '"' + GeoJSONConstants.FIELD_TYPE + '":"' + GeoJSONConstants.TYPE_LINE_STRING + '",';
                 sb = sb + '"' + GeoJSONConstants.FIELD_COORDINATES + '":[';
                 for (var i = 0; i < renderable.positions.length; i++) {
-                    sb = sb + '[' + renderable.positions[i].longitude + ',' +
-                        renderable.positions[i].latitude + ',' +
-                        renderable.positions[i].altitude + ']';
+                    sb = sb + this.coordinates(renderable.positions[i], crs, true);
                     if (i !== renderable.positions.length - 1) {
                         sb = sb + ',';
                     }
@@ -417,10 +433,12 @@ define(['../../error/ArgumentError',
             /**
              * Exports a [Polygon]{@link Polygon} in GeoJSON format of type Polygon.
              * @param {Polygon} renderable The Polygon object.
+             * @param {String} crs Optional name of the coordinate reference system of the coordinates, e.g.
+             * "EPSG:3857". The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} GeoJSON format.
              */
-            exportPolygon: function (renderable) {
+            exportPolygon: function (renderable, crs) {
                 if (!(renderable instanceof WorldWind.Polygon)) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportPolygon",
@@ -435,15 +453,11 @@ define(['../../error/ArgumentError',
                     for (var i = 0; i < renderable.boundaries.length; i++) {
                         sb = sb + '[';
                         for (var j = 0; j < renderable.boundaries[i].length; j++) {
-                            sb = sb + '[' + renderable.boundaries[i][j].longitude + ',' +
-                                renderable.boundaries[i][j].latitude + ',' +
-                                renderable.boundaries[i][j].altitude + ']';
+                            sb = sb + this.coordinates(renderable.boundaries[i][j], crs, true);
                             sb = sb + ',';
 
                             if (j === renderable.boundaries[i].length - 1) {
-                                sb = sb + '[' + renderable.boundaries[i][0].longitude + ',' +
-                                    renderable.boundaries[i][0].latitude + ',' +
-                                    renderable.boundaries[i][0].altitude + ']';
+                                sb = sb + this.coordinates(renderable.boundaries[i][0], crs, true);
                             }
                         }
                         sb = sb + ']';
@@ -456,15 +470,11 @@ define(['../../error/ArgumentError',
                     //no holes
                     sb = sb + '[';
                     for (var i = 0; i < renderable.boundaries.length; i++) {
-                        sb = sb + '[' + renderable.boundaries[i].longitude + ',' +
-                            renderable.boundaries[i].latitude + ',' +
-                            renderable.boundaries[i].altitude + ']';
+                        sb = sb + this.coordinates(renderable.boundaries[i], crs, true);
                         sb = sb + ',';
 
                         if (i === renderable.boundaries.length - 1) {
-                            sb = sb + '[' + renderable.boundaries[0].longitude + ',' +
-                                renderable.boundaries[0].latitude + ',' +
-                                renderable.boundaries[0].altitude + ']';
+                            sb = sb + this.coordinates(renderable.boundaries[0], crs, true);
                         }
                     }
                     sb = sb + ']';
@@ -472,6 +482,37 @@ define(['../../error/ArgumentError',
                 sb = sb + ']';
                 sb = sb + '}';
                 return sb;
+            },
+
+            // Internal. Indicates whether the coordinate reference system is the default WGS84 one.
+            isDefaultCrs: function (crs) {
+                return !crs || crs === GeoJSONConstants.EPSG4326_CRS || crs === GeoJSONConstants.WGS84_CRS;
+            },
+
+            // Internal. Adds the named crs member to an exported GeoJSON object unless the crs is the default one.
+            addCrs: function (geoJSON, crs) {
+                if (this.isDefaultCrs(crs)) {
+                    return geoJSON;
+                }
+
+                return '{"' + GeoJSONConstants.FIELD_CRS + '":{' +
+                    '"' + GeoJSONConstants.FIELD_TYPE + '":"' + GeoJSONConstants.FIELD_CRS_NAME + '",' +
+                    '"' + GeoJSONConstants.FIELD_PROPERTIES + '":{' +
+                    '"' + GeoJSONConstants.FIELD_CRS_NAME + '":"' + crs + '"}},' + geoJSON.substring(1);
+            },
+
+            // Internal. Writes the coordinates of a location, reprojected to the coordinate reference system.
+            coordinates: function (location, crs, withAltitude) {
+                var point = [location.longitude, location.latitude];
+                if (!this.isDefaultCrs(crs)) {
+                    point = Proj4(GeoJSONConstants.EPSG4326_CRS, crs, point);
+                }
+
+                if (withAltitude) {
+                    point.push(location.altitude);
+                }
+
+                return '[' + point.join(',') + ']';
             }
         };
 
@@ -0,0 +1,363 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports CogReader
+ */
+define([
+        '../../error/AbstractError',
+        '../../error/ArgumentError',
+        './GeoTiffReader',
+        '../../util/Logger',
+        '../../cache/MemoryCache',
+        '../../util/Promise'
+    ],
+    function (AbstractError,
+              ArgumentError,
+              GeoTiffReader,
+              Logger,
+              MemoryCache,
+              Promise) {
+        "use strict";
+
+        /**
+         * Constructs a reader of a cloud optimized geotiff at a specified URL.
+         * Call [load]{@link CogReader#load} to retrieve the image file directories of the geotiff before reading
+         * its pixels with [readRegion]{@link CogReader#readRegion}.
+         * @alias CogReader
+         * @constructor
+         * @classdesc Reads the full resolution image and the overviews of a cloud optimized geotiff using HTTP range
+         * requests. Only the header of the file and the tiles needed for the requested regions are retrieved. The
+         * server has to support range requests, otherwise the whole file is retrieved once and kept in memory.
+         * @param {String} url The URL of the geotiff.
+         * @throws {ArgumentError} If the specified URL is null or undefined.
+         */
+        var CogReader = function (url) {
+            if (!url) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CogReader", "constructor", "missingUrl"));
+            }
+
+            /**
+             * The URL of the geotiff.
+             * @type {String}
+             * @readonly
+             */
+            this.url = url;
+
+            /**
+             * The number of bytes requested for the header of the geotiff. The request is repeated with a larger
+             * size when the image file directories don't fit in the retrieved bytes.
+             * @type {Number}
+             * @default 16384
+             */
+            this.headerSize = 16384;
+
+            /**
+             * The reader of the header of the geotiff. It is available once the geotiff is loaded.
+             * @type {GeoTiffReader}
+             * @readonly
+             */
+            this.geoTiff = null;
+
+            /**
+             * The metadata of the full resolution image followed by the metadata of the overviews from the highest
+             * resolution to the lowest one. It is available once the geotiff is loaded.
+             * @type {GeoTiffMetadata[]}
+             * @readonly
+             */
+            this.images = [];
+
+            // Internal. Intentionally not documented.
+            this.tileCache = new MemoryCache(50e6, 40e6);
+
+            // Internal. Intentionally not documented.
+            this.tileRequests = {};
+
+            // Internal. Intentionally not documented.
+            this.fileData = null;
+
+            // Internal. Intentionally not documented.
+            this.loadPromise = null;
+        };
+
+        Object.defineProperties(CogReader.prototype, {
+            /**
+             * The sector covered by the geotiff. It is available once the geotiff is loaded.
+             * @memberof CogReader.prototype
+             * @type {Sector}
+             * @readonly
+             */
+            sector: {
+                get: function () {
+                    return this.geoTiff ? this.geoTiff.metadata.bbox : null;
+                }
+            },
+
+            /**
+             * The size in longitude of the pixels of the full resolution image, in degrees. It is available once the
+             * geotiff is loaded.
+             * @memberof CogReader.prototype
+             * @type {Number}
+             * @readonly
+             */
+            resolution: {
+                get: function () {
+                    return this.geoTiff ? this.imageResolution(0) : 0;
+                }
+            }
+        });
+
+        /**
+         * Retrieves and parses the image file directories of the geotiff. The retrieval is performed only once.
+         * @returns {Promise} A promise resolved with this reader once the geotiff is loaded.
+         */
+        CogReader.prototype.load = function () {
+            if (!this.loadPromise) {
+                this.loadPromise = this.loadHeader(this.headerSize);
+            }
+
+            return this.loadPromise;
+        };
+
+        // Retrieve the header of the given size and parse it. Internal use only.
+        CogReader.prototype.loadHeader = function (size) {
+            var self = this;
+
+            return this.requestRange(0, size).then(function (data) {
+                try {
+                    var geoTiff = new GeoTiffReader(data);
+                    var images = [geoTiff.metadata].concat(geoTiff.getOverviews());
+                }
+                catch (e) {
+                    // The image file directories or their values extend beyond the retrieved bytes.
+                    if (e instanceof RangeError && data.byteLength >= size) {
+                        return self.loadHeader(size * 4);
+                    }
+
+                    throw e;
+                }
+
+                if (!geoTiff.metadata.tileOffsets) {
+                    throw new AbstractError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "CogReader", "loadHeader",
+                            "The geotiff isn't tiled: " + self.url));
+                }
+
+                self.geoTiff = geoTiff;
+                self.images = images;
+
+                return self;
+            });
+        };
+
+        /**
+         * Retrieves a range of bytes of the geotiff.
+         * @param {Number} start The offset of the first byte.
+         * @param {Number} length The number of bytes.
+         * @returns {Promise} A promise resolved with the ArrayBuffer of the bytes. It may be shorter than the
+         * requested length at the end of the file.
+         */
+        CogReader.prototype.requestRange = function (start, length) {
+            if (this.fileData) {
+                return Promise.resolve(this.fileData.slice(start, start + length));
+            }
+
+            var self = this;
+
+            return new Promise(function (resolve, reject) {
+                var xhr = new XMLHttpRequest();
+
+                xhr.open("GET", self.url, true);
+                xhr.responseType = 'arraybuffer';
+                xhr.setRequestHeader("Range", "bytes=" + start + "-" + (start + length - 1));
+                xhr.onreadystatechange = function () {
+                    if (xhr.readyState === 4) {
+                        if (xhr.status === 206) {
+                            resolve(xhr.response);
+                        }
+                        else if (xhr.status === 200) {
+                            // The server ignored the range, so the whole file is kept for the following ranges.
+                            self.fileData = xhr.response;
+                            resolve(self.fileData.slice(start, start + length));
+                        }
+                        else {
+                            Logger.log(Logger.LEVEL_WARNING, "COG retrieval failed (" + xhr.statusText + "): " +
+                                self.url);
+                            reject();
+                        }
+                    }
+                };
+
+                xhr.onerror = function () {
+                    Logger.log(Logger.LEVEL_WARNING, "COG retrieval failed: " + self.url);
+                    reject();
+                };
+
+                xhr.ontimeout = function () {
+                    Logger.log(Logger.LEVEL_WARNING, "COG retrieval timed out: " + self.url);
+                    reject();
+                };
+
+                xhr.send(null);
+            });
+        };
+
+        /**
+         * Computes the size in longitude of the pixels of an image of the geotiff.
+         * @param {Number} imageIndex The index of the image in the [images]{@link CogReader#images}.
+         * @returns {Number} The size of the pixels, in degrees.
+         */
+        CogReader.prototype.imageResolution = function (imageIndex) {
+            return this.sector.deltaLongitude() / this.images[imageIndex].imageWidth;
+        };
+
+        /**
+         * Selects the image of the lowest resolution which still provides the specified resolution. The full
+         * resolution image is selected when no image provides it.
+         * @param {Number} resolution The requested size of the pixels in longitude, in degrees.
+         * @returns {Number} The index of the selected image in the [images]{@link CogReader#images}.
+         */
+        CogReader.prototype.imageIndexForResolution = function (resolution) {
+            var imageIndex = 0;
+
+            for (var i = 1; i < this.images.length; i++) {
+                var imageResolution = this.imageResolution(i);
+                if (imageResolution <= resolution && imageResolution > this.imageResolution(imageIndex)) {
+                    imageIndex = i;
+                }
+            }
+
+            return imageIndex;
+        };
+
+        /**
+         * Retrieves and decodes a tile of an image of the geotiff. The decoded tiles are cached and a tile is
+         * retrieved only once while it's requested by several callers.
+         * @param {Number} imageIndex The index of the image in the [images]{@link CogReader#images}.
+         * @param {Number} column The column of the tile in the image.
+         * @param {Number} row The row of the tile in the image.
+         * @returns {Promise} A promise resolved with the pixels of the tile row by row. Tiles missing in the file
+         * don't have any pixels.
+         */
+        CogReader.prototype.readTile = function (imageIndex, column, row) {
+            var key = imageIndex + "." + column + "." + row;
+            var pixels = this.tileCache.entryForKey(key);
+            if (pixels) {
+                return Promise.resolve(pixels);
+            }
+
+            if (this.tileRequests[key]) {
+                return this.tileRequests[key];
+            }
+
+            var metadata = this.images[imageIndex],
+                tilesAcross = Math.ceil(metadata.imageWidth / metadata.tileWidth[0]),
+                tileIndex = row * tilesAcross + column,
+                tileByteCount = metadata.tileByteCounts[tileIndex],
+                self = this,
+                request;
+
+            if (tileByteCount) {
+                request = this.requestRange(metadata.tileOffsets[tileIndex], tileByteCount).then(function (data) {
+                    return self.geoTiff.decodeTile(metadata, data, false);
+                });
+            }
+            else {
+                request = Promise.resolve([]);
+            }
+
+            this.tileRequests[key] = request.then(function (pixels) {
+                delete self.tileRequests[key];
+                self.tileCache.putEntry(key, pixels, Math.max(pixels.length, 1) * metadata.samplesPerPixel * 8);
+
+                return pixels;
+            }, function (error) {
+                delete self.tileRequests[key];
+
+                throw error;
+            });
+
+            return this.tileRequests[key];
+        };
+
+        /**
+         * Reads the pixels of the geotiff covering a sector. The pixels are taken from the image whose resolution
+         * matches the requested width, and only the tiles of this image intersecting the sector are retrieved.
+         * @param {Sector} sector The sector to read.
+         * @param {Number} width The number of pixels to read along the longitude.
+         * @param {Number} height The number of pixels to read along the latitude.
+         * @returns {Promise} A promise resolved with the samples of the pixels row by row from the north-west
+         * corner of the sector. Pixels outside of the geotiff are null.
+         */
+        CogReader.prototype.readRegion = function (sector, width, height) {
+            var imageIndex = this.imageIndexForResolution(sector.deltaLongitude() / width),
+                metadata = this.images[imageIndex],
+                xScale = metadata.imageWidth / this.images[0].imageWidth,
+                yScale = metadata.imageLength / this.images[0].imageLength,
+                tileWidth = metadata.tileWidth[0],
+                tileLength = metadata.tileLength[0],
+                tilesAcross = Math.ceil(metadata.imageWidth / tileWidth),
+                pixelTiles = new Array(width * height),
+                pixelOffsets = new Array(width * height),
+                tileIndices = [],
+                tileRequests = [];
+
+            for (var row = 0, index = 0; row < height; row++) {
+                var latitude = sector.maxLatitude - (row + 0.5) * sector.deltaLatitude() / height;
+
+                for (var column = 0; column < width; column++, index++) {
+                    var longitude = sector.minLongitude + (column + 0.5) * sector.deltaLongitude() / width,
+                        point = this.geoTiff.locationToGeoTiffImage(latitude, longitude),
+                        x = Math.floor(point[0] * xScale),
+                        y = Math.floor(point[1] * yScale);
+
+                    if (x < 0 || y < 0 || x >= metadata.imageWidth || y >= metadata.imageLength) {
+                        pixelTiles[index] = -1;
+                        continue;
+                    }
+
+                    var tileColumn = Math.floor(x / tileWidth),
+                        tileRow = Math.floor(y / tileLength),
+                        tileIndex = tileRow * tilesAcross + tileColumn,
+                        position = tileIndices.indexOf(tileIndex);
+
+                    if (position < 0) {
+                        position = tileIndices.length;
+                        tileIndices.push(tileIndex);
+                        tileRequests.push(this.readTile(imageIndex, tileColumn, tileRow));
+                    }
+
+                    pixelTiles[index] = position;
+                    pixelOffsets[index] = (y % tileLength) * tileWidth + x % tileWidth;
+                }
+            }
+
+            return Promise.all(tileRequests).then(function (tiles) {
+                var pixels = new Array(width * height);
+
+                for (var i = 0; i < pixels.length; i++) {
+                    var tile = pixelTiles[i] < 0 ? null : tiles[pixelTiles[i]];
+                    pixels[i] = tile && tile[pixelOffsets[i]] || null;
+                }
+
+                return pixels;
+            });
+        };
+
+        return CogReader;
+    }
+);
\ No newline at end of file
@@ -0,0 +1,286 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports DeflateDecoder
+ */
+define([
+        '../../error/AbstractError',
+        '../../util/Logger'
+    ],
+    function (AbstractError,
+              Logger) {
+        "use strict";
+
+        /**
+         * Provides the decompression of the Deflate compressed TIFF strips and tiles.
+         * @exports DeflateDecoder
+         */
+        var DeflateDecoder = {
+
+            /**
+             * Decompresses the zlib stream of the Deflate and Adobe Deflate compressed TIFF data. The stored, fixed
+             * Huffman and dynamic Huffman blocks are supported. The checksum at the end of the stream isn't verified.
+             * @param {Uint8Array} data The compressed data.
+             * @returns {Uint8Array} The decompressed data.
+             * @throws {AbstractError} If the data isn't a valid zlib stream.
+             */
+            decode: function (data) {
+                if (data.length < 2 || (data[0] & 0x0F) !== 8 || ((data[0] << 8) | data[1]) % 31 !== 0) {
+                    throw new AbstractError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "DeflateDecoder", "decode", "Invalid zlib header."));
+                }
+
+                return inflate(data, 2);
+            },
+
+            /**
+             * Decompresses the gzip member, e.g. of the gzip compressed vector tiles. The optional fields of the
+             * header are skipped and the checksum at the end of the member isn't verified.
+             * @param {Uint8Array} data The compressed data.
+             * @returns {Uint8Array} The decompressed data.
+             * @throws {AbstractError} If the data isn't a valid gzip member.
+             */
+            decodeGzip: function (data) {
+                if (!DeflateDecoder.isGzip(data) || data[2] !== 8) {
+                    throw new AbstractError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "DeflateDecoder", "decodeGzip", "Invalid gzip header."));
+                }
+
+                var flags = data[3],
+                    position = 10;
+                if (flags & 0x04) {
+                    position += 2 + (data[position] | (data[position + 1] << 8));
+                }
+                if (flags & 0x08) {
+                    while (data[position++] !== 0) {
+                    }
+                }
+                if (flags & 0x10) {
+                    while (data[position++] !== 0) {
+                    }
+                }
+                if (flags & 0x02) {
+                    position += 2;
+                }
+
+                return inflate(data, position);
+            },
+
+            /**
+             * Indicates whether the data starts with the gzip magic number.
+             * @param {Uint8Array} data The data.
+             * @returns {Boolean} true if the data is gzip compressed, otherwise false.
+             */
+            isGzip: function (data) {
+                return data.length > 10 && data[0] === 0x1F && data[1] === 0x8B;
+            }
+        };
+
+        // Internal use only. Intentionally not documented.
+        var LENGTH_BASES = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115,
+            131, 163, 195, 227, 258];
+
+        // Internal use only. Intentionally not documented.
+        var LENGTH_EXTRA_BITS = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+
+        // Internal use only. Intentionally not documented.
+        var DISTANCE_BASES = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025,
+            1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+
+        // Internal use only. Intentionally not documented.
+        var DISTANCE_EXTRA_BITS = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11,
+            12, 12, 13, 13];
+
+        // Internal use only. Intentionally not documented.
+        var CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+        // Internal use only. Intentionally not documented.
+        // Creates the canonical Huffman code from the code lengths of the symbols.
+        var huffmanCode = function (lengths) {
+            var counts = new Uint16Array(16),
+                offsets = new Uint16Array(16),
+                symbols = new Uint16Array(lengths.length),
+                idx;
+
+            for (idx = 0; idx < lengths.length; idx++) {
+                counts[lengths[idx]]++;
+            }
+            counts[0] = 0;
+
+            for (idx = 1; idx < 16; idx++) {
+                offsets[idx] = offsets[idx - 1] + counts[idx - 1];
+            }
+
+            for (idx = 0; idx < lengths.length; idx++) {
+                if (lengths[idx] !== 0) {
+                    symbols[offsets[lengths[idx]]++] = idx;
+                }
+            }
+
+            return {counts: counts, symbols: symbols};
+        };
+
+        // Internal use only. Intentionally not documented.
+        var inflate = function (data, position) {
+            var output = new Uint8Array(Math.max(data.length * 4, 1024)),
+                outputLength = 0,
+                bitBuffer = 0,
+                bitCount = 0,
+                isFinal, type, length, idx;
+
+            var bits = function (count) {
+                while (bitCount < count) {
+                    if (position >= data.length) {
+                        throw new AbstractError(
+                            Logger.logMessage(Logger.LEVEL_SEVERE, "DeflateDecoder", "decode",
+                                "Unexpected end of the compressed data."));
+                    }
+                    bitBuffer |= data[position++] << bitCount;
+                    bitCount += 8;
+                }
+
+                var value = bitBuffer & ((1 << count) - 1);
+                bitBuffer >>>= count;
+                bitCount -= count;
+                return value;
+            };
+
+            var decodeSymbol = function (code) {
+                // The codes are read bit by bit, the code of each length follows the last code of the shorter ones.
+                for (var length = 1, value = 0, first = 0, index = 0; length < 16; length++) {
+                    value |= bits(1);
+                    var count = code.counts[length];
+                    if (value - first < count) {
+                        return code.symbols[index + value - first];
+                    }
+                    index += count;
+                    first = (first + count) << 1;
+                    value <<= 1;
+                }
+
+                throw new AbstractError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "DeflateDecoder", "decode", "Invalid Huffman code."));
+            };
+
+            var ensureCapacity = function (length) {
+                if (outputLength + length > output.length) {
+                    var grown = new Uint8Array(Math.max(output.length * 2, outputLength + length));
+                    grown.set(output);
+                    output = grown;
+                }
+            };
+
+            do {
+                isFinal = bits(1);
+                type = bits(2);
+
+                if (type === 0) {
+                    // Stored block starts at the byte boundary.
+                    bitBuffer = 0;
+                    bitCount = 0;
+                    length = data[position] | (data[position + 1] << 8);
+                    position += 4;
+                    ensureCapacity(length);
+                    output.set(data.subarray(position, position + length), outputLength);
+                    outputLength += length;
+                    position += length;
+                    continue;
+                }
+
+                var literalCode, distanceCode, lengths;
+                if (type === 1) {
+                    lengths = new Uint8Array(288 + 30);
+                    for (idx = 0; idx < 288; idx++) {
+                        lengths[idx] = idx < 144 ? 8 : idx < 256 ? 9 : idx < 280 ? 7 : 8;
+                    }
+                    lengths.fill(5, 288);
+                    literalCode = huffmanCode(lengths.subarray(0, 288));
+                    distanceCode = huffmanCode(lengths.subarray(288));
+                } else if (type === 2) {
+                    var literalCount = bits(5) + 257,
+                        distanceCount = bits(5) + 1,
+                        codeLengthCount = bits(4) + 4,
+                        codeLengths = new Uint8Array(19);
+
+                    for (idx = 0; idx < codeLengthCount; idx++) {
+                        codeLengths[CODE_LENGTH_ORDER[idx]] = bits(3);
+                    }
+
+                    var codeLengthCode = huffmanCode(codeLengths);
+                    lengths = new Uint8Array(literalCount + distanceCount);
+                    for (idx = 0; idx < lengths.length;) {
+                        var symbol = decodeSymbol(codeLengthCode),
+                            repeat, value;
+                        if (symbol < 16) {
+                            lengths[idx++] = symbol;
+                            continue;
+                        } else if (symbol === 16) {
+                            if (idx === 0) {
+                                throw new AbstractError(
+                                    Logger.logMessage(Logger.LEVEL_SEVERE, "DeflateDecoder", "decode",
+                                        "Invalid code lengths."));
+                            }
+                            value = lengths[idx - 1];
+                            repeat = 3 + bits(2);
+                        } else if (symbol === 17) {
+                            value = 0;
+                            repeat = 3 + bits(3);
+                        } else {
+                            value = 0;
+                            repeat = 11 + bits(7);
+                        }
+                        lengths.fill(value, idx, Math.min(idx + repeat, lengths.length));
+                        idx += repeat;
+                    }
+
+                    literalCode = huffmanCode(lengths.subarray(0, literalCount));
+                    distanceCode = huffmanCode(lengths.subarray(literalCount));
+                } else {
+                    throw new AbstractError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "DeflateDecoder", "decode", "Invalid block type."));
+                }
+
+                for (var code = decodeSymbol(literalCode); code !== 256; code = decodeSymbol(literalCode)) {
+                    if (code < 256) {
+                        ensureCapacity(1);
+                        output[outputLength++] = code;
+                        continue;
+                    }
+
+                    code -= 257;
+                    length = LENGTH_BASES[code] + bits(LENGTH_EXTRA_BITS[code]);
+                    var distanceSymbol = decodeSymbol(distanceCode),
+                        distance = DISTANCE_BASES[distanceSymbol] + bits(DISTANCE_EXTRA_BITS[distanceSymbol]);
+                    if (distance > outputLength) {
+                        throw new AbstractError(
+                            Logger.logMessage(Logger.LEVEL_SEVERE, "DeflateDecoder", "decode", "Invalid distance."));
+                    }
+
+                    // The copied bytes may overlap the bytes being written.
+                    ensureCapacity(length);
+                    for (idx = 0; idx < length; idx++, outputLength++) {
+                        output[outputLength] = output[outputLength - distance];
+                    }
+                }
+            } while (!isFinal);
+
+            return output.subarray(0, outputLength);
+        };
+
+        return DeflateDecoder;
+    }
+);
\ No newline at end of file
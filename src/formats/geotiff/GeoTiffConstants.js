@@ -105,6 +105,50 @@ define([],
                 'VerticalCitationGeoKey': 4097,
                 'VerticalDatumGeoKey': 4098,
                 'VerticalUnitsGeoKey': 4099
+            },
+
+            /**
+             * An object containing the values of the GTModelTypeGeoKey.
+             * @memberof GeoTiff
+             * @type {Object}
+             */
+            ModelType: {
+                'PROJECTED': 1,
+                'GEOGRAPHIC': 2,
+                'GEOCENTRIC': 3
+            },
+
+            /**
+             * An object containing the values of the GTRasterTypeGeoKey.
+             * @memberof GeoTiff
+             * @type {Object}
+             */
+            RasterType: {
+                'PIXEL_IS_AREA': 1,
+                'PIXEL_IS_POINT': 2
+            },
+
+            /**
+             * An object containing the EPSG codes of the linear units used by the ProjLinearUnitsGeoKey and the
+             * VerticalUnitsGeoKey.
+             * @memberof GeoTiff
+             * @type {Object}
+             */
+            LinearUnits: {
+                'METER': 9001,
+                'FOOT': 9002,
+                'US_SURVEY_FOOT': 9003,
+                'KILOMETER': 9036
+            },
+
+            /**
+             * An object containing the EPSG codes of the angular units used by the GeogAngularUnitsGeoKey.
+             * @memberof GeoTiff
+             * @type {Object}
+             */
+            AngularUnits: {
+                'RADIAN': 9101,
+                'DEGREE': 9102
             }
         };
 
@@ -48,12 +48,18 @@ define([
             // Documented in defineProperties below.
             this._imageWidth = null;
 
+            // Documented in defineProperties below.
+            this._jpegTables = null;
+
             // Documented in defineProperties below.
             this._maxSampleValue = null;
 
             // Documented in defineProperties below.
             this._minSampleValue = null;
 
+            // Documented in defineProperties below.
+            this._newSubfileType = 0;
+
             // Documented in defineProperties below.
             this._orientation = 0;
 
@@ -63,6 +69,9 @@ define([
             // Documented in defineProperties below.
             this._planarConfiguration = null;
 
+            // Documented in defineProperties below.
+            this._predictor = null;
+
             // Documented in defineProperties below.
             this._resolutionUnit = null;
 
@@ -158,6 +167,9 @@ define([
 
             // Documented in defineProperties below.
             this._projLinearUnits = null;
+
+            // Documented in defineProperties below.
+            this._verticalUnits = null;
         };
 
         Object.defineProperties(GeoTiffMetadata.prototype, {
@@ -253,6 +265,21 @@ define([
                 }
             },
 
+            /**
+             * Contains the quantization and Huffman tables shared by the JPEG compressed strips or tiles.
+             * @memberof GeoTiffMetadata.prototype
+             * @type {Number[]}
+             */
+            jpegTables: {
+                get: function () {
+                    return this._jpegTables;
+                },
+
+                set: function(value){
+                    this._jpegTables = value;
+                }
+            },
+
             /**
              * Contains the maximum component value used.
              * @memberof GeoTiffMetadata.prototype
@@ -283,6 +310,26 @@ define([
                 }
             },
 
+            /**
+             * Contains the kind of data of the image as a set of flags. The specified flags are:
+             * <ul>
+             *     <li>1 = Reduced resolution version of another image</li>
+             *     <li>2 = Single page of a multi-page image</li>
+             *     <li>4 = Transparency mask of another image</li>
+             * </ul>
+             * @memberof GeoTiffMetadata.prototype
+             * @type {Number}
+             */
+            newSubfileType: {
+                get: function () {
+                    return this._newSubfileType;
+                },
+
+                set: function(value){
+                    this._newSubfileType = value;
+                }
+            },
+
             /**
              * Contains the orientation of the image with respect to the rows and columns.
              * @memberof GeoTiffMetadata.prototype
@@ -328,6 +375,26 @@ define([
                 }
             },
 
+            /**
+             * Contains the predictor applied to the image data before the compression. The specified values are:
+             * <ul>
+             *     <li>1 = No prediction</li>
+             *     <li>2 = Horizontal differencing</li>
+             *     <li>3 = Floating point horizontal differencing</li>
+             * </ul>
+             * @memberof GeoTiffMetadata.prototype
+             * @type {Number}
+             */
+            predictor: {
+                get: function () {
+                    return this._predictor;
+                },
+
+                set: function(value){
+                    this._predictor = value;
+                }
+            },
+
             /**
              * Contains the unit of measurement for XResolution and YResolution. The specified values are:
              * <ul>
@@ -778,6 +845,22 @@ define([
                 }
             },
 
+            /**
+             * Contains the linear units of the values of the geotiff, such as the elevations of a digital elevation
+             * model.
+             * @memberof GeoTiffMetadata.prototype
+             * @type {Number}
+             */
+            verticalUnits: {
+                get: function () {
+                    return this._verticalUnits;
+                },
+
+                set: function(value){
+                    this._verticalUnits = value;
+                }
+            },
+
             /**
              * Contains the number of pixels per resolution unit in the image width direction.
              * @memberof GeoTiffMetadata.prototype
@@ -20,28 +20,36 @@
 define([
         '../../error/AbstractError',
         '../../error/ArgumentError',
+        './DeflateDecoder',
         './GeoTiffConstants',
         './GeoTiffKeyEntry',
         './GeoTiffMetadata',
         './GeoTiffUtil',
+        './JpegDecoder',
         '../../geom/Location',
-        '../../geom/Sector',
         '../../util/Logger',
+        './LzwDecoder',
+        './PackBitsDecoder',
         '../../util/proj4-src',
+        '../../geom/Sector',
         './TiffConstants',
         './TiffIFDEntry',
         '../../util/WWUtil'
     ],
     function (AbstractError,
               ArgumentError,
+              DeflateDecoder,
               GeoTiffConstants,
               GeoTiffKeyEntry,
               GeoTiffMetadata,
               GeoTiffUtil,
+              JpegDecoder,
               Location,
-              Sector,
               Logger,
+              LzwDecoder,
+              PackBitsDecoder,
               Proj4,
+              Sector,
               TiffConstants,
               TiffIFDEntry,
               WWUtil) {
@@ -238,6 +246,67 @@ define([
             return this.createTypedElevationArray();
         };
 
+        /**
+         * Reads the metadata of the reduced resolution versions of the image stored in the image file directories
+         * following the first one, as cloud optimized geotiffs do. Transparency masks are skipped.
+         *
+         * @return {GeoTiffMetadata[]} The metadata of the overviews in the order of the file, which is usually from
+         * the highest resolution to the lowest one.
+         */
+        GeoTiffReader.prototype.getOverviews = function () {
+            var overviews = [];
+
+            for (var i = 1; i < this.imageFileDirectories.length; i++) {
+                var metadata = new GeoTiffMetadata();
+                this.getMetadataFromImageFileDirectory(this.imageFileDirectories[i], metadata);
+
+                if (!(metadata.newSubfileType & TiffConstants.NewSubfileType.TRANSPARENCY_MASK) &&
+                    metadata.imageWidth < this.metadata.imageWidth) {
+                    overviews.push(metadata);
+                }
+            }
+
+            return overviews;
+        };
+
+        /**
+         * Decodes a single tile of this geotiff or of one of its overviews from the bytes of the tile. The bytes may
+         * be retrieved separately from the rest of the file.
+         *
+         * @param {GeoTiffMetadata} metadata The metadata of the image containing the tile.
+         * @param {ArrayBuffer} tileData The bytes of the tile as stored in the file.
+         * @param {Boolean} returnElevation Whether to return only the first sample of each pixel.
+         * @return {Array} The pixels of the tile row by row.
+         */
+        GeoTiffReader.prototype.decodeTile = function (metadata, tileData, returnElevation) {
+            var samplesPerPixel = metadata.samplesPerPixel;
+            var bitsPerSample = metadata.bitsPerSample;
+            var bytesPerPixel = samplesPerPixel * bitsPerSample[0] / 8;
+            if (metadata.sampleFormat) {
+                var sampleFormat = metadata.sampleFormat;
+            }
+            else {
+                var sampleFormat = new Array(samplesPerPixel);
+                WWUtil.fillArray(sampleFormat, TiffConstants.SampleFormat.UNSIGNED);
+            }
+
+            // The blocks are parsed from the data and metadata of this reader, so they are replaced while the tile
+            // is decoded.
+            var geoTiffData = this._geoTiffData;
+            var imageMetadata = this._metadata;
+            this._geoTiffData = new DataView(tileData);
+            this._metadata = metadata;
+
+            try {
+                return this.parseBlock(returnElevation, metadata.compression, bytesPerPixel, tileData.byteLength, 0,
+                    bitsPerSample, sampleFormat);
+            }
+            finally {
+                this._geoTiffData = geoTiffData;
+                this._metadata = imageMetadata;
+            }
+        };
+
         /**
          * Indicates whether this geotiff is a tiff file type.
          *
@@ -361,6 +430,15 @@ define([
         // Get pixel fill style. Internal use only.
         GeoTiffReader.prototype.getFillStyle = function (pixelSamples, photometricInterpretation, bitsPerSample,
                                                          samplesPerPixel, colorMapValues, colorMapSampleSize) {
+            var color = this.getPixelColor(pixelSamples, photometricInterpretation, bitsPerSample, samplesPerPixel,
+                colorMapValues, colorMapSampleSize);
+
+            return GeoTiffUtil.getRGBAFillValue(color[0], color[1], color[2], color[3]);
+        };
+
+        // Get the 8 bit red, green and blue components and the opacity of a pixel. Internal use only.
+        GeoTiffReader.prototype.getPixelColor = function (pixelSamples, photometricInterpretation, bitsPerSample,
+                                                          samplesPerPixel, colorMapValues, colorMapSampleSize) {
             var red = 0.0;
             var green = 0.0;
             var blue = 0.0;
@@ -414,8 +492,14 @@ define([
                     Logger.log(Logger.LEVEL_WARNING, "Photometric interpretation not yet implemented: CMYK");
                     break;
                 case TiffConstants.PhotometricInterpretation.Y_Cb_Cr:
-                    //todo
-                    Logger.log(Logger.LEVEL_WARNING, "Photometric interpretation not yet implemented: Y_Cb_Cr");
+                    var luma = pixelSamples[0];
+                    var blueDifference = pixelSamples[1] - 128;
+                    var redDifference = pixelSamples[2] - 128;
+
+                    red = GeoTiffUtil.clampColorComponent(luma + 1.402 * redDifference);
+                    green = GeoTiffUtil.clampColorComponent(luma - 0.344136 * blueDifference -
+                        0.714136 * redDifference);
+                    blue = GeoTiffUtil.clampColorComponent(luma + 1.772 * blueDifference);
                     break;
                 case TiffConstants.PhotometricInterpretation.CIE_LAB:
                     //todo
@@ -427,8 +511,8 @@ define([
                     break;
             }
 
-            return GeoTiffUtil.getRGBAFillValue(red, green, blue, opacity);
-        }
+            return [red, green, blue, opacity];
+        };
 
         GeoTiffReader.prototype.createTypedElevationArray = function () {
             var elevationArray = [], typedElevationArray;
@@ -542,30 +626,12 @@ define([
         GeoTiffReader.prototype.parseBlock = function (returnElevation, compression, bytesPerPixel, blockByteCount,
                                                        blockOffset, bitsPerSample, sampleFormat) {
             var block = [];
+            var blockData = null;
+            var blockWidth = this.metadata.tileOffsets ? this.metadata.tileWidth : this.metadata.imageWidth;
             switch (compression) {
                 case TiffConstants.Compression.UNCOMPRESSED:
-                    // Loop through pixels.
-                    for (var byteOffset = 0, increment = bytesPerPixel;
-                         byteOffset < blockByteCount; byteOffset += increment) {
-                        // Loop through samples (sub-pixels).
-                        for (var m = 0, pixel = []; m < bitsPerSample.length; m++) {
-                            var bytesPerSample = bitsPerSample[m] / 8;
-                            var sampleOffset = m * bytesPerSample;
-
-                            pixel.push(GeoTiffUtil.getSampleBytes(
-                                this.geoTiffData,
-                                blockOffset + byteOffset + sampleOffset,
-                                bytesPerSample,
-                                sampleFormat[m],
-                                this.isLittleEndian));
-                        }
-                        if (returnElevation) {
-                            block.push(pixel[0]);
-                        }
-                        else {
-                            block.push(pixel);
-                        }
-                    }
+                    blockData = new DataView(this.geoTiffData.buffer, this.geoTiffData.byteOffset + blockOffset,
+                        blockByteCount);
                     break;
                 case TiffConstants.Compression.CCITT_1D:
                     //todo
@@ -580,100 +646,147 @@ define([
                     Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: GROUP_4_FAX");
                     break;
                 case TiffConstants.Compression.LZW:
+                    blockData = this.decodePredictor(
+                        LzwDecoder.decode(this.getBlockBytes(blockOffset, blockByteCount)), blockWidth, bitsPerSample);
+                    break;
+                case TiffConstants.Compression.OLD_JPEG:
                     //todo
-                    Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: LZW");
+                    Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: OLD_JPEG");
                     break;
                 case TiffConstants.Compression.JPEG:
-                    //todo
-                    Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: JPEG");
+                    return this.parseJpegBlock(returnElevation, blockByteCount, blockOffset);
+                case TiffConstants.Compression.ADOBE_DEFLATE:
+                case TiffConstants.Compression.DEFLATE:
+                    blockData = this.decodePredictor(
+                        DeflateDecoder.decode(this.getBlockBytes(blockOffset, blockByteCount)), blockWidth,
+                        bitsPerSample);
                     break;
                 case TiffConstants.Compression.PACK_BITS:
-                    if (this.metadata.tileOffsets) {
-                        var tileWidth = this.metadata.tileWidth;
-                        var tileLength = this.metadata.tileWidth;
-                        var arrayBuffer = new ArrayBuffer(tileWidth * tileLength * bytesPerPixel);
-                    }
-                    else {
-                        var rowsPerStrip = this.metadata.rowsPerStrip;
-                        var imageWidth = this.metadata.imageWidth;
-                        var arrayBuffer = new ArrayBuffer(rowsPerStrip * imageWidth * bytesPerPixel);
-                    }
-
-                    var uncompressedDataView = new DataView(arrayBuffer);
-
-                    var newBlock = true;
-                    var pixel = [];
-                    var blockLength = 0;
-                    var numOfIterations = 0;
-                    var uncompressedOffset = 0;
+                    blockData = this.decodePredictor(
+                        PackBitsDecoder.decode(this.getBlockBytes(blockOffset, blockByteCount)), blockWidth,
+                        bitsPerSample);
+                    break;
+                default:
+                    Logger.log(Logger.LEVEL_WARNING, "Unknown compression type: " + compression);
+                    break;
+            }
 
+            if (!blockData) {
+                return block;
+            }
 
-                    for (var byteOffset = 0; byteOffset < blockByteCount; byteOffset += 1) {
+            // Loop through pixels.
+            for (var byteOffset = 0, increment = bytesPerPixel;
+                 byteOffset + increment <= blockData.byteLength; byteOffset += increment) {
+                // Loop through samples (sub-pixels).
+                for (var m = 0, pixel = []; m < bitsPerSample.length; m++) {
+                    var bytesPerSample = bitsPerSample[m] / 8;
+                    var sampleOffset = m * bytesPerSample;
+
+                    pixel.push(GeoTiffUtil.getSampleBytes(
+                        blockData,
+                        byteOffset + sampleOffset,
+                        bytesPerSample,
+                        sampleFormat[m],
+                        this.isLittleEndian));
+                }
+                if (returnElevation) {
+                    block.push(pixel[0]);
+                }
+                else {
+                    block.push(pixel);
+                }
+            }
 
-                        if (newBlock) {
-                            blockLength = 1;
-                            numOfIterations = 1;
-                            newBlock = false;
+            return block;
+        };
 
-                            var nextSourceByte = this.geoTiffData.getInt8(blockOffset + byteOffset,
-                                this.isLittleEndian);
+        // Get the bytes of a block as stored in the geotiff file. Internal use only.
+        GeoTiffReader.prototype.getBlockBytes = function (blockOffset, blockByteCount) {
+            return new Uint8Array(this.geoTiffData.buffer, this.geoTiffData.byteOffset + blockOffset, blockByteCount);
+        };
 
-                            if (nextSourceByte >= 0 && nextSourceByte <= 127) {
-                                blockLength = nextSourceByte + 1;
-                            }
-                            else if (nextSourceByte >= -127 && nextSourceByte <= -1) {
-                                numOfIterations = -nextSourceByte + 1;
-                            }
-                            else {
-                                newBlock = true;
-                            }
-                        }
-                        else {
-                            var currentByte = GeoTiffUtil.getBytes(
-                                this.geoTiffData,
-                                blockOffset + byteOffset,
-                                1,
-                                this.isLittleEndian);
-
-                            for (var currentIteration = 0; currentIteration < numOfIterations; currentIteration++) {
-                                uncompressedDataView.setInt8(uncompressedOffset, currentByte);
-                                uncompressedOffset++;
-                            }
-
-                            blockLength--;
-
-                            if (blockLength === 0) {
-                                newBlock = true;
-                            }
+        // Reverse the predictor applied to the decompressed bytes of a block. The predictor stores the difference
+        // from the preceding pixel of the row. Internal use only.
+        GeoTiffReader.prototype.decodePredictor = function (bytes, blockWidth, bitsPerSample) {
+            var predictor = this.metadata.predictor || TiffConstants.Predictor.NONE;
+            var samplesPerPixel = bitsPerSample.length;
+            var bytesPerSample = bitsPerSample[0] / 8;
+            var rowLength = blockWidth * samplesPerPixel * bytesPerSample;
+            var numOfRows = Math.floor(bytes.length / rowLength);
+            var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            var row, rowOffset, i;
+
+            if (predictor === TiffConstants.Predictor.HORIZONTAL) {
+                for (row = 0, rowOffset = 0; row < numOfRows; row++, rowOffset += rowLength) {
+                    for (i = samplesPerPixel; i < blockWidth * samplesPerPixel; i++) {
+                        var offset = rowOffset + i * bytesPerSample;
+                        var previousOffset = offset - samplesPerPixel * bytesPerSample;
+
+                        switch (bytesPerSample) {
+                            case 1:
+                                bytes[offset] += bytes[previousOffset];
+                                break;
+                            case 2:
+                                view.setUint16(offset, view.getUint16(offset, this.isLittleEndian) +
+                                    view.getUint16(previousOffset, this.isLittleEndian), this.isLittleEndian);
+                                break;
+                            case 4:
+                                view.setUint32(offset, view.getUint32(offset, this.isLittleEndian) +
+                                    view.getUint32(previousOffset, this.isLittleEndian), this.isLittleEndian);
+                                break;
+                            default:
+                                Logger.log(Logger.LEVEL_WARNING, "Predictor not supported for the sample size: " +
+                                    bitsPerSample[0]);
+                                return view;
                         }
                     }
+                }
+            }
+            else if (predictor === TiffConstants.Predictor.FLOATING_POINT) {
+                // The bytes of the row are differenced and grouped from the most significant bytes of all the values
+                // to the least significant ones.
+                var numOfValues = blockWidth * samplesPerPixel;
+                var rowBytes = new Uint8Array(rowLength);
+
+                for (row = 0, rowOffset = 0; row < numOfRows; row++, rowOffset += rowLength) {
+                    for (i = rowOffset + samplesPerPixel; i < rowOffset + rowLength; i++) {
+                        bytes[i] += bytes[i - samplesPerPixel];
+                    }
 
-                    for (var byteOffset = 0, increment = bytesPerPixel;
-                         byteOffset < arrayBuffer.byteLength; byteOffset += increment) {
-                        // Loop through samples (sub-pixels).
-                        for (var m = 0, pixel = []; m < bitsPerSample.length; m++) {
-                            var bytesPerSample = bitsPerSample[m] / 8;
-                            var sampleOffset = m * bytesPerSample;
-
-                            pixel.push(GeoTiffUtil.getSampleBytes(
-                                uncompressedDataView,
-                                byteOffset + sampleOffset,
-                                bytesPerSample,
-                                sampleFormat[m],
-                                this.isLittleEndian));
-                        }
-                        if (returnElevation) {
-                            block.push(pixel[0]);
-                        }
-                        else {
-                            block.push(pixel);
+                    rowBytes.set(bytes.subarray(rowOffset, rowOffset + rowLength));
+                    for (i = 0; i < numOfValues; i++) {
+                        for (var b = 0; b < bytesPerSample; b++) {
+                            var byteIndex = this.isLittleEndian ? bytesPerSample - 1 - b : b;
+                            bytes[rowOffset + i * bytesPerSample + byteIndex] = rowBytes[b * numOfValues + i];
                         }
                     }
-                    break;
+                }
+            }
+
+            return view;
+        };
+
+        // Parse a JPEG compressed geotiff block. The block is decoded as a whole and keeps the YCbCr color
+        // components. Internal use only.
+        GeoTiffReader.prototype.parseJpegBlock = function (returnElevation, blockByteCount, blockOffset) {
+            var tables = this.metadata.jpegTables ? new Uint8Array(this.metadata.jpegTables) : null;
+            var image = JpegDecoder.decode(this.getBlockBytes(blockOffset, blockByteCount), tables);
+            var numOfComponents = image.numberOfComponents;
+            var block = [];
+
+            for (var i = 0, numOfPixels = image.width * image.height; i < numOfPixels; i++) {
+                var pixel = Array.prototype.slice.call(image.data, i * numOfComponents, (i + 1) * numOfComponents);
+                if (returnElevation) {
+                    block.push(pixel[0]);
+                }
+                else {
+                    block.push(pixel);
+                }
             }
 
             return block;
-        }
+        };
 
         // Parse geotiff tiles. Internal use only
         GeoTiffReader.prototype.parseTiles = function (returnElevation) {
@@ -778,6 +891,52 @@ define([
             return new Location(res[1], res[0]);
         };
 
+        /**
+         * Translates a geographic location to the pixel/line coordinates of the full resolution image. This is the
+         * inverse of the translation used for the bounding box of the geotiff.
+         *
+         * @param {Number} latitude The latitude of the location, in degrees.
+         * @param {Number} longitude The longitude of the location, in degrees.
+         * @return {Number[]} The fractional column and row of the location in the image.
+         */
+        GeoTiffReader.prototype.locationToGeoTiffImage = function (latitude, longitude) {
+            var res = [longitude, latitude];
+
+            var tiePointValues = this.metadata.modelTiepoint;
+            var modelPixelScaleValues = this.metadata.modelPixelScale;
+            var modelTransformationValues = this.metadata.modelTransformation;
+
+            var tiePointCount = tiePointValues ? tiePointValues.length : 0;
+            var modelPixelScaleCount = modelPixelScaleValues ? modelPixelScaleValues.length : 0;
+            var modelTransformationCount = modelTransformationValues ? modelTransformationValues.length : 0;
+
+            // The projections are defined when the bounding box is computed.
+            if (this.metadata.projectedCSType) {
+                res = Proj4('EPSG:4326', 'EPSG:' + this.metadata.projectedCSType, res);
+            }
+
+            if (modelTransformationCount === 16) {
+                var determinant = modelTransformationValues[0] * modelTransformationValues[5] -
+                    modelTransformationValues[1] * modelTransformationValues[4];
+                var xOffset = res[0] - modelTransformationValues[3];
+                var yOffset = res[1] - modelTransformationValues[7];
+
+                return [
+                    (modelTransformationValues[5] * xOffset - modelTransformationValues[1] * yOffset) / determinant,
+                    (modelTransformationValues[0] * yOffset - modelTransformationValues[4] * xOffset) / determinant
+                ];
+            }
+            else if (modelPixelScaleCount < 3 || tiePointCount < 6) {
+                return res;
+            }
+            else {
+                return [
+                    (res[0] - tiePointValues[3]) / modelPixelScaleValues[0] + tiePointValues[0],
+                    (tiePointValues[4] - res[1]) / modelPixelScaleValues[1] + tiePointValues[1]
+                ];
+            }
+        };
+
         /**
          * Set the bounding box of the geotiff file. Internal use only.
          */
@@ -796,105 +955,118 @@ define([
             );
         }
 
-        // Get metadata from image file directory. Internal use only.
-        GeoTiffReader.prototype.getMetadataFromImageFileDirectory = function () {
-            for (var i = 0; i < this.imageFileDirectories[0].length; i++) {
+        // Get metadata from image file directory. The first image file directory is read into the metadata of
+        // this reader by default. Internal use only.
+        GeoTiffReader.prototype.getMetadataFromImageFileDirectory = function (imageFileDirectory, metadata) {
+            imageFileDirectory = imageFileDirectory || this.imageFileDirectories[0];
+            metadata = metadata || this.metadata;
+
+            for (var i = 0; i < imageFileDirectory.length; i++) {
 
-                switch (this.imageFileDirectories[0][i].tag) {
+                switch (imageFileDirectory[i].tag) {
                     case TiffConstants.Tag.BITS_PER_SAMPLE:
-                        this.metadata.bitsPerSample = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.bitsPerSample = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.COLOR_MAP:
-                        this.metadata.colorMap = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.colorMap = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.COMPRESSION:
-                        this.metadata.compression = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.compression = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.EXTRA_SAMPLES:
-                        this.metadata.extraSamples = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.extraSamples = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.IMAGE_LENGTH:
-                        this.metadata.imageLength = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.imageLength = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.IMAGE_WIDTH:
-                        this.metadata.imageWidth = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.imageWidth = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.MAX_SAMPLE_VALUE:
-                        this.metadata.maxSampleValue = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.maxSampleValue = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.MIN_SAMPLE_VALUE:
-                        this.metadata.minSampleValue = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.minSampleValue = imageFileDirectory[i].getIFDEntryValue()[0];
+                        break;
+                    case TiffConstants.Tag.NEW_SUBFILE_TYPE:
+                        metadata.newSubfileType = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.ORIENTATION:
-                        this.metadata.orientation = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.orientation = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.PHOTOMETRIC_INTERPRETATION:
-                        this.metadata.photometricInterpretation = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.photometricInterpretation = imageFileDirectory[i].getIFDEntryValue()[0];
+                        break;
+                    case TiffConstants.Tag.JPEG_TABLES:
+                        metadata.jpegTables = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.PLANAR_CONFIGURATION:
-                        this.metadata.planarConfiguration = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.planarConfiguration = imageFileDirectory[i].getIFDEntryValue()[0];
+                        break;
+                    case TiffConstants.Tag.PREDICTOR:
+                        metadata.predictor = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.ROWS_PER_STRIP:
-                        this.metadata.rowsPerStrip = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.rowsPerStrip = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.RESOLUTION_UNIT:
-                        this.metadata.resolutionUnit = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.resolutionUnit = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.SAMPLES_PER_PIXEL:
-                        this.metadata.samplesPerPixel = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.samplesPerPixel = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.SAMPLE_FORMAT:
-                        this.metadata.sampleFormat = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.sampleFormat = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.SOFTWARE:
-                        this.metadata.software = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.software = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.STRIP_BYTE_COUNTS:
-                        this.metadata.stripByteCounts = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.stripByteCounts = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.STRIP_OFFSETS:
-                        this.metadata.stripOffsets = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.stripOffsets = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.TILE_BYTE_COUNTS:
-                        this.metadata.tileByteCounts = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.tileByteCounts = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.TILE_OFFSETS:
-                        this.metadata.tileOffsets = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.tileOffsets = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.TILE_LENGTH:
-                        this.metadata.tileLength = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.tileLength = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.TILE_WIDTH:
-                        this.metadata.tileWidth = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.tileWidth = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.X_RESOLUTION:
-                        this.metadata.xResolution = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.xResolution = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.Y_RESOLUTION:
-                        this.metadata.tileWidth = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.yResolution = imageFileDirectory[i].getIFDEntryValue();
                         break;
 
                     //geotiff
                     case GeoTiffConstants.Tag.GEO_ASCII_PARAMS:
-                        this.metadata.geoAsciiParams = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.geoAsciiParams = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.GEO_DOUBLE_PARAMS:
-                        this.metadata.geoDubleParams = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.geoDubleParams = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.GEO_KEY_DIRECTORY:
-                        this.metadata.geoKeyDirectory = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.geoKeyDirectory = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.MODEL_PIXEL_SCALE:
-                        this.metadata.modelPixelScale = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.modelPixelScale = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.MODEL_TIEPOINT:
-                        this.metadata.modelTiepoint = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.modelTiepoint = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.GDAL_NODATA:
-                        this.metadata.noData = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.noData = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     default:
-                        Logger.log(Logger.LEVEL_WARNING, "Ignored GeoTiff tag: " + this.imageFileDirectories[0][i].tag);
+                        Logger.log(Logger.LEVEL_WARNING, "Ignored GeoTiff tag: " + imageFileDirectory[i].tag);
                 }
             }
         }
@@ -986,6 +1158,12 @@ define([
                                     this.metadata.geoDoubleParams,
                                     this.metadata.geoAsciiParams);
                             break;
+                        case GeoTiffConstants.Key.VerticalUnitsGeoKey:
+                            this.metadata.verticalUnits =
+                                new GeoTiffKeyEntry(keyId, tiffTagLocation, count, valueOffset).getGeoKeyValue(
+                                    this.metadata.geoDoubleParams,
+                                    this.metadata.geoAsciiParams);
+                            break;
                         default:
                             Logger.log(Logger.LEVEL_WARNING, "Ignored GeoTiff key: " + keyId);
                             break;
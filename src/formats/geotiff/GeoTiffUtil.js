@@ -111,6 +111,11 @@ define([
                 return "rgba(" + r + ", " + g + ", " + b + ", " + a + ")";
             },
 
+            // Round a computed color component to the range of 8 bit color values. Internal use only.
+            clampColorComponent: function (value) {
+                return Math.max(0, Math.min(255, Math.round(value)));
+            },
+
             // Clamp color sample from color sample value and number of bits per sample. Internal use only.
             clampColorSample: function (colorSample, bitsPerSample) {
                 var multiplier = Math.pow(2, 8 - bitsPerSample);
@@ -0,0 +1,398 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports GeoTiffWriter
+ */
+define([
+        '../../error/ArgumentError',
+        './GeoTiffConstants',
+        '../../util/Logger',
+        '../../util/Promise',
+        './TiffConstants',
+        '../../geom/Vec3'
+    ],
+    function (ArgumentError,
+              GeoTiffConstants,
+              Logger,
+              Promise,
+              TiffConstants,
+              Vec3) {
+        "use strict";
+
+        /**
+         * Provides geotiff writer functions. Images and elevations of a sector are written as little endian,
+         * uncompressed geotiffs with a single strip. The geotiffs are georeferenced in the WGS84 geographic
+         * coordinate system (EPSG:4326) by a ModelTiepoint and a ModelPixelScale, so that they can be opened by
+         * downstream analysis tools.
+         * @exports GeoTiffWriter
+         */
+        var GeoTiffWriter = {
+
+            /**
+             * Writes an RGBA image covering a sector as a geotiff. The pixels are areas, the first pixel spans the
+             * north-west corner of the sector.
+             * @param {Sector} sector The sector covered by the image.
+             * @param {Number} width The width of the image in pixels.
+             * @param {Number} height The height of the image in pixels.
+             * @param {Uint8Array|Uint8ClampedArray} pixels The four RGBA bytes of each pixel, row by row from the top
+             * of the image, such as the data of an ImageData.
+             * @returns {ArrayBuffer} The content of the geotiff.
+             * @throws {ArgumentError} If the specified sector or pixels are null or undefined, or if there are less
+             * pixels than specified by the width and height.
+             */
+            writeImage: function (sector, width, height, pixels) {
+                if (!sector) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffWriter", "writeImage", "missingSector"));
+                }
+
+                if (!pixels || pixels.length < 4 * width * height) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffWriter", "writeImage", "missingArray"));
+                }
+
+                var data = new Uint8Array(4 * width * height);
+                data.set(pixels.subarray ? pixels.subarray(0, data.length) : pixels.slice(0, data.length));
+
+                return this.writeGeoTiff(sector, width, height, {
+                    bitsPerSample: [8, 8, 8, 8],
+                    sampleFormat: TiffConstants.SampleFormat.UNSIGNED,
+                    photometricInterpretation: TiffConstants.PhotometricInterpretation.RGB,
+                    extraSamples: [TiffConstants.ExtraSamples.UNASSOCIATED_ALPHA],
+                    rasterType: GeoTiffConstants.RasterType.PIXEL_IS_AREA,
+                    data: data.buffer
+                });
+            },
+
+            /**
+             * Writes a grid of elevations, as returned by
+             * [Globe.elevationsForGrid]{@link Globe#elevationsForGrid}, as a single band 32-bit float geotiff. The
+             * elevations are sampled at the corners and along the edges of the sector, so the pixels are points and
+             * the first pixel is located at the north-west corner of the sector.
+             * @param {Sector} sector The sector of the grid.
+             * @param {Number} numLat The number of latitudinal sample locations of the grid.
+             * @param {Number} numLon The number of longitudinal sample locations of the grid.
+             * @param {Number[]} elevations The elevations in meters, row by row from the south of the sector.
+             * @param {Number} noData Optional value of the elevations without data, written in the GDAL_NODATA tag.
+             * @returns {ArrayBuffer} The content of the geotiff.
+             * @throws {ArgumentError} If the specified sector or elevations are null or undefined, or if there are
+             * less elevations than locations of the grid.
+             */
+            writeElevations: function (sector, numLat, numLon, elevations, noData) {
+                if (!sector) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffWriter", "writeElevations", "missingSector"));
+                }
+
+                if (!elevations || elevations.length < numLat * numLon) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffWriter", "writeElevations", "missingArray"));
+                }
+
+                // The grid starts at the south of the sector while the image starts at its north.
+                var data = new DataView(new ArrayBuffer(4 * numLat * numLon));
+                for (var row = 0; row < numLat; row++) {
+                    var southRow = numLat - 1 - row;
+                    for (var column = 0; column < numLon; column++) {
+                        data.setFloat32(4 * (row * numLon + column), elevations[southRow * numLon + column], true);
+                    }
+                }
+
+                return this.writeGeoTiff(sector, numLon, numLat, {
+                    bitsPerSample: [32],
+                    sampleFormat: TiffConstants.SampleFormat.IEEE_FLOAT,
+                    photometricInterpretation: TiffConstants.PhotometricInterpretation.BLACK_IS_ZERO,
+                    rasterType: GeoTiffConstants.RasterType.PIXEL_IS_POINT,
+                    noData: noData,
+                    data: data.buffer
+                });
+            },
+
+            /**
+             * Exports the elevations of a globe within a sector as a geotiff.
+             * @param {Globe} globe The globe whose elevations are exported.
+             * @param {Sector} sector The sector to export.
+             * @param {Number} numLat The number of latitudinal sample locations.
+             * @param {Number} numLon The number of longitudinal sample locations.
+             * @returns {ArrayBuffer} The content of the geotiff.
+             * @throws {ArgumentError} If the specified globe or sector is null or undefined.
+             */
+            exportElevations: function (globe, sector, numLat, numLon) {
+                if (!globe) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffWriter", "exportElevations", "missingGlobe"));
+                }
+
+                if (!sector) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffWriter", "exportElevations", "missingSector"));
+                }
+
+                var elevations = new Float64Array(numLat * numLon),
+                    targetResolution = Math.min(sector.deltaLatitude() / Math.max(numLat - 1, 1),
+                        sector.deltaLongitude() / Math.max(numLon - 1, 1));
+
+                globe.elevationsForGrid(sector, numLat, numLon, targetResolution, elevations);
+
+                return this.writeElevations(sector, numLat, numLon, elevations);
+            },
+
+            /**
+             * Exports the rendered view of a WorldWindow within a sector as a geotiff. The WorldWindow is redrawn
+             * and each pixel of the geotiff takes the color of the terrain point at its center in the drawing
+             * buffer, so the geotiff contains the imagery composite with all the shapes draped on it. The pixels of
+             * points outside of the view or on the far side of the globe are transparent.
+             * @param {WorldWindow} wwd The WorldWindow whose view is exported.
+             * @param {Sector} sector The sector to export.
+             * @param {Number} width The width of the geotiff in pixels.
+             * @param {Number} height The height of the geotiff in pixels.
+             * @returns {Promise} A promise resolved with the content of the geotiff as an ArrayBuffer after the next
+             * redraw of the WorldWindow.
+             * @throws {ArgumentError} If the specified WorldWindow or sector is null or undefined.
+             */
+            exportView: function (wwd, sector, width, height) {
+                if (!wwd) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffWriter", "exportView", "missingWorldWindow"));
+                }
+
+                if (!sector) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffWriter", "exportView", "missingSector"));
+                }
+
+                return new Promise(function (resolve, reject) {
+                    // The drawing buffer is read right after the frame is drawn, before the browser clears it.
+                    var done = false;
+                    var callback = function (worldWindow, stage) {
+                        if (done || stage !== WorldWind.AFTER_REDRAW) {
+                            return;
+                        }
+
+                        // The callbacks of the frame are still being called, removing it now would skip the next one.
+                        done = true;
+                        setTimeout(function () {
+                            wwd.redrawCallbacks.splice(wwd.redrawCallbacks.indexOf(callback), 1);
+                        }, 0);
+                        try {
+                            var pixels = GeoTiffWriter.sampleView(wwd.drawContext, sector, width, height);
+                            resolve(GeoTiffWriter.writeImage(sector, width, height, pixels));
+                        } catch (e) {
+                            reject(e);
+                        }
+                    };
+
+                    wwd.redrawCallbacks.push(callback);
+                    wwd.redraw();
+                });
+            },
+
+            // Internal. Reads the colors of the drawing buffer at the centers of the pixels of a sector.
+            sampleView: function (dc, sector, width, height) {
+                var gl = dc.currentGlContext,
+                    viewport = dc.viewport,
+                    buffer = new Uint8Array(4 * viewport.width * viewport.height),
+                    pixels = new Uint8Array(4 * width * height),
+                    deltaLat = sector.deltaLatitude() / height,
+                    deltaLon = sector.deltaLongitude() / width,
+                    point = new Vec3(0, 0, 0),
+                    normal = new Vec3(0, 0, 0),
+                    eyeVector = new Vec3(0, 0, 0),
+                    screenPoint = new Vec3(0, 0, 0);
+
+                gl.readPixels(viewport.x, viewport.y, viewport.width, viewport.height, gl.RGBA, gl.UNSIGNED_BYTE,
+                    buffer);
+
+                for (var row = 0; row < height; row++) {
+                    var latitude = sector.maxLatitude - (row + 0.5) * deltaLat;
+                    for (var column = 0; column < width; column++) {
+                        var longitude = sector.minLongitude + (column + 0.5) * deltaLon;
+
+                        dc.surfacePointForMode(latitude, longitude, 0, WorldWind.CLAMP_TO_GROUND, point);
+                        dc.globe.surfaceNormalAtPoint(point[0], point[1], point[2], normal);
+                        eyeVector.copy(dc.eyePoint).subtract(point);
+                        if (normal.dot(eyeVector) <= 0 || !dc.project(point, screenPoint)) {
+                            continue; // the point is hidden by the globe or clipped
+                        }
+
+                        // The drawing buffer and the screen points have their origin at the bottom left.
+                        var x = Math.floor(screenPoint[0]) - viewport.x,
+                            y = Math.floor(screenPoint[1]) - viewport.y;
+                        if (x < 0 || x >= viewport.width || y < 0 || y >= viewport.height) {
+                            continue;
+                        }
+
+                        var source = 4 * (y * viewport.width + x),
+                            target = 4 * (row * width + column);
+                        pixels[target] = buffer[source];
+                        pixels[target + 1] = buffer[source + 1];
+                        pixels[target + 2] = buffer[source + 2];
+                        pixels[target + 3] = 255;
+                    }
+                }
+
+                return pixels;
+            },
+
+            // Internal. Writes the header, the image file directory and the strip of a geographic geotiff.
+            writeGeoTiff: function (sector, width, height, options) {
+                var isPoint = options.rasterType === GeoTiffConstants.RasterType.PIXEL_IS_POINT,
+                    scaleX = sector.deltaLongitude() / (isPoint ? Math.max(width - 1, 1) : width),
+                    scaleY = sector.deltaLatitude() / (isPoint ? Math.max(height - 1, 1) : height),
+                    samplesPerPixel = options.bitsPerSample.length,
+                    sampleFormat = [],
+                    Tag = TiffConstants.Tag,
+                    Type = TiffConstants.Type,
+                    GeoTag = GeoTiffConstants.Tag,
+                    Key = GeoTiffConstants.Key;
+
+                for (var i = 0; i < samplesPerPixel; i++) {
+                    sampleFormat.push(options.sampleFormat);
+                }
+
+                var entries = [
+                    {tag: Tag.IMAGE_WIDTH, type: Type.LONG, values: [width]},
+                    {tag: Tag.IMAGE_LENGTH, type: Type.LONG, values: [height]},
+                    {tag: Tag.BITS_PER_SAMPLE, type: Type.SHORT, values: options.bitsPerSample},
+                    {tag: Tag.COMPRESSION, type: Type.SHORT, values: [TiffConstants.Compression.UNCOMPRESSED]},
+                    {tag: Tag.PHOTOMETRIC_INTERPRETATION, type: Type.SHORT,
+                        values: [options.photometricInterpretation]},
+                    {tag: Tag.STRIP_OFFSETS, type: Type.LONG, values: [0]},
+                    {tag: Tag.SAMPLES_PER_PIXEL, type: Type.SHORT, values: [samplesPerPixel]},
+                    {tag: Tag.ROWS_PER_STRIP, type: Type.LONG, values: [height]},
+                    {tag: Tag.STRIP_BYTE_COUNTS, type: Type.LONG, values: [options.data.byteLength]},
+                    {tag: Tag.PLANAR_CONFIGURATION, type: Type.SHORT,
+                        values: [TiffConstants.PlanarConfiguration.CHUNKY]},
+                    {tag: Tag.SAMPLE_FORMAT, type: Type.SHORT, values: sampleFormat},
+                    {tag: GeoTag.MODEL_PIXEL_SCALE, type: Type.DOUBLE, values: [scaleX, scaleY, 0]},
+                    {tag: GeoTag.MODEL_TIEPOINT, type: Type.DOUBLE,
+                        values: [0, 0, 0, sector.minLongitude, sector.maxLatitude, 0]},
+                    {tag: GeoTag.GEO_KEY_DIRECTORY, type: Type.SHORT, values: [
+                        1, 1, 0, 4,
+                        Key.GTModelTypeGeoKey, 0, 1, GeoTiffConstants.ModelType.GEOGRAPHIC,
+                        Key.GTRasterTypeGeoKey, 0, 1, options.rasterType,
+                        Key.GeographicTypeGeoKey, 0, 1, GeoTiffWriter.WGS84_EPSG_CODE,
+                        Key.GeogAngularUnitsGeoKey, 0, 1, GeoTiffConstants.AngularUnits.DEGREE
+                    ]}
+                ];
+
+                if (options.extraSamples) {
+                    entries.push({tag: Tag.EXTRA_SAMPLES, type: Type.SHORT, values: options.extraSamples});
+                }
+
+                if (options.noData !== null && options.noData !== undefined) {
+                    entries.push({tag: GeoTag.GDAL_NODATA, type: Type.ASCII,
+                        values: String(options.noData) + "\0"}); // ASCII values are terminated by a NUL
+                }
+
+                // The entries of an image file directory are sorted by tag.
+                entries.sort(function (a, b) {
+                    return a.tag - b.tag;
+                });
+
+                // Lay out the header, the directory, the values which don't fit in the entries and the strip.
+                var directorySize = 2 + 12 * entries.length + 4,
+                    offset = 8 + directorySize;
+                for (i = 0; i < entries.length; i++) {
+                    var size = GeoTiffWriter.valueSize(entries[i].type) * entries[i].values.length;
+                    if (size > 4) {
+                        entries[i].offset = offset;
+                        offset += size + size % 2; // values start on a word boundary
+                    }
+                }
+
+                var stripOffset = offset;
+                for (i = 0; i < entries.length; i++) {
+                    if (entries[i].tag === Tag.STRIP_OFFSETS) {
+                        entries[i].values = [stripOffset];
+                    }
+                }
+
+                var buffer = new ArrayBuffer(stripOffset + options.data.byteLength),
+                    view = new DataView(buffer);
+
+                view.setUint16(0, 0x4949); // "II", little endian
+                view.setUint16(2, 42, true);
+                view.setUint32(4, 8, true);
+
+                view.setUint16(8, entries.length, true);
+                for (i = 0; i < entries.length; i++) {
+                    var entryOffset = 10 + 12 * i;
+                    view.setUint16(entryOffset, entries[i].tag, true);
+                    view.setUint16(entryOffset + 2, entries[i].type, true);
+                    view.setUint32(entryOffset + 4, entries[i].values.length, true);
+
+                    if (entries[i].offset) {
+                        view.setUint32(entryOffset + 8, entries[i].offset, true);
+                        GeoTiffWriter.writeValues(view, entries[i].offset, entries[i]);
+                    } else {
+                        GeoTiffWriter.writeValues(view, entryOffset + 8, entries[i]);
+                    }
+                }
+                view.setUint32(10 + 12 * entries.length, 0, true); // no next image file directory
+
+                new Uint8Array(buffer, stripOffset).set(new Uint8Array(options.data));
+
+                return buffer;
+            },
+
+            // Internal. Returns the number of bytes of a value of a TIFF field type.
+            valueSize: function (type) {
+                switch (type) {
+                    case TiffConstants.Type.SHORT:
+                        return 2;
+                    case TiffConstants.Type.LONG:
+                        return 4;
+                    case TiffConstants.Type.DOUBLE:
+                        return 8;
+                    default:
+                        return 1;
+                }
+            },
+
+            // Internal. Writes the values of a directory entry at an offset.
+            writeValues: function (view, offset, entry) {
+                var size = GeoTiffWriter.valueSize(entry.type);
+
+                for (var i = 0; i < entry.values.length; i++, offset += size) {
+                    switch (entry.type) {
+                        case TiffConstants.Type.SHORT:
+                            view.setUint16(offset, entry.values[i], true);
+                            break;
+                        case TiffConstants.Type.LONG:
+                            view.setUint32(offset, entry.values[i], true);
+                            break;
+                        case TiffConstants.Type.DOUBLE:
+                            view.setFloat64(offset, entry.values[i], true);
+                            break;
+                        case TiffConstants.Type.ASCII:
+                            view.setUint8(offset, entry.values.charCodeAt(i));
+                            break;
+                    }
+                }
+            },
+
+            /**
+             * The EPSG code of the WGS84 geographic coordinate system the geotiffs are written in.
+             * @type {Number}
+             * @constant
+             */
+            WGS84_EPSG_CODE: 4326
+        };
+
+        return GeoTiffWriter;
+    });
\ No newline at end of file
@@ -0,0 +1,483 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports JpegDecoder
+ */
+define([
+        '../../error/AbstractError',
+        '../../util/Logger'
+    ],
+    function (AbstractError,
+              Logger) {
+        "use strict";
+
+        /**
+         * Provides the decompression of the JPEG compressed TIFF strips and tiles.
+         * @exports JpegDecoder
+         */
+        var JpegDecoder = {
+
+            /**
+             * Decodes the baseline JPEG image of a strip or a tile. The quantization and Huffman tables may be
+             * defined by the JPEGTables shared by all the strips or tiles of the TIFF. The color components are
+             * returned as they are stored, a YCbCr image isn't converted to RGB. The subsampled components are
+             * scaled to the size of the image.
+             * @param {Uint8Array} data The JPEG data of the strip or tile.
+             * @param {Uint8Array} tables The JPEG data defining the shared tables, or null if there are none.
+             * @returns {{width: Number, height: Number, numberOfComponents: Number, data: Uint8Array}} The size of the
+             * image and its samples, the components of each pixel are interleaved.
+             * @throws {AbstractError} If the data isn't a baseline or extended sequential Huffman JPEG.
+             */
+            decode: function (data, tables) {
+                var jpeg = {
+                    quantizationTables: [],
+                    dcTables: [],
+                    acTables: [],
+                    restartInterval: 0,
+                    frame: null
+                };
+
+                if (tables) {
+                    readSegments(jpeg, tables);
+                }
+                readSegments(jpeg, data);
+
+                if (!jpeg.frame) {
+                    throw new AbstractError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "JpegDecoder", "decode", "Missing JPEG frame."));
+                }
+
+                return outputImage(jpeg.frame);
+            }
+        };
+
+        // Internal use only. Intentionally not documented.
+        // The position in the block of each coefficient in the zig-zag order.
+        var ZIG_ZAG = new Int32Array([
+            0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5, 12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7,
+            14, 21, 28, 35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51, 58, 59, 52, 45, 38, 31, 39, 46,
+            53, 60, 61, 54, 47, 55, 62, 63
+        ]);
+
+        // Internal use only. Intentionally not documented.
+        // The cosines of the inverse discrete cosine transform, scaled for the DC term, indexed by position * 8 + u.
+        var IDCT_COSINES = (function () {
+            var cosines = new Float64Array(64);
+            for (var x = 0; x < 8; x++) {
+                for (var u = 0; u < 8; u++) {
+                    cosines[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) * Math.cos((2 * x + 1) * u * Math.PI / 16);
+                }
+            }
+            return cosines;
+        })();
+
+        // Internal use only. Intentionally not documented.
+        var fail = function (message) {
+            throw new AbstractError(Logger.logMessage(Logger.LEVEL_SEVERE, "JpegDecoder", "decode", message));
+        };
+
+        // Internal use only. Intentionally not documented.
+        var readUint16 = function (data, position) {
+            return (data[position] << 8) | data[position + 1];
+        };
+
+        // Internal use only. Intentionally not documented.
+        var readSegments = function (jpeg, data) {
+            var position = 0;
+
+            while (position < data.length - 1) {
+                if (data[position] !== 0xFF || data[position + 1] === 0xFF) {
+                    position++;
+                    continue;
+                }
+
+                var marker = data[position + 1];
+                position += 2;
+
+                // Markers without a segment.
+                if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+                    continue;
+                }
+                if (marker === 0xD9) {
+                    return;
+                }
+
+                var start = position + 2,
+                    end = position + readUint16(data, position);
+
+                switch (marker) {
+                    case 0xDB:
+                        readQuantizationTables(jpeg, data, start, end);
+                        break;
+                    case 0xC4:
+                        readHuffmanTables(jpeg, data, start, end);
+                        break;
+                    case 0xC0:
+                    case 0xC1:
+                        readFrame(jpeg, data, start);
+                        break;
+                    case 0xC2:
+                    case 0xC3:
+                    case 0xC5:
+                    case 0xC6:
+                    case 0xC7:
+                    case 0xC9:
+                    case 0xCA:
+                    case 0xCB:
+                    case 0xCD:
+                    case 0xCE:
+                    case 0xCF:
+                        fail("Unsupported JPEG process: " + marker.toString(16));
+                        break;
+                    case 0xDD:
+                        jpeg.restartInterval = readUint16(data, start);
+                        break;
+                    case 0xDA:
+                        end = decodeScan(jpeg, data, start, end);
+                        break;
+                    default:
+                        // The application and comment segments are skipped.
+                        break;
+                }
+
+                position = end;
+            }
+        };
+
+        // Internal use only. Intentionally not documented.
+        var readQuantizationTables = function (jpeg, data, position, end) {
+            while (position < end) {
+                var precision = data[position] >> 4,
+                    table = new Int32Array(64);
+
+                jpeg.quantizationTables[data[position++] & 15] = table;
+                for (var k = 0; k < 64; k++) {
+                    if (precision) {
+                        table[k] = readUint16(data, position);
+                        position += 2;
+                    } else {
+                        table[k] = data[position++];
+                    }
+                }
+            }
+        };
+
+        // Internal use only. Intentionally not documented.
+        var readHuffmanTables = function (jpeg, data, position, end) {
+            while (position < end) {
+                var tableClass = data[position] >> 4,
+                    identifier = data[position] & 15,
+                    counts = data.subarray(position + 1, position + 17),
+                    maxCodes = new Int32Array(17),
+                    valuePointers = new Int32Array(17),
+                    minCodes = new Int32Array(17),
+                    code = 0,
+                    count = 0;
+
+                // The codes of each length are consecutive and follow the last code of the shorter ones.
+                for (var length = 1; length <= 16; length++) {
+                    valuePointers[length] = count;
+                    minCodes[length] = code;
+                    code += counts[length - 1];
+                    count += counts[length - 1];
+                    maxCodes[length] = counts[length - 1] ? code - 1 : -1;
+                    code <<= 1;
+                }
+
+                var table = {
+                    maxCodes: maxCodes,
+                    valuePointers: valuePointers,
+                    minCodes: minCodes,
+                    symbols: data.slice(position + 17, position + 17 + count)
+                };
+                if (tableClass === 0) {
+                    jpeg.dcTables[identifier] = table;
+                } else {
+                    jpeg.acTables[identifier] = table;
+                }
+
+                position += 17 + count;
+            }
+        };
+
+        // Internal use only. Intentionally not documented.
+        var readFrame = function (jpeg, data, position) {
+            if (data[position] !== 8) {
+                fail("Unsupported JPEG precision: " + data[position]);
+            }
+
+            var frame = {
+                    height: readUint16(data, position + 1),
+                    width: readUint16(data, position + 3),
+                    components: [],
+                    maxH: 1,
+                    maxV: 1
+                },
+                componentCount = data[position + 5],
+                idx, component;
+
+            for (idx = 0, position += 6; idx < componentCount; idx++, position += 3) {
+                component = {
+                    id: data[position],
+                    h: data[position + 1] >> 4,
+                    v: data[position + 1] & 15,
+                    quantizationTable: data[position + 2]
+                };
+                frame.maxH = Math.max(frame.maxH, component.h);
+                frame.maxV = Math.max(frame.maxV, component.v);
+                frame.components.push(component);
+            }
+
+            frame.mcusPerLine = Math.ceil(frame.width / (8 * frame.maxH));
+            frame.mcusPerColumn = Math.ceil(frame.height / (8 * frame.maxV));
+
+            for (idx = 0; idx < componentCount; idx++) {
+                component = frame.components[idx];
+                component.blocksPerLine = Math.ceil(Math.ceil(frame.width * component.h / frame.maxH) / 8);
+                component.blocksPerColumn = Math.ceil(Math.ceil(frame.height * component.v / frame.maxV) / 8);
+                component.lineLength = frame.mcusPerLine * component.h * 8;
+                component.samples = new Uint8Array(component.lineLength * frame.mcusPerColumn * component.v * 8);
+            }
+
+            jpeg.frame = frame;
+        };
+
+        // Internal use only. Intentionally not documented.
+        // Decodes the entropy coded data following the scan header and returns the position of the next marker.
+        var decodeScan = function (jpeg, data, position, dataStart) {
+            var frame = jpeg.frame,
+                components = [],
+                coefficients = new Float64Array(64),
+                idx, component;
+
+            if (!frame) {
+                fail("Missing JPEG frame.");
+            }
+
+            for (idx = 0; idx < data[position]; idx++) {
+                var id = data[position + 1 + idx * 2],
+                    tables = data[position + 2 + idx * 2];
+                component = frame.components.filter(function (candidate) {
+                    return candidate.id === id;
+                })[0];
+                if (!component) {
+                    fail("Invalid JPEG scan component: " + id);
+                }
+                component.dcTable = jpeg.dcTables[tables >> 4];
+                component.acTable = jpeg.acTables[tables & 15];
+                component.quantization = jpeg.quantizationTables[component.quantizationTable];
+                component.prediction = 0;
+                components.push(component);
+            }
+
+            var reader = new BitReader(data, dataStart),
+                isInterleaved = components.length > 1,
+                mcuCount = isInterleaved ? frame.mcusPerLine * frame.mcusPerColumn :
+                    components[0].blocksPerLine * components[0].blocksPerColumn;
+
+            for (var mcu = 0; mcu < mcuCount; mcu++) {
+                if (jpeg.restartInterval && mcu > 0 && mcu % jpeg.restartInterval === 0) {
+                    reader.restart();
+                    for (idx = 0; idx < components.length; idx++) {
+                        components[idx].prediction = 0;
+                    }
+                }
+
+                if (!isInterleaved) {
+                    component = components[0];
+                    decodeBlock(reader, component, coefficients, Math.floor(mcu / component.blocksPerLine),
+                        mcu % component.blocksPerLine);
+                    continue;
+                }
+
+                var mcuRow = Math.floor(mcu / frame.mcusPerLine),
+                    mcuColumn = mcu % frame.mcusPerLine;
+                for (idx = 0; idx < components.length; idx++) {
+                    component = components[idx];
+                    for (var v = 0; v < component.v; v++) {
+                        for (var h = 0; h < component.h; h++) {
+                            decodeBlock(reader, component, coefficients, mcuRow * component.v + v,
+                                mcuColumn * component.h + h);
+                        }
+                    }
+                }
+            }
+
+            return reader.nextMarker();
+        };
+
+        // Internal use only. Intentionally not documented.
+        var decodeBlock = function (reader, component, coefficients, blockRow, blockColumn) {
+            var quantization = component.quantization,
+                size, run, value;
+
+            if (!component.dcTable || !component.acTable || !quantization) {
+                fail("Missing JPEG table.");
+            }
+
+            coefficients.fill(0);
+
+            size = reader.decode(component.dcTable);
+            component.prediction += size ? reader.receiveExtend(size) : 0;
+            coefficients[0] = component.prediction * quantization[0];
+
+            for (var k = 1; k < 64;) {
+                value = reader.decode(component.acTable);
+                size = value & 15;
+                run = value >> 4;
+                if (size === 0) {
+                    // The end of block, or the run of 16 zeros.
+                    if (run < 15) {
+                        break;
+                    }
+                    k += 16;
+                    continue;
+                }
+                k += run;
+                if (k > 63) {
+                    break;
+                }
+                coefficients[ZIG_ZAG[k]] = reader.receiveExtend(size) * quantization[k];
+                k++;
+            }
+
+            inverseTransform(coefficients, component.samples, component.lineLength,
+                blockRow * 8 * component.lineLength + blockColumn * 8);
+        };
+
+        // Internal use only. Intentionally not documented.
+        var inverseTransform = function (coefficients, samples, lineLength, offset) {
+            var rows = new Float64Array(64),
+                x, y, u, sum;
+
+            // Transform the rows, then the columns.
+            for (y = 0; y < 8; y++) {
+                for (x = 0; x < 8; x++) {
+                    for (u = 0, sum = 0; u < 8; u++) {
+                        sum += coefficients[y * 8 + u] * IDCT_COSINES[x * 8 + u];
+                    }
+                    rows[y * 8 + x] = sum;
+                }
+            }
+
+            for (x = 0; x < 8; x++) {
+                for (y = 0; y < 8; y++) {
+                    for (u = 0, sum = 0; u < 8; u++) {
+                        sum += rows[u * 8 + x] * IDCT_COSINES[y * 8 + u];
+                    }
+                    var index = offset + y * lineLength + x;
+                    if (index < samples.length) {
+                        samples[index] = Math.max(0, Math.min(255, Math.round(sum / 4 + 128)));
+                    }
+                }
+            }
+        };
+
+        // Internal use only. Intentionally not documented.
+        var outputImage = function (frame) {
+            var components = frame.components,
+                componentCount = components.length,
+                data = new Uint8Array(frame.width * frame.height * componentCount);
+
+            for (var c = 0; c < componentCount; c++) {
+                var component = components[c];
+                for (var y = 0; y < frame.height; y++) {
+                    var line = Math.floor(y * component.v / frame.maxV) * component.lineLength;
+                    for (var x = 0; x < frame.width; x++) {
+                        data[(y * frame.width + x) * componentCount + c] =
+                            component.samples[line + Math.floor(x * component.h / frame.maxH)];
+                    }
+                }
+            }
+
+            return {
+                width: frame.width,
+                height: frame.height,
+                numberOfComponents: componentCount,
+                data: data
+            };
+        };
+
+        // Internal use only. Intentionally not documented.
+        // Reads the entropy coded data, skipping the bytes stuffed after 0xFF and stopping at the markers.
+        var BitReader = function (data, position) {
+            this.data = data;
+            this.position = position;
+            this.bitBuffer = 0;
+            this.bitCount = 0;
+        };
+
+        BitReader.prototype.readBit = function () {
+            if (this.bitCount === 0) {
+                var value = this.data[this.position];
+                if (value === 0xFF) {
+                    if (this.data[this.position + 1] === 0) {
+                        this.position += 2;
+                    } else {
+                        // A marker ends the data, the missing bits are read as zeros.
+                        value = 0;
+                    }
+                } else {
+                    this.position++;
+                }
+                this.bitBuffer = value | 0;
+                this.bitCount = 8;
+            }
+
+            this.bitCount--;
+            return (this.bitBuffer >> this.bitCount) & 1;
+        };
+
+        BitReader.prototype.receiveExtend = function (size) {
+            for (var value = 0, idx = 0; idx < size; idx++) {
+                value = (value << 1) | this.readBit();
+            }
+
+            // The values below the half of the range are negative.
+            return value < (1 << (size - 1)) ? value - (1 << size) + 1 : value;
+        };
+
+        BitReader.prototype.decode = function (table) {
+            for (var code = this.readBit(), length = 1; length <= 16; length++) {
+                if (code <= table.maxCodes[length]) {
+                    return table.symbols[table.valuePointers[length] + code - table.minCodes[length]];
+                }
+                code = (code << 1) | this.readBit();
+            }
+
+            return fail("Invalid JPEG Huffman code.");
+        };
+
+        BitReader.prototype.restart = function () {
+            this.bitCount = 0;
+            var marker = this.nextMarker();
+            if (this.data[marker + 1] >= 0xD0 && this.data[marker + 1] <= 0xD7) {
+                this.position = marker + 2;
+            }
+        };
+
+        BitReader.prototype.nextMarker = function () {
+            var position = this.position;
+            while (position < this.data.length - 1 && (this.data[position] !== 0xFF || this.data[position + 1] === 0)) {
+                position++;
+            }
+            return position;
+        };
+
+        return JpegDecoder;
+    }
+);
\ No newline at end of file
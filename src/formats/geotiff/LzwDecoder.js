@@ -0,0 +1,131 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports LzwDecoder
+ */
+define([
+        '../../error/AbstractError',
+        '../../util/Logger'
+    ],
+    function (AbstractError,
+              Logger) {
+        "use strict";
+
+        /**
+         * Provides the decompression of the LZW compressed TIFF strips and tiles.
+         * @exports LzwDecoder
+         */
+        var LzwDecoder = {
+
+            /**
+             * Decompresses the data compressed by the TIFF variant of the LZW algorithm. The codes are read from the
+             * most significant bit and their width increases one code before the table reaches the next power of
+             * two.
+             * @param {Uint8Array} data The compressed data.
+             * @returns {Uint8Array} The decompressed data.
+             * @throws {AbstractError} If the data contains an invalid code.
+             */
+            decode: function (data) {
+                var output = new Uint8Array(Math.max(data.length * 4, 1024)),
+                    outputLength = 0,
+                    table = [],
+                    tableLength = LzwDecoder.FIRST_CODE,
+                    codeWidth = LzwDecoder.MIN_CODE_WIDTH,
+                    bitPosition = 0,
+                    bitLength = data.length * 8,
+                    previous = null,
+                    entry, code, idx;
+
+                for (idx = 0; idx < 256; idx++) {
+                    table[idx] = new Uint8Array([idx]);
+                }
+
+                while (bitPosition + codeWidth <= bitLength) {
+                    var byteIndex = bitPosition >>> 3,
+                        bits = (data[byteIndex] << 16) | (data[byteIndex + 1] << 8) | data[byteIndex + 2];
+                    code = (bits >>> (24 - (bitPosition & 7) - codeWidth)) & ((1 << codeWidth) - 1);
+                    bitPosition += codeWidth;
+
+                    if (code === LzwDecoder.END_OF_INFORMATION) {
+                        break;
+                    }
+
+                    if (code === LzwDecoder.CLEAR_CODE) {
+                        tableLength = LzwDecoder.FIRST_CODE;
+                        codeWidth = LzwDecoder.MIN_CODE_WIDTH;
+                        previous = null;
+                        continue;
+                    }
+
+                    if (code < tableLength) {
+                        entry = table[code];
+                    } else if (code === tableLength && previous) {
+                        // The code being defined by this very step starts with the previous string.
+                        entry = new Uint8Array(previous.length + 1);
+                        entry.set(previous);
+                        entry[previous.length] = previous[0];
+                    } else {
+                        throw new AbstractError(
+                            Logger.logMessage(Logger.LEVEL_SEVERE, "LzwDecoder", "decode", "Invalid LZW code."));
+                    }
+
+                    if (previous && tableLength < LzwDecoder.TABLE_SIZE) {
+                        var added = new Uint8Array(previous.length + 1);
+                        added.set(previous);
+                        added[previous.length] = entry[0];
+                        table[tableLength++] = added;
+                    }
+
+                    if (outputLength + entry.length > output.length) {
+                        var grown = new Uint8Array(Math.max(output.length * 2, outputLength + entry.length));
+                        grown.set(output);
+                        output = grown;
+                    }
+                    output.set(entry, outputLength);
+                    outputLength += entry.length;
+                    previous = entry;
+
+                    if (tableLength >= (1 << codeWidth) - 1 && codeWidth < LzwDecoder.MAX_CODE_WIDTH) {
+                        codeWidth++;
+                    }
+                }
+
+                return output.subarray(0, outputLength);
+            }
+        };
+
+        // Internal use only. Intentionally not documented.
+        LzwDecoder.CLEAR_CODE = 256;
+
+        // Internal use only. Intentionally not documented.
+        LzwDecoder.END_OF_INFORMATION = 257;
+
+        // Internal use only. Intentionally not documented.
+        LzwDecoder.FIRST_CODE = 258;
+
+        // Internal use only. Intentionally not documented.
+        LzwDecoder.MIN_CODE_WIDTH = 9;
+
+        // Internal use only. Intentionally not documented.
+        LzwDecoder.MAX_CODE_WIDTH = 12;
+
+        // Internal use only. Intentionally not documented.
+        LzwDecoder.TABLE_SIZE = 4096;
+
+        return LzwDecoder;
+    }
+);
\ No newline at end of file
@@ -0,0 +1,67 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports PackBitsDecoder
+ */
+define([],
+    function () {
+        "use strict";
+
+        /**
+         * Provides the decompression of the PackBits compressed TIFF strips and tiles.
+         * @exports PackBitsDecoder
+         */
+        var PackBitsDecoder = {
+
+            /**
+             * Decompresses the data compressed by the PackBits run-length encoding. Each run starts by a header byte.
+             * The header 0 to 127 is followed by 1 to 128 literal bytes, the header -1 to -127 is followed by a byte
+             * repeated 2 to 128 times and the header -128 is skipped.
+             * @param {Uint8Array} data The compressed data.
+             * @returns {Uint8Array} The decompressed data.
+             */
+            decode: function (data) {
+                var output = new Uint8Array(Math.max(data.length * 4, 1024)),
+                    outputLength = 0,
+                    position = 0;
+
+                while (position < data.length) {
+                    var header = (data[position++] << 24) >> 24,
+                        length = header >= 0 ? header + 1 : header === -128 ? 0 : 1 - header;
+
+                    if (outputLength + length > output.length) {
+                        var grown = new Uint8Array(Math.max(output.length * 2, outputLength + length));
+                        grown.set(output);
+                        output = grown;
+                    }
+
+                    if (header >= 0) {
+                        output.set(data.subarray(position, position + length), outputLength);
+                        position += length;
+                    } else if (length > 0) {
+                        output.fill(data[position++], outputLength, outputLength + length);
+                    }
+                    outputLength += length;
+                }
+
+                return output.subarray(0, outputLength);
+            }
+        };
+
+        return PackBitsDecoder;
+    }
+);
\ No newline at end of file
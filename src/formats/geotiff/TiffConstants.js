@@ -94,6 +94,7 @@ define([],
                 'S_MIN_SAMPLE_VALUE': 340,
                 'S_MAX_SAMPLE_VALUE': 341,
                 'TRANSFER_RANGE': 342,
+                'JPEG_TABLES': 347,
                 'JPEG_PROC': 512,
                 'JPEG_INTERCHANGE_FORMAT': 513,
                 'JPEG_INTERCHANGE_FORMAT_LENGTH': 514,
@@ -121,8 +122,33 @@ define([],
                 'GROUP_3_FAX': 3,
                 'GROUP_4_FAX': 4,
                 'LZW': 5,
-                'JPEG': 6,
-                'PACK_BITS': 32773
+                'OLD_JPEG': 6,
+                'JPEG': 7,
+                'ADOBE_DEFLATE': 8,
+                'PACK_BITS': 32773,
+                'DEFLATE': 32946
+            },
+
+            /**
+             * An object containing the flags of the TIFF new subfile type.
+             * @memberof Tiff
+             * @type {Object}
+             */
+            NewSubfileType: {
+                'REDUCED_RESOLUTION': 1,
+                'PAGE': 2,
+                'TRANSPARENCY_MASK': 4
+            },
+
+            /**
+             * An object containing the meanings of the TIFF extra samples.
+             * @memberof Tiff
+             * @type {Object}
+             */
+            ExtraSamples: {
+                'UNSPECIFIED': 0,
+                'ASSOCIATED_ALPHA': 1,
+                'UNASSOCIATED_ALPHA': 2
             },
 
             /**
@@ -167,6 +193,17 @@ define([],
                 'PLANAR': 2
             },
 
+            /**
+             * An object containing all TIFF predictor types.
+             * @memberof Tiff
+             * @type {Object}
+             */
+            Predictor: {
+                'NONE': 1,
+                'HORIZONTAL': 2,
+                'FLOATING_POINT': 3
+            },
+
             /**
              * An object containing all TIFF resolution unit types.
              * @memberof Tiff
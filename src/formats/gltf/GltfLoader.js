@@ -0,0 +1,604 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports GltfLoader
+ */
+define([
+        '../../error/ArgumentError',
+        './GltfScene',
+        '../../util/Logger',
+        '../../geom/Matrix'
+    ],
+    function (ArgumentError,
+              GltfScene,
+              Logger,
+              Matrix) {
+        "use strict";
+
+        /**
+         * Constructs a GltfLoader
+         * @alias GltfLoader
+         * @constructor
+         * @classdesc Fetches and parses a glTF 2.0 model, either the .gltf JSON document or the binary .glb file,
+         * and creates the {@link GltfScene} rendering the model. The buffers and images can be embedded as data
+         * URIs or in the binary chunk of the .glb file. The external buffers and images are retrieved relative to
+         * the directory of the model's URL.
+         * <p>
+         * The triangles of the mesh primitives are displayed with the base color of their PBR metallic roughness
+         * material, either the base color factor or the base color texture. The other parts of the PBR material,
+         * the animations and the skins are ignored.
+         * @param {Position} position The model's geographic position.
+         * @param {Object} config Configuration options for the loader.
+         * <ul>
+         *  <li>dirPath - the path to the directory where the glTF file is located. The relative URLs passed to
+         *  load are resolved against it. Defaults to '/'.</li>
+         * </ul>
+         * @throws {ArgumentError} If the specified position is null or undefined.
+         */
+        var GltfLoader = function (position, config) {
+            if (!position) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GltfLoader", "constructor", "missingPosition"));
+            }
+
+            this.position = position;
+
+            this.dirPath = (config && config.dirPath) || '/';
+        };
+
+        /**
+         * The component types of the accessors mapped to the typed arrays.
+         * @type {Object}
+         */
+        GltfLoader.COMPONENT_TYPES = {
+            5120: Int8Array,
+            5121: Uint8Array,
+            5122: Int16Array,
+            5123: Uint16Array,
+            5125: Uint32Array,
+            5126: Float32Array
+        };
+
+        /**
+         * The number of the components of the accessor types.
+         * @type {Object}
+         */
+        GltfLoader.TYPE_SIZES = {
+            SCALAR: 1,
+            VEC2: 2,
+            VEC3: 3,
+            VEC4: 4,
+            MAT2: 4,
+            MAT3: 9,
+            MAT4: 16
+        };
+
+        // The magic number of the binary glTF. Internal use only.
+        var GLB_MAGIC = 0x46546C67;
+
+        // The types of the chunks of the binary glTF. Internal use only.
+        var JSON_CHUNK = 0x4E4F534A, BIN_CHUNK = 0x004E4942;
+
+        /**
+         * Fetches and parses a glTF file and the external buffers it references.
+         * @param {String} url The url to the .gltf or .glb file.
+         * @param {Function} cb A callback function to call with the result when the parsing is done. The result is
+         * null when the model can't be retrieved or parsed.
+         */
+        GltfLoader.prototype.load = function (url, cb) {
+            if (url.indexOf("://") === -1) {
+                url = this.dirPath + url;
+            }
+
+            // The resources referenced by the model are relative to its directory.
+            var basePath = url.substring(0, url.lastIndexOf('/') + 1),
+                self = this;
+            fetchArrayBuffer(url, function (data) {
+                var gltf;
+                try {
+                    gltf = data && self.parseDocument(data);
+                } catch (e) {
+                    Logger.log(Logger.LEVEL_SEVERE, "error parsing glTF file: " + e);
+                }
+
+                if (!gltf) {
+                    cb(null);
+                    return;
+                }
+
+                var buffers = gltf.json.buffers || [],
+                    remaining = 0,
+                    failed = false;
+
+                var complete = function () {
+                    var scene = null;
+                    if (!failed) {
+                        try {
+                            scene = self.createScene(gltf.json, gltf.buffers, basePath);
+                        } catch (e) {
+                            Logger.log(Logger.LEVEL_SEVERE, "error parsing glTF file: " + e);
+                        }
+                    }
+                    cb(scene);
+                };
+
+                buffers.forEach(function (buffer, index) {
+                    if (gltf.buffers[index] || !buffer.uri) {
+                        return;
+                    }
+
+                    remaining++;
+                    fetchArrayBuffer(resolveUri(basePath, buffer.uri), function (bufferData) {
+                        if (bufferData) {
+                            gltf.buffers[index] = new Uint8Array(bufferData);
+                        } else {
+                            failed = true;
+                        }
+
+                        if (--remaining === 0) {
+                            complete();
+                        }
+                    });
+                });
+
+                if (remaining === 0) {
+                    complete();
+                }
+            });
+        };
+
+        /**
+         * Parses a glTF model whose buffers are all embedded.
+         * @param {ArrayBuffer|String|Object} data The content of the .glb file, the text of the .gltf file or its
+         * parsed JSON.
+         * @returns {GltfScene} A renderable shape.
+         * @throws {ArgumentError} If the model references external buffers.
+         */
+        GltfLoader.prototype.parse = function (data) {
+            var gltf = this.parseDocument(data);
+
+            (gltf.json.buffers || []).forEach(function (buffer, index) {
+                if (!gltf.buffers[index] && buffer.uri) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GltfLoader", "parse",
+                            "The external buffer must be loaded: " + buffer.uri));
+                }
+            });
+
+            return this.createScene(gltf.json, gltf.buffers, this.dirPath);
+        };
+
+        // Internal. Reads the JSON of the glTF and decodes the buffers embedded as data URIs or in the binary chunk.
+        GltfLoader.prototype.parseDocument = function (data) {
+            var json, binaryChunk = null;
+
+            if (data instanceof ArrayBuffer) {
+                var view = new DataView(data);
+                if (data.byteLength >= 12 && view.getUint32(0, true) === GLB_MAGIC) {
+                    for (var offset = 12; offset + 8 <= data.byteLength;) {
+                        var chunkLength = view.getUint32(offset, true),
+                            chunkType = view.getUint32(offset + 4, true),
+                            chunk = new Uint8Array(data, offset + 8, chunkLength);
+                        if (chunkType === JSON_CHUNK) {
+                            json = JSON.parse(decodeUtf8(chunk));
+                        } else if (chunkType === BIN_CHUNK && !binaryChunk) {
+                            binaryChunk = chunk;
+                        }
+                        offset += 8 + chunkLength;
+                    }
+                } else {
+                    json = JSON.parse(decodeUtf8(new Uint8Array(data)));
+                }
+            } else {
+                json = typeof data === 'string' ? JSON.parse(data) : data;
+            }
+
+            if (!json || !json.asset || String(json.asset.version).charAt(0) !== '2') {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GltfLoader", "parseDocument",
+                        "Only glTF 2.0 is supported."));
+            }
+
+            var buffers = (json.buffers || []).map(function (buffer, index) {
+                if (buffer.uri === undefined) {
+                    return index === 0 ? binaryChunk : null;
+                }
+                return buffer.uri.indexOf('data:') === 0 ? decodeDataUri(buffer.uri) : null;
+            });
+
+            return {json: json, buffers: buffers};
+        };
+
+        // Internal. Creates the scene from the JSON of the glTF and the content of its buffers. The images are
+        // resolved against the base path.
+        GltfLoader.prototype.createScene = function (json, buffers, basePath) {
+            var self = this,
+                sceneData = {
+                    dirPath: basePath,
+                    meshes: [],
+                    materials: [],
+                    nodes: []
+                };
+
+            sceneData.materials = (json.materials || []).map(function (material) {
+                return self.parseMaterial(json, buffers, material, basePath);
+            });
+
+            sceneData.meshes = (json.meshes || []).map(function (mesh) {
+                return {
+                    name: mesh.name || '',
+                    primitives: mesh.primitives.map(function (primitive) {
+                        return self.parsePrimitive(json, buffers, primitive);
+                    }).filter(function (primitive) {
+                        return !!primitive;
+                    })
+                };
+            });
+
+            var scene = json.scenes && json.scenes[json.scene || 0],
+                rootNodes = scene ? scene.nodes || [] : GltfLoader.rootNodes(json);
+            sceneData.nodes = rootNodes.map(function (nodeIndex) {
+                return self.parseNode(json, nodeIndex, Matrix.fromIdentity());
+            });
+
+            return new GltfScene(this.position, sceneData);
+        };
+
+        /**
+         * Returns the nodes which aren't children of any other node. They are displayed when the glTF doesn't
+         * define any scene.
+         * @param {Object} json The JSON of the glTF.
+         * @returns {Number[]} The indices of the root nodes.
+         */
+        GltfLoader.rootNodes = function (json) {
+            var nodes = json.nodes || [],
+                isChild = [];
+
+            nodes.forEach(function (node) {
+                (node.children || []).forEach(function (childIndex) {
+                    isChild[childIndex] = true;
+                });
+            });
+
+            return nodes.map(function (node, index) {
+                return index;
+            }).filter(function (index) {
+                return !isChild[index];
+            });
+        };
+
+        /**
+         * Parses the node and its children. The world matrix of the node combines its local matrix with the world
+         * matrix of its parent.
+         * Internal. Applications should not call this function.
+         * @param {Object} json The JSON of the glTF.
+         * @param {Number} index The index of the node.
+         * @param {Matrix} parentWorldMatrix The world matrix of the parent node.
+         * @returns {Object} The node with name, mesh, localMatrix, worldMatrix and children.
+         */
+        GltfLoader.prototype.parseNode = function (json, index, parentWorldMatrix) {
+            var node = json.nodes[index],
+                localMatrix = GltfLoader.nodeMatrix(node),
+                worldMatrix = Matrix.fromIdentity().setToMultiply(parentWorldMatrix, localMatrix),
+                self = this;
+
+            return {
+                name: node.name || '',
+                mesh: node.mesh !== undefined ? node.mesh : null,
+                localMatrix: localMatrix,
+                worldMatrix: worldMatrix,
+                children: (node.children || []).map(function (childIndex) {
+                    return self.parseNode(json, childIndex, worldMatrix);
+                })
+            };
+        };
+
+        /**
+         * Computes the local matrix of the node from either its column-major matrix or its translation, rotation
+         * quaternion and scale.
+         * @param {Object} node The node of the glTF.
+         * @returns {Matrix} The local matrix of the node.
+         */
+        GltfLoader.nodeMatrix = function (node) {
+            var m = node.matrix;
+            if (m) {
+                return new Matrix(
+                    m[0], m[4], m[8], m[12],
+                    m[1], m[5], m[9], m[13],
+                    m[2], m[6], m[10], m[14],
+                    m[3], m[7], m[11], m[15]);
+            }
+
+            var t = node.translation || [0, 0, 0],
+                q = node.rotation || [0, 0, 0, 1],
+                s = node.scale || [1, 1, 1],
+                x = q[0], y = q[1], z = q[2], w = q[3];
+
+            return new Matrix(
+                (1 - 2 * (y * y + z * z)) * s[0], 2 * (x * y - z * w) * s[1], 2 * (x * z + y * w) * s[2], t[0],
+                2 * (x * y + z * w) * s[0], (1 - 2 * (x * x + z * z)) * s[1], 2 * (y * z - x * w) * s[2], t[1],
+                2 * (x * z - y * w) * s[0], 2 * (y * z + x * w) * s[1], (1 - 2 * (x * x + y * y)) * s[2], t[2],
+                0, 0, 0, 1);
+        };
+
+        /**
+         * Parses the PBR metallic roughness material. Only the base color is used.
+         * Internal. Applications should not call this function.
+         * @param {Object} json The JSON of the glTF.
+         * @param {Uint8Array[]} buffers The content of the buffers.
+         * @param {Object} material The material of the glTF.
+         * @param {String} basePath The path the relative URIs of the images are resolved against.
+         * @returns {Object} The material with name, baseColorFactor, baseColorTexture, doubleSided and alphaMode.
+         */
+        GltfLoader.prototype.parseMaterial = function (json, buffers, material, basePath) {
+            var pbr = material.pbrMetallicRoughness || {},
+                result = {
+                    name: material.name || '',
+                    baseColorFactor: pbr.baseColorFactor || [1, 1, 1, 1],
+                    baseColorTexture: null,
+                    doubleSided: !!material.doubleSided,
+                    alphaMode: material.alphaMode || 'OPAQUE'
+                };
+
+            var texture = pbr.baseColorTexture && json.textures && json.textures[pbr.baseColorTexture.index];
+            if (texture && texture.source !== undefined) {
+                var image = json.images[texture.source],
+                    sampler = texture.sampler !== undefined && json.samplers ? json.samplers[texture.sampler] : {},
+                    url;
+
+                if (image.uri !== undefined) {
+                    url = resolveUri(basePath, image.uri);
+                } else if (image.bufferView !== undefined) {
+                    url = 'data:' + image.mimeType + ';base64,' +
+                        encodeBase64(bufferViewBytes(json, buffers, image.bufferView));
+                }
+
+                if (url) {
+                    result.baseColorTexture = {
+                        url: url,
+                        texCoord: pbr.baseColorTexture.texCoord || 0,
+                        isClamp: sampler.wrapS === 33071 && sampler.wrapT === 33071
+                    };
+                }
+            }
+
+            return result;
+        };
+
+        /**
+         * Parses the triangles of the mesh primitive. The primitives of the other modes are ignored. The indices
+         * are used if the vertices can be addressed by unsigned short, otherwise the vertices are expanded.
+         * Internal. Applications should not call this function.
+         * @param {Object} json The JSON of the glTF.
+         * @param {Uint8Array[]} buffers The content of the buffers.
+         * @param {Object} primitive The mesh primitive of the glTF.
+         * @returns {Object} The buffers of the primitive with vertices, normals, uvs, indices, indexedRendering and
+         * material or null if the primitive can't be displayed.
+         */
+        GltfLoader.prototype.parsePrimitive = function (json, buffers, primitive) {
+            var mode = primitive.mode !== undefined ? primitive.mode : 4;
+            if (mode !== 4 || primitive.attributes.POSITION === undefined) {
+                Logger.log(Logger.LEVEL_WARNING, "Unsupported glTF primitive mode: " + mode);
+                return null;
+            }
+
+            var material = primitive.material !== undefined ? primitive.material : null,
+                texCoord = material !== null && json.materials[material].pbrMetallicRoughness &&
+                    json.materials[material].pbrMetallicRoughness.baseColorTexture &&
+                    json.materials[material].pbrMetallicRoughness.baseColorTexture.texCoord || 0,
+                vertices = GltfLoader.readAccessor(json, buffers, primitive.attributes.POSITION, true),
+                normals = primitive.attributes.NORMAL !== undefined ?
+                    GltfLoader.readAccessor(json, buffers, primitive.attributes.NORMAL, true) : null,
+                uvs = primitive.attributes['TEXCOORD_' + texCoord] !== undefined ?
+                    GltfLoader.readAccessor(json, buffers, primitive.attributes['TEXCOORD_' + texCoord], true) : null,
+                indices = primitive.indices !== undefined ?
+                    GltfLoader.readAccessor(json, buffers, primitive.indices, false) : null,
+                indexedRendering = !!indices && vertices.length / 3 <= 65536;
+
+            if (indices && !indexedRendering) {
+                vertices = expand(vertices, indices, 3);
+                normals = normals && expand(normals, indices, 3);
+                uvs = uvs && expand(uvs, indices, 2);
+            }
+
+            return {
+                vertices: vertices,
+                normals: normals,
+                uvs: uvs,
+                indices: indexedRendering ? new Uint16Array(indices) : null,
+                indexedRendering: indexedRendering,
+                material: material
+            };
+        };
+
+        /**
+         * Reads the values of the accessor as tightly packed array. The sparse accessors aren't supported.
+         * @param {Object} json The JSON of the glTF.
+         * @param {Uint8Array[]} buffers The content of the buffers.
+         * @param {Number} index The index of the accessor.
+         * @param {Boolean} asFloat Whether to convert the values to Float32Array. The normalized integers are
+         * mapped to the range of 0 to 1 or -1 to 1.
+         * @returns {Float32Array|Uint8Array|Uint16Array|Uint32Array} The values.
+         */
+        GltfLoader.readAccessor = function (json, buffers, index, asFloat) {
+            var accessor = json.accessors[index],
+                ArrayType = GltfLoader.COMPONENT_TYPES[accessor.componentType],
+                size = GltfLoader.TYPE_SIZES[accessor.type],
+                count = accessor.count * size,
+                result = new (asFloat ? Float32Array : ArrayType)(count);
+
+            if (accessor.bufferView === undefined) {
+                return result;
+            }
+
+            var bufferView = json.bufferViews[accessor.bufferView],
+                bytes = bufferViewBytes(json, buffers, accessor.bufferView),
+                view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+                elementSize = ArrayType.BYTES_PER_ELEMENT,
+                stride = bufferView.byteStride || size * elementSize,
+                offset = accessor.byteOffset || 0,
+                scale = asFloat && accessor.normalized ? normalizationScale(accessor.componentType) : 1,
+                read = reader(view, accessor.componentType);
+
+            for (var i = 0; i < accessor.count; i++) {
+                for (var j = 0; j < size; j++) {
+                    result[i * size + j] = read(offset + i * stride + j * elementSize) * scale;
+                }
+            }
+
+            if (scale !== 1 && (accessor.componentType === 5120 || accessor.componentType === 5122)) {
+                for (i = 0; i < count; i++) {
+                    result[i] = Math.max(result[i], -1);
+                }
+            }
+
+            return result;
+        };
+
+        // Internal use only. Resolves the URI of the buffer or image against the base path unless it is a data URI
+        // or an absolute URL.
+        function resolveUri(basePath, uri) {
+            return uri.indexOf('data:') === 0 || uri.indexOf('://') !== -1 ? uri : basePath + uri;
+        }
+
+        // Internal use only. Returns the bytes of the buffer view.
+        function bufferViewBytes(json, buffers, index) {
+            var bufferView = json.bufferViews[index],
+                buffer = buffers[bufferView.buffer];
+
+            if (!buffer) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GltfLoader", "bufferViewBytes",
+                        "The buffer isn't loaded: " + bufferView.buffer));
+            }
+
+            return buffer.subarray(bufferView.byteOffset || 0, (bufferView.byteOffset || 0) + bufferView.byteLength);
+        }
+
+        // Internal use only. Returns the function reading the little endian component at the byte offset.
+        function reader(view, componentType) {
+            switch (componentType) {
+                case 5120:
+                    return function (offset) {
+                        return view.getInt8(offset);
+                    };
+                case 5121:
+                    return function (offset) {
+                        return view.getUint8(offset);
+                    };
+                case 5122:
+                    return function (offset) {
+                        return view.getInt16(offset, true);
+                    };
+                case 5123:
+                    return function (offset) {
+                        return view.getUint16(offset, true);
+                    };
+                case 5125:
+                    return function (offset) {
+                        return view.getUint32(offset, true);
+                    };
+                default:
+                    return function (offset) {
+                        return view.getFloat32(offset, true);
+                    };
+            }
+        }
+
+        // Internal use only. Returns the factor mapping the normalized integers to the floats.
+        function normalizationScale(componentType) {
+            switch (componentType) {
+                case 5120:
+                    return 1 / 127;
+                case 5121:
+                    return 1 / 255;
+                case 5122:
+                    return 1 / 32767;
+                case 5123:
+                    return 1 / 65535;
+                default:
+                    return 1;
+            }
+        }
+
+        // Internal use only. Returns the values of the indexed vertices in the order of the indices.
+        function expand(values, indices, size) {
+            var result = new Float32Array(indices.length * size);
+            for (var i = 0; i < indices.length; i++) {
+                for (var j = 0; j < size; j++) {
+                    result[i * size + j] = values[indices[i] * size + j];
+                }
+            }
+            return result;
+        }
+
+        // Internal use only. Decodes the base64 data URI.
+        function decodeDataUri(uri) {
+            var binary = atob(uri.substring(uri.indexOf(',') + 1)),
+                result = new Uint8Array(binary.length);
+            for (var i = 0; i < binary.length; i++) {
+                result[i] = binary.charCodeAt(i);
+            }
+            return result;
+        }
+
+        // Internal use only. Encodes the bytes as base64.
+        function encodeBase64(bytes) {
+            var binary = '';
+            for (var i = 0; i < bytes.length; i += 8192) {
+                binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+            }
+            return btoa(binary);
+        }
+
+        // Internal use only. Decodes the UTF-8 text.
+        function decodeUtf8(bytes) {
+            var binary = '';
+            for (var i = 0; i < bytes.length; i += 8192) {
+                binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+            }
+            return decodeURIComponent(escape(binary));
+        }
+
+        // Internal use only. Retrieves the file as ArrayBuffer. The callback receives null on failure.
+        function fetchArrayBuffer(url, cb) {
+            var request = new XMLHttpRequest();
+
+            request.onload = function () {
+                if (this.status >= 200 && this.status < 400) {
+                    cb(this.response);
+                }
+                else {
+                    Logger.log(Logger.LEVEL_SEVERE, "sever error: " + this.status);
+                    cb(null);
+                }
+            };
+
+            request.onerror = function (e) {
+                Logger.log(Logger.LEVEL_SEVERE, "connection error: " + e);
+                cb(null);
+            };
+
+            request.open("get", url, true);
+            request.responseType = 'arraybuffer';
+
+            request.send();
+        }
+
+        return GltfLoader;
+    }
+);
\ No newline at end of file
@@ -0,0 +1,610 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports GltfScene
+ */
+define([
+        '../../error/ArgumentError',
+        '../../shaders/BasicTextureProgram',
+        '../../util/Color',
+        '../../util/Logger',
+        '../../geom/Matrix',
+        '../../pick/PickedObject',
+        '../../render/Renderable',
+        '../../geom/Vec3'
+    ],
+    function (ArgumentError,
+              BasicTextureProgram,
+              Color,
+              Logger,
+              Matrix,
+              PickedObject,
+              Renderable,
+              Vec3) {
+        "use strict";
+
+        /**
+         * Constructs a glTF scene. Applications usually don't call this constructor. It is called by
+         * {@link GltfLoader} when the model is parsed.
+         * @alias GltfScene
+         * @constructor
+         * @augments Renderable
+         * @classdesc Represents the default scene of a glTF 2.0 model. The scene is a hierarchy of nodes whose meshes
+         * are displayed at the geographic position. The model's +Y axis points up and its +Z axis points to the
+         * south before the heading, tilt and roll are applied.
+         * @param {Position} position The scene's geographic position.
+         * @param {Object} sceneData The scene's data containing the nodes, meshes and materials parsed by the
+         * loader.
+         * @throws {ArgumentError} If the specified position is null or undefined.
+         */
+        var GltfScene = function (position, sceneData) {
+            if (!position) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GltfScene", "constructor", "missingPosition"));
+            }
+
+            Renderable.call(this);
+
+            // Documented in defineProperties below.
+            this._position = position;
+
+            // Documented in defineProperties below.
+            this._nodes = sceneData && sceneData.nodes || [];
+            this._meshes = sceneData && sceneData.meshes || [];
+            this._materials = sceneData && sceneData.materials || [];
+            this._dirPath = sceneData && sceneData.dirPath || '';
+
+            // Documented in defineProperties below.
+            this._heading = 0;
+            this._tilt = 0;
+            this._roll = 0;
+
+            // Documented in defineProperties below.
+            this._scale = 1;
+
+            // Documented in defineProperties below.
+            this._altitudeMode = WorldWind.ABSOLUTE;
+
+            // Documented in defineProperties below.
+            this._placePoint = new Vec3(0, 0, 0);
+
+            // Documented in defineProperties below.
+            this._transformationMatrix = Matrix.fromIdentity();
+
+            // The texture coordinates of glTF start at the upper left corner of the image.
+            this._texCoordMatrix = Matrix.fromIdentity();
+
+            this._activeTexture = null;
+        };
+
+        GltfScene.prototype = Object.create(Renderable.prototype);
+        GltfScene.prototype.constructor = GltfScene;
+
+        Object.defineProperties(GltfScene.prototype, {
+            /**
+             * The scene's geographic position.
+             * @memberof GltfScene.prototype
+             * @type {Position}
+             */
+            position: {
+                get: function () {
+                    return this._position;
+                },
+                set: function (value) {
+                    this._position = value;
+                }
+            },
+
+            /**
+             * The root nodes of the scene. Each node has the name, the index of its mesh or null, the local and world
+             * matrices and the child nodes.
+             * @memberof GltfScene.prototype
+             * @type {Object[]}
+             */
+            nodes: {
+                get: function () {
+                    return this._nodes;
+                },
+                set: function (value) {
+                    this._nodes = value;
+                }
+            },
+
+            /**
+             * The meshes of the model. Each mesh has the name and the triangle primitives with their vertex buffers
+             * and material index.
+             * @memberof GltfScene.prototype
+             * @type {Object[]}
+             */
+            meshes: {
+                get: function () {
+                    return this._meshes;
+                },
+                set: function (value) {
+                    this._meshes = value;
+                }
+            },
+
+            /**
+             * The materials of the model. Each material has the base color factor, the base color texture or null,
+             * the doubleSided flag and the alpha mode.
+             * @memberof GltfScene.prototype
+             * @type {Object[]}
+             */
+            materials: {
+                get: function () {
+                    return this._materials;
+                },
+                set: function (value) {
+                    this._materials = value;
+                }
+            },
+
+            /**
+             * The path to the directory of the glTF file.
+             * @memberof GltfScene.prototype
+             * @type {String}
+             */
+            dirPath: {
+                get: function () {
+                    return this._dirPath;
+                },
+                set: function (value) {
+                    this._dirPath = value;
+                }
+            },
+
+            /**
+             * The scene's heading in degrees clockwise from north.
+             * @memberof GltfScene.prototype
+             * @type {Number}
+             * @default 0
+             */
+            heading: {
+                get: function () {
+                    return this._heading;
+                },
+                set: function (value) {
+                    this._heading = value;
+                }
+            },
+
+            /**
+             * The scene's tilt in degrees, the rotation around the east axis after the heading is applied.
+             * @memberof GltfScene.prototype
+             * @type {Number}
+             * @default 0
+             */
+            tilt: {
+                get: function () {
+                    return this._tilt;
+                },
+                set: function (value) {
+                    this._tilt = value;
+                }
+            },
+
+            /**
+             * The scene's roll in degrees, the rotation around the north axis after the heading and tilt are
+             * applied.
+             * @memberof GltfScene.prototype
+             * @type {Number}
+             * @default 0
+             */
+            roll: {
+                get: function () {
+                    return this._roll;
+                },
+                set: function (value) {
+                    this._roll = value;
+                }
+            },
+
+            /**
+             * The scene's scale. The units of glTF are meters.
+             * @memberof GltfScene.prototype
+             * @type {Number}
+             * @default 1
+             */
+            scale: {
+                get: function () {
+                    return this._scale;
+                },
+                set: function (value) {
+                    this._scale = value;
+                }
+            },
+
+            /**
+             * The scene's Cartesian point on the globe for the specified position.
+             * @memberof GltfScene.prototype
+             * @type {Vec3}
+             */
+            placePoint: {
+                get: function () {
+                    return this._placePoint;
+                },
+                set: function (value) {
+                    this._placePoint = value;
+                }
+            },
+
+            /**
+             * The scene's altitude mode. May be one of
+             * <ul>
+             *  <li>[WorldWind.ABSOLUTE]{@link WorldWind#ABSOLUTE}</li>
+             *  <li>[WorldWind.RELATIVE_TO_GROUND]{@link WorldWind#RELATIVE_TO_GROUND}</li>
+             *  <li>[WorldWind.CLAMP_TO_GROUND]{@link WorldWind#CLAMP_TO_GROUND}</li>
+             * </ul>
+             * @default WorldWind.ABSOLUTE
+             * @memberof GltfScene.prototype
+             * @type {String}
+             */
+            altitudeMode: {
+                get: function () {
+                    return this._altitudeMode;
+                },
+                set: function (value) {
+                    this._altitudeMode = value;
+                }
+            },
+
+            /**
+             * The scene's transformation matrix containing the local coordinate system at the position, the
+             * orientation, the scale and the conversion of the model's +Y up axis to the +Z up axis.
+             * @memberof GltfScene.prototype
+             * @type {Matrix}
+             */
+            transformationMatrix: {
+                get: function () {
+                    return this._transformationMatrix;
+                },
+                set: function (value) {
+                    this._transformationMatrix = value;
+                }
+            }
+        });
+
+        // Internal. Intentionally not documented.
+        GltfScene.prototype.render = function (dc) {
+            var orderedScene;
+
+            if (!this.enabled) {
+                return;
+            }
+
+            if (this.lastFrameTime !== dc.timestamp) {
+                orderedScene = this.makeOrderedRenderable(dc);
+            }
+
+            if (!orderedScene) {
+                return;
+            }
+
+            orderedScene.layer = dc.currentLayer;
+
+            this.lastFrameTime = dc.timestamp;
+
+            dc.addOrderedRenderable(orderedScene);
+        };
+
+        // Internal. Intentionally not documented.
+        GltfScene.prototype.makeOrderedRenderable = function (dc) {
+            dc.surfacePointForMode(this.position.latitude, this.position.longitude, this.position.altitude,
+                this.altitudeMode, this.placePoint);
+
+            this.eyeDistance = dc.eyePoint.distanceTo(this.placePoint);
+
+            return this;
+        };
+
+        // Internal. Intentionally not documented.
+        GltfScene.prototype.renderOrdered = function (dc) {
+            this.drawOrderedScene(dc);
+
+            if (dc.pickingMode) {
+                var po = new PickedObject(this.pickColor.clone(), this,
+                    this.position, this.layer, false);
+
+                dc.resolvePick(po);
+            }
+        };
+
+        // Internal. Intentionally not documented.
+        GltfScene.prototype.drawOrderedScene = function (dc) {
+            this.beginDrawing(dc);
+
+            try {
+                this.doDrawOrderedScene(dc);
+            }
+            finally {
+                this.endDrawing(dc);
+            }
+        };
+
+        // Internal. Intentionally not documented.
+        GltfScene.prototype.beginDrawing = function (dc) {
+            var gl = dc.currentGlContext;
+
+            dc.findAndBindProgram(BasicTextureProgram);
+
+            gl.enable(gl.DEPTH_TEST);
+        };
+
+        // Internal. Intentionally not documented.
+        GltfScene.prototype.doDrawOrderedScene = function (dc) {
+            if (dc.pickingMode) {
+                this.pickColor = dc.uniquePickColor();
+            }
+
+            this.computeTransformationMatrix(dc.globe);
+
+            for (var i = 0, nodesLen = this.nodes.length; i < nodesLen; i++) {
+                this.traverseNodeTree(dc, this.nodes[i]);
+            }
+        };
+
+        // Internal. Intentionally not documented.
+        GltfScene.prototype.traverseNodeTree = function (dc, node) {
+            if (node.mesh !== null && this.meshes[node.mesh]) {
+                var primitives = this.meshes[node.mesh].primitives,
+                    modelMatrix = Matrix.fromIdentity().setToMultiply(this.transformationMatrix, node.worldMatrix);
+
+                for (var i = 0, primitivesLen = primitives.length; i < primitivesLen; i++) {
+                    var material = primitives[i].material !== null ? this.materials[primitives[i].material] : null;
+                    this.draw(dc, primitives[i], material, modelMatrix);
+                }
+            }
+
+            for (var k = 0; k < node.children.length; k++) {
+                this.traverseNodeTree(dc, node.children[k]);
+            }
+        };
+
+        // Internal. Intentionally not documented.
+        GltfScene.prototype.draw = function (dc, buffers, material, modelMatrix) {
+            var gl = dc.currentGlContext,
+                program = dc.currentProgram;
+
+            if (material && material.doubleSided) {
+                gl.disable(gl.CULL_FACE);
+            } else {
+                gl.enable(gl.CULL_FACE);
+            }
+
+            this.applyVertices(dc, buffers);
+
+            program.loadTextureEnabled(gl, false);
+
+            this.applyColor(dc, material);
+
+            var hasTexture = !!(material && material.baseColorTexture && buffers.uvs && buffers.uvs.length > 0);
+            if (hasTexture) {
+                this.applyTexture(dc, buffers, material);
+            }
+
+            var hasLighting = !!(buffers.normals && buffers.normals.length > 0);
+            if (hasLighting && !dc.pickingMode) {
+                this.applyLighting(dc, buffers);
+            }
+
+            this.applyMatrix(dc, hasLighting, hasTexture, modelMatrix);
+
+            if (buffers.indexedRendering) {
+                this.applyIndices(dc, buffers);
+                gl.drawElements(gl.TRIANGLES, buffers.indices.length, gl.UNSIGNED_SHORT, 0);
+            }
+            else {
+                gl.drawArrays(gl.TRIANGLES, 0, Math.floor(buffers.vertices.length / 3));
+            }
+
+            this.resetDraw(dc, hasLighting, hasTexture);
+        };
+
+        // Internal. Intentionally not documented.
+        GltfScene.prototype.applyVertices = function (dc, buffers) {
+            var gl = dc.currentGlContext,
+                program = dc.currentProgram,
+                vboId = this.bufferVbo(dc, buffers, 'vertices', gl.ARRAY_BUFFER);
+
+            gl.bindBuffer(gl.ARRAY_BUFFER, vboId);
+            gl.enableVertexAttribArray(program.vertexPointLocation);
+            gl.vertexAttribPointer(program.vertexPointLocation, 3, gl.FLOAT, false, 0, 0);
+        };
+
+        // Internal. Intentionally not documented.
+        GltfScene.prototype.applyColor = function (dc, material) {
+            var gl = dc.currentGlContext,
+                program = dc.currentProgram,
+                baseColor = material ? material.baseColorFactor : [1, 1, 1, 1],
+                a = material && material.alphaMode === 'BLEND' ? baseColor[3] : 1,
+                color = new Color(baseColor[0], baseColor[1], baseColor[2], a),
+                opacity = a * this.layer.opacity;
+
+            gl.depthMask(opacity >= 1 || dc.pickingMode);
+            program.loadColor(gl, dc.pickingMode ? this.pickColor : color);
+            program.loadOpacity(gl, dc.pickingMode ? (opacity > 0 ? 1 : 0) : opacity);
+        };
+
+        // Internal. Intentionally not documented.
+        GltfScene.prototype.applyTexture = function (dc, buffers, material) {
+            var gl = dc.currentGlContext,
+                program = dc.currentProgram,
+                texture = material.baseColorTexture,
+                textureBound, vboId;
+
+            this._activeTexture = dc.gpuResourceCache.resourceForKey(texture.url);
+            if (!this._activeTexture) {
+                this._activeTexture = dc.gpuResourceCache.retrieveTexture(gl, texture.url,
+                    texture.isClamp ? gl.CLAMP_TO_EDGE : gl.REPEAT);
+            }
+            textureBound = this._activeTexture && this._activeTexture.bind(dc);
+
+            if (textureBound) {
+                vboId = this.bufferVbo(dc, buffers, 'uvs', gl.ARRAY_BUFFER);
+
+                gl.bindBuffer(gl.ARRAY_BUFFER, vboId);
+                program.loadTextureEnabled(gl, true);
+                gl.enableVertexAttribArray(program.vertexTexCoordLocation);
+                gl.vertexAttribPointer(program.vertexTexCoordLocation, 2, gl.FLOAT, false, 0, 0);
+                program.loadTextureUnit(gl, gl.TEXTURE0);
+                program.loadModulateColor(gl, dc.pickingMode);
+            }
+        };
+
+        // Internal. Intentionally not documented.
+        GltfScene.prototype.applyLighting = function (dc, buffers) {
+            var gl = dc.currentGlContext,
+                program = dc.currentProgram,
+                vboId = this.bufferVbo(dc, buffers, 'normals', gl.ARRAY_BUFFER);
+
+            program.loadApplyLighting(gl, true);
+            gl.bindBuffer(gl.ARRAY_BUFFER, vboId);
+            gl.enableVertexAttribArray(program.normalVectorLocation);
+            gl.vertexAttribPointer(program.normalVectorLocation, 3, gl.FLOAT, false, 0, 0);
+        };
+
+        // Internal. Intentionally not documented.
+        GltfScene.prototype.applyMatrix = function (dc, hasLighting, hasTexture, modelMatrix) {
+            var mvpMatrix = Matrix.fromIdentity();
+
+            mvpMatrix.copy(dc.modelviewProjection);
+            mvpMatrix.multiplyMatrix(modelMatrix);
+
+            if (hasLighting && !dc.pickingMode) {
+                var normalMatrix = Matrix.fromIdentity();
+
+                normalMatrix.copy(dc.modelviewNormalTransform);
+                normalMatrix.multiplyMatrix(GltfScene.normalMatrix(modelMatrix));
+
+                dc.currentProgram.loadModelviewInverse(dc.currentGlContext, normalMatrix);
+            }
+
+            if (hasTexture && this._activeTexture) {
+                dc.currentProgram.loadTextureMatrix(dc.currentGlContext, this._texCoordMatrix);
+                this._activeTexture = null;
+            }
+
+            dc.currentProgram.loadModelviewProjection(dc.currentGlContext, mvpMatrix);
+        };
+
+        // Internal. Intentionally not documented.
+        GltfScene.prototype.applyIndices = function (dc, buffers) {
+            var gl = dc.currentGlContext;
+
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.bufferVbo(dc, buffers, 'indices', gl.ELEMENT_ARRAY_BUFFER));
+        };
+
+        // Internal. Intentionally not documented.
+        // Returns the VBO of the named buffer of the primitive, creating and loading it when it isn't cached.
+        GltfScene.prototype.bufferVbo = function (dc, buffers, name, target) {
+            var gl = dc.currentGlContext,
+                cacheKeys = buffers.vboCacheKeys || (buffers.vboCacheKeys = {});
+
+            if (!cacheKeys[name]) {
+                cacheKeys[name] = dc.gpuResourceCache.generateCacheKey();
+            }
+
+            var vboId = dc.gpuResourceCache.resourceForKey(cacheKeys[name]);
+            if (!vboId) {
+                vboId = gl.createBuffer();
+                dc.gpuResourceCache.putResource(cacheKeys[name], vboId, buffers[name].byteLength);
+                gl.bindBuffer(target, vboId);
+                gl.bufferData(target, buffers[name], gl.STATIC_DRAW);
+                dc.frameStatistics.incrementVboLoadCount(1);
+            }
+
+            return vboId;
+        };
+
+        // Internal. Intentionally not documented.
+        GltfScene.prototype.resetDraw = function (dc, hasLighting, hasTexture) {
+            var gl = dc.currentGlContext,
+                program = dc.currentProgram;
+
+            if (hasLighting && !dc.pickingMode) {
+                program.loadApplyLighting(gl, false);
+                gl.disableVertexAttribArray(program.normalVectorLocation);
+            }
+
+            if (hasTexture) {
+                gl.disableVertexAttribArray(program.vertexTexCoordLocation);
+            }
+
+            gl.disableVertexAttribArray(program.vertexPointLocation);
+        };
+
+        // Internal. Intentionally not documented.
+        GltfScene.prototype.endDrawing = function (dc) {
+            var gl = dc.currentGlContext;
+
+            gl.enable(gl.CULL_FACE);
+            dc.bindProgram(null);
+        };
+
+        /**
+         * Computes the transformation matrix of the scene for the current place point. The model is oriented by
+         * its heading, tilt and roll in the local coordinate system at the place point, whose x axis points east,
+         * y axis north and z axis up.
+         * @param {Globe} globe The globe the scene is displayed on.
+         */
+        GltfScene.prototype.computeTransformationMatrix = function (globe) {
+            this.transformationMatrix = Matrix.fromIdentity();
+
+            this.transformationMatrix.multiplyByLocalCoordinateTransform(this.placePoint, globe);
+
+            // The heading is clockwise while the rotation around the z axis is counterclockwise.
+            this.transformationMatrix.multiplyByRotation(0, 0, 1, -this.heading);
+            this.transformationMatrix.multiplyByRotation(1, 0, 0, this.tilt);
+            this.transformationMatrix.multiplyByRotation(0, 1, 0, this.roll);
+
+            this.transformationMatrix.multiplyByScale(this.scale, this.scale, this.scale);
+
+            // The up axis of glTF is +Y.
+            this.transformationMatrix.multiplyByRotation(1, 0, 0, 90);
+        };
+
+        /**
+         * Computes the matrix transforming the normals by the model matrix. It is the inverse transpose of the
+         * model matrix's rotation and scale, scaled so that the uniformly scaled normals keep their length.
+         * @param {Matrix} modelMatrix The model matrix.
+         * @returns {Matrix} The normal matrix.
+         */
+        GltfScene.normalMatrix = function (modelMatrix) {
+            var m = modelMatrix,
+                c11 = m[5] * m[10] - m[6] * m[9],
+                c12 = m[6] * m[8] - m[4] * m[10],
+                c13 = m[4] * m[9] - m[5] * m[8],
+                c21 = m[2] * m[9] - m[1] * m[10],
+                c22 = m[0] * m[10] - m[2] * m[8],
+                c23 = m[1] * m[8] - m[0] * m[9],
+                c31 = m[1] * m[6] - m[2] * m[5],
+                c32 = m[2] * m[4] - m[0] * m[6],
+                c33 = m[0] * m[5] - m[1] * m[4],
+                det = m[0] * c11 + m[1] * c12 + m[2] * c13,
+                // The cofactor matrix is the inverse transpose multiplied by the determinant.
+                s = det !== 0 ? 1 / (Math.sign(det) * Math.pow(Math.abs(det), 2 / 3)) : 1;
+
+            return new Matrix(
+                c11 * s, c12 * s, c13 * s, 0,
+                c21 * s, c22 * s, c23 * s, 0,
+                c31 * s, c32 * s, c33 * s, 0,
+                0, 0, 0, 1);
+        };
+
+        return GltfScene;
+    });
\ No newline at end of file
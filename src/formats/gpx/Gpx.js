@@ -0,0 +1,410 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports Gpx
+ */
+define([
+        '../../error/ArgumentError',
+        '../../util/Logger',
+        '../../shapes/Path',
+        '../../shapes/Placemark',
+        '../../shapes/PlacemarkAttributes',
+        '../../geom/Position',
+        '../../layer/RenderableLayer',
+        '../../shapes/ShapeAttributes',
+        '../../util/XmlDocument'
+    ],
+    function (ArgumentError,
+              Logger,
+              Path,
+              Placemark,
+              PlacemarkAttributes,
+              Position,
+              RenderableLayer,
+              ShapeAttributes,
+              XmlDocument) {
+        "use strict";
+
+        /**
+         * Constructs a GPX object for a specified GPX document or the URL of the document. Call
+         * [load]{@link Gpx#load} to retrieve the document and create shapes for it.
+         * @alias Gpx
+         * @constructor
+         * @classdesc Parses a GPX document and creates shapes representing its contents. The waypoints (wpt) are
+         * represented by [Placemarks]{@link Placemark}. The routes (rte) and each segment of the tracks (trk) are
+         * represented by [Paths]{@link Path}. The points with elevation (ele) are displayed at the absolute altitude,
+         * the others are clamped to the ground.
+         * <p>
+         * The name, description and timestamps of the GPX elements are stored in the userProperties of the shapes.
+         * The userProperties contain:
+         * <ul>
+         *     <li>type - The name of the GPX element, i.e. wpt, rte or trk.</li>
+         *     <li>name - The name of the element, if any.</li>
+         *     <li>description - The description of the element, if any.</li>
+         *     <li>time - The Date of the waypoint, if any. Only for the Placemarks.</li>
+         *     <li>times - The Dates of the points, null for the points without time. Only for the Paths.</li>
+         *     <li>timeRange - The first and the last of the times in milliseconds as {from: Number, to: Number}.
+         *     It is null when there is no time.</li>
+         * </ul>
+         * The timeRange is used by [applyTimeInterval]{@link Gpx#applyTimeInterval} to display only the shapes
+         * within a time interval.
+         * <p>
+         * The simplest possible usage is:<br/>
+         * var layer = new WorldWind.RenderableLayer();<br/>
+         * var gpx = new WorldWind.Gpx('data/route.gpx');<br/>
+         * gpx.load(null, null, layer);<br/>
+         * wwd.addLayer(layer);<br/>
+         * @param {String} dataSource The GPX document or the URL of the document.
+         * @throws {ArgumentError} If the specified data source is null or undefined.
+         */
+        var Gpx = function (dataSource) {
+            if (!dataSource) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "Gpx", "constructor", "missingDataSource"));
+            }
+
+            this._dataSource = dataSource;
+
+            this._parserCompletionCallback = null;
+
+            this._shapeConfigurationCallback = this.defaultShapeConfigurationCallback;
+
+            this._layer = null;
+
+            this._shapes = [];
+
+            this.defaultPlacemarkAttributes = new PlacemarkAttributes(null);
+
+            this.defaultShapeAttributes = new ShapeAttributes(null);
+        };
+
+        Object.defineProperties(Gpx.prototype, {
+            /**
+             * The GPX document or the URL of the document as specified to this object's constructor.
+             * @memberof Gpx.prototype
+             * @type {String}
+             * @readonly
+             */
+            dataSource: {
+                get: function () {
+                    return this._dataSource;
+                }
+            },
+
+            /**
+             * The completion callback specified to [load]{@link Gpx#load}. It is called with this object as its
+             * single argument once all the shapes have been added to the layer.
+             * @memberof Gpx.prototype
+             * @type {Function}
+             * @readonly
+             */
+            parserCompletionCallback: {
+                get: function () {
+                    return this._parserCompletionCallback;
+                }
+            },
+
+            /**
+             * The shape configuration callback specified to [load]{@link Gpx#load}.
+             * See that method's description for details.
+             * @memberof Gpx.prototype
+             * @type {Function}
+             * @default [defaultShapeConfigurationCallback]{@link Gpx#defaultShapeConfigurationCallback}
+             * @readonly
+             */
+            shapeConfigurationCallback: {
+                get: function () {
+                    return this._shapeConfigurationCallback;
+                }
+            },
+
+            /**
+             * The layer containing the shapes created for this GPX, as specified to [load]{@link Gpx#load}.
+             * @memberof Gpx.prototype
+             * @type {RenderableLayer}
+             * @readonly
+             */
+            layer: {
+                get: function () {
+                    return this._layer;
+                }
+            },
+
+            /**
+             * The Placemarks and Paths created for this GPX in the order of the GPX elements.
+             * @memberof Gpx.prototype
+             * @type {Renderable[]}
+             * @readonly
+             */
+            shapes: {
+                get: function () {
+                    return this._shapes;
+                }
+            }
+        });
+
+        /**
+         * Retrieves the GPX document if needed, parses it and adds the shapes created for it to the layer.
+         * @param {Function} parserCompletionCallback An optional function called when the GPX loading is complete
+         * and all the shapes have been added to the layer.
+         * @param {Function} shapeConfigurationCallback An optional function called just prior to creating a shape
+         * for a GPX element. Its single argument is the object which becomes the userProperties of the shape as
+         * described in the class description. It returns the configuration of the shape, which can contain
+         * attributes, highlightAttributes, pickDelegate and name. The name is used as the label of the Placemarks
+         * and the display name of all the shapes.
+         * @param {RenderableLayer} layer The layer to hold the shapes. If null, a new layer is created and assigned
+         * to this object's [layer]{@link Gpx#layer} property.
+         */
+        Gpx.prototype.load = function (parserCompletionCallback, shapeConfigurationCallback, layer) {
+            if (parserCompletionCallback) {
+                this._parserCompletionCallback = parserCompletionCallback;
+            }
+
+            if (shapeConfigurationCallback) {
+                this._shapeConfigurationCallback = shapeConfigurationCallback;
+            }
+
+            this._layer = layer || new RenderableLayer();
+
+            if (/^\s*</.test(this.dataSource)) {
+                this.handle(this.dataSource);
+            } else {
+                this.requestUrl(this.dataSource);
+            }
+        };
+
+        /**
+         * The default [shapeConfigurationCallback]{@link Gpx#shapeConfigurationCallback} for this GPX. It assigns
+         * the shared default attributes to the shapes and uses the name of the GPX element as the name of the shape.
+         * @param {Object} properties The properties of the GPX element as described in the class description.
+         * @returns {Object} The configuration of the shape.
+         */
+        Gpx.prototype.defaultShapeConfigurationCallback = function (properties) {
+            var configuration = {};
+
+            if (properties.name) {
+                configuration.name = properties.name;
+            }
+
+            if (properties.type === 'wpt') {
+                configuration.attributes = this.defaultPlacemarkAttributes;
+            } else {
+                configuration.attributes = this.defaultShapeAttributes;
+            }
+
+            return configuration;
+        };
+
+        /**
+         * Displays only the shapes whose timeRange is within the specified time interval. The shapes without time
+         * are always displayed. The rules are the same as for the currentTimeInterval of the layers displaying KML.
+         * @param {Number[]} interval The start and the end of the interval in milliseconds. When not specified, the
+         * currentTimeInterval of the layer is used. All the shapes are displayed when there is neither.
+         */
+        Gpx.prototype.applyTimeInterval = function (interval) {
+            interval = interval || (this.layer && this.layer.currentTimeInterval);
+
+            this.shapes.forEach(function (shape) {
+                var timeRange = shape.userProperties.timeRange;
+                shape.enabled = !interval || !timeRange ||
+                    (timeRange.from >= interval[0] && timeRange.from <= interval[1] && timeRange.to <= interval[1]);
+            });
+        };
+
+        // Internal. Parses the GPX document and adds the shapes created for it to the layer.
+        Gpx.prototype.handle = function (text) {
+            var document;
+            try {
+                document = new XmlDocument(text).dom();
+            } catch (e) {
+                Logger.log(Logger.LEVEL_SEVERE, "Invalid GPX document: " + e.message);
+                return;
+            }
+
+            var root = document.documentElement,
+                waypoints = childElements(root, 'wpt'),
+                routes = childElements(root, 'rte'),
+                tracks = childElements(root, 'trk'),
+                i, j;
+
+            for (i = 0; i < waypoints.length; i++) {
+                this.addWaypoint(waypoints[i]);
+            }
+
+            for (i = 0; i < routes.length; i++) {
+                this.addPath(routes[i], 'rte', childElements(routes[i], 'rtept'));
+            }
+
+            for (i = 0; i < tracks.length; i++) {
+                var segments = childElements(tracks[i], 'trkseg');
+                for (j = 0; j < segments.length; j++) {
+                    this.addPath(tracks[i], 'trk', childElements(segments[j], 'trkpt'));
+                }
+            }
+
+            this.layer.addRenderables(this.shapes);
+
+            if (this.parserCompletionCallback) {
+                this.parserCompletionCallback(this);
+            }
+        };
+
+        // Internal. Creates the Placemark for the wpt element.
+        Gpx.prototype.addWaypoint = function (element) {
+            var point = readPoint(element),
+                properties = readProperties(element, 'wpt');
+            properties.time = point.time;
+            properties.timeRange = point.time ? {from: point.time.valueOf(), to: point.time.valueOf()} : null;
+
+            var configuration = this.shapeConfigurationCallback(properties) || {},
+                placemark = new Placemark(point.position, false, configuration.attributes || null);
+            placemark.altitudeMode = point.hasElevation ? WorldWind.ABSOLUTE : WorldWind.CLAMP_TO_GROUND;
+            if (configuration.name) {
+                placemark.label = configuration.name;
+            }
+
+            this.configureShape(placemark, configuration, properties);
+        };
+
+        // Internal. Creates the Path for the points of the rte element or of the segment of the trk element.
+        Gpx.prototype.addPath = function (element, type, pointElements) {
+            if (pointElements.length === 0) {
+                return;
+            }
+
+            var points = pointElements.map(readPoint),
+                properties = readProperties(element, type),
+                hasElevation = points.every(function (point) {
+                    return point.hasElevation;
+                });
+            properties.times = points.map(function (point) {
+                return point.time;
+            });
+            properties.timeRange = timeRange(properties.times);
+
+            var configuration = this.shapeConfigurationCallback(properties) || {},
+                path = new Path(points.map(function (point) {
+                    return point.position;
+                }), configuration.attributes || null);
+            path.altitudeMode = hasElevation ? WorldWind.ABSOLUTE : WorldWind.CLAMP_TO_GROUND;
+            path.followTerrain = !hasElevation;
+
+            this.configureShape(path, configuration, properties);
+        };
+
+        // Internal. Applies the configuration and the properties to the shape and adds it to the shapes.
+        Gpx.prototype.configureShape = function (shape, configuration, properties) {
+            if (configuration.highlightAttributes) {
+                shape.highlightAttributes = configuration.highlightAttributes;
+            }
+            if (configuration.pickDelegate) {
+                shape.pickDelegate = configuration.pickDelegate;
+            }
+            if (configuration.name) {
+                shape.displayName = configuration.name;
+            }
+            shape.userProperties = properties;
+
+            this._shapes.push(shape);
+        };
+
+        // Internal. Retrieves the GPX document using XMLHttpRequest.
+        Gpx.prototype.requestUrl = function (url) {
+            var xhr = new XMLHttpRequest();
+
+            xhr.open("GET", url, true);
+            xhr.responseType = 'text';
+            xhr.onreadystatechange = (function () {
+                if (xhr.readyState === 4) {
+                    if (xhr.status === 200) {
+                        this.handle(xhr.response);
+                    }
+                    else {
+                        Logger.log(Logger.LEVEL_WARNING,
+                            "GPX retrieval failed (" + xhr.statusText + "): " + url);
+                    }
+                }
+            }).bind(this);
+
+            xhr.onerror = function () {
+                Logger.log(Logger.LEVEL_WARNING, "GPX retrieval failed: " + url);
+            };
+
+            xhr.ontimeout = function () {
+                Logger.log(Logger.LEVEL_WARNING, "GPX retrieval timed out: " + url);
+            };
+
+            xhr.send(null);
+        };
+
+        // Internal use only. Returns the child elements with the given local name.
+        function childElements(element, name) {
+            var result = [];
+            for (var node = element.firstChild; node; node = node.nextSibling) {
+                if (node.nodeType === 1 && (node.localName || node.nodeName) === name) {
+                    result.push(node);
+                }
+            }
+            return result;
+        }
+
+        // Internal use only. Returns the trimmed text of the child element with the given name or null.
+        function childText(element, name) {
+            var child = childElements(element, name)[0];
+            return child ? child.textContent.trim() : null;
+        }
+
+        // Internal use only. Reads the position, elevation and time of the wpt, rtept or trkpt element.
+        function readPoint(element) {
+            var elevation = childText(element, 'ele'),
+                time = childText(element, 'time'),
+                date = time ? new Date(time) : null,
+                hasElevation = elevation !== null && elevation !== '' && !isNaN(Number(elevation));
+
+            return {
+                position: new Position(
+                    Number(element.getAttribute('lat')),
+                    Number(element.getAttribute('lon')),
+                    hasElevation ? Number(elevation) : 0),
+                hasElevation: hasElevation,
+                time: date && !isNaN(date.valueOf()) ? date : null
+            };
+        }
+
+        // Internal use only. Reads the properties shared by the wpt, rte and trk elements.
+        function readProperties(element, type) {
+            return {
+                type: type,
+                name: childText(element, 'name'),
+                description: childText(element, 'desc')
+            };
+        }
+
+        // Internal use only. Returns the range of the times in milliseconds or null when there is no time.
+        function timeRange(times) {
+            var from = null, to = null;
+            times.forEach(function (time) {
+                if (time) {
+                    from = from === null ? time.valueOf() : Math.min(from, time.valueOf());
+                    to = to === null ? time.valueOf() : Math.max(to, time.valueOf());
+                }
+            });
+            return from === null ? null : {from: from, to: to};
+        }
+
+        return Gpx;
+    });
\ No newline at end of file
@@ -0,0 +1,198 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports GpxExporter
+ */
+define(['../../error/ArgumentError',
+        '../../util/Logger'
+    ],
+    function (ArgumentError,
+              Logger) {
+        "use strict";
+
+        /**
+         * Provides GPX exporter functions.
+         * The following renderables can be exported:
+         * <ul>
+         *     <li>WorldWind.Placemark as wpt</li>
+         *     <li>WorldWind.Path as trk with one trkseg or as rte when it was read from a GPX route</li>
+         * </ul>
+         * The altitude is exported as elevation unless the renderable is clamped to the ground. The name,
+         * description and timestamps are taken from the userProperties as created by {@link Gpx}.
+         * @exports GpxExporter
+         */
+        var GpxExporter = {
+
+            /**
+             * Exports a [Renderable]{@link Renderable} as GPX element. The result is the wpt, rte or trk element,
+             * which can be part of a GPX document.
+             * @param {Renderable} renderable The renderable to export.
+             * @throws {ArgumentError} If the specified renderable is null or undefined.
+             * @returns {String} GPX element.
+             */
+            exportRenderable: function (renderable) {
+                if (!renderable) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GpxExporter", "exportRenderable",
+                            "missingRenderable"));
+                }
+
+                if (renderable instanceof WorldWind.Placemark) {
+                    return this.exportPlacemark(renderable);
+                }
+                else if (renderable instanceof WorldWind.Path) {
+                    return this.exportPath(renderable);
+                }
+                else {
+                    Logger.log(Logger.LEVEL_WARNING, "Export renderable not implemented: " + renderable);
+                    return null;
+                }
+            },
+
+            /**
+             * Exports a list of [Renderable]{@link Renderable} as GPX document. The waypoints are written before
+             * the routes and the routes before the tracks as required by GPX.
+             * @param {Renderable[]} renderables The renderables to export.
+             * @param {String} name Optional name of the document.
+             * @throws {ArgumentError} If the specified renderables are null or undefined.
+             * @returns {String} GPX document.
+             */
+            exportRenderables: function (renderables, name) {
+                if (!renderables) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GpxExporter", "exportRenderables",
+                            "missingRenderables"));
+                }
+
+                var elements = {wpt: '', rte: '', trk: ''};
+                for (var i = 0; i < renderables.length; i++) {
+                    var exported = this.exportRenderable(renderables[i]);
+                    if (exported) {
+                        elements[exported.substring(1, 4)] += exported;
+                    }
+                }
+
+                var sb = '<?xml version="1.0" encoding="UTF-8"?>';
+                sb = sb + '<gpx xmlns="http://www.topografix.com/GPX/1/1" version="1.1" creator="WebWorldWind">';
+                if (name) {
+                    sb = sb + element('metadata', element('name', escape(name)));
+                }
+                sb = sb + elements.wpt + elements.rte + elements.trk;
+                sb = sb + '</gpx>';
+                return sb;
+            },
+
+            /**
+             * Exports a [Layer]{@link Layer} as GPX document.
+             * @param {Layer} layer The layer to export.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} GPX document.
+             */
+            exportLayer: function (layer) {
+                if (!layer) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GpxExporter", "exportLayer",
+                            "missingLayer"));
+                }
+
+                return this.exportRenderables(layer.renderables, layer.displayName);
+            },
+
+            /**
+             * Exports a [Placemark]{@link Placemark} as GPX wpt.
+             * @param {Placemark} renderable The Placemark object.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} GPX wpt.
+             */
+            exportPlacemark: function (renderable) {
+                if (!(renderable instanceof WorldWind.Placemark)) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GpxExporter", "exportPlacemark",
+                            "invalidTypeOfRenderable"));
+                }
+
+                var properties = renderable.userProperties || {};
+                return point('wpt', renderable.position, renderable.altitudeMode, properties.time,
+                    description(properties.name || renderable.label || renderable.displayName, properties.description));
+            },
+
+            /**
+             * Exports a [Path]{@link Path} as GPX trk with one trkseg. The Path is exported as rte when the type in
+             * its userProperties is rte.
+             * @param {Path} renderable The Path object.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} GPX trk or rte.
+             */
+            exportPath: function (renderable) {
+                if (!(renderable instanceof WorldWind.Path)) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GpxExporter", "exportPath",
+                            "invalidTypeOfRenderable"));
+                }
+
+                var properties = renderable.userProperties || {},
+                    isRoute = properties.type === 'rte',
+                    times = properties.times || [],
+                    points = '';
+                for (var i = 0; i < renderable.positions.length; i++) {
+                    points = points + point(isRoute ? 'rtept' : 'trkpt', renderable.positions[i],
+                        renderable.altitudeMode, times[i], '');
+                }
+
+                var content = description(properties.name || renderable.displayName, properties.description);
+                return isRoute ?
+                    element('rte', content + points) :
+                    element('trk', content + element('trkseg', points));
+            }
+        };
+
+        // Internal use only. Creates the element with given content.
+        function element(name, content) {
+            return '<' + name + '>' + content + '</' + name + '>';
+        }
+
+        // Internal use only. Escapes the characters which have special meaning in XML.
+        function escape(text) {
+            return String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        }
+
+        // Internal use only. Creates the wpt, rtept or trkpt element. The elevation and time precede the other
+        // content as required by GPX.
+        function point(name, position, altitudeMode, time, content) {
+            var sb = '<' + name + ' lat="' + position.latitude + '" lon="' + position.longitude + '">';
+            if (altitudeMode !== WorldWind.CLAMP_TO_GROUND && position.altitude !== undefined) {
+                sb = sb + element('ele', position.altitude);
+            }
+            if (time instanceof Date && !isNaN(time.valueOf())) {
+                sb = sb + element('time', time.toISOString());
+            }
+            sb = sb + content;
+            sb = sb + '</' + name + '>';
+            return sb;
+        }
+
+        // Internal use only. Creates the name and desc elements of the non empty values.
+        function description(name, desc) {
+            return (name ? element('name', escape(name)) : '') + (desc ? element('desc', escape(desc)) : '');
+        }
+
+        return GpxExporter;
+    });
\ No newline at end of file
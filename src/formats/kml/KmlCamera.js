@@ -15,11 +15,15 @@
  * limitations under the License.
  */
 define([
+    '../../geom/Angle',
     './KmlElements',
     './KmlAbstractView',
+    '../../geom/Location',
     './util/NodeTransformers'
-], function (KmlElements,
+], function (Angle,
+             KmlElements,
              KmlAbstractView,
+             Location,
              NodeTransformers) {
     "use strict";
 
@@ -144,6 +148,64 @@ define([
         }
     });
 
+    /**
+     * Computes the state of the look at navigator representing this view. The navigator looks at the point where
+     * the line of sight of the camera hits the surface. As the navigator can't look above the horizon, the tilt
+     * used for locating this point is limited to 89 degrees.
+     * @param globe {Globe} Globe used to retrieve the elevation below the camera.
+     * @returns {{latitude: Number, longitude: Number, range: Number, heading: Number, tilt: Number, roll: Number}}
+     *  Location the navigator looks at, its range and orientation.
+     */
+    KmlCamera.prototype.navigatorState = function (globe) {
+        var latitude = Number(this.kmlLatitude) || 0,
+            longitude = Number(this.kmlLongitude) || 0,
+            altitude = Number(this.kmlAltitude) || 0,
+            heading = Number(this.kmlHeading) || 0,
+            tilt = Math.min(Number(this.kmlTilt) || 0, 89),
+            roll = Number(this.kmlRoll) || 0;
+
+        // Only absolute altitude needs to be related to the terrain. Both clampToGround and relativeToGround are
+        // interpreted as relative to the ground for the Camera.
+        if (this.kmlAltitudeMode === WorldWind.ABSOLUTE && globe) {
+            altitude -= globe.elevationAtLocation(latitude, longitude);
+        }
+        altitude = Math.max(altitude, 1);
+
+        var tiltRadians = tilt * Angle.DEGREES_TO_RADIANS,
+            groundDistance = altitude * Math.tan(tiltRadians),
+            radius = globe ? globe.equatorialRadius : WorldWind.WGS84_SEMI_MAJOR_AXIS,
+            lookAtLocation = Location.greatCircleLocation(new Location(latitude, longitude), heading,
+                groundDistance / radius, new Location(0, 0));
+
+        return {
+            latitude: lookAtLocation.latitude,
+            longitude: lookAtLocation.longitude,
+            range: altitude / Math.cos(tiltRadians),
+            heading: heading,
+            tilt: tilt,
+            roll: roll
+        };
+    };
+
+    /**
+     * Moves the navigator of the WorldWindow to this Camera including its heading, tilt and roll.
+     * @param options {Object}
+     * @param options.wwd {WorldWindow} WorldWindow whose navigator is moved.
+     */
+    KmlCamera.prototype.update = function (options) {
+        if (options.wwd) {
+            var state = this.navigatorState(options.wwd.globe),
+                navigator = options.wwd.navigator;
+            navigator.lookAtLocation.latitude = state.latitude;
+            navigator.lookAtLocation.longitude = state.longitude;
+            navigator.range = state.range;
+            navigator.heading = state.heading;
+            navigator.tilt = state.tilt;
+            navigator.roll = state.roll;
+            options.wwd.redraw();
+        }
+    };
+
     /**
      * @inheritDoc
      */
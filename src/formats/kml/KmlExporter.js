@@ -0,0 +1,501 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports KmlExporter
+ */
+define(['../../error/ArgumentError',
+        '../../util/jszip',
+        '../../util/Logger',
+        '../../util/Promise'
+    ],
+    function (ArgumentError,
+              JsZip,
+              Logger,
+              Promise) {
+        "use strict";
+
+        /**
+         * Provides KML exporter functions.
+         * The following renderables can be exported:
+         * <ul>
+         *     <li>WorldWind.Placemark</li>
+         *     <li>WorldWind.SurfacePolyline</li>
+         *     <li>WorldWind.SurfacePolygon</li>
+         *     <li>WorldWind.SurfaceEllipse</li>
+         *     <li>WorldWind.SurfaceCircle</li>
+         *     <li>WorldWind.SurfaceRectangle</li>
+         *     <li>WorldWind.SurfaceSector</li>
+         *     <li>WorldWind.SurfaceImage</li>
+         *     <li>WorldWind.Path</li>
+         *     <li>WorldWind.Polygon</li>
+         * </ul>
+         * The attributes of the renderables are exported as inline styles of the Placemarks. The images used by
+         * the renderables are either referenced by their URL or bundled into the KMZ archive.
+         * @exports KmlExporter
+         */
+        var KmlExporter = {
+
+            /**
+             * Exports a [Renderable]{@link Renderable} as KML feature. The result is the Placemark or GroundOverlay
+             * element, which can be part of a KML document.
+             * @param {Renderable} renderable The renderable to export.
+             * @param {Object[]} resources Optional. If specified, the images used by the renderable are added to
+             * this list and referenced by their path within the KMZ archive.
+             * @throws {ArgumentError} If the specified renderable is null or undefined.
+             * @returns {String} KML feature.
+             */
+            exportRenderable: function (renderable, resources) {
+                if (!renderable) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportRenderable",
+                            "missingRenderable"));
+                }
+
+                if (renderable instanceof WorldWind.Placemark) {
+                    return this.exportPlacemark(renderable, resources);
+                }
+                else if (renderable instanceof WorldWind.SurfacePolyline) {
+                    return this.exportSurfacePolyline(renderable);
+                }
+                else if (renderable instanceof WorldWind.SurfacePolygon) {
+                    return this.exportSurfacePolygon(renderable);
+                }
+                else if (renderable instanceof WorldWind.SurfaceEllipse ||
+                    renderable instanceof WorldWind.SurfaceCircle ||
+                    renderable instanceof WorldWind.SurfaceRectangle ||
+                    renderable instanceof WorldWind.SurfaceSector) {
+                    return this.exportSurfaceShape(renderable);
+                }
+                else if (renderable instanceof WorldWind.SurfaceImage) {
+                    return this.exportSurfaceImage(renderable, resources);
+                }
+                else if (renderable instanceof WorldWind.Path) {
+                    return this.exportPath(renderable);
+                }
+                else if (renderable instanceof WorldWind.Polygon) {
+                    return this.exportPolygon(renderable);
+                }
+                else {
+                    Logger.log(Logger.LEVEL_WARNING, "Export renderable not implemented: " + renderable);
+                    return null;
+                }
+            },
+
+            /**
+             * Exports a list of [Renderable]{@link Renderable} as KML document.
+             * @param {Renderable[]} renderables The renderables to export.
+             * @param {String} name Optional name of the document.
+             * @param {Object[]} resources Optional. If specified, the images used by the renderables are added to
+             * this list and referenced by their path within the KMZ archive.
+             * @throws {ArgumentError} If the specified renderables are null or undefined.
+             * @returns {String} KML document.
+             */
+            exportRenderables: function (renderables, name, resources) {
+                if (!renderables) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportRenderables",
+                            "missingRenderables"));
+                }
+
+                var sb = '<?xml version="1.0" encoding="UTF-8"?>';
+                sb = sb + '<kml xmlns="http://www.opengis.net/kml/2.2">';
+                sb = sb + '<Document>';
+                if (name) {
+                    sb = sb + element('name', escape(name));
+                }
+                for (var i = 0; i < renderables.length; i++) {
+                    sb = sb + (this.exportRenderable(renderables[i], resources) || '');
+                }
+                sb = sb + '</Document>';
+                sb = sb + '</kml>';
+                return sb;
+            },
+
+            /**
+             * Exports a [Layer]{@link Layer} as KML document.
+             * @param {Layer} layer The layer to export.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} KML document.
+             */
+            exportLayer: function (layer) {
+                if (!layer) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportLayer",
+                            "missingLayer"));
+                }
+
+                return this.exportRenderables(layer.renderables, layer.displayName);
+            },
+
+            /**
+             * Exports a list of [Renderable]{@link Renderable} as KMZ archive. The images used by the renderables
+             * are retrieved and stored in the archive next to the document. The images which can't be retrieved
+             * stay referenced by their original URL. The Icons of the images without URL, which can't be encoded,
+             * are left out.
+             * @param {Renderable[]} renderables The renderables to export.
+             * @param {String} name Optional name of the document.
+             * @throws {ArgumentError} If the specified renderables are null or undefined.
+             * @returns {Promise} Promise resolved with the Blob containing the KMZ archive.
+             */
+            exportKmz: function (renderables, name) {
+                if (!renderables) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportKmz",
+                            "missingRenderables"));
+                }
+
+                var resources = [];
+                var document = this.exportRenderables(renderables, name, resources);
+
+                var zip = new JsZip();
+                return Promise.all(resources.map(function (resource) {
+                    return loadResource(resource.source).then(function (data) {
+                        zip.file(resource.path, data, {base64: typeof data === 'string'});
+                    }, function () {
+                        var icon = element('Icon', element('href', escape(resource.path)));
+                        if (typeof resource.source === 'string') {
+                            Logger.log(Logger.LEVEL_WARNING, "KmlExporter: Image can't be bundled: " +
+                                resource.source);
+                            document = document.split(icon).join(element('Icon',
+                                element('href', escape(resource.source))));
+                        } else {
+                            Logger.log(Logger.LEVEL_WARNING, "KmlExporter: Image can't be bundled, its Icon is " +
+                                "left out: " + resource.path);
+                            document = document.split(icon).join('');
+                        }
+                    });
+                })).then(function () {
+                    zip.file('doc.kml', document);
+                    return zip.generateAsync({type: 'blob', mimeType: 'application/vnd.google-earth.kmz'});
+                });
+            },
+
+            /**
+             * Exports a [Placemark]{@link Placemark} as KML Placemark with Point.
+             * @param {Placemark} renderable The Placemark object.
+             * @param {Object[]} resources Optional list of the images bundled into the KMZ archive.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} KML Placemark.
+             */
+            exportPlacemark: function (renderable, resources) {
+                if (!(renderable instanceof WorldWind.Placemark)) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportPlacemark",
+                            "invalidTypeOfRenderable"));
+                }
+
+                var attributes = renderable.attributes;
+                var style = '';
+                if (attributes) {
+                    var iconStyle = element('color', kmlColor(attributes.imageColor)) +
+                        element('scale', attributes.imageScale);
+                    var href = imageHref(attributes.imageSource, resources);
+                    if (href) {
+                        iconStyle = iconStyle + element('Icon', element('href', escape(href)));
+                    }
+                    style = element('IconStyle', iconStyle);
+                    if (attributes.labelAttributes) {
+                        style = style + element('LabelStyle',
+                            element('color', kmlColor(attributes.labelAttributes.color)) +
+                            element('scale', attributes.labelAttributes.scale));
+                    }
+                }
+
+                var point = element('altitudeMode', renderable.altitudeMode) +
+                    element('coordinates', coordinates([renderable.position]));
+                return placemark(renderable.label || renderable.displayName, style, element('Point', point));
+            },
+
+            /**
+             * Exports a [SurfacePolyline]{@link SurfacePolyline} as KML Placemark with LineString clamped to ground.
+             * @param {SurfacePolyline} renderable The SurfacePolyline object.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} KML Placemark.
+             */
+            exportSurfacePolyline: function (renderable) {
+                if (!(renderable instanceof WorldWind.SurfacePolyline)) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportSurfacePolyline",
+                            "invalidTypeOfRenderable"));
+                }
+
+                var lineString = element('tessellate', 1) +
+                    element('altitudeMode', WorldWind.CLAMP_TO_GROUND) +
+                    element('coordinates', coordinates(renderable.boundaries));
+                return placemark(renderable.displayName, shapeStyle(renderable.attributes),
+                    element('LineString', lineString));
+            },
+
+            /**
+             * Exports a [SurfacePolygon]{@link SurfacePolygon} as KML Placemark with Polygon clamped to ground.
+             * @param {SurfacePolygon} renderable The SurfacePolygon object.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} KML Placemark.
+             */
+            exportSurfacePolygon: function (renderable) {
+                if (!(renderable instanceof WorldWind.SurfacePolygon)) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportSurfacePolygon",
+                            "invalidTypeOfRenderable"));
+                }
+
+                return placemark(renderable.displayName, shapeStyle(renderable.attributes),
+                    polygon(renderable.boundaries, WorldWind.CLAMP_TO_GROUND, false));
+            },
+
+            /**
+             * Exports a [SurfaceEllipse]{@link SurfaceEllipse}, [SurfaceCircle]{@link SurfaceCircle},
+             * [SurfaceRectangle]{@link SurfaceRectangle} or [SurfaceSector]{@link SurfaceSector} as KML Placemark
+             * with Polygon clamped to ground. The boundaries are computed from the parameters of the shape, so the
+             * shape doesn't need to be rendered before.
+             * @param {SurfaceShape} renderable The SurfaceShape object.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} KML Placemark.
+             */
+            exportSurfaceShape: function (renderable) {
+                if (!(renderable instanceof WorldWind.SurfaceShape)) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportSurfaceShape",
+                            "invalidTypeOfRenderable"));
+                }
+
+                return placemark(renderable.displayName, shapeStyle(renderable.attributes),
+                    polygon(renderable.computeBoundariesOnGlobe(null), WorldWind.CLAMP_TO_GROUND, false));
+            },
+
+            /**
+             * Exports a [SurfaceImage]{@link SurfaceImage} as KML GroundOverlay. The Icon is left out when the image
+             * has neither URL nor path in the KMZ archive.
+             * @param {SurfaceImage} renderable The SurfaceImage object.
+             * @param {Object[]} resources Optional list of the images bundled into the KMZ archive.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} KML GroundOverlay.
+             */
+            exportSurfaceImage: function (renderable, resources) {
+                if (!(renderable instanceof WorldWind.SurfaceImage)) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportSurfaceImage",
+                            "invalidTypeOfRenderable"));
+                }
+
+                var sector = renderable.sector;
+                var alpha = Math.round(Math.max(0, Math.min(1, renderable.opacity)) * 255);
+                var sb = '<GroundOverlay>';
+                sb = sb + element('name', escape(renderable.displayName));
+                sb = sb + element('color', hex(alpha) + 'ffffff');
+                var href = imageHref(renderable.imageSource, resources);
+                if (href) {
+                    sb = sb + element('Icon', element('href', escape(href)));
+                } else {
+                    Logger.log(Logger.LEVEL_WARNING, "KmlExporter: Image without URL, its Icon is left out: " +
+                        renderable.displayName);
+                }
+                sb = sb + element('LatLonBox',
+                    element('north', sector.maxLatitude) +
+                    element('south', sector.minLatitude) +
+                    element('east', sector.maxLongitude) +
+                    element('west', sector.minLongitude));
+                sb = sb + '</GroundOverlay>';
+                return sb;
+            },
+
+            /**
+             * Exports a [Path]{@link Path} as KML Placemark with LineString.
+             * @param {Path} renderable The Path object.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} KML Placemark.
+             */
+            exportPath: function (renderable) {
+                if (!(renderable instanceof WorldWind.Path)) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportPath",
+                            "invalidTypeOfRenderable"));
+                }
+
+                var lineString = element('extrude', renderable.extrude ? 1 : 0) +
+                    element('tessellate', renderable.followTerrain ? 1 : 0) +
+                    element('altitudeMode', renderable.altitudeMode) +
+                    element('coordinates', coordinates(renderable.positions));
+                return placemark(renderable.displayName, shapeStyle(renderable.attributes),
+                    element('LineString', lineString));
+            },
+
+            /**
+             * Exports a [Polygon]{@link Polygon} as KML Placemark with Polygon.
+             * @param {Polygon} renderable The Polygon object.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} KML Placemark.
+             */
+            exportPolygon: function (renderable) {
+                if (!(renderable instanceof WorldWind.Polygon)) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportPolygon",
+                            "invalidTypeOfRenderable"));
+                }
+
+                return placemark(renderable.displayName, shapeStyle(renderable.attributes),
+                    polygon(renderable.boundaries, renderable.altitudeMode, renderable.extrude));
+            }
+        };
+
+        // Internal use only. Creates the element with given content.
+        function element(name, content) {
+            return '<' + name + '>' + content + '</' + name + '>';
+        }
+
+        // Internal use only. Escapes the characters which have special meaning in XML.
+        function escape(text) {
+            return String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        }
+
+        // Internal use only. Creates the Placemark with the inline style and geometry.
+        function placemark(name, style, geometry) {
+            var sb = '<Placemark>';
+            if (name) {
+                sb = sb + element('name', escape(name));
+            }
+            if (style) {
+                sb = sb + element('Style', style);
+            }
+            sb = sb + geometry;
+            sb = sb + '</Placemark>';
+            return sb;
+        }
+
+        // Internal use only. Creates the LineStyle and PolyStyle from the attributes of the shape.
+        function shapeStyle(attributes) {
+            if (!attributes) {
+                return '';
+            }
+
+            return element('LineStyle',
+                    element('color', kmlColor(attributes.outlineColor)) +
+                    element('width', attributes.outlineWidth)) +
+                element('PolyStyle',
+                    element('color', kmlColor(attributes.interiorColor)) +
+                    element('fill', attributes.drawInterior ? 1 : 0) +
+                    element('outline', attributes.drawOutline ? 1 : 0));
+        }
+
+        // Internal use only. Creates the Polygon from either one boundary or the list of boundaries. The first one
+        // of the list is the outer boundary, the others are holes.
+        function polygon(boundaries, altitudeMode, extrude) {
+            if (boundaries.length > 0 && !Array.isArray(boundaries[0])) {
+                boundaries = [boundaries];
+            }
+
+            var sb = '<Polygon>';
+            sb = sb + element('extrude', extrude ? 1 : 0);
+            sb = sb + element('altitudeMode', altitudeMode);
+            for (var i = 0; i < boundaries.length; i++) {
+                var ring = element('LinearRing', element('coordinates', coordinates(closed(boundaries[i]))));
+                sb = sb + element(i === 0 ? 'outerBoundaryIs' : 'innerBoundaryIs', ring);
+            }
+            sb = sb + '</Polygon>';
+            return sb;
+        }
+
+        // Internal use only. Returns the boundary whose last location is the same as the first one.
+        function closed(boundary) {
+            if (boundary.length === 0) {
+                return boundary;
+            }
+
+            var first = boundary[0], last = boundary[boundary.length - 1];
+            if (first.latitude === last.latitude && first.longitude === last.longitude) {
+                return boundary;
+            }
+            return boundary.concat([first]);
+        }
+
+        // Internal use only. Formats the locations as KML coordinates.
+        function coordinates(locations) {
+            return locations.map(function (location) {
+                return location.longitude + ',' + location.latitude +
+                    (location.altitude !== undefined ? ',' + location.altitude : '');
+            }).join(' ');
+        }
+
+        // Internal use only. Formats the color in the KML order of alpha, blue, green and red.
+        function kmlColor(color) {
+            return hex(color.alpha * 255) + hex(color.blue * 255) + hex(color.green * 255) + hex(color.red * 255);
+        }
+
+        // Internal use only. Formats the byte as two hexadecimal digits.
+        function hex(value) {
+            var result = Math.round(value).toString(16);
+            return result.length < 2 ? '0' + result : result;
+        }
+
+        // Internal use only. Returns the href of the image. When the resources are collected for the KMZ, the image
+        // is added to them and referenced by its path within the archive.
+        function imageHref(imageSource, resources) {
+            if (!imageSource) {
+                return null;
+            }
+
+            if (!resources) {
+                return typeof imageSource === 'string' ? imageSource : null;
+            }
+
+            for (var i = 0; i < resources.length; i++) {
+                if (resources[i].source === imageSource) {
+                    return resources[i].path;
+                }
+            }
+
+            var extension = typeof imageSource === 'string' &&
+                (/\.(png|jpe?g|gif|bmp)(\?.*)?$/i.exec(imageSource) || [])[1] || 'png';
+            var path = 'files/image' + resources.length + '.' + extension.toLowerCase();
+            resources.push({source: imageSource, path: path});
+            return path;
+        }
+
+        // Internal use only. Retrieves the data of the image either from the URL or from the ImageSource. The image
+        // of the ImageSource is encoded as PNG and returned as base64 string.
+        function loadResource(source) {
+            return new Promise(function (resolve, reject) {
+                if (typeof source !== 'string') {
+                    var canvas = document.createElement('canvas');
+                    canvas.width = source.image.width;
+                    canvas.height = source.image.height;
+                    canvas.getContext('2d').drawImage(source.image, 0, 0);
+                    resolve(canvas.toDataURL('image/png').split(',')[1]);
+                    return;
+                }
+
+                var request = new XMLHttpRequest();
+                request.open('GET', source, true);
+                request.responseType = 'arraybuffer';
+                request.onload = function () {
+                    if (this.status >= 200 && this.status < 400) {
+                        resolve(this.response);
+                    } else {
+                        reject(new Error(this.status));
+                    }
+                };
+                request.onerror = reject;
+                request.send();
+            });
+        }
+
+        return KmlExporter;
+    });
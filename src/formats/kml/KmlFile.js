@@ -30,6 +30,7 @@ define([
     './KmzFile',
     '../../util/Logger',
     '../../util/Promise',
+    './util/NetworkLinkControl',
     './util/RefreshListener',
     './util/RemoteFile',
     './util/StyleResolver',
@@ -46,6 +47,7 @@ define([
              KmzFile,
              Logger,
              Promise,
+             NetworkLinkControl,
              RefreshListener,
              RemoteFile,
              StyleResolver,
@@ -84,7 +86,7 @@ define([
             var loadedDocument = options.text;
             self._headers = options.headers;
 
-            if (!self.hasExtension("kmz", url)) {
+            if (!self.isKmz(url)) {
                 return loadedDocument;
             } else {
                 var kmzFile = new KmzFile(loadedDocument, self._fileCache);
@@ -112,7 +114,23 @@ define([
          */
         shapes: {
             get: function () {
-                return this._factory.all(this);
+                return this._factory.all(this).filter(function (shape) {
+                    return !(shape instanceof NetworkLinkControl);
+                });
+            }
+        },
+
+        /**
+         * NetworkLinkControl of the document. It controls the behavior of the file fetched by the NetworkLink.
+         * @type {NetworkLinkControl|null}
+         * @memberof KmlFile.prototype
+         * @readonly
+         */
+        kmlNetworkLinkControl: {
+            get: function () {
+                return this._factory.any(this, {
+                    name: NetworkLinkControl.prototype.getTagNames()
+                });
             }
         }
     });
@@ -123,16 +141,19 @@ define([
     KmlFile.prototype.render = function (dc, kmlOptions) {
         var self = this;
         kmlOptions = kmlOptions || {};
+        // The events are retrieved once, so that every shape has the chance to process the events relevant for it.
+        var activeEvents = this._listener.getActiveEvents();
         this.shapes.forEach(function (shape) {
             shape.render(dc, {
                 lastStyle: kmlOptions.lastStyle || null,
                 lastVisibility: kmlOptions.lastVisibility || null,
                 currentTimeInterval: kmlOptions.currentTimeInterval || null,
                 regionInvisible: kmlOptions.regionInvisible || null,
+                regionOpacity: kmlOptions.regionOpacity,
                 fileCache: self._fileCache,
                 styleResolver: self._styleResolver,
                 listener: self._listener,
-                activeEvents: self._listener.getActiveEvents()
+                activeEvents: activeEvents
             });
         });
     };
@@ -149,6 +170,18 @@ define([
         return WWUtil.endsWith(url, "." + extension);
     };
 
+    /**
+     * FOR INTERNAL USE ONLY.
+     * Returns a value indicating whether the URL represents KMZ archive. Either the URL ends with the kmz extension
+     * or it is the data URI of the KMZ archive nested in another one.
+     * @param url {String} Url to a file
+     * @returns {boolean} true if the file is KMZ archive otherwise false
+     * @private
+     */
+    KmlFile.prototype.isKmz = function (url) {
+        return this.hasExtension("kmz", url) || WWUtil.startsWith(url, "data:" + KmzFile.MIME_TYPES.kmz);
+    };
+
     /**
      * FOR INTERNAL USE ONLY.
      * Based on the information from the URL, return correct Remote object.
@@ -158,7 +191,7 @@ define([
     KmlFile.prototype.requestRemote = function (url) {
         var options = {};
         options.url = url;
-        if (this.hasExtension("kmz", url)) {
+        if (this.isKmz(url)) {
             options.zip = true;
         } else {
             options.ajax = true;
@@ -198,13 +231,22 @@ define([
     };
 
     /**
-     * This function returns expire time of this file in miliseconds.
-     * @returns {Number} miliseconds for this file to expire.
+     * This function returns expire time of this file in miliseconds. The expires element of the NetworkLinkControl
+     * takes precedence over the Expires HTTP header.
+     * @returns {Number|null} miliseconds for this file to expire or null if the file doesn't expire.
      */
     KmlFile.prototype.getExpired = function () {
-        var expireDate = new Date(this._headers.getRequestHeader("Expires"));
-        var currentDate = new Date();
-        return currentDate.getTime - expireDate.getTime();
+        var control = this.kmlNetworkLinkControl;
+        var expireDate = control && control.expires;
+        if (!expireDate && this._headers) {
+            var header = /^expires:\s*(.*)$/im.exec(this._headers);
+            expireDate = header && new Date(header[1]);
+        }
+
+        if (!expireDate || isNaN(expireDate.getTime())) {
+            return null;
+        }
+        return Math.max(0, expireDate.getTime() - new Date().getTime());
     };
 
     return KmlFile;
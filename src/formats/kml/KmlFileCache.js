@@ -25,6 +25,13 @@ define([], function () {
     var KmlFileCache = function () {
         this._rootFile = null;
         this._map = {};
+
+        // Urls of the files stored in the KMZ archive by their path within the archive.
+        this._archive = {};
+        // Path of the document within the KMZ archive. Relative hrefs are resolved against it.
+        this._documentPath = '';
+        // Files loaded by the NetworkLinks in the document by their absolute url.
+        this._linkedFiles = {};
     };
 
     /**
@@ -63,5 +70,113 @@ define([], function () {
         }
     };
 
+    /**
+     * Registers the file stored in the KMZ archive this document belongs to.
+     * @param path {String} Path of the file within the archive.
+     * @param url {String} Url used to retrieve the content of the file.
+     */
+    KmlFileCache.prototype.addArchiveFile = function (path, url) {
+        this._archive[normalize(path)] = url;
+    };
+
+    /**
+     * Sets the path of the document represented by this Cache within the KMZ archive. The relative hrefs used in
+     * the document are resolved against this path.
+     * @param path {String} Path of the document within the archive.
+     */
+    KmlFileCache.prototype.setDocumentPath = function (path) {
+        this._documentPath = normalize(path);
+    };
+
+    /**
+     * Shares the files of the KMZ archive registered in another Cache. It is used for the documents, which are
+     * stored in the same archive as the document referencing them.
+     * @param fileCache {KmlFileCache} Cache of the document containing the archive.
+     * @param url {String} Url of the document represented by this Cache.
+     * @returns {Boolean} true if the document is stored in the archive otherwise false.
+     */
+    KmlFileCache.prototype.shareArchive = function (fileCache, url) {
+        var path = fileCache.archivePath(url);
+        if (path === null) {
+            return false;
+        }
+
+        this._archive = fileCache._archive;
+        this._documentPath = path;
+        return true;
+    };
+
+    /**
+     * Returns the path within the KMZ archive of the file available at given url.
+     * @param url {String} Url of the file.
+     * @returns {String|null} Path of the file or null if the file isn't stored in the archive.
+     */
+    KmlFileCache.prototype.archivePath = function (url) {
+        for (var path in this._archive) {
+            if (this._archive.hasOwnProperty(path) && this._archive[path] === url) {
+                return path;
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Returns the url of the file stored in the KMZ archive referenced by the href. The href is resolved
+     * relative to the location of the document within the archive.
+     * @param href {String} Href as it is specified in the document.
+     * @returns {String|null} Url of the file or null if the archive doesn't contain it.
+     */
+    KmlFileCache.prototype.archiveUrl = function (href) {
+        var directory = this._documentPath.substring(0, this._documentPath.lastIndexOf('/') + 1);
+        return this._archive[normalize(directory + href)] || this._archive[normalize(href)] || null;
+    };
+
+    /**
+     * Registers the file loaded by the NetworkLink in the document. The Updates delivered by other NetworkLinks
+     * reference it by its url.
+     * @param url {String} Url from which the file was loaded.
+     * @param kmlFile {KmlFile} Loaded file.
+     */
+    KmlFileCache.prototype.addLinkedFile = function (url, kmlFile) {
+        this._linkedFiles[absolute(url)] = kmlFile;
+    };
+
+    /**
+     * Retrieves the file loaded by the NetworkLink in the document.
+     * @param url {String} Url from which the file was loaded.
+     * @returns {KmlFile|null} Loaded file or null if no NetworkLink loaded the file.
+     */
+    KmlFileCache.prototype.linkedFile = function (url) {
+        return this._linkedFiles[absolute(url)] || null;
+    };
+
+    // Internal use only. Resolves the url against the location of the current page, the same way the files are
+    // retrieved.
+    function absolute(url) {
+        var link = document.createElement('a');
+        link.href = url;
+        return link.href;
+    }
+
+    // Internal use only. Normalizes the path within the archive. It decodes the escaped characters, removes the
+    // dot segments and uses slashes as separators.
+    function normalize(path) {
+        try {
+            path = decodeURIComponent(path);
+        } catch (e) {
+            // The path isn't escaped.
+        }
+
+        var segments = [];
+        path.replace(/\\/g, '/').split('/').forEach(function (segment) {
+            if (segment === '..') {
+                segments.pop();
+            } else if (segment !== '.' && segment !== '') {
+                segments.push(segment);
+            }
+        });
+        return segments.join('/');
+    }
+
     return KmlFileCache; // Return actually object. This is singleton used throughout the whole application.
 });
\ No newline at end of file
@@ -15,11 +15,15 @@
  * limitations under the License.
  */
 define([
+    '../../geom/Angle',
     './KmlElements',
     './KmlObject',
+    '../../geom/Location',
     './util/NodeTransformers'
-], function (KmlElements,
+], function (Angle,
+             KmlElements,
              KmlObject,
+             Location,
              NodeTransformers) {
     "use strict";
 
@@ -104,6 +108,37 @@ define([
         }
     });
 
+    /**
+     * Returns the corners of the box rotated around its center by the rotation. The corners are in the
+     * counter-clockwise order starting with the lower-left corner of the image.
+     * @returns {Location[]} Corners of the rotated box.
+     */
+    KmlLatLonBox.prototype.locations = function () {
+        var north = this.kmlNorth, south = this.kmlSouth, east = this.kmlEast, west = this.kmlWest;
+        if (east < west) {
+            // The box crosses the antimeridian.
+            east += 360;
+        }
+
+        var rotation = (Number(this.kmlRotation) || 0) * Angle.DEGREES_TO_RADIANS,
+            sinRotation = Math.sin(rotation),
+            cosRotation = Math.cos(rotation),
+            centerLatitude = (north + south) / 2,
+            centerLongitude = (east + west) / 2,
+            // Longitudes are scaled, so that the box keeps its shape when rotated.
+            scale = Math.max(Math.cos(centerLatitude * Angle.DEGREES_TO_RADIANS), 1e-6),
+            halfWidth = (east - west) / 2 * scale,
+            halfHeight = (north - south) / 2;
+
+        return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(function (corner) {
+            var x = corner[0] * halfWidth, y = corner[1] * halfHeight;
+            return new Location(
+                centerLatitude + x * sinRotation + y * cosRotation,
+                Angle.normalizedDegreesLongitude(centerLongitude + (x * cosRotation - y * sinRotation) / scale)
+            );
+        });
+    };
+
     /**
      * @inheritDoc
      */
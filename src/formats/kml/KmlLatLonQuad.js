@@ -17,9 +17,11 @@
 define([
     './KmlElements',
     './KmlObject',
+    '../../geom/Location',
     './util/NodeTransformers'
 ], function (KmlElements,
              KmlObject,
+             Location,
              NodeTransformers) {
     "use strict";
 
@@ -60,6 +62,23 @@ define([
         }
     });
 
+    /**
+     * Returns the corners of the quadrilateral in the counter-clockwise order starting with the lower-left corner.
+     * @returns {Location[]} Corners of the quadrilateral. Empty when the coordinates don't contain four tuples.
+     */
+    KmlLatLonQuad.prototype.locations = function () {
+        var tuples = (this.kmlCoordinates || '').trim().split(/\s+/).filter(function (tuple) {
+            return tuple.length > 0;
+        });
+        if (tuples.length !== 4) {
+            return [];
+        }
+
+        return tuples.map(function (tuple) {
+            var values = tuple.split(',');
+            return new Location(Number(values[1]), Number(values[0]));
+        });
+    };
 
     /**
      * @inheritDoc
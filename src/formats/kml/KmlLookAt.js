@@ -152,6 +152,22 @@ define([
         }
     };
 
+    /**
+     * Computes the state of the look at navigator representing this view.
+     * @returns {{latitude: Number, longitude: Number, range: Number, heading: Number, tilt: Number, roll: Number}}
+     *  Location the navigator looks at, its range and orientation.
+     */
+    KmlLookAt.prototype.navigatorState = function () {
+        return {
+            latitude: this.kmlLatitude || 0,
+            longitude: this.kmlLongitude || 0,
+            range: this.kmlRange || 0,
+            heading: this.kmlHeading || 0,
+            tilt: this.kmlTilt || 0,
+            roll: 0
+        };
+    };
+
     /**
      * @inheritDoc
      */
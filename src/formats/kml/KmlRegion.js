@@ -15,6 +15,7 @@
  * limitations under the License.
  */
 define([
+    '../../geom/Angle',
     '../../geom/BoundingBox',
     '../../util/Color',
     './KmlElements',
@@ -22,17 +23,24 @@ define([
     './KmlLod',
     './KmlObject',
     './styles/KmlStyle',
+    '../../geom/Location',
     './util/NodeTransformers',
-    '../../geom/Sector'
-], function (BoundingBox,
+    '../../geom/Sector',
+    '../../geom/Vec3',
+    '../../util/WWMath'
+], function (Angle,
+             BoundingBox,
              Color,
              KmlElements,
              KmlLatLonAltBox,
              KmlLod,
              KmlObject,
              KmlStyle,
+             Location,
              NodeTransformers,
-             Sector) {
+             Sector,
+             Vec3,
+             WWMath) {
     "use strict";
 
     /**
@@ -103,6 +111,77 @@ define([
             (!box.kmlMaxAltitude || dc.eyePosition.altitude < box.kmlMaxAltitude);
     };
 
+    /**
+     * It tests whether the region is active. The region is active when it intersects the visible area and its
+     * projected size on the screen is within the limits given by the Lod.
+     * @param dc {DrawContext} Draw context associated with current processing.
+     * @returns {Boolean} true if the region is active.
+     */
+    KmlRegion.prototype.isActive = function (dc) {
+        if (!this.intersectsVisible(dc)) {
+            return false;
+        }
+
+        var lod = this.kmlLod;
+        if (!lod) {
+            return true;
+        }
+
+        var size = this.projectedSize(dc);
+        return size >= minLodPixels(lod) && size < maxLodPixels(lod);
+    };
+
+    /**
+     * Computes the size of the region projected on the screen. The size is the side of the square with the same
+     * area as the region has on the screen when seen from the current eye point.
+     * @param dc {DrawContext} Draw context associated with current processing.
+     * @returns {Number} Size of the region in pixels.
+     */
+    KmlRegion.prototype.projectedSize = function (dc) {
+        var box = this.kmlLatLonAltBox;
+        var sector = new Sector(box.kmlSouth, box.kmlNorth, box.kmlWest, box.kmlEast);
+        var centroid = sector.centroid(new Location(0, 0));
+        var altitude = ((box.kmlMinAltitude || 0) + (box.kmlMaxAltitude || 0)) / 2;
+
+        var center = dc.globe.computePointFromPosition(centroid.latitude, centroid.longitude, altitude,
+            new Vec3(0, 0, 0));
+        var radius = dc.globe.equatorialRadius + altitude;
+        var width = sector.deltaLongitude() * Angle.DEGREES_TO_RADIANS * radius *
+            Math.cos(centroid.latitude * Angle.DEGREES_TO_RADIANS);
+        var height = sector.deltaLatitude() * Angle.DEGREES_TO_RADIANS * radius;
+
+        // The distance is limited to avoid infinite size when the eye is in the center of the region.
+        var distance = Math.max(center.distanceTo(dc.eyePoint), 1);
+        return Math.sqrt(Math.abs(width * height)) / dc.pixelSizeAtDistance(distance);
+    };
+
+    /**
+     * Computes the opacity of the region following the fade extents of the Lod. The region fades in from the
+     * minLodPixels to minLodPixels + minFadeExtent and fades out from maxLodPixels - maxFadeExtent to maxLodPixels.
+     * @param dc {DrawContext} Draw context associated with current processing.
+     * @returns {Number} Opacity in the range from 0 to 1.
+     */
+    KmlRegion.prototype.fadeOpacity = function (dc) {
+        var lod = this.kmlLod;
+        if (!lod) {
+            return 1;
+        }
+
+        var size = this.projectedSize(dc),
+            min = minLodPixels(lod),
+            max = maxLodPixels(lod),
+            minFade = lod.kmlMinFadeExtent || 0,
+            maxFade = lod.kmlMaxFadeExtent || 0,
+            opacity = 1;
+        if (minFade > 0 && size < min + minFade) {
+            opacity = Math.min(opacity, (size - min) / minFade);
+        }
+        if (maxFade > 0 && isFinite(max) && size > max - maxFade) {
+            opacity = Math.min(opacity, (max - size) / maxFade);
+        }
+        return WWMath.clamp(opacity, 0, 1);
+    };
+
     /**
      * @inheritDoc
      */
@@ -110,6 +189,17 @@ define([
         return ['Region'];
     };
 
+    // Internal use only. The region is active from 0 pixels by default.
+    function minLodPixels(lod) {
+        return lod.kmlMinLodPixels || 0;
+    }
+
+    // Internal use only. The value -1, which is also the default, means that the region is active to infinite size.
+    function maxLodPixels(lod) {
+        var max = lod.kmlMaxLodPixels;
+        return (max == null || max === -1) ? Infinity : max;
+    }
+
     KmlElements.addKey(KmlRegion.prototype.getTagNames()[0], KmlRegion);
 
     return KmlRegion;
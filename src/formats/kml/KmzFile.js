@@ -40,45 +40,104 @@ define([
     };
 
     /**
-     * It loads the whole file and register all its contents. Version 0.1 uses file cache mechanism.
+     * It loads the whole file and register all its contents. The root document is returned as text. All other files
+     * are registered in the file cache by their path within the archive, so that the relative hrefs in the
+     * documents are resolved to them. This covers the imagery, models as well as the nested KML and KMZ files.
      * @returns Promise
      */
     KmzFile.prototype.load = function () {
         var self = this;
+        var root = null;
         var rootDocument = null;
-        var rootFound = false;
 
         return new JsZip().loadAsync(this._binary).then(function (zipFile) {
-            return Promise.all(Object.keys(zipFile.files).map(function (key) {
+            var files = Object.keys(zipFile.files).map(function (key) {
                 return zipFile.files[key];
-            }).map(function (file) {
-                if (self.hasExtension("kml", file.name) && !rootFound) {
-                    rootFound = true;
+            }).filter(function (file) {
+                return !file.dir;
+            });
 
+            root = self.findRoot(files);
+            if (!root) {
+                throw new Error("The KMZ archive doesn't contain any KML document.");
+            }
+
+            return Promise.all(files.map(function (file) {
+                if (file === root) {
                     return file.async("text")
                         .then(function (kmlTextRepresentation) {
                             rootDocument = kmlTextRepresentation;
                         });
-                } else if(self.hasExtension("kml", file.name)) {
-                    return file.async("base64")
-                        .then(function (kmlTextRepresentation) {
-                            return new WorldWind.KmlFile(kmlTextRepresentation).then(function(kmlFile){
-                                self._fileCache.add('href;' + file.name, kmlFile);
-                            });
-                        });
                 } else {
                     return file.async("base64")
-                        .then(function (mediaFile) {
-                            var dataURI = "data:image/jpeg;base64," + mediaFile;
-                            self._fileCache.add('href;' + file.name, dataURI);
+                        .then(function (content) {
+                            var dataURI = "data:" + self.mimeType(file.name) + ";base64," + content;
+                            self._fileCache.addArchiveFile(file.name, dataURI);
                         });
                 }
             }));
         }).then(function () {
+            self._fileCache.setDocumentPath(root.name);
+
             return rootDocument;
         });
     };
 
+    /**
+     * FOR INTERNAL USE ONLY.
+     * Returns the root document of the archive. It is the doc.kml file or the first KML file in the root of the
+     * archive. If there is no KML file in the root, the first KML file in the archive is used.
+     * @param files {Object[]} Files stored in the archive.
+     * @returns {Object|null} File containing the root document or null if there is no KML file in the archive.
+     * @private
+     */
+    KmzFile.prototype.findRoot = function (files) {
+        var documents = files.filter(function (file) {
+            return this.hasExtension("kml", file.name.toLowerCase());
+        }, this);
+        var rootDocuments = documents.filter(function (file) {
+            return file.name.indexOf('/') === -1;
+        });
+
+        for (var i = 0; i < rootDocuments.length; i++) {
+            if (rootDocuments[i].name.toLowerCase() === 'doc.kml') {
+                return rootDocuments[i];
+            }
+        }
+
+        return rootDocuments[0] || documents[0] || null;
+    };
+
+    /**
+     * FOR INTERNAL USE ONLY.
+     * Returns the MIME type of the file based on its extension.
+     * @param name {String} Name of the file.
+     * @returns {String} MIME type of the file.
+     * @private
+     */
+    KmzFile.prototype.mimeType = function (name) {
+        var extension = name.substring(name.lastIndexOf('.') + 1).toLowerCase();
+        return KmzFile.MIME_TYPES[extension] || "application/octet-stream";
+    };
+
+    /**
+     * MIME types of the files usually stored in the KMZ archive by their extension.
+     * @type {Object}
+     */
+    KmzFile.MIME_TYPES = {
+        bmp: "image/bmp",
+        dae: "model/vnd.collada+xml",
+        gif: "image/gif",
+        jpeg: "image/jpeg",
+        jpg: "image/jpeg",
+        kml: "application/vnd.google-earth.kml+xml",
+        kmz: "application/vnd.google-earth.kmz",
+        png: "image/png",
+        svg: "image/svg+xml",
+        tif: "image/tiff",
+        tiff: "image/tiff"
+    };
+
     /**
      * FOR INTERNAL USE ONLY.
      * Returns a value indicating whether the URL ends with the given extension.
@@ -0,0 +1,249 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    './KmlControls',
+    '../styles/KmlBalloonStyle',
+    '../../../geom/Vec3'
+], function (KmlControls,
+             KmlBalloonStyle,
+             Vec3) {
+    "use strict";
+
+    /**
+     * This class displays the balloons of the features picked by the click into the WorldWindow. The content of the
+     * balloon is HTML created from the text of the BalloonStyle of the feature, or from its name and description
+     * when the style doesn't specify any. The scripts, frames, event handlers and javascript: URLs are removed from
+     * the content, as it comes from the document. The balloon is HTML element placed over the WorldWindow, which
+     * follows the picked position and is closed either by its close button or by the click outside of the features.
+     * The balloon element has class kml-balloon and its close button class kml-balloon-close, so that user can
+     * specify the look and feel.
+     * @param wwd {WorldWindow} WorldWindow instance in which the features are picked.
+     * @constructor
+     * @augments KmlControls
+     * @alias KmlBalloons
+     * @classdesc Class for displaying the balloons of the features.
+     */
+    var KmlBalloons = function (wwd) {
+        KmlControls.apply(this);
+
+        this._wwd = wwd;
+        this._features = [];
+
+        this._element = null;
+        this._feature = null;
+        this._position = null;
+        this._altitudeMode = null;
+
+        var self = this;
+        wwd.addEventListener("click", function (event) {
+            self.handleClick(event);
+        });
+        wwd.redrawCallbacks.push(function (wwd, stage) {
+            if (stage === WorldWind.AFTER_REDRAW) {
+                self.updatePosition();
+            }
+        });
+    };
+
+    KmlBalloons.prototype = Object.create(KmlControls.prototype);
+
+    Object.defineProperties(KmlBalloons.prototype, {
+        /**
+         * Feature whose balloon is currently displayed. It is null when no balloon is open.
+         * @memberof KmlBalloons.prototype
+         * @readonly
+         * @type {KmlFeature}
+         */
+        feature: {
+            get: function () {
+                return this._feature;
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlBalloons.prototype.hook = function (node, options) {
+        if (options.isFeature) {
+            this._features.push(node);
+        }
+    };
+
+    // Internal use only. Opens the balloon of the picked feature or closes the current one.
+    KmlBalloons.prototype.handleClick = function (event) {
+        var pickPoint = this._wwd.canvasCoordinates(event.clientX, event.clientY);
+        var pickList = this._wwd.pick(pickPoint);
+
+        for (var index = 0; index < pickList.objects.length; index++) {
+            var picked = pickList.objects[index];
+            var feature = !picked.isTerrain && this.featureFor(picked.userObject);
+            if (feature) {
+                this.open(feature, picked.position, picked.userObject.altitudeMode);
+                return;
+            }
+        }
+
+        this.close();
+    };
+
+    /**
+     * Internal use only.
+     * It returns the feature which displays given shape. The shape is either the one of the feature or the one of
+     * its geometry. Shapes delegating the picking to the feature are also recognized.
+     * @param shape {Renderable} Picked shape.
+     * @returns {KmlFeature|null} The feature displayed by the shape.
+     */
+    KmlBalloons.prototype.featureFor = function (shape) {
+        for (var index = 0; index < this._features.length; index++) {
+            var feature = this._features[index];
+            if (feature === shape || feature._renderable === shape ||
+                (feature.kmlGeometry && displays(feature.kmlGeometry, shape))) {
+                return feature;
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Opens the balloon of the feature at given position. The balloon which was open before is closed. Nothing is
+     * displayed if the BalloonStyle of the feature hides the balloon.
+     * @param feature {KmlFeature} Feature whose balloon is opened.
+     * @param position {Position} Position at which the balloon points.
+     * @param altitudeMode {String} Altitude mode of the position. Defaults to absolute.
+     */
+    KmlBalloons.prototype.open = function (feature, position, altitudeMode) {
+        this.close();
+
+        var balloonStyle = feature.style && feature.style.normal && feature.style.normal.kmlBalloonStyle;
+        if (balloonStyle && balloonStyle.kmlDisplayMode === 'hide') {
+            return;
+        }
+
+        var element = document.createElement("div");
+        element.className = "kml-balloon";
+        element.style.position = "absolute";
+        element.style.transform = "translate(-50%, -100%)";
+        element.style.backgroundColor = balloonStyle && balloonStyle.backgroundColor() || "white";
+        element.style.color = balloonStyle && balloonStyle.foregroundColor() || "black";
+
+        var close = document.createElement("span");
+        close.className = "kml-balloon-close";
+        close.style.cursor = "pointer";
+        close.style.float = "right";
+        close.appendChild(document.createTextNode("\u00d7"));
+        var self = this;
+        close.addEventListener("click", function () {
+            self.close();
+        });
+        element.appendChild(close);
+
+        var content = document.createElement("div");
+        content.className = "kml-balloon-content";
+        content.appendChild(sanitize(KmlBalloonStyle.balloonText(feature, balloonStyle)));
+        element.appendChild(content);
+
+        this._wwd.canvas.parentNode.appendChild(element);
+
+        this._element = element;
+        this._feature = feature;
+        this._position = position;
+        this._altitudeMode = altitudeMode || WorldWind.ABSOLUTE;
+
+        this._wwd.redraw();
+    };
+
+    /**
+     * Closes the balloon, if there is any open.
+     */
+    KmlBalloons.prototype.close = function () {
+        if (!this._element) {
+            return;
+        }
+
+        this._element.parentNode.removeChild(this._element);
+        this._element = null;
+        this._feature = null;
+        this._position = null;
+    };
+
+    // Internal use only. Moves the balloon to the current screen position of its position on the globe.
+    KmlBalloons.prototype.updatePosition = function () {
+        if (!this._element) {
+            return;
+        }
+
+        var dc = this._wwd.drawContext, canvas = this._wwd.canvas;
+        var modelPoint = dc.surfacePointForMode(this._position.latitude, this._position.longitude,
+            this._position.altitude, this._altitudeMode, new Vec3(0, 0, 0));
+        var screenPoint = new Vec3(0, 0, 0);
+        if (!dc.project(modelPoint, screenPoint)) {
+            this._element.style.display = "none";
+            return;
+        }
+
+        this._element.style.display = "";
+        this._element.style.left = (canvas.offsetLeft + screenPoint[0]) + "px";
+        this._element.style.top = (canvas.offsetTop + this._wwd.viewport.height - screenPoint[1]) + "px";
+    };
+
+    // Internal use only. Decides whether the geometry or any of its parts is displayed by given shape.
+    function displays(geometry, shape) {
+        if (geometry._renderable === shape) {
+            return true;
+        }
+
+        var parts = geometry.kmlShapes || geometry.kmlTracks || [];
+        return parts.some(function (part) {
+            return displays(part, shape);
+        });
+    }
+
+    // Internal use only. Parses the HTML of the balloon in an inert document, so that nothing is run or loaded, and
+    // removes the elements, event handlers and javascript: URLs able to run scripts in the page.
+    function sanitize(html) {
+        var inert = document.implementation.createHTMLDocument("");
+        inert.body.innerHTML = html;
+
+        var removed = inert.body.querySelectorAll("script, iframe, frame, object, embed, base, meta, link");
+        for (var i = 0; i < removed.length; i++) {
+            removed[i].parentNode.removeChild(removed[i]);
+        }
+
+        var elements = inert.body.querySelectorAll("*");
+        for (i = 0; i < elements.length; i++) {
+            var attributes = Array.prototype.slice.call(elements[i].attributes);
+            attributes.forEach(function (attribute) {
+                var name = attribute.name.toLowerCase();
+                var value = attribute.value.replace(/[\s\u0000-\u001f]/g, '').toLowerCase();
+                if (name.indexOf('on') === 0 || value.indexOf('javascript:') === 0 ||
+                    value.indexOf('vbscript:') === 0 || (name !== 'src' && value.indexOf('data:') === 0)) {
+                    this.removeAttribute(attribute.name);
+                }
+            }, elements[i]);
+        }
+
+        var fragment = document.createDocumentFragment();
+        while (inert.body.firstChild) {
+            fragment.appendChild(document.importNode(inert.body.firstChild, true));
+            inert.body.removeChild(inert.body.firstChild);
+        }
+        return fragment;
+    }
+
+    return KmlBalloons;
+});
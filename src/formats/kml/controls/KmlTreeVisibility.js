@@ -16,9 +16,11 @@
  */
 define([
     '../../../util/WWUtil',
-    './KmlControls'
+    './KmlControls',
+    '../KmlFileCache'
 ], function (WWUtil,
-             KmlControls
+             KmlControls,
+             KmlFileCache
     ) {
     "use strict";
 
@@ -27,6 +29,10 @@ define([
      * some of the outside area with defined classes, so that user can specify the look and feel.
      * Important part of this effort is to allow user show/hide subset of the Features present in the document.
      * Implementing this functionality also simplifies the manual testing.
+     * The items follow the ListStyle of the Features. The listItemType decides how the visibility of the Feature and
+     * its children is controlled, the ItemIcon is displayed next to the name and the bgColor is used as the
+     * background of the item. Every item has the class kml-tree-item and its children are placed in the element with
+     * the class kml-tree-children.
      * @param visualElementId {String} Id of the element into which this will be rendered.
      * @param wwd {WorldWindow} WorldWindow instance necessary to control the redraw in the framework.
      * @constructor
@@ -39,6 +45,15 @@ define([
 
         this._visualElementId = visualElementId;
         this._wwd = wwd;
+        this._items = [];
+        this._fileCache = new KmlFileCache();
+
+        var self = this;
+        wwd.redrawCallbacks.push(function (wwd, stage) {
+            if (stage === WorldWind.AFTER_REDRAW) {
+                self.update();
+            }
+        });
     };
 
     KmlTreeVisibility.prototype = Object.create(KmlControls.prototype);
@@ -48,26 +63,55 @@ define([
      */
     KmlTreeVisibility.prototype.hook = function (node, options) {
         if(options.isFeature) {
-            this.createControls(node);
+            this.createControls(node, options.parent);
+        } else if(node._fileCache) {
+            // The KmlFile is hooked as well. Its cache is used to resolve the hrefs of the ItemIcons.
+            this._fileCache = node._fileCache;
         }
     };
 
+    /**
+     * It applies the ListStyle to the items whose style was resolved since the last update. The styles are
+     * resolved while the document is rendered, therefore it is called after every redraw.
+     */
+    KmlTreeVisibility.prototype.update = function () {
+        this._items.forEach(function (item) {
+            if (!item.styled && item.feature.style) {
+                item.styled = true;
+                this.applyListStyle(item, item.feature.style.normal && item.feature.style.normal.kmlListStyle);
+            }
+        }, this);
+    };
+
     // For internal use only.
-    KmlTreeVisibility.prototype.createControls = function (node) {
+    KmlTreeVisibility.prototype.createControls = function (node, parent) {
         var name = node.kmlName || node.id || WWUtil.guid();
-        var enabled = node.enabled && node.kmlVisibility === true;
+        var parentItem = this.item(parent);
+
+        var item = {
+            feature: node,
+            parent: parentItem,
+            enabled: node.enabled && node.kmlVisibility !== false,
+            listItemType: 'check',
+            styled: false
+        };
 
         var controlsForSingleElement = document.createElement("div");
+        controlsForSingleElement.className = "kml-tree-item";
 
         var toggleVisibility = document.createElement("input");
         toggleVisibility.setAttribute("type", "checkbox");
-        if (enabled) {
+        if (item.enabled) {
             toggleVisibility.setAttribute("checked", "checked");
         }
         toggleVisibility.addEventListener("click", toggleVisibilityOfElement, true);
 
         controlsForSingleElement.appendChild(toggleVisibility);
 
+        var icon = document.createElement("img");
+        icon.style.display = "none";
+        controlsForSingleElement.appendChild(icon);
+
         var lookAtName;
         if (node.kmlAbstractView) {
             lookAtName = document.createElement("a");
@@ -79,13 +123,29 @@ define([
 
         controlsForSingleElement.appendChild(lookAtName);
 
-        document.getElementById(this._visualElementId).appendChild(controlsForSingleElement);
+        var children = document.createElement("div");
+        children.className = "kml-tree-children";
+        controlsForSingleElement.appendChild(children);
+
+        item.element = controlsForSingleElement;
+        item.input = toggleVisibility;
+        item.icon = icon;
+        item.children = children;
+        this._items.push(item);
+
+        if (parentItem) {
+            parentItem.children.appendChild(controlsForSingleElement);
+            if (parentItem.listItemType === 'radioFolder') {
+                this.useRadio(item);
+            }
+        } else {
+            document.getElementById(this._visualElementId).appendChild(controlsForSingleElement);
+        }
 
         var self = this;
 
         function toggleVisibilityOfElement() {
-            enabled = !enabled;
-            self.updateDescendants(node, enabled);
+            self.toggle(item);
         }
 
         function lookAt() {
@@ -95,6 +155,88 @@ define([
         }
     };
 
+    // Internal use only. Changes the visibility of the item with respect to the ListStyle of the item and its parent.
+    KmlTreeVisibility.prototype.toggle = function (item) {
+        if (item.parent && item.parent.listItemType === 'radioFolder') {
+            // Only one of the children of radioFolder is visible at a time.
+            this._items.forEach(function (sibling) {
+                if (sibling.parent === item.parent) {
+                    sibling.enabled = sibling === item;
+                    sibling.input.checked = sibling.enabled;
+                    this.updateDescendants(sibling.feature, sibling.enabled);
+                }
+            }, this);
+            return;
+        }
+
+        item.enabled = !item.enabled;
+        item.input.checked = item.enabled;
+        if (item.listItemType === 'checkOffOnly' && item.children.childNodes.length > 0) {
+            // Everything can be turned off at once, but turned on again only one child at a time.
+            item.input.disabled = !item.enabled;
+            if (!item.enabled) {
+                this._items.forEach(function (child) {
+                    if (child.parent === item) {
+                        child.enabled = false;
+                        child.input.checked = false;
+                        this.updateDescendants(child.feature, false);
+                    }
+                }, this);
+            }
+        }
+        this.updateDescendants(item.feature, item.enabled);
+    };
+
+    // Internal use only. Applies the ListStyle to the item and its children.
+    KmlTreeVisibility.prototype.applyListStyle = function (item, listStyle) {
+        if (!listStyle) {
+            return;
+        }
+
+        item.listItemType = listStyle.kmlListItemType || 'check';
+        if (item.listItemType === 'checkHideChildren') {
+            item.children.style.display = "none";
+        } else if (item.listItemType === 'checkOffOnly' && item.children.childNodes.length > 0) {
+            item.input.disabled = !item.enabled;
+        } else if (item.listItemType === 'radioFolder') {
+            this._items.forEach(function (child) {
+                if (child.parent === item) {
+                    this.useRadio(child);
+                }
+            }, this);
+        }
+
+        var backgroundColor = listStyle.backgroundColor();
+        if (backgroundColor) {
+            item.element.style.backgroundColor = backgroundColor;
+        }
+
+        var state = item.children.childNodes.length > 0 && item.listItemType !== 'checkHideChildren' ?
+            'open' : 'closed';
+        var itemIcon = listStyle.itemIcon(state);
+        if (itemIcon) {
+            item.icon.src = itemIcon.kmlHref(this._fileCache);
+            item.icon.style.display = "";
+        }
+    };
+
+    // Internal use only. Changes the checkbox of the child of radioFolder to the radio button.
+    KmlTreeVisibility.prototype.useRadio = function (item) {
+        item.input.setAttribute("type", "radio");
+        item.input.setAttribute("name", "kml-tree-" + item.parent.feature.id);
+        item.input.checked = item.enabled;
+    };
+
+    // Internal use only. Returns the item created for the feature.
+    KmlTreeVisibility.prototype.item = function (feature) {
+        for (var i = 0; i < this._items.length; i++) {
+            if (this._items[i].feature === feature) {
+                return this._items[i];
+            }
+        }
+        return null;
+    };
+
     // Internal use only. Updates all descendants of given Feature.
     KmlTreeVisibility.prototype.updateDescendants = function (node, enabled) {
         node.controlledVisibility = enabled;
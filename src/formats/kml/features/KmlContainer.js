@@ -68,6 +68,7 @@ define([
                 lastVisibility: self.enabled,
                 currentTimeInterval: kmlOptions.currentTimeInterval,
                 regionInvisible: kmlOptions.regionInvisible,
+                regionOpacity: kmlOptions.regionOpacity,
                 fileCache: kmlOptions.fileCache,
                 styleResolver: kmlOptions.styleResolver,
                 listener: kmlOptions.listener,
@@ -17,6 +17,7 @@
 define([
     './../KmlObject',
     '../KmlAbstractView',
+    '../util/ExtendedData',
     '../KmlFile',
     '../styles/KmlStyleMap',
     '../styles/KmlStyleSelector',
@@ -26,6 +27,7 @@ define([
     '../../../util/Promise'
 ], function (KmlObject,
              KmlAbstractView,
+             ExtendedData,
              KmlFile,
              KmlStyleMap,
              KmlStyleSelector,
@@ -141,6 +143,18 @@ define([
             }
         },
 
+        /**
+         * Custom data attached to this feature. The data are available in the balloon of this feature.
+         * @memberof KmlFeature.prototype
+         * @type {ExtendedData}
+         * @readonly
+         */
+        kmlExtendedData: {
+            get: function () {
+                return this._factory.any(this, {name: ExtendedData.prototype.getTagNames()});
+            }
+        },
+
         /**
          * URL of a &lt;Style&gt; or &lt;StyleMap&gt; defined in a Document. If the style is in the same file, use
          * a # reference. If the style is defined in an external file, use a full URL along with # referencing. If
@@ -256,13 +270,13 @@ define([
 
 	/**
      * Internal use only
-     * It solves whether the feature should be visible based on the Region.
+     * It solves whether the feature should be visible based on the Region and its Lod.
      * @param dc {DrawContext} Draw context associated with current processing.
-     * @returns {boolean} true if there is no region or the feature is in the region.
+     * @returns {boolean} true if there is no region or the region is active.
      */
     KmlFeature.prototype.solveRegion = function(dc) {
         if(this.kmlRegion) {
-            return this.kmlRegion.intersectsVisible(dc);
+            return this.kmlRegion.isActive(dc);
         } else {
             return true;
         }
@@ -292,6 +306,28 @@ define([
         if(this._renderable) {
             this._renderable.enabled = this.enabled;
         }
+
+        this.solveRegionOpacity(dc, kmlOptions);
+    };
+
+    /**
+     * Internal use only
+     * It solves the opacity of the feature given by fading of the Regions of this feature and its parents. The
+     * opacity is applied to the renderables supporting it.
+     * @param dc {DrawContext} Draw context associated with current processing.
+     * @param kmlOptions {Object}
+     * @param kmlOptions.regionOpacity {Number} Opacity given by the Regions of the parents.
+     */
+    KmlFeature.prototype.solveRegionOpacity = function(dc, kmlOptions) {
+        var opacity = typeof kmlOptions.regionOpacity === 'number' ? kmlOptions.regionOpacity : 1;
+        if(this.enabled && this.kmlRegion) {
+            opacity *= this.kmlRegion.fadeOpacity(dc);
+        }
+
+        kmlOptions.regionOpacity = opacity;
+        if(this._renderable && typeof this._renderable.opacity === 'number') {
+            this._renderable.opacity = opacity;
+        }
     };
 
     /**
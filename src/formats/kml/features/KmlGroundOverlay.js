@@ -15,22 +15,34 @@
  * limitations under the License.
  */
 define([
+    '../../../geom/Angle',
+    '../../../util/Color',
     './../KmlElements',
     './KmlFeature',
     '../KmlLatLonBox',
     '../KmlLatLonQuad',
     './KmlOverlay',
+    '../../../shapes/GeographicMesh',
+    '../../../geom/Location',
     '../util/NodeTransformers',
+    '../../../geom/Position',
     '../../../geom/Sector',
+    '../../../shapes/ShapeAttributes',
     '../../../shapes/SurfaceImage'
 ], function (
+    Angle,
+    Color,
     KmlElements,
     KmlFeature,
     KmlLatLonBox,
     KmlLatLonQuad,
     KmlOverlay,
+    GeographicMesh,
+    Location,
     NodeTransformers,
+    Position,
     Sector,
+    ShapeAttributes,
     SurfaceImage
 ) {
     "use strict";
@@ -38,6 +50,8 @@ define([
     /**
      * Constructs an KmlGroundOverlay. Applications usually don't call this constructor. It is called by {@link
      * KmlFile} as objects from Kml file are read. This object is already concrete implementation.
+     * The overlay clamped to the ground with not rotated LatLonBox is draped over the terrain as SurfaceImage.
+     * Rotated boxes, gx:LatLonQuads and overlays placed at altitude are displayed as textured GeographicMesh.
      * @alias KmlGroundOverlay
      * @classdesc Contains the data associated with GroundOverlay node.
      * @param options {Object}
@@ -118,16 +132,25 @@ define([
         KmlFeature.prototype.render.call(this, dc, kmlOptions);
 
         if(!this._renderable && this.enabled) {
-            if(this.kmlIcon && this.kmlLatLonBox) {
-                this._renderable = new SurfaceImage(
-                    new Sector(
-                        this.kmlLatLonBox.kmlSouth,
-                        this.kmlLatLonBox.kmlNorth,
-                        this.kmlLatLonBox.kmlWest,
-                        this.kmlLatLonBox.kmlEast
-                    ),
-                    this.kmlIcon.kmlHref(kmlOptions.fileCache)
-                );
+            if(this.kmlIcon && this.kmlLatLonQuad) {
+                this._renderable = this.createMesh(this.kmlLatLonQuad.locations(),
+                    this.kmlIcon.kmlHref(kmlOptions.fileCache));
+                dc.redrawRequested = true;
+            } else if(this.kmlIcon && this.kmlLatLonBox) {
+                if(this.isDraped()) {
+                    this._renderable = new SurfaceImage(
+                        new Sector(
+                            this.kmlLatLonBox.kmlSouth,
+                            this.kmlLatLonBox.kmlNorth,
+                            this.kmlLatLonBox.kmlWest,
+                            this.kmlLatLonBox.kmlEast
+                        ),
+                        this.kmlIcon.kmlHref(kmlOptions.fileCache)
+                    );
+                } else {
+                    this._renderable = this.createMesh(this.kmlLatLonBox.locations(),
+                        this.kmlIcon.kmlHref(kmlOptions.fileCache));
+                }
                 dc.redrawRequested = true;
             }
         }
@@ -137,6 +160,120 @@ define([
         }
     };
 
+    /**
+     * Returns the altitude mode used for displaying this overlay. The gx:clampToSeaFloor is clamped to the ground and
+     * gx:relativeToSeaFloor is relative to the ground.
+     * @returns {String} One of WorldWind.ABSOLUTE, WorldWind.RELATIVE_TO_GROUND and WorldWind.CLAMP_TO_GROUND.
+     */
+    KmlGroundOverlay.prototype.altitudeMode = function () {
+        var mode = this.kmlAltitudeMode;
+        if (mode === WorldWind.ABSOLUTE) {
+            return WorldWind.ABSOLUTE;
+        } else if (mode === WorldWind.RELATIVE_TO_GROUND || mode === 'relativeToSeaFloor') {
+            return WorldWind.RELATIVE_TO_GROUND;
+        }
+        return WorldWind.CLAMP_TO_GROUND;
+    };
+
+    /**
+     * Decides whether the overlay can be draped over the terrain as SurfaceImage. It is possible only for the not
+     * rotated LatLonBox clamped to the ground.
+     * @returns {Boolean} true if the overlay is displayed as SurfaceImage.
+     */
+    KmlGroundOverlay.prototype.isDraped = function () {
+        return !this.kmlLatLonQuad && this.altitudeMode() === WorldWind.CLAMP_TO_GROUND &&
+            !(Number(this.kmlLatLonBox.kmlRotation) || 0);
+    };
+
+    /**
+     * Creates the mesh displaying the image over the quadrilateral. The image is mapped by the projective
+     * transformation of the unit square to the quadrilateral, so that the perspective of the image is kept. The mesh
+     * is composed of a grid of cells as the transformation isn't linear.
+     * @param corners {Location[]} Corners of the quadrilateral in the counter-clockwise order starting with the
+     *  lower-left corner of the image.
+     * @param url {String} Url of the image.
+     * @returns {GeographicMesh|null} Mesh displaying the image or null if the corners don't form a quadrilateral.
+     */
+    KmlGroundOverlay.prototype.createMesh = function (corners, url) {
+        if (corners.length !== 4) {
+            return null;
+        }
+
+        var transform = KmlGroundOverlay.squareToQuad(corners),
+            altitudeMode = this.altitudeMode(),
+            altitude = altitudeMode === WorldWind.CLAMP_TO_GROUND ? 0 : Number(this.kmlAltitude) || 0,
+            cells = KmlGroundOverlay.MESH_CELLS,
+            positions = [];
+        for (var row = 0; row <= cells; row++) {
+            var rowPositions = [];
+            for (var column = 0; column <= cells; column++) {
+                var location = transform(column / cells, row / cells);
+                rowPositions.push(new Position(location.latitude, location.longitude, altitude));
+            }
+            positions.push(rowPositions);
+        }
+
+        var attributes = new ShapeAttributes(null);
+        attributes.drawOutline = false;
+        attributes.interiorColor = Color.WHITE;
+        attributes.imageSource = url;
+        attributes.applyLighting = false;
+
+        var mesh = new GeographicMesh(positions, attributes);
+        mesh.altitudeMode = altitudeMode;
+        return mesh;
+    };
+
+    /**
+     * Number of cells along each side of the mesh displaying the overlay.
+     * @type {Number}
+     */
+    KmlGroundOverlay.MESH_CELLS = 16;
+
+    /**
+     * Internal use only.
+     * Computes the projective transformation of the unit square to the quadrilateral. The corners (0,0), (1,0),
+     * (1,1) and (0,1) of the square are mapped to the corners of the quadrilateral in the given order.
+     * @param corners {Location[]} Corners of the quadrilateral.
+     * @returns {Function} Function transforming the coordinates within the square to the Location.
+     */
+    KmlGroundOverlay.squareToQuad = function (corners) {
+        // Longitudes are unwrapped relative to the first corner, so that the quadrilateral may cross the antimeridian.
+        var x = corners.map(function (corner) {
+            var longitude = corner.longitude;
+            while (longitude - corners[0].longitude > 180) {
+                longitude -= 360;
+            }
+            while (longitude - corners[0].longitude < -180) {
+                longitude += 360;
+            }
+            return longitude;
+        });
+        var y = corners.map(function (corner) {
+            return corner.latitude;
+        });
+
+        var sx = x[0] - x[1] + x[2] - x[3],
+            sy = y[0] - y[1] + y[2] - y[3],
+            g = 0,
+            h = 0;
+        if (sx !== 0 || sy !== 0) {
+            var dx1 = x[1] - x[2], dx2 = x[3] - x[2], dy1 = y[1] - y[2], dy2 = y[3] - y[2],
+                determinant = dx1 * dy2 - dx2 * dy1;
+            if (determinant !== 0) {
+                g = (sx * dy2 - dx2 * sy) / determinant;
+                h = (dx1 * sy - sx * dy1) / determinant;
+            }
+        }
+
+        var a = x[1] - x[0] + g * x[1], b = x[3] - x[0] + h * x[3], c = x[0],
+            d = y[1] - y[0] + g * y[1], e = y[3] - y[0] + h * y[3], f = y[0];
+        return function (u, v) {
+            var w = g * u + h * v + 1;
+            return new Location((d * u + e * v + f) / w, Angle.normalizedDegreesLongitude((a * u + b * v + c) / w));
+        };
+    };
+
     /**
      * @inheritDoc
      */
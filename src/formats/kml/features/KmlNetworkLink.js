@@ -19,12 +19,16 @@ define([
     './KmlFeature',
     '../KmlFile',
     '../KmlLink',
+    '../../../util/Logger',
+    '../util/HrefResolver',
     '../util/NodeTransformers',
     '../util/RefreshListener'
 ], function (KmlElements,
              KmlFeature,
              KmlFile,
              KmlLink,
+             Logger,
+             HrefResolver,
              NodeTransformers,
              RefreshListener) {
     "use strict";
@@ -51,6 +55,7 @@ define([
         this.resolvedFile = null;
         this.displayed = false;
         this.isDownloading = false;
+        this.sessionStart = null;
     };
 
     KmlNetworkLink.prototype = Object.create(KmlFeature.prototype);
@@ -126,9 +131,10 @@ define([
 
         if(!this.isDownloading && !this.resolvedFile) {
             this.isDownloading = true;
+            this.sessionStart = new Date().getTime();
             var self = this;
 
-            new KmlFile(self.buildUrl(kmlOptions.fileCache)).then(function (kmlFile) {
+            self.loadFile(kmlOptions.fileCache).then(function (kmlFile) {
                 self.resolvedFile = kmlFile;
                 self.isDownloading = false;
 
@@ -148,6 +154,56 @@ define([
         return this.kmlLink.kmlHref(fileCache);
     };
 
+    /**
+     * It loads the file referenced by this NetworkLink. The KML document stored in the same KMZ archive as the
+     * document containing this NetworkLink resolves its relative hrefs against the files of the archive. The Update
+     * in the NetworkLinkControl of the loaded file is applied to the file it targets.
+     * @param fileCache {KmlFileCache} Cache of the file containing this NetworkLink.
+     * @returns {Promise} Promise of the loaded KmlFile.
+     */
+    KmlNetworkLink.prototype.loadFile = function(fileCache) {
+        var self = this;
+        var url = this.buildUrl(fileCache);
+        return new KmlFile(url).then(function (kmlFile) {
+            if (!kmlFile.isKmz(url)) {
+                kmlFile._fileCache.shareArchive(fileCache, url);
+            }
+            fileCache.addLinkedFile(url, kmlFile);
+
+            self.applyUpdate(kmlFile, fileCache);
+
+            // Send an event to request a redraw.
+            var e = document.createEvent('Event');
+            e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+            window.dispatchEvent(e);
+
+            return kmlFile;
+        });
+    };
+
+    /**
+     * It applies the Update delivered in the NetworkLinkControl of the loaded file to the file referenced by its
+     * targetHref. The target file must have been already loaded by another NetworkLink in the same document.
+     * @param kmlFile {KmlFile} File loaded by this NetworkLink.
+     * @param fileCache {KmlFileCache} Cache of the file containing this NetworkLink.
+     */
+    KmlNetworkLink.prototype.applyUpdate = function(kmlFile, fileCache) {
+        var control = kmlFile.kmlNetworkLinkControl;
+        var update = control && control.Update;
+        if(!update || !update.targetHref) {
+            return;
+        }
+
+        var targetFile = fileCache.linkedFile(new HrefResolver(update.targetHref, fileCache).url());
+        if(!targetFile) {
+            Logger.log(Logger.LEVEL_WARNING, "KmlNetworkLink: Target of the Update wasn't loaded: " +
+                update.targetHref);
+            return;
+        }
+
+        update.apply(targetFile);
+    };
+
 	/**
      * It handles refreshing strategy of the NetworkLink.
      * @param kmlOptions {Object}
@@ -155,12 +211,12 @@ define([
      */
     KmlNetworkLink.prototype.handleRefresh = function(kmlOptions) {
         var activeEvents = kmlOptions.activeEvents;
+        var self = this;
         activeEvents = activeEvents.filter(function(event){
-            return event.type == REFRESH_NETWORK_LINK_EVENT;
+            return event.type == REFRESH_NETWORK_LINK_EVENT && event.payload === self;
         });
         if(activeEvents.length > 0) {
-            var self = this;
-            new KmlFile(self.buildUrl(kmlOptions.fileCache)).then(function (kmlFile) {
+            self.loadFile(kmlOptions.fileCache).then(function (kmlFile) {
                 self.resolvedFile = kmlFile;
 
                 self.fireEvent(kmlOptions);
@@ -169,7 +225,8 @@ define([
     };
 
 	/**
-     * It fires event when the kmlLink refreshMode contains refreshMode.
+     * It fires event when the kmlLink refreshMode contains refreshMode. The NetworkLinkControl of the loaded file
+     * may postpone the refresh by its minRefreshPeriod and stop refreshing after its maxSessionLength.
      * @param kmlOptions {Object}
      * @param kmlOptions.listener {RefreshListener} Object which allows you to schedule events, which will be triggered
      *   at some point in future. It doesn't have to be exactly that time.
@@ -184,13 +241,29 @@ define([
                 return;
             } else {
                 time = this.resolvedFile.getExpired();
+                if(time === null) {
+                    return;
+                }
             }
         } else {
             // No refresh mode was selected, therefore ignore this method;
             return;
         }
 
-        kmlOptions.listener.addEvent(new RefreshListener.Event(REFRESH_NETWORK_LINK_EVENT, time, null));
+        var control = this.resolvedFile && this.resolvedFile.kmlNetworkLinkControl;
+        if(control) {
+            if(control.minRefreshPeriod) {
+                time = Math.max(time, control.minRefreshPeriod * 1000);
+            }
+
+            var maxSessionLength = control.maxSessionLength;
+            if(maxSessionLength !== null && maxSessionLength >= 0 &&
+                new Date().getTime() + time - this.sessionStart > maxSessionLength * 1000) {
+                return;
+            }
+        }
+
+        kmlOptions.listener.addEvent(new RefreshListener.Event(REFRESH_NETWORK_LINK_EVENT, time, this));
     };
 
     KmlElements.addKey(KmlNetworkLink.prototype.getTagNames()[0], KmlNetworkLink);
@@ -15,17 +15,41 @@
  * limitations under the License.
  */
 define([
+    '../../../geom/Angle',
+    '../../../geom/BoundingBox',
+    '../../../util/Color',
     '../util/ImagePyramid',
+    '../KmlCamera',
     './../KmlElements',
+    './KmlFeature',
     './KmlOverlay',
     '../geom/KmlPoint',
+    '../../../geom/Matrix',
+    '../../../cache/MemoryCache',
     '../util/NodeTransformers',
+    '../../../geom/Position',
+    '../../../shapes/ShapeAttributes',
+    '../../../shapes/TriangleMesh',
+    '../../../geom/Vec2',
+    '../../../geom/Vec3',
     '../util/ViewVolume'
-], function (ImagePyramid,
+], function (Angle,
+             BoundingBox,
+             Color,
+             ImagePyramid,
+             KmlCamera,
              KmlElements,
+             KmlFeature,
              KmlOverlay,
              KmlPoint,
+             Matrix,
+             MemoryCache,
              NodeTransformers,
+             Position,
+             ShapeAttributes,
+             TriangleMesh,
+             Vec2,
+             Vec3,
              ViewVolume) {
     "use strict";
 
@@ -43,6 +67,11 @@ define([
      */
     var KmlPhotoOverlay = function (options) {
         KmlOverlay.call(this, options);
+
+        this._tiles = new MemoryCache(500, 400); // Holds 500 tiles.
+        this._extents = new MemoryCache(5000, 4000); // Holds the extents of 5000 tiles.
+        this._eyeToWorld = null;
+        this._camera = null;
     };
 
     KmlPhotoOverlay.prototype = Object.create(KmlOverlay.prototype);
@@ -64,13 +93,16 @@ define([
         /**
          * The PhotoOverlay is projected onto the &lt;shape&gt;. The &lt;shape&gt; can be one of the following:
          * rectangle (default) - for an ordinary photo
+         * cylinder - for panoramas, which can be either partial or full cylinders
+         * sphere - for spherical panoramas
          * @memberof KmlPhotoOverlay.prototype
          * @readonly
          * @type {String}
          */
         kmlShape: {
             get: function () {
-                return this._factory.specific(this, {name: 'shape', transformer: NodeTransformers.string});
+                return this._factory.specific(this, {name: 'shape', transformer: NodeTransformers.string}) ||
+                    'rectangle';
             }
         },
 
@@ -132,6 +164,283 @@ define([
         }
     });
 
+    /**
+     * Renders the photo in front of the Camera of this PhotoOverlay. The photo is placed at the near distance of the
+     * ViewVolume and projected onto its shape. If there is the ImagePyramid, only the tiles of the level matching
+     * the current distance from the photo, which are in view, are displayed. The photo is placed again when its
+     * Camera changes, e.g. when the PhotoOverlay is invalidated by an Update.
+     * @inheritDoc
+     */
+    KmlPhotoOverlay.prototype.render = function (dc, kmlOptions) {
+        KmlFeature.prototype.render.call(this, dc, kmlOptions);
+
+        var camera = this.kmlAbstractView;
+        if (!this.enabled || !this.kmlIcon || !this.kmlViewVolume || !(camera instanceof KmlCamera)) {
+            return;
+        }
+
+        if (camera !== this._camera) {
+            // The Update invalidating the PhotoOverlay creates its Camera anew.
+            this._camera = camera;
+            this._eyeToWorld = null;
+            this._tiles.clear(false);
+            this._extents.clear(false);
+        }
+
+        if (!this._eyeToWorld) {
+            this._eyeToWorld = this.eyeToWorld(camera, dc.globe);
+            dc.redrawRequested = true;
+        }
+
+        var level = this.level(dc);
+        var tiles = this.kmlImagePyramid ? this.kmlImagePyramid.tiles(level) :
+            [{x: 0, y: 0, left: 0, right: 1, bottom: 0, top: 1}];
+        tiles.forEach(function (tile) {
+            var key = level + '/' + tile.x + '/' + tile.y;
+            if (!this.tileExtent(dc.globe, key, tile).intersectsFrustum(dc.frustumInModelCoordinates)) {
+                return;
+            }
+
+            var mesh = this._tiles.entryForKey(key);
+            if (!mesh) {
+                mesh = this.createTile(dc.globe, tile, this.tileUrl(level, tile, kmlOptions.fileCache));
+                this._tiles.putEntry(key, mesh, 1);
+            }
+            mesh.render(dc);
+        }, this);
+    };
+
+    /**
+     * Internal use only.
+     * It computes the transformation from the coordinates of the Camera, looking along the negative z axis with y
+     * axis pointing up, into the Cartesian coordinates of the globe.
+     * @param camera {KmlCamera} Camera of this PhotoOverlay.
+     * @param globe {Globe} Globe the photo is displayed on.
+     * @returns {Matrix} Transformation from the coordinates of the Camera.
+     */
+    KmlPhotoOverlay.prototype.eyeToWorld = function (camera, globe) {
+        var eyePosition = new Position(Number(camera.kmlLatitude) || 0, Number(camera.kmlLongitude) || 0,
+            Number(camera.kmlAltitude) || 0);
+        // Unless the altitude is absolute, the photo is offset from the terrain in the same way as the camera.
+        if (this.altitudeMode() === WorldWind.CLAMP_TO_GROUND) {
+            eyePosition.altitude = 0;
+        }
+
+        var modelview = Matrix.fromIdentity();
+        modelview.multiplyByFirstPersonModelview(eyePosition, Number(camera.kmlHeading) || 0,
+            Number(camera.kmlTilt) || 0, Number(camera.kmlRoll) || 0, globe);
+
+        var eyeToWorld = Matrix.fromIdentity();
+        eyeToWorld.invertOrthonormalMatrix(modelview);
+        return eyeToWorld;
+    };
+
+    /**
+     * Internal use only.
+     * It returns the altitude mode used for the photo. The photo uses the altitude mode of its Camera.
+     * @returns {String} Altitude mode of the photo.
+     */
+    KmlPhotoOverlay.prototype.altitudeMode = function () {
+        return this.kmlAbstractView.kmlAltitudeMode || WorldWind.CLAMP_TO_GROUND;
+    };
+
+    /**
+     * Internal use only.
+     * It returns the point of the photo in the coordinates of the Camera.
+     * @param u {Number} Fraction of the width of the photo from the left.
+     * @param v {Number} Fraction of the height of the photo from the bottom.
+     * @returns {Vec3} Point of the photo.
+     */
+    KmlPhotoOverlay.prototype.eyePoint = function (u, v) {
+        var viewVolume = this.kmlViewVolume;
+        var near = Number(viewVolume.kmlNear) || 1;
+        var left = (viewVolume.kmlLeftFov || 0) * Angle.DEGREES_TO_RADIANS,
+            right = (viewVolume.kmlRightFov || 0) * Angle.DEGREES_TO_RADIANS,
+            bottom = (viewVolume.kmlBottomFov || 0) * Angle.DEGREES_TO_RADIANS,
+            top = (viewVolume.kmlTopFov || 0) * Angle.DEGREES_TO_RADIANS;
+
+        var x, y, z, azimuth, elevation;
+        if (this.kmlShape === 'cylinder') {
+            azimuth = left + (right - left) * u;
+            x = near * Math.sin(azimuth);
+            y = near * (Math.tan(bottom) + (Math.tan(top) - Math.tan(bottom)) * v);
+            z = -near * Math.cos(azimuth);
+        } else if (this.kmlShape === 'sphere') {
+            azimuth = left + (right - left) * u;
+            elevation = bottom + (top - bottom) * v;
+            x = near * Math.cos(elevation) * Math.sin(azimuth);
+            y = near * Math.sin(elevation);
+            z = -near * Math.cos(elevation) * Math.cos(azimuth);
+        } else {
+            x = near * (Math.tan(left) + (Math.tan(right) - Math.tan(left)) * u);
+            y = near * (Math.tan(bottom) + (Math.tan(top) - Math.tan(bottom)) * v);
+            z = -near;
+        }
+
+        // The rotation turns the photo around the line of sight.
+        var rotation = (Number(this.kmlRotation) || 0) * Angle.DEGREES_TO_RADIANS;
+        return new Vec3(
+            x * Math.cos(rotation) - y * Math.sin(rotation),
+            x * Math.sin(rotation) + y * Math.cos(rotation),
+            z
+        );
+    };
+
+    /**
+     * Internal use only.
+     * It returns the geographic position of the point of the photo.
+     * @param globe {Globe} Globe the photo is displayed on.
+     * @param u {Number} Fraction of the width of the photo from the left.
+     * @param v {Number} Fraction of the height of the photo from the bottom.
+     * @returns {Position} Position of the point of the photo.
+     */
+    KmlPhotoOverlay.prototype.position = function (globe, u, v) {
+        var point = this.eyePoint(u, v).multiplyByMatrix(this._eyeToWorld);
+        return globe.computePositionFromPoint(point[0], point[1], point[2], new Position(0, 0, 0));
+    };
+
+    /**
+     * Internal use only.
+     * It chooses the level of the ImagePyramid whose resolution matches the size of the photo on the screen.
+     * @param dc {DrawContext} Frame context.
+     * @returns {Number} Level of the ImagePyramid to display.
+     */
+    KmlPhotoOverlay.prototype.level = function (dc) {
+        var pyramid = this.kmlImagePyramid;
+        if (!pyramid) {
+            return 0;
+        }
+
+        var center = this.eyePoint(0.5, 0.5).multiplyByMatrix(this._eyeToWorld);
+        var width = this.eyePoint(0, 0.5).distanceTo(this.eyePoint(0.5, 0.5)) +
+            this.eyePoint(0.5, 0.5).distanceTo(this.eyePoint(1, 0.5));
+        var pixels = width / dc.pixelSizeAtDistance(dc.eyePoint.distanceTo(center));
+
+        var maxLevel = pyramid.maxLevel();
+        for (var level = 0; level < maxLevel; level++) {
+            if (pyramid.levelSize(level).width >= pixels) {
+                return level;
+            }
+        }
+        return maxLevel;
+    };
+
+    /**
+     * Internal use only.
+     * It returns the URL of the image of the tile. The $[level], $[x] and $[y] in the href of the Icon are replaced
+     * by the level, column and row of the tile.
+     * @param level {Number} Level of the ImagePyramid.
+     * @param tile {Object} Tile of the ImagePyramid.
+     * @param fileCache {KmlFileCache} Cache of the file containing this PhotoOverlay.
+     * @returns {String} URL of the image.
+     */
+    KmlPhotoOverlay.prototype.tileUrl = function (level, tile, fileCache) {
+        return this.kmlIcon.kmlHref(fileCache)
+            .replace(/\$\[level\]/g, String(level))
+            .replace(/\$\[x\]/g, String(tile.x))
+            .replace(/\$\[y\]/g, String(tile.y));
+    };
+
+    /**
+     * Internal use only.
+     * It returns the extent of the tile used to decide whether the tile is in view. It bounds the tile at every
+     * elevation of the terrain unless the photo is absolute, so it doesn't change as the terrain is retrieved.
+     * @param globe {Globe} Globe the photo is displayed on.
+     * @param key {String} Key of the tile.
+     * @param tile {Object} Tile of the ImagePyramid.
+     * @returns {BoundingBox} Extent of the tile.
+     */
+    KmlPhotoOverlay.prototype.tileExtent = function (globe, key, tile) {
+        var extent = this._extents.entryForKey(key);
+        if (extent) {
+            return extent;
+        }
+
+        var divisions = this.tileDivisions(tile),
+            elevations = this.altitudeMode() === WorldWind.ABSOLUTE ? [0] :
+                [globe.minElevation(), globe.maxElevation()],
+            points = [];
+        for (var row = 0; row <= divisions.rows; row++) {
+            for (var column = 0; column <= divisions.columns; column++) {
+                var position = this.position(globe,
+                    tile.left + (tile.right - tile.left) * column / divisions.columns,
+                    tile.bottom + (tile.top - tile.bottom) * row / divisions.rows);
+                elevations.forEach(function (elevation) {
+                    points.push(globe.computePointFromPosition(position.latitude, position.longitude,
+                        position.altitude + elevation, new Vec3(0, 0, 0)));
+                });
+            }
+        }
+
+        extent = new BoundingBox();
+        extent.setToVec3Points(points);
+        this._extents.putEntry(key, extent, 1);
+        return extent;
+    };
+
+    /**
+     * Internal use only.
+     * It returns the number of columns and rows the tile is subdivided into. Curved shapes are subdivided, so that
+     * every part of the tile spans at most 5 degrees.
+     * @param tile {Object} Tile of the ImagePyramid.
+     * @returns {Object} Columns and rows of the tile.
+     */
+    KmlPhotoOverlay.prototype.tileDivisions = function (tile) {
+        var columns = 1, rows = 1;
+        if (this.kmlShape === 'cylinder' || this.kmlShape === 'sphere') {
+            var viewVolume = this.kmlViewVolume;
+            columns = Math.max(1, Math.ceil(Math.abs(viewVolume.kmlRightFov - viewVolume.kmlLeftFov) *
+                (tile.right - tile.left) / 5));
+            rows = Math.max(1, Math.ceil(Math.abs(viewVolume.kmlTopFov - viewVolume.kmlBottomFov) *
+                (tile.top - tile.bottom) / 5));
+        }
+        return {columns: columns, rows: rows};
+    };
+
+    /**
+     * Internal use only.
+     * It creates the mesh displaying the image of the tile. Curved shapes are subdivided, so that every part of
+     * the mesh spans at most 5 degrees.
+     * @param globe {Globe} Globe the photo is displayed on.
+     * @param tile {Object} Tile of the ImagePyramid.
+     * @param url {String} URL of the image of the tile.
+     * @returns {TriangleMesh} Mesh displaying the tile.
+     */
+    KmlPhotoOverlay.prototype.createTile = function (globe, tile, url) {
+        var divisions = this.tileDivisions(tile),
+            columns = divisions.columns,
+            rows = divisions.rows;
+
+        var positions = [], textureCoordinates = [], indices = [];
+        for (var row = 0; row <= rows; row++) {
+            for (var column = 0; column <= columns; column++) {
+                var s = column / columns, t = row / rows;
+                positions.push(this.position(globe, tile.left + (tile.right - tile.left) * s,
+                    tile.bottom + (tile.top - tile.bottom) * t));
+                textureCoordinates.push(new Vec2(s, t));
+
+                if (row < rows && column < columns) {
+                    var index = row * (columns + 1) + column;
+                    indices.push(index, index + 1, index + columns + 2, index, index + columns + 2,
+                        index + columns + 1);
+                }
+            }
+        }
+
+        var attributes = new ShapeAttributes(null);
+        attributes.drawOutline = false;
+        attributes.interiorColor = Color.WHITE;
+        attributes.imageSource = url;
+        attributes.applyLighting = false;
+
+        var mesh = new TriangleMesh(positions, indices, attributes);
+        mesh.textureCoordinates = textureCoordinates;
+        mesh.altitudeMode = this.altitudeMode() === WorldWind.ABSOLUTE ? WorldWind.ABSOLUTE :
+            WorldWind.RELATIVE_TO_GROUND;
+        mesh.pickDelegate = this;
+        return mesh;
+    };
+
     /**
      * @inheritDoc
      */
@@ -139,7 +448,7 @@ define([
         return ['PhotoOverlay'];
     };
 
-    KmlElements.addKey(KmlPhotoOverlay.prototype.getTagNames[0], KmlPhotoOverlay);
+    KmlElements.addKey(KmlPhotoOverlay.prototype.getTagNames()[0], KmlPhotoOverlay);
 
     return KmlPhotoOverlay;
 });
\ No newline at end of file
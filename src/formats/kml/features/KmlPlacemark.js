@@ -103,6 +103,9 @@ define([
         if(this._renderable) {
             if (this.kmlGeometry) {
                 this.kmlGeometry.render(dc, kmlOptions);
+                if (this.kmlGeometry.isTrack) {
+                    this.moveToTrackHead();
+                }
                 this._renderable.render(dc);
             }
         }
@@ -125,7 +128,8 @@ define([
             _offset: new Offset(
                 WorldWind.OFFSET_FRACTION, 0.5,
                 WorldWind.OFFSET_FRACTION, 1.0),
-            _color: Color.YELLOW
+            _color: options._labelColor || Color.YELLOW,
+            _scale: options._labelScale
         }));
         placemarkAttributes.drawLeaderLine = true;
         placemarkAttributes.leaderLineAttributes = new ShapeAttributes(KmlStyle.shapeAttributes({
@@ -144,6 +148,19 @@ define([
         this._renderable.enableLeaderLinePicking = true;
     };
 
+    /**
+     * Moves the Placemark to the head of the Track displayed in current frame. The Placemark is hidden when no
+     * part of the Track is within the time interval of the layer.
+     */
+    KmlPlacemark.prototype.moveToTrackHead = function () {
+        var head = this.kmlGeometry.headPosition;
+        this._renderable.altitudeMode = this.kmlGeometry.kmlAltitudeMode;
+        this._renderable.enabled = this.enabled && !!head;
+        if (head) {
+            this._renderable.position = head;
+        }
+    };
+
     /**
      * Returns tag name of this Node.
      * @returns {String[]}
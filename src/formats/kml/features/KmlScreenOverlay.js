@@ -306,6 +306,15 @@ define([
                     this.kmlOverlayXYyunits,
                     this.kmlOverlayXYy
                 );
+                this._renderable.imageRotation = this.kmlRotation || 0;
+                if(this.kmlRotationXYx != null && this.kmlRotationXYy != null) {
+                    this._renderable.imageRotationOffset = new Offset(
+                        this.kmlRotationXYxunits,
+                        Number(this.kmlRotationXYx),
+                        this.kmlRotationXYyunits,
+                        Number(this.kmlRotationXYy)
+                    );
+                }
                 dc.redrawRequested = true;
             }
         }
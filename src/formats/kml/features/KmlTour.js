@@ -16,9 +16,11 @@
  */
 define([
     './../KmlElements',
-    './KmlFeature'
+    './KmlFeature',
+    '../tour/KmlPlaylist'
 ], function (KmlElements,
-             KmlFeature) {
+             KmlFeature,
+             KmlPlaylist) {
     "use strict";
 
     /**
@@ -39,6 +41,22 @@ define([
 
     KmlTour.prototype = Object.create(KmlFeature.prototype);
 
+    Object.defineProperties(KmlTour.prototype, {
+        /**
+         * Playlist containing the ordered primitives of this Tour. Use {@link KmlTourPlayer} to play them.
+         * @memberof KmlTour.prototype
+         * @readonly
+         * @type {KmlPlaylist}
+         */
+        kmlPlaylist: {
+            get: function () {
+                return this._factory.any(this, {
+                    name: KmlPlaylist.prototype.getTagNames()
+                });
+            }
+        }
+    });
+
     /**
      * @inheritDoc
      */
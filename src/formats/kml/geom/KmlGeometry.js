@@ -54,7 +54,7 @@ define([
      * @inheritDoc
      */
     KmlGeometry.prototype.getTagNames = KmlGeometry.getTagNames = function () {
-        return ['Point', 'LinearRing', 'LineString', 'MultiGeometry', 'Polygon'];
+        return ['Point', 'LinearRing', 'LineString', 'MultiGeometry', 'Polygon', 'Model', 'gx:Track', 'gx:MultiTrack'];
     };
 
     return KmlGeometry;
@@ -0,0 +1,317 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../../collada/ColladaLoader',
+    '../../collada/ColladaUtils',
+    './../KmlElements',
+    './KmlGeometry',
+    '../KmlLink',
+    '../KmlLocation',
+    '../KmlOrientation',
+    '../../../util/Logger',
+    '../util/HrefResolver',
+    '../util/NodeTransformers',
+    '../../../geom/Position',
+    '../../../util/Promise',
+    '../util/ResourceMap',
+    '../util/Scale',
+    '../../../util/WWUtil'
+], function (ColladaLoader,
+             ColladaUtils,
+             KmlElements,
+             KmlGeometry,
+             KmlLink,
+             KmlLocation,
+             KmlOrientation,
+             Logger,
+             HrefResolver,
+             NodeTransformers,
+             Position,
+             Promise,
+             ResourceMap,
+             Scale,
+             WWUtil) {
+    "use strict";
+
+    /**
+     * Constructs an KmlModel. Applications usually don't call this constructor. It is called by {@link KmlFile} as
+     * objects from Kml file are read. This object is already concrete implementation.
+     * The COLLADA file referenced by the Link is loaded by the {@link ColladaLoader} when the Model is rendered for
+     * the first time. The textures of the model are resolved through the ResourceMap, relative to the model file
+     * and inside of the KMZ archive containing the document.
+     * @alias KmlModel
+     * @classdesc Contains the data associated with Model node.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing the Model.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#model
+     * @augments KmlGeometry
+     */
+    var KmlModel = function (options) {
+        KmlGeometry.call(this, options);
+
+        this._loading = null;
+    };
+
+    KmlModel.prototype = Object.create(KmlGeometry.prototype);
+
+    Object.defineProperties(KmlModel.prototype, {
+        /**
+         * It represents different modes to count absolute altitude. Possible choices are explained in:
+         * https://developers.google.com/kml/documentation/kmlreference#altitudemode
+         * @memberof KmlModel.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlAltitudeMode: {
+            get: function () {
+                return this._factory.specific(this, {name: 'altitudeMode', transformer: NodeTransformers.string}) ||
+                    WorldWind.CLAMP_TO_GROUND;
+            }
+        },
+
+        /**
+         * Location of the origin of the model.
+         * @memberof KmlModel.prototype
+         * @readonly
+         * @type {KmlLocation}
+         */
+        kmlLocation: {
+            get: function () {
+                return this._factory.any(this, {name: KmlLocation.prototype.getTagNames()});
+            }
+        },
+
+        /**
+         * Rotation of the model around its origin.
+         * @memberof KmlModel.prototype
+         * @readonly
+         * @type {KmlOrientation}
+         */
+        kmlOrientation: {
+            get: function () {
+                return this._factory.any(this, {name: KmlOrientation.prototype.getTagNames()});
+            }
+        },
+
+        /**
+         * Scale of the model along its axes.
+         * @memberof KmlModel.prototype
+         * @readonly
+         * @type {Scale}
+         */
+        kmlScale: {
+            get: function () {
+                return this._factory.any(this, {name: Scale.prototype.getTagNames()});
+            }
+        },
+
+        /**
+         * Link to the COLLADA file containing the model.
+         * @memberof KmlModel.prototype
+         * @readonly
+         * @type {KmlLink}
+         */
+        kmlLink: {
+            get: function () {
+                return this._factory.any(this, {name: KmlLink.prototype.getTagNames()});
+            }
+        },
+
+        /**
+         * Mapping of the texture files referenced by the model.
+         * @memberof KmlModel.prototype
+         * @readonly
+         * @type {ResourceMap}
+         */
+        kmlResourceMap: {
+            get: function () {
+                return this._factory.any(this, {name: ResourceMap.prototype.getTagNames()});
+            }
+        },
+
+        /**
+         * Returns the location of the model as the position.
+         * @memberof KmlModel.prototype
+         * @readonly
+         * @type {Position}
+         */
+        kmlCenter: {
+            get: function () {
+                var location = this.kmlLocation;
+                if (!location) {
+                    return new Position(0, 0, 0);
+                }
+                return new Position(Number(location.kmlLatitude) || 0, Number(location.kmlLongitude) || 0,
+                    Number(location.kmlAltitude) || 0);
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlModel.prototype.render = function (dc, kmlOptions) {
+        KmlGeometry.prototype.render.call(this, dc, kmlOptions);
+
+        if (!this._renderable && !this._loading) {
+            var self = this;
+            this._loading = this.load(kmlOptions.fileCache).then(function (scene) {
+                self._renderable = scene;
+
+                // Send an event to request a redraw.
+                var e = document.createEvent('Event');
+                e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                window.dispatchEvent(e);
+            }).catch(function (error) {
+                Logger.log(Logger.LEVEL_WARNING, "KmlModel: " + error);
+            });
+        }
+
+        if (this._renderable) {
+            this._renderable.enabled = this.enabled;
+            this._renderable.render(dc);
+        }
+    };
+
+    /**
+     * Loads the COLLADA file referenced by this Model and prepares the scene for display.
+     * @param fileCache {KmlFileCache} Cache of the file containing this Model.
+     * @returns {Promise} Promise resolved with the {@link ColladaScene} displaying this Model.
+     */
+    KmlModel.prototype.load = function (fileCache) {
+        var self = this;
+        var link = this.kmlLink;
+        if (!link) {
+            return Promise.reject(new Error("Model without Link can't be displayed."));
+        }
+
+        var href = linkHref(link);
+        var url = link.kmlHref(fileCache);
+        return new Promise(function (resolve, reject) {
+            ColladaUtils.fetchFile(url, function (data) {
+                if (!data) {
+                    reject(new Error("The model " + href + " wasn't retrieved."));
+                    return;
+                }
+
+                var scene = new ColladaLoader(self.kmlCenter).parse(data);
+                self.prepareScene(scene, href, fileCache);
+                resolve(scene);
+            });
+        });
+    };
+
+    /**
+     * Internal use only.
+     * It applies the altitude mode, orientation and scale of this Model to the scene and resolves the textures.
+     * @param scene {ColladaScene} Scene loaded from the file referenced by this Model.
+     * @param href {String} Href of the model file as specified in the Link.
+     * @param fileCache {KmlFileCache} Cache of the file containing this Model.
+     */
+    KmlModel.prototype.prepareScene = function (scene, href, fileCache) {
+        scene.altitudeMode = this.kmlAltitudeMode;
+
+        var orientation = this.kmlOrientation;
+        if (orientation) {
+            scene.xRotation = orientation.kmlTilt || 0;
+            scene.yRotation = orientation.kmlRoll || 0;
+            // Heading in KML is clockwise while the rotation around z axis is counterclockwise.
+            scene.zRotation = -(orientation.kmlHeading || 0);
+        }
+
+        var scale = this.kmlScale;
+        if (scale) {
+            scene.xScale = scaleFactor(scale.kmlX);
+            scene.yScale = scaleFactor(scale.kmlY);
+            scene.zScale = scaleFactor(scale.kmlZ);
+        }
+
+        var images = scene.images;
+        Object.keys(images).forEach(function (key) {
+            var textureUrl = this.textureUrl(images[key].path, href, fileCache);
+            images[key].path = textureUrl;
+            images[key].filename = textureUrl;
+        }, this);
+        scene.dirPath = '';
+    };
+
+    /**
+     * Returns the URL of the texture referenced from the model. The ResourceMap takes precedence, otherwise the path
+     * is resolved relative to the model file.
+     * @param path {String} Path of the texture as specified in the model file.
+     * @param href {String} Href of the model file as specified in the Link.
+     * @param fileCache {KmlFileCache} Cache of the file containing this Model.
+     * @returns {String} URL usable to retrieve the texture.
+     */
+    KmlModel.prototype.textureUrl = function (path, href, fileCache) {
+        var resourceMap = this.kmlResourceMap;
+        var target = resourceMap && resourceMap.targetHref(path);
+        if (!target) {
+            target = KmlModel.resolveRelative(path, href);
+        }
+        return new HrefResolver(target, fileCache).url();
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlModel.prototype.getTagNames = function () {
+        return ['Model'];
+    };
+
+    /**
+     * Internal use only.
+     * It resolves path relative to the file with given href. Absolute URLs are returned unchanged.
+     * @param path {String} Path relative to the file.
+     * @param href {String} Href of the file.
+     * @returns {String} Path relative to the document containing the file.
+     */
+    KmlModel.resolveRelative = function (path, href) {
+        if (path.indexOf('://') !== -1 || WWUtil.startsWith(path, '/') || WWUtil.startsWith(path, 'data:')) {
+            return path;
+        }
+
+        var segments = href.split('/').slice(0, -1);
+        path.split('/').forEach(function (segment) {
+            if (segment === '..' && segments.length > 0 && segments[segments.length - 1] !== '..') {
+                segments.pop();
+            } else if (segment !== '.') {
+                segments.push(segment);
+            }
+        });
+        return segments.join('/');
+    };
+
+    // Internal use only. Returns the href of the Link as it is specified in the document.
+    function linkHref(link) {
+        var hrefs = [].filter.call(link.node.childNodes, function (node) {
+            return node.nodeName === 'href';
+        });
+        return hrefs.length > 0 ? NodeTransformers.string(hrefs[0]).trim() : '';
+    }
+
+    // Internal use only. Missing scale factor keeps the size of the model.
+    function scaleFactor(value) {
+        return typeof value === 'number' && isFinite(value) ? value : 1;
+    }
+
+    KmlElements.addKey(KmlModel.prototype.getTagNames()[0], KmlModel);
+
+    return KmlModel;
+});
@@ -16,14 +16,22 @@
  */
 define([
     './../KmlElements',
-    './KmlGeometry'
+    './KmlGeometry',
+    './KmlTrack',
+    '../util/NodeTransformers',
+    '../../../geom/Position'
 ], function (KmlElements,
-             KmlGeometry) {
+             KmlGeometry,
+             KmlTrack,
+             NodeTransformers,
+             Position) {
     "use strict";
 
     /**
      * Constructs an KmlMultiTrack. Applications usually don't call this constructor. It is called by {@link KmlFile} as
      * objects from Kml file are read. This object is already concrete implementation.
+     * When the Tracks are interpolated, they are displayed as one path, otherwise every Track is displayed on its
+     * own. The position of the Placemark containing this MultiTrack moves to the head of the displayed Tracks.
      * @alias KmlMultiTrack
      * @classdesc Contains the data associated with MultiTrack node.
      * @param options {Object}
@@ -35,10 +43,137 @@ define([
      */
     var KmlMultiTrack = function (options) {
         KmlGeometry.call(this, options);
+
+        this.isTrack = true;
+
+        /**
+         * Position of the head of the MultiTrack in the current frame. It is null, when no part of the MultiTrack
+         * is within the time interval of the layer.
+         * @type {Position}
+         */
+        this.headPosition = null;
+
+        this._interval = undefined;
     };
 
     KmlMultiTrack.prototype = Object.create(KmlGeometry.prototype);
 
+    Object.defineProperties(KmlMultiTrack.prototype, {
+        /**
+         * It represents different modes to count absolute altitude. Possible choices are explained in:
+         * https://developers.google.com/kml/documentation/kmlreference#altitudemode
+         * @memberof KmlMultiTrack.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlAltitudeMode: {
+            get: function () {
+                return this._factory.specific(this, {name: 'altitudeMode', transformer: NodeTransformers.string}) ||
+                    this._factory.specific(this, {name: 'gx:altitudeMode', transformer: NodeTransformers.string}) ||
+                    WorldWind.CLAMP_TO_GROUND;
+            }
+        },
+
+        /**
+         * If true, the Tracks are joined into one continuous path.
+         * @memberof KmlMultiTrack.prototype
+         * @readonly
+         * @type {Boolean}
+         */
+        kmlInterpolate: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:interpolate', transformer: NodeTransformers.boolean});
+            }
+        },
+
+        /**
+         * Tracks contained in this MultiTrack.
+         * @memberof KmlMultiTrack.prototype
+         * @readonly
+         * @type {KmlTrack[]}
+         */
+        kmlTracks: {
+            get: function () {
+                return this._factory.all(this).filter(function (child) {
+                    return child instanceof KmlTrack;
+                });
+            }
+        },
+
+        /**
+         * Returns the first position of the first Track.
+         * @memberof KmlMultiTrack.prototype
+         * @readonly
+         * @type {Position}
+         */
+        kmlCenter: {
+            get: function () {
+                var tracks = this.kmlTracks;
+                return tracks.length > 0 ? tracks[0].kmlCenter : new Position(0, 0, 0);
+            }
+        }
+    });
+
+    /**
+     * Returns the pairs of time and position of all Tracks ordered by time.
+     * @returns {Object[]} Pairs containing time in milliseconds and the position.
+     */
+    KmlMultiTrack.prototype.samples = function () {
+        var samples = [];
+        this.kmlTracks.forEach(function (track) {
+            samples = samples.concat(track.samples());
+        });
+        return samples.sort(function (first, second) {
+            return first.time - second.time;
+        });
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlMultiTrack.prototype.render = function (dc, kmlOptions) {
+        KmlGeometry.prototype.render.call(this, dc, kmlOptions);
+
+        if (this.kmlInterpolate) {
+            this.renderInterpolated(dc, kmlOptions);
+        } else {
+            this.headPosition = null;
+            this.kmlTracks.forEach(function (track) {
+                track.render(dc, kmlOptions);
+                this.headPosition = this.headPosition || track.headPosition;
+            }, this);
+        }
+    };
+
+    /**
+     * Internal use only.
+     * It renders all the Tracks as one path.
+     * @param dc {DrawContext} Frame context
+     * @param kmlOptions {Object} Options applied to the rendered Tracks.
+     */
+    KmlMultiTrack.prototype.renderInterpolated = function (dc, kmlOptions) {
+        var interval = dc.currentLayer.currentTimeInterval || null;
+        var visible = KmlTrack.visibleSamples(this.samples(), interval);
+        this.headPosition = visible.length > 0 ? visible[visible.length - 1] : null;
+
+        if (kmlOptions.lastStyle && !this._renderable) {
+            this._renderable = KmlTrack.createPath(this.kmlAltitudeMode, kmlOptions.lastStyle,
+                kmlOptions.fileCache);
+            this._interval = undefined;
+            dc.redrawRequested = true;
+        }
+
+        if (this._renderable) {
+            if (!KmlTrack.sameInterval(this._interval, interval)) {
+                KmlTrack.updatePath(this._renderable, visible);
+                this._interval = interval && interval.slice();
+            }
+
+            this._renderable.enabled = this.enabled && visible.length > 1;
+            this._renderable.render(dc);
+        }
+    };
+
     /**
      * @inheritDoc
      */
@@ -49,4 +184,4 @@ define([
     KmlElements.addKey(KmlMultiTrack.prototype.getTagNames()[0], KmlMultiTrack);
 
     return KmlMultiTrack;
-});
\ No newline at end of file
+});
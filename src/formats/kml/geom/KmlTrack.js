@@ -15,15 +15,30 @@
  * limitations under the License.
  */
 define([
-    './../KmlElements',
-    './KmlGeometry'
+    '../KmlElements',
+    './KmlGeometry',
+    '../styles/KmlStyle',
+    '../util/NodeTransformers',
+    '../../../shapes/Path',
+    '../../../geom/Position',
+    '../../../shapes/ShapeAttributes',
+    '../../../shapes/SurfacePolyline'
 ], function (KmlElements,
-             KmlGeometry) {
+             KmlGeometry,
+             KmlStyle,
+             NodeTransformers,
+             Path,
+             Position,
+             ShapeAttributes,
+             SurfacePolyline) {
     "use strict";
 
     /**
      * Constructs an KmlTrack. Applications usually don't call this constructor. It is called by {@link KmlFile} as
      * objects from Kml file are read. This object is already concrete implementation.
+     * The Track is displayed as a path containing the positions whose time is within the currentTimeInterval of the
+     * layer. The position of the Placemark containing this Track moves to the last of the displayed positions, so
+     * that it represents the head of the Track.
      * @alias KmlTrack
      * @classdesc Contains the data associated with Track node.
      * @param options {Object}
@@ -35,10 +50,162 @@ define([
      */
     var KmlTrack = function (options) {
         KmlGeometry.call(this, options);
+
+        this.isTrack = true;
+
+        /**
+         * Position of the head of the Track in the current frame. It is null, when no part of the Track is
+         * within the time interval of the layer.
+         * @type {Position}
+         */
+        this.headPosition = null;
+
+        this._samples = null;
+        this._interval = undefined;
     };
 
     KmlTrack.prototype = Object.create(KmlGeometry.prototype);
 
+    Object.defineProperties(KmlTrack.prototype, {
+        /**
+         * It represents different modes to count absolute altitude. Possible choices are explained in:
+         * https://developers.google.com/kml/documentation/kmlreference#altitudemode
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlAltitudeMode: {
+            get: function () {
+                return this._factory.specific(this, {name: 'altitudeMode', transformer: NodeTransformers.string}) ||
+                    this._factory.specific(this, {name: 'gx:altitudeMode', transformer: NodeTransformers.string}) ||
+                    this.parentAltitudeMode() ||
+                    WorldWind.CLAMP_TO_GROUND;
+            }
+        },
+
+        /**
+         * Time values of the Track. Every time value corresponds to the coordinates on the same position.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Date[]}
+         */
+        kmlWhens: {
+            get: function () {
+                return this.childValues('when').map(function (node) {
+                    return NodeTransformers.date(node);
+                });
+            }
+        },
+
+        /**
+         * Positions of the Track. Every position corresponds to the time value on the same position.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Position[]}
+         */
+        kmlCoords: {
+            get: function () {
+                return this.childValues('gx:coord').map(function (node) {
+                    var coordinates = NodeTransformers.string(node).trim().split(/\s+/);
+                    return new Position(Number(coordinates[1]), Number(coordinates[0]), Number(coordinates[2] || 0));
+                });
+            }
+        },
+
+        /**
+         * Returns the first position of the Track.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Position}
+         */
+        kmlCenter: {
+            get: function () {
+                var samples = this.samples();
+                return samples.length > 0 ? samples[0].position : new Position(0, 0, 0);
+            }
+        }
+    });
+
+    /**
+     * Internal use only.
+     * It returns all the child nodes with given name.
+     * @param name {String} Name of the nodes.
+     * @returns {Node[]} Nodes with given name.
+     */
+    KmlTrack.prototype.childValues = function (name) {
+        return [].filter.call(this.node.childNodes, function (node) {
+            return node.nodeName === name;
+        });
+    };
+
+    /**
+     * Internal use only.
+     * Tracks inside of the MultiTrack inherit the altitude mode of the MultiTrack.
+     * @returns {String|null} Altitude mode of the MultiTrack containing this Track.
+     */
+    KmlTrack.prototype.parentAltitudeMode = function () {
+        var parent = this.node.parentNode;
+        if (!parent || parent.nodeName !== 'gx:MultiTrack') {
+            return null;
+        }
+        var modes = [].filter.call(parent.childNodes, function (node) {
+            return node.nodeName === 'altitudeMode' || node.nodeName === 'gx:altitudeMode';
+        });
+        return modes.length > 0 ? NodeTransformers.string(modes[0]) : null;
+    };
+
+    /**
+     * Returns the pairs of time and position ordered by time. Pairs with invalid time are ignored.
+     * @returns {Object[]} Pairs containing time in milliseconds and the position.
+     */
+    KmlTrack.prototype.samples = function () {
+        if (!this._samples) {
+            var whens = this.kmlWhens;
+            var coords = this.kmlCoords;
+            var samples = [];
+            for (var index = 0; index < Math.min(whens.length, coords.length); index++) {
+                var time = whens[index].valueOf();
+                if (!isNaN(time)) {
+                    samples.push({time: time, position: coords[index]});
+                }
+            }
+            samples.sort(function (first, second) {
+                return first.time - second.time;
+            });
+            this._samples = samples;
+        }
+
+        return this._samples;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlTrack.prototype.render = function (dc, kmlOptions) {
+        KmlGeometry.prototype.render.call(this, dc, kmlOptions);
+
+        var interval = dc.currentLayer.currentTimeInterval || null;
+        var visible = KmlTrack.visibleSamples(this.samples(), interval);
+        this.headPosition = visible.length > 0 ? visible[visible.length - 1] : null;
+
+        if (kmlOptions.lastStyle && !this._renderable) {
+            this._renderable = KmlTrack.createPath(this.kmlAltitudeMode, kmlOptions.lastStyle,
+                kmlOptions.fileCache);
+            this._interval = undefined;
+            dc.redrawRequested = true;
+        }
+
+        if (this._renderable) {
+            if (!KmlTrack.sameInterval(this._interval, interval)) {
+                KmlTrack.updatePath(this._renderable, visible);
+                this._interval = interval && interval.slice();
+            }
+
+            this._renderable.enabled = this.enabled && visible.length > 1;
+            this._renderable.render(dc);
+        }
+    };
+
     /**
      * @inheritDoc
      */
@@ -46,7 +213,130 @@ define([
         return ['gx:Track'];
     };
 
+    /**
+     * Internal use only.
+     * It creates the shape used to display the Track. SurfacePolyline is used for the Tracks clamped to ground
+     * otherwise it is Path.
+     * @param altitudeMode {String} Altitude mode of the Track.
+     * @param styles {Object}
+     * @param styles.normal {KmlStyle} Style applied when item not highlighted
+     * @param styles.highlight {KmlStyle} Style applied when item is highlighted
+     * @param fileCache {KmlFileCache} Cache of the file containing the Track.
+     * @returns {Path|SurfacePolyline} Shape displaying the Track.
+     */
+    KmlTrack.createPath = function (altitudeMode, styles, fileCache) {
+        var renderable;
+        if (altitudeMode === WorldWind.CLAMP_TO_GROUND) {
+            renderable = new SurfacePolyline([], prepareAttributes(styles.normal, fileCache));
+        } else {
+            renderable = new Path([], prepareAttributes(styles.normal, fileCache));
+            renderable.altitudeMode = altitudeMode;
+        }
+        if (styles.highlight) {
+            renderable.highlightAttributes = prepareAttributes(styles.highlight, fileCache);
+        }
+        return renderable;
+    };
+
+    /**
+     * Internal use only.
+     * It updates the positions of the shape displaying the Track.
+     * @param renderable {Path|SurfacePolyline} Shape displaying the Track.
+     * @param positions {Position[]} Positions to display.
+     */
+    KmlTrack.updatePath = function (renderable, positions) {
+        if (renderable instanceof SurfacePolyline) {
+            renderable.boundaries = positions;
+        } else {
+            renderable.positions = positions;
+        }
+    };
+
+    /**
+     * Internal use only.
+     * It returns positions of the samples within the time interval. The positions at the boundaries of the
+     * interval are interpolated from the surrounding samples. When no interval is specified, all positions are
+     * returned.
+     * @param samples {Object[]} Pairs of time and position ordered by time.
+     * @param interval {Number[]|null} Interval with the start and end time in milliseconds.
+     * @returns {Position[]} Positions within the interval.
+     */
+    KmlTrack.visibleSamples = function (samples, interval) {
+        if (!interval) {
+            return samples.map(function (sample) {
+                return sample.position;
+            });
+        }
+
+        var from = interval[0], to = interval[1];
+        if (samples.length === 0 || to < samples[0].time || from > samples[samples.length - 1].time) {
+            return [];
+        }
+
+        var positions = [];
+        if (from > samples[0].time) {
+            positions.push(KmlTrack.positionAt(samples, from));
+        }
+        samples.forEach(function (sample) {
+            if (sample.time >= from && sample.time <= to) {
+                positions.push(sample.position);
+            }
+        });
+        if (to < samples[samples.length - 1].time) {
+            positions.push(KmlTrack.positionAt(samples, to));
+        }
+
+        return positions;
+    };
+
+    /**
+     * Internal use only.
+     * It interpolates the position of the Track at given time.
+     * @param samples {Object[]} Pairs of time and position ordered by time.
+     * @param time {Number} Time in milliseconds within the time range of the samples.
+     * @returns {Position} Interpolated position.
+     */
+    KmlTrack.positionAt = function (samples, time) {
+        for (var index = 1; index < samples.length; index++) {
+            var previous = samples[index - 1], next = samples[index];
+            if (time <= next.time) {
+                var amount = next.time === previous.time ? 1 : (time - previous.time) / (next.time - previous.time);
+                return Position.interpolateLinear(amount, previous.position, next.position, new Position(0, 0, 0));
+            }
+        }
+        return samples[samples.length - 1].position;
+    };
+
+    // Internal use only. Prepares the attributes of the shape the same way as for the LineString.
+    function prepareAttributes(style, fileCache) {
+        var shapeOptions = style && style.generate(fileCache) || {};
+
+        shapeOptions._applyLighting = true;
+        shapeOptions._drawOutline = true;
+        shapeOptions._drawInterior = false;
+        shapeOptions._drawVerticals = false;
+        shapeOptions._outlineStippleFactor = 0;
+        shapeOptions._outlineStipplePattern = 61680;
+        shapeOptions._enableLighting = true;
+
+        return new ShapeAttributes(KmlStyle.shapeAttributes(shapeOptions));
+    }
+
+    /**
+     * Internal use only.
+     * It decides whether the path displayed for the previous interval is still valid for the current one.
+     * @param previous {Number[]|null|undefined} Interval used for the displayed path. Undefined if there is none.
+     * @param current {Number[]|null} Current interval of the layer.
+     * @returns {Boolean} True if both intervals are missing or their boundaries equal.
+     */
+    KmlTrack.sameInterval = function (previous, current) {
+        if (!previous || !current) {
+            return previous === null && !current;
+        }
+        return previous[0] === current[0] && previous[1] === current[1];
+    };
+
     KmlElements.addKey(KmlTrack.prototype.getTagNames()[0], KmlTrack);
 
     return KmlTrack;
-});
\ No newline at end of file
+});
@@ -15,13 +15,19 @@
  * limitations under the License.
  */
 define([
+    '../util/Attribute',
+    '../../../util/Color',
     '../KmlElements',
     './KmlSubStyle',
-    '../util/NodeTransformers'
+    '../util/NodeTransformers',
+    '../util/Schema'
 ], function (
+    Attribute,
+    Color,
     KmlElements,
     KmlSubStyle,
-    NodeTransformers
+    NodeTransformers,
+    Schema
 ) {
     "use strict";
     /**
@@ -96,6 +102,99 @@ define([
 
     };
 
+    /**
+     * Text of the balloon used when the style doesn't specify any.
+     * @type {String}
+     */
+    KmlBalloonStyle.DEFAULT_TEXT = "<h3>$[name]</h3>$[description]";
+
+    /**
+     * Returns the HTML content of the balloon for given feature. All the entities in the text of the style are
+     * replaced by the values of the feature. Entities without value are removed.
+     * @param feature {KmlFeature} Feature whose balloon is displayed.
+     * @param balloonStyle {KmlBalloonStyle|null} Style of the balloon. The default text is used without the style.
+     * @returns {String} HTML content of the balloon.
+     */
+    KmlBalloonStyle.balloonText = function(feature, balloonStyle) {
+        var text = balloonStyle && balloonStyle.kmlText || KmlBalloonStyle.DEFAULT_TEXT;
+        var entities = KmlBalloonStyle.entities(feature);
+        return text.replace(/\$\[([^\]]+)\]/g, function(match, entity) {
+            return entities.hasOwnProperty(entity) ? entities[entity] : '';
+        });
+    };
+
+    /**
+     * Returns the values of the entities available for given feature. Besides the name, description, address and
+     * Snippet of the feature there are entities for every Data ($[name] and $[name/displayName]) and for every
+     * field of the SchemaData ($[schemaName/field] and $[schemaName/field/displayName]).
+     * @param feature {KmlFeature} Feature whose entities are retrieved.
+     * @returns {Object} Values of the entities by their names.
+     */
+    KmlBalloonStyle.entities = function(feature) {
+        var entities = {
+            id: feature.id || '',
+            name: feature.kmlName || '',
+            description: feature.kmlDescription || '',
+            address: feature.kmlAddress || '',
+            Snippet: feature.kmlSnippet || '',
+            geDirections: ''
+        };
+
+        var extendedData = feature.kmlExtendedData;
+        if (!extendedData) {
+            return entities;
+        }
+
+        extendedData.kmlData.forEach(function(data) {
+            entities[data.kmlName] = data.kmlValue || '';
+            entities[data.kmlName + '/displayName'] = data.kmlDisplayName || data.kmlName;
+        });
+
+        extendedData.kmlSchemaData.forEach(function(schemaData) {
+            var schema = findSchema(feature.node.ownerDocument, schemaData.kmlSchemaUrl);
+            var schemaName = schema && schema.kmlName || (schemaData.kmlSchemaUrl || '').replace(/^.*#/, '');
+            var fields = schema ? schema.kmlSimpleFields : [];
+            schemaData.kmlSimpleData.forEach(function(simpleData) {
+                var field = fields.filter(function(field) {
+                    return field.name === simpleData.name;
+                })[0];
+                entities[schemaName + '/' + simpleData.name] = simpleData.value;
+                entities[schemaName + '/' + simpleData.name + '/displayName'] =
+                    field && field.displayName || simpleData.name;
+            });
+        });
+
+        return entities;
+    };
+
+    /**
+     * Returns the CSS color of the background of the balloon.
+     * @returns {String|null} CSS color or null if the style doesn't specify any.
+     */
+    KmlBalloonStyle.prototype.backgroundColor = function() {
+        return this.kmlBgColor ? Color.colorFromKmlHex(this.kmlBgColor).toCssColorString() : null;
+    };
+
+    /**
+     * Returns the CSS color of the text in the balloon.
+     * @returns {String|null} CSS color or null if the style doesn't specify any.
+     */
+    KmlBalloonStyle.prototype.foregroundColor = function() {
+        return this.kmlTextColor ? Color.colorFromKmlHex(this.kmlTextColor).toCssColorString() : null;
+    };
+
+    // Internal use only. Retrieves the Schema referenced by the SchemaData from the same document.
+    function findSchema(document, schemaUrl) {
+        if (!document || !schemaUrl || schemaUrl.indexOf('#') !== 0) {
+            return null;
+        }
+
+        var schemas = [].filter.call(document.getElementsByTagName('Schema'), function(node) {
+            return new Attribute(node, "id").value() === schemaUrl.substr(1);
+        });
+        return schemas.length > 0 ? new Schema({objectNode: schemas[0]}) : null;
+    }
+
     /**
      * @inheritDoc
      */
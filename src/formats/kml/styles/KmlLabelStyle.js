@@ -15,10 +15,12 @@
  * limitations under the License.
  */
 define([
+    '../../../util/Color',
     './KmlColorStyle',
     '../KmlElements',
     '../util/NodeTransformers'
 ], function (
+    Color,
     KmlColorStyle,
     KmlElements,
     NodeTransformers
@@ -44,7 +46,7 @@ define([
 
     Object.defineProperties(KmlLabelStyle.prototype, {
         /**
-         * Scale in which to resize the icon.
+         * Scale in which to resize the label. The label isn't displayed when the scale is 0.
          * @memberof KmlLabelStyle.prototype
          * @readonly
          * @type {Number}
@@ -56,9 +58,20 @@ define([
         }
     });
 
+    /**
+     * It updates the options used for the label of the Placemark with the color and scale of this style.
+     * @param style {KmlLabelStyle} Style to apply.
+     * @param options {Object} Options used to create the attributes of the Placemark.
+     * @returns {Object} Updated options.
+     */
+    KmlLabelStyle.update = function (style, options) {
+        style = style || {};
+        var shapeOptions = options || {};
 
-    KmlLabelStyle.update = function () {
+        shapeOptions._labelColor = style.kmlColor && Color.colorFromKmlHex(style.kmlColor) || null;
+        shapeOptions._labelScale = style.kmlScale != null ? style.kmlScale : null;
 
+        return shapeOptions;
     };
 
     /**
@@ -15,11 +15,13 @@
  * limitations under the License.
  */
 define([
+    '../../../util/Color',
     '../util/ItemIcon',
     '../KmlElements',
     './KmlSubStyle',
     '../util/NodeTransformers'
-], function (ItemIcon,
+], function (Color,
+             ItemIcon,
              KmlElements,
              KmlSubStyle, 
              NodeTransformers) {
@@ -102,6 +104,33 @@ define([
 
     };
 
+    /**
+     * Returns the ItemIcon used for the given state of the item in the list. The state of the ItemIcon may contain
+     * more states separated by space.
+     * @param state {String} State of the item. Either open, closed, error, fetching0, fetching1 or fetching2.
+     * @returns {ItemIcon|null} ItemIcon for the state or null if there is none.
+     */
+    KmlListStyle.prototype.itemIcon = function(state) {
+        var icons = this._factory.all(this).filter(function (child) {
+            return child instanceof ItemIcon;
+        });
+        for (var i = 0; i < icons.length; i++) {
+            var states = (icons[i].kmlState || '').split(/\s+/);
+            if (states.indexOf(state) !== -1) {
+                return icons[i];
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Returns the CSS color of the background of the item in the list.
+     * @returns {String|null} CSS color or null if the style doesn't specify any.
+     */
+    KmlListStyle.prototype.backgroundColor = function() {
+        return this.kmlBgColor ? Color.colorFromKmlHex(this.kmlBgColor).toCssColorString() : null;
+    };
+
     /**
      * @inheritDoc
      */
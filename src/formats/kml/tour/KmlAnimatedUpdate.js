@@ -0,0 +1,97 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../KmlElements',
+    './KmlTourPrimitive',
+    '../util/NodeTransformers',
+    '../util/Update'
+], function (KmlElements,
+             KmlTourPrimitive,
+             NodeTransformers,
+             Update) {
+    "use strict";
+
+    /**
+     * Constructs an KmlAnimatedUpdate. Applications usually don't call this constructor. It is called by
+     * {@link KmlFile} as objects from Kml file are read. This object is already concrete implementation.
+     * @alias KmlAnimatedUpdate
+     * @classdesc Contains the data associated with AnimatedUpdate node.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing AnimatedUpdate in the document.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxanimatedupdate
+     * @augments KmlTourPrimitive
+     */
+    var KmlAnimatedUpdate = function (options) {
+        KmlTourPrimitive.call(this, options);
+    };
+
+    KmlAnimatedUpdate.prototype = Object.create(KmlTourPrimitive.prototype);
+
+    Object.defineProperties(KmlAnimatedUpdate.prototype, {
+        /**
+         * Amount of time, in seconds, over which the update is performed. The update runs in parallel with the
+         * primitives following it, therefore it doesn't delay the rest of the tour.
+         * @memberof KmlAnimatedUpdate.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlDuration: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:duration', transformer: NodeTransformers.number}) || 0;
+            }
+        },
+
+        /**
+         * Amount of time, in seconds, to wait after the primitive is reached before the update is performed.
+         * @memberof KmlAnimatedUpdate.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlDelayedStart: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:delayedStart', transformer: NodeTransformers.number}) || 0;
+            }
+        },
+
+        /**
+         * Update containing the changes to apply to the already loaded features.
+         * @memberof KmlAnimatedUpdate.prototype
+         * @readonly
+         * @type {Update}
+         */
+        kmlUpdate: {
+            get: function () {
+                return this._factory.any(this, {
+                    name: Update.prototype.getTagNames()
+                });
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlAnimatedUpdate.prototype.getTagNames = function () {
+        return ['gx:AnimatedUpdate'];
+    };
+
+    KmlElements.addKey(KmlAnimatedUpdate.prototype.getTagNames()[0], KmlAnimatedUpdate);
+
+    return KmlAnimatedUpdate;
+});
@@ -0,0 +1,106 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../KmlAbstractView',
+    '../KmlElements',
+    './KmlTourPrimitive',
+    '../util/NodeTransformers'
+], function (KmlAbstractView,
+             KmlElements,
+             KmlTourPrimitive,
+             NodeTransformers) {
+    "use strict";
+
+    /**
+     * Constructs an KmlFlyTo. Applications usually don't call this constructor. It is called by {@link KmlFile} as
+     * objects from Kml file are read. This object is already concrete implementation.
+     * @alias KmlFlyTo
+     * @classdesc Contains the data associated with FlyTo node.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing FlyTo in the document.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxflyto
+     * @augments KmlTourPrimitive
+     */
+    var KmlFlyTo = function (options) {
+        KmlTourPrimitive.call(this, options);
+    };
+
+    KmlFlyTo.prototype = Object.create(KmlTourPrimitive.prototype);
+
+    Object.defineProperties(KmlFlyTo.prototype, {
+        /**
+         * Amount of time, in seconds, it takes to move from the current view to the view specified by this
+         * FlyTo.
+         * @memberof KmlFlyTo.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlDuration: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:duration', transformer: NodeTransformers.number}) || 0;
+            }
+        },
+
+        /**
+         * Specifies the method of flight. The bounce mode zooms out in between the views while the smooth mode
+         * moves directly towards the new view. Possible values are bounce and smooth. Default value is bounce.
+         * @memberof KmlFlyTo.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlFlyToMode: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:flyToMode', transformer: NodeTransformers.string}) ||
+                    'bounce';
+            }
+        },
+
+        /**
+         * Either Camera or LookAt describing the view at the end of this FlyTo.
+         * @memberof KmlFlyTo.prototype
+         * @readonly
+         * @type {KmlAbstractView}
+         */
+        kmlAbstractView: {
+            get: function () {
+                return this._factory.any(this, {
+                    name: KmlAbstractView.prototype.getTagNames()
+                });
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlFlyTo.prototype.getTimelineDuration = function () {
+        return this.kmlDuration * 1000;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlFlyTo.prototype.getTagNames = function () {
+        return ['gx:FlyTo'];
+    };
+
+    KmlElements.addKey(KmlFlyTo.prototype.getTagNames()[0], KmlFlyTo);
+
+    return KmlFlyTo;
+});
@@ -0,0 +1,80 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../KmlElements',
+    '../KmlObject',
+    './KmlAnimatedUpdate',
+    './KmlFlyTo',
+    './KmlSoundCue',
+    './KmlTourControl',
+    './KmlTourPrimitive',
+    './KmlWait'
+], function (KmlElements,
+             KmlObject,
+             KmlAnimatedUpdate,
+             KmlFlyTo,
+             KmlSoundCue,
+             KmlTourControl,
+             KmlTourPrimitive,
+             KmlWait) {
+    "use strict";
+
+    /**
+     * Constructs an KmlPlaylist. Applications usually don't call this constructor. It is called by {@link KmlFile}
+     * as objects from Kml file are read. This object is already concrete implementation.
+     * @alias KmlPlaylist
+     * @classdesc Contains the data associated with Playlist node.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing Playlist in the document.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxplaylist
+     * @augments KmlObject
+     */
+    var KmlPlaylist = function (options) {
+        KmlObject.call(this, options);
+    };
+
+    KmlPlaylist.prototype = Object.create(KmlObject.prototype);
+
+    Object.defineProperties(KmlPlaylist.prototype, {
+        /**
+         * Ordered list of the primitives played by the Tour.
+         * @memberof KmlPlaylist.prototype
+         * @readonly
+         * @type {KmlTourPrimitive[]}
+         */
+        kmlTourPrimitives: {
+            get: function () {
+                return this._factory.all(this).filter(function (element) {
+                    return element instanceof KmlTourPrimitive;
+                });
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlPlaylist.prototype.getTagNames = function () {
+        return ['gx:Playlist'];
+    };
+
+    KmlElements.addKey(KmlPlaylist.prototype.getTagNames()[0], KmlPlaylist);
+
+    return KmlPlaylist;
+});
@@ -0,0 +1,80 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../KmlElements',
+    './KmlTourPrimitive',
+    '../util/NodeTransformers'
+], function (KmlElements,
+             KmlTourPrimitive,
+             NodeTransformers) {
+    "use strict";
+
+    /**
+     * Constructs an KmlSoundCue. Applications usually don't call this constructor. It is called by {@link KmlFile}
+     * as objects from Kml file are read. This object is already concrete implementation.
+     * @alias KmlSoundCue
+     * @classdesc Contains the data associated with SoundCue node.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing SoundCue in the document.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxsoundcue
+     * @augments KmlTourPrimitive
+     */
+    var KmlSoundCue = function (options) {
+        KmlTourPrimitive.call(this, options);
+    };
+
+    KmlSoundCue.prototype = Object.create(KmlTourPrimitive.prototype);
+
+    Object.defineProperties(KmlSoundCue.prototype, {
+        /**
+         * Url of the sound file to play. The sound is played in parallel with the primitives following it.
+         * @memberof KmlSoundCue.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlHref: {
+            get: function () {
+                return this._factory.specific(this, {name: 'href', transformer: NodeTransformers.string});
+            }
+        },
+
+        /**
+         * Amount of time, in seconds, to wait after the primitive is reached before the sound starts playing.
+         * @memberof KmlSoundCue.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlDelayedStart: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:delayedStart', transformer: NodeTransformers.number}) || 0;
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlSoundCue.prototype.getTagNames = function () {
+        return ['gx:SoundCue'];
+    };
+
+    KmlElements.addKey(KmlSoundCue.prototype.getTagNames()[0], KmlSoundCue);
+
+    return KmlSoundCue;
+});
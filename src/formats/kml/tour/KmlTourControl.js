@@ -0,0 +1,70 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../KmlElements',
+    './KmlTourPrimitive',
+    '../util/NodeTransformers'
+], function (KmlElements,
+             KmlTourPrimitive,
+             NodeTransformers) {
+    "use strict";
+
+    /**
+     * Constructs an KmlTourControl. Applications usually don't call this constructor. It is called by
+     * {@link KmlFile} as objects from Kml file are read. This object is already concrete implementation.
+     * @alias KmlTourControl
+     * @classdesc Contains the data associated with TourControl node.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing TourControl in the document.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxtourcontrol
+     * @augments KmlTourPrimitive
+     */
+    var KmlTourControl = function (options) {
+        KmlTourPrimitive.call(this, options);
+    };
+
+    KmlTourControl.prototype = Object.create(KmlTourPrimitive.prototype);
+
+    Object.defineProperties(KmlTourControl.prototype, {
+        /**
+         * Mode in which the tour continues. The only value defined by the specification is pause, which pauses
+         * the tour until the user resumes it.
+         * @memberof KmlTourControl.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlPlayMode: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:playMode', transformer: NodeTransformers.string}) ||
+                    'pause';
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlTourControl.prototype.getTagNames = function () {
+        return ['gx:TourControl'];
+    };
+
+    KmlElements.addKey(KmlTourControl.prototype.getTagNames()[0], KmlTourControl);
+
+    return KmlTourControl;
+});
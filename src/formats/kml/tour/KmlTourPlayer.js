@@ -0,0 +1,720 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports KmlTourPlayer
+ */
+define([
+    '../../../geom/Angle',
+    '../../../error/ArgumentError',
+    '../../../util/GoToAnimator',
+    '../util/HrefResolver',
+    './KmlAnimatedUpdate',
+    './KmlFlyTo',
+    './KmlSoundCue',
+    './KmlTourControl',
+    '../../../geom/Location',
+    '../../../util/Logger',
+    '../../../geom/Position',
+    '../../../util/WWMath'
+], function (Angle,
+             ArgumentError,
+             GoToAnimator,
+             HrefResolver,
+             KmlAnimatedUpdate,
+             KmlFlyTo,
+             KmlSoundCue,
+             KmlTourControl,
+             Location,
+             Logger,
+             Position,
+             WWMath) {
+    "use strict";
+
+    /**
+     * Constructs a player for the KML Tour. The player executes the primitives of the Tour's Playlist against the
+     * navigator of the WorldWindow. FlyTo in the bounce mode is performed by a GoToAnimator, which zooms out in the
+     * middle of the flight, while the player turns the navigator towards the target view. FlyTo in the smooth mode
+     * moves the navigator directly, as the GoToAnimator always zooms out between distant views. Wait keeps the view,
+     * AnimatedUpdate applies its Update to the KmlFile, TourControl pauses the tour and SoundCue plays the sound. The
+     * tour ends after the last primitive including the delayed starts of the AnimatedUpdates and SoundCues.
+     *
+     * The player notifies the listeners registered via addEventListener about the following events: play, pause,
+     * stop, seeked, primitive (a primitive of the Playlist was reached), timeupdate and ended. Every listener
+     * receives object with the type of the event, the player, the current time in milliseconds and the primitive
+     * if the event concerns one.
+     * @alias KmlTourPlayer
+     * @constructor
+     * @classdesc Plays the KML Tour in the WorldWindow.
+     * @param worldWindow {WorldWindow} The WorldWindow whose navigator is moved by the tour.
+     * @param tour {KmlTour} Tour to play.
+     * @param kmlFile {KmlFile} Optional. File containing the tour. It is necessary for applying the
+     *  AnimatedUpdates and resolving links to the sounds stored in the KMZ.
+     * @throws {ArgumentError} If the WorldWindow or the tour is null or undefined.
+     */
+    var KmlTourPlayer = function (worldWindow, tour, kmlFile) {
+        if (!worldWindow) {
+            throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "KmlTourPlayer", "constructor",
+                "missingWorldWindow"));
+        }
+
+        if (!tour) {
+            throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "KmlTourPlayer", "constructor",
+                "Passed tour isn't defined."));
+        }
+
+        /**
+         * The WorldWindow associated with this player.
+         * @type {WorldWindow}
+         * @readonly
+         */
+        this.wwd = worldWindow;
+
+        /**
+         * The played tour.
+         * @type {KmlTour}
+         * @readonly
+         */
+        this.tour = tour;
+
+        /**
+         * The file containing the tour.
+         * @type {KmlFile}
+         * @readonly
+         */
+        this.kmlFile = kmlFile || null;
+
+        /**
+         * The frequency in milliseconds at which the tour is updated.
+         * @type {Number}
+         * @default 20
+         */
+        this.animationFrequency = 20;
+
+        this._state = KmlTourPlayer.STOPPED;
+        this._time = 0;
+        this._clockStart = 0;
+        this._timer = null;
+        this._listeners = {};
+
+        this._entries = this.createEntries();
+        this._duration = this._entries.reduce(function (duration, entry) {
+            return Math.max(duration, entry.start + entry.duration, entry.start + delayedStart(entry.primitive));
+        }, 0);
+
+        this._nextIndex = 0;
+        this._activeFlight = null;
+        this._animator = null;
+        this._pending = [];
+        this._sounds = [];
+        this._initialView = null;
+    };
+
+    /**
+     * State of the player when the tour is playing.
+     * @type {String}
+     * @constant
+     */
+    KmlTourPlayer.PLAYING = "playing";
+
+    /**
+     * State of the player when the tour is paused.
+     * @type {String}
+     * @constant
+     */
+    KmlTourPlayer.PAUSED = "paused";
+
+    /**
+     * State of the player when the tour isn't played at all or it has ended.
+     * @type {String}
+     * @constant
+     */
+    KmlTourPlayer.STOPPED = "stopped";
+
+    Object.defineProperties(KmlTourPlayer.prototype, {
+        /**
+         * Current state of the player. One of KmlTourPlayer.PLAYING, KmlTourPlayer.PAUSED and
+         * KmlTourPlayer.STOPPED.
+         * @memberof KmlTourPlayer.prototype
+         * @type {String}
+         * @readonly
+         */
+        state: {
+            get: function () {
+                return this._state;
+            }
+        },
+
+        /**
+         * Current position in the tour in milliseconds.
+         * @memberof KmlTourPlayer.prototype
+         * @type {Number}
+         * @readonly
+         */
+        currentTime: {
+            get: function () {
+                if (this._state === KmlTourPlayer.PLAYING) {
+                    return Math.min(Date.now() - this._clockStart, this._duration);
+                }
+                return this._time;
+            }
+        },
+
+        /**
+         * Duration of the whole tour in milliseconds.
+         * @memberof KmlTourPlayer.prototype
+         * @type {Number}
+         * @readonly
+         */
+        duration: {
+            get: function () {
+                return this._duration;
+            }
+        }
+    });
+
+    /**
+     * Registers a listener for the events of this player.
+     * @param type {String} Type of the event. One of play, pause, stop, seeked, primitive, timeupdate and ended.
+     * @param listener {Function} Function called with the event.
+     * @throws {ArgumentError} If the listener is null or undefined.
+     */
+    KmlTourPlayer.prototype.addEventListener = function (type, listener) {
+        if (!listener) {
+            throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "KmlTourPlayer", "addEventListener",
+                "missingListener"));
+        }
+
+        if (!this._listeners[type]) {
+            this._listeners[type] = [];
+        }
+        this._listeners[type].push(listener);
+    };
+
+    /**
+     * Removes a listener previously registered for the events of this player.
+     * @param type {String} Type of the event.
+     * @param listener {Function} Function to remove.
+     */
+    KmlTourPlayer.prototype.removeEventListener = function (type, listener) {
+        var listeners = this._listeners[type];
+        if (listeners && listeners.indexOf(listener) !== -1) {
+            listeners.splice(listeners.indexOf(listener), 1);
+        }
+    };
+
+    /**
+     * Starts playing the tour from the current position. If the tour has ended it is played from the beginning.
+     */
+    KmlTourPlayer.prototype.play = function () {
+        if (this._state === KmlTourPlayer.PLAYING) {
+            return;
+        }
+
+        if (this._state === KmlTourPlayer.STOPPED && this._time >= this._duration) {
+            this.reset(0);
+        }
+
+        if (!this._initialView) {
+            this._initialView = this.navigatorState();
+        }
+
+        this._state = KmlTourPlayer.PLAYING;
+        this._clockStart = Date.now() - this._time;
+
+        this._sounds.forEach(function (sound) {
+            playSound(sound);
+        });
+        if (this._activeFlight && this._activeFlight.primitive.kmlFlyToMode === 'bounce') {
+            this.startBounce(this._activeFlight, this._time);
+        }
+
+        this.dispatch("play");
+        this.scheduleUpdate();
+    };
+
+    /**
+     * Pauses the tour at the current position.
+     */
+    KmlTourPlayer.prototype.pause = function () {
+        if (this._state !== KmlTourPlayer.PLAYING) {
+            return;
+        }
+
+        this.halt(Math.min(Date.now() - this._clockStart, this._duration));
+        this._sounds.forEach(function (sound) {
+            sound.pause();
+        });
+
+        this._state = KmlTourPlayer.PAUSED;
+        this.dispatch("pause");
+    };
+
+    /**
+     * Stops the tour and moves the position to the beginning of the tour.
+     */
+    KmlTourPlayer.prototype.stop = function () {
+        this.halt(0);
+        this.reset(0);
+
+        this._state = KmlTourPlayer.STOPPED;
+        this.dispatch("stop");
+    };
+
+    /**
+     * Moves the position in the tour to given time. The navigator is moved to the view which corresponds to the
+     * time. If the tour is playing it continues from the new position.
+     * @param time {Number} Time in milliseconds from the beginning of the tour.
+     */
+    KmlTourPlayer.prototype.seek = function (time) {
+        time = WWMath.clamp(time, 0, this._duration);
+
+        var playing = this._state === KmlTourPlayer.PLAYING;
+        this.halt(time);
+        this.reset(time);
+
+        if (!this._initialView) {
+            this._initialView = this.navigatorState();
+        }
+
+        var lastFlight = null;
+        for (var index = 0; index < this._entries.length; index++) {
+            var entry = this._entries[index];
+            if (entry.start >= time) {
+                break;
+            }
+            if (entry.primitive instanceof KmlFlyTo) {
+                entry.from = this.chainedView(entry);
+                lastFlight = entry;
+            }
+        }
+
+        if (lastFlight && time < lastFlight.start + lastFlight.duration) {
+            this._activeFlight = lastFlight;
+            this.applyState(this.interpolate(lastFlight, (time - lastFlight.start) / lastFlight.duration));
+        } else if (lastFlight) {
+            this.applyState(this.targetView(lastFlight));
+        } else if (time === 0) {
+            this.applyState(this._initialView);
+        }
+
+        if (playing) {
+            this._clockStart = Date.now() - time;
+            if (this._activeFlight && this._activeFlight.primitive.kmlFlyToMode === 'bounce') {
+                this.startBounce(this._activeFlight, time);
+            }
+        } else if (this._state === KmlTourPlayer.STOPPED && time > 0) {
+            this._state = KmlTourPlayer.PAUSED;
+        }
+
+        this.dispatch("seeked");
+        if (playing) {
+            this.scheduleUpdate();
+        }
+    };
+
+    /**
+     * Internal use only.
+     * It builds the timeline of the tour. Every entry contains the primitive, time of its start and the time it
+     * occupies in the timeline.
+     * @returns {Object[]} Entries of the timeline.
+     */
+    KmlTourPlayer.prototype.createEntries = function () {
+        var playlist = this.tour.kmlPlaylist;
+        var primitives = playlist && playlist.kmlTourPrimitives || [];
+        var time = 0;
+        return primitives.map(function (primitive, index) {
+            var entry = {
+                primitive: primitive,
+                index: index,
+                start: time,
+                duration: primitive.getTimelineDuration()
+            };
+            time += entry.duration;
+            return entry;
+        });
+    };
+
+    /**
+     * Internal use only.
+     * It stops the timer and the animation and remembers the position in the tour.
+     * @param time {Number} Position in the tour in milliseconds.
+     */
+    KmlTourPlayer.prototype.halt = function (time) {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+        this.stopBounce();
+        this._time = time;
+    };
+
+    /**
+     * Internal use only.
+     * It resets the position of the player to given time. Sounds and updates, which weren't performed yet, are
+     * discarded.
+     * @param time {Number} Position in the tour in milliseconds.
+     */
+    KmlTourPlayer.prototype.reset = function (time) {
+        this._sounds.forEach(function (sound) {
+            sound.pause();
+        });
+        this._sounds = [];
+        this._pending = [];
+        this._activeFlight = null;
+        this._time = time;
+
+        this._nextIndex = 0;
+        while (this._nextIndex < this._entries.length && this._entries[this._nextIndex].start < time) {
+            this._nextIndex++;
+        }
+    };
+
+    /**
+     * Internal use only.
+     * It schedules next update of the tour.
+     */
+    KmlTourPlayer.prototype.scheduleUpdate = function () {
+        var self = this;
+        this._timer = setTimeout(function () {
+            self._timer = null;
+            if (self._state === KmlTourPlayer.PLAYING) {
+                self.update(Date.now() - self._clockStart);
+            }
+        }, this.animationFrequency);
+    };
+
+    /**
+     * Internal use only.
+     * It moves the tour to given time. All primitives reached until the time are performed.
+     * @param time {Number} Position in the tour in milliseconds.
+     */
+    KmlTourPlayer.prototype.update = function (time) {
+        time = Math.min(time, this._duration);
+
+        while (this._nextIndex < this._entries.length && this._entries[this._nextIndex].start <= time) {
+            var entry = this._entries[this._nextIndex];
+            this._nextIndex++;
+
+            this.updateFlight(entry.start);
+            if (entry.primitive instanceof KmlTourControl) {
+                this.dispatch("primitive", entry.primitive, entry.start);
+                this.halt(entry.start);
+                this._sounds.forEach(function (sound) {
+                    sound.pause();
+                });
+                this._state = KmlTourPlayer.PAUSED;
+                this.dispatch("pause");
+                return;
+            }
+            this.enter(entry, time);
+        }
+
+        var self = this;
+        this._pending = this._pending.filter(function (pending) {
+            if (pending.time <= time) {
+                pending.action.call(self);
+                return false;
+            }
+            return true;
+        });
+
+        this.updateFlight(time);
+        this._time = time;
+        this.dispatch("timeupdate");
+
+        if (time >= this._duration && this._nextIndex >= this._entries.length && !this._activeFlight &&
+            this._pending.length === 0) {
+            this._state = KmlTourPlayer.STOPPED;
+            this.dispatch("ended");
+        } else {
+            this.scheduleUpdate();
+        }
+    };
+
+    /**
+     * Internal use only.
+     * It starts given primitive of the tour.
+     * @param entry {Object} Entry of the timeline representing the primitive.
+     * @param time {Number} Current position in the tour in milliseconds.
+     */
+    KmlTourPlayer.prototype.enter = function (entry, time) {
+        var primitive = entry.primitive;
+        this.dispatch("primitive", primitive, entry.start);
+
+        if (primitive instanceof KmlFlyTo) {
+            entry.from = this.navigatorState();
+            if (entry.duration === 0 || !primitive.kmlAbstractView) {
+                if (primitive.kmlAbstractView) {
+                    this.applyState(this.targetView(entry));
+                }
+            } else {
+                this._activeFlight = entry;
+                if (primitive.kmlFlyToMode === 'bounce') {
+                    this.startBounce(entry, time);
+                }
+            }
+        } else if (primitive instanceof KmlAnimatedUpdate) {
+            this._pending.push({
+                time: entry.start + delayedStart(primitive),
+                action: function () {
+                    this.applyUpdate(primitive);
+                }
+            });
+        } else if (primitive instanceof KmlSoundCue) {
+            this._pending.push({
+                time: entry.start + delayedStart(primitive),
+                action: function () {
+                    this.startSound(primitive);
+                }
+            });
+        }
+    };
+
+    /**
+     * Internal use only.
+     * It moves the navigator along the active FlyTo. When the FlyTo ends the navigator is moved to its target
+     * view.
+     * @param time {Number} Current position in the tour in milliseconds.
+     */
+    KmlTourPlayer.prototype.updateFlight = function (time) {
+        var flight = this._activeFlight;
+        if (!flight) {
+            return;
+        }
+
+        var end = flight.start + flight.duration;
+        if (time >= end) {
+            this._activeFlight = null;
+            this.stopBounce();
+            this.applyState(this.targetView(flight));
+            return;
+        }
+
+        var state = this.interpolate(flight, (time - flight.start) / flight.duration);
+        if (this._animator) {
+            // The location and range are moved by the GoToAnimator.
+            this.wwd.navigator.heading = state.heading;
+            this.wwd.navigator.tilt = state.tilt;
+            this.wwd.navigator.roll = state.roll;
+            this.wwd.redraw();
+        } else {
+            this.applyState(state);
+        }
+    };
+
+    /**
+     * Internal use only.
+     * It starts a GoToAnimator for the rest of the bounce FlyTo. Every flight gets its own animator, so that the
+     * animation loop of the cancelled one can't continue next to it.
+     * @param entry {Object} Entry of the timeline representing the FlyTo.
+     * @param time {Number} Current position in the tour in milliseconds.
+     */
+    KmlTourPlayer.prototype.startBounce = function (entry, time) {
+        this.stopBounce();
+
+        var target = this.targetView(entry);
+        this._animator = new GoToAnimator(this.wwd);
+        this._animator.animationFrequency = this.animationFrequency;
+        this._animator.travelTime = Math.max(1, entry.start + entry.duration - time);
+        this._animator.goTo(new Position(target.latitude, target.longitude, target.range));
+    };
+
+    /**
+     * Internal use only.
+     * It cancels the GoToAnimator of the bounce FlyTo, if there is any.
+     */
+    KmlTourPlayer.prototype.stopBounce = function () {
+        if (this._animator) {
+            this._animator.cancel();
+            this._animator = null;
+        }
+    };
+
+    /**
+     * Internal use only.
+     * It computes the state of the navigator at given point of the FlyTo. The bounce FlyTo is interpolated the
+     * same way when seeking, its zoom out is left to the GoToAnimator while playing.
+     * @param entry {Object} Entry of the timeline representing the FlyTo.
+     * @param amount {Number} Amount of the FlyTo already performed. Between 0 and 1.
+     * @returns {Object} State of the navigator.
+     */
+    KmlTourPlayer.prototype.interpolate = function (entry, amount) {
+        var from = entry.from || this.chainedView(entry),
+            to = this.targetView(entry);
+
+        var location = Location.interpolateGreatCircle(amount,
+            new Location(from.latitude, from.longitude), new Location(to.latitude, to.longitude), new Location(0, 0));
+
+        return {
+            latitude: location.latitude,
+            longitude: location.longitude,
+            range: WWMath.interpolate(amount, from.range, to.range),
+            heading: from.heading + Angle.normalizedDegrees(to.heading - from.heading) * amount,
+            tilt: WWMath.interpolate(amount, from.tilt, to.tilt),
+            roll: WWMath.interpolate(amount, from.roll, to.roll)
+        };
+    };
+
+    /**
+     * Internal use only.
+     * It returns the view in which given FlyTo starts when the tour is played from the beginning. It is the target
+     * of the previous FlyTo or the view in which the tour started.
+     * @param entry {Object} Entry of the timeline representing the FlyTo.
+     * @returns {Object} State of the navigator.
+     */
+    KmlTourPlayer.prototype.chainedView = function (entry) {
+        for (var index = entry.index - 1; index >= 0; index--) {
+            var previous = this._entries[index];
+            if (previous.primitive instanceof KmlFlyTo && previous.primitive.kmlAbstractView) {
+                return this.targetView(previous);
+            }
+        }
+        return this._initialView || this.navigatorState();
+    };
+
+    /**
+     * Internal use only.
+     * It returns the state of the navigator at the end of given FlyTo.
+     * @param entry {Object} Entry of the timeline representing the FlyTo.
+     * @returns {Object} State of the navigator.
+     */
+    KmlTourPlayer.prototype.targetView = function (entry) {
+        if (!entry.to) {
+            entry.to = entry.primitive.kmlAbstractView.navigatorState(this.wwd.globe);
+        }
+        return entry.to;
+    };
+
+    /**
+     * Internal use only.
+     * It returns current state of the navigator.
+     * @returns {Object} State of the navigator.
+     */
+    KmlTourPlayer.prototype.navigatorState = function () {
+        var navigator = this.wwd.navigator;
+        return {
+            latitude: navigator.lookAtLocation.latitude,
+            longitude: navigator.lookAtLocation.longitude,
+            range: navigator.range,
+            heading: navigator.heading,
+            tilt: navigator.tilt,
+            roll: navigator.roll
+        };
+    };
+
+    /**
+     * Internal use only.
+     * It moves the navigator to given state and redraws the WorldWindow.
+     * @param state {Object} State of the navigator.
+     */
+    KmlTourPlayer.prototype.applyState = function (state) {
+        var navigator = this.wwd.navigator;
+        navigator.lookAtLocation.latitude = state.latitude;
+        navigator.lookAtLocation.longitude = state.longitude;
+        navigator.range = state.range;
+        navigator.heading = state.heading;
+        navigator.tilt = state.tilt;
+        navigator.roll = state.roll;
+        this.wwd.redraw();
+    };
+
+    /**
+     * Internal use only.
+     * It applies the Update of the AnimatedUpdate to the KmlFile containing the tour.
+     * @param primitive {KmlAnimatedUpdate} Primitive containing the update.
+     */
+    KmlTourPlayer.prototype.applyUpdate = function (primitive) {
+        if (!this.kmlFile) {
+            Logger.logMessage(Logger.LEVEL_WARNING, "KmlTourPlayer", "applyUpdate",
+                "AnimatedUpdate can't be applied without the KmlFile.");
+            return;
+        }
+
+        if (primitive.kmlUpdate) {
+            primitive.kmlUpdate.apply(this.kmlFile);
+            this.wwd.redraw();
+        }
+    };
+
+    /**
+     * Internal use only.
+     * It starts playing the sound of the SoundCue.
+     * @param primitive {KmlSoundCue} Primitive containing the link to the sound.
+     */
+    KmlTourPlayer.prototype.startSound = function (primitive) {
+        if (!primitive.kmlHref || typeof Audio === 'undefined') {
+            return;
+        }
+
+        var url = primitive.kmlHref;
+        if (this.kmlFile) {
+            url = new HrefResolver(url, this.kmlFile._fileCache).url();
+        }
+
+        var sound = new Audio(url);
+        this._sounds.push(sound);
+        playSound(sound);
+    };
+
+    /**
+     * Internal use only.
+     * It notifies the listeners about the event.
+     * @param type {String} Type of the event.
+     * @param primitive {KmlTourPrimitive} Optional. Primitive the event concerns.
+     * @param time {Number} Optional. Time of the event. Current time is used by default.
+     */
+    KmlTourPlayer.prototype.dispatch = function (type, primitive, time) {
+        var listeners = this._listeners[type];
+        if (!listeners) {
+            return;
+        }
+
+        var event = {
+            type: type,
+            player: this,
+            time: time !== undefined ? time : this.currentTime,
+            primitive: primitive || null
+        };
+        listeners.slice().forEach(function (listener) {
+            listener(event);
+        });
+    };
+
+    // Internal use only. Returns the delay in milliseconds after which the AnimatedUpdate or SoundCue starts.
+    function delayedStart(primitive) {
+        if (primitive instanceof KmlAnimatedUpdate || primitive instanceof KmlSoundCue) {
+            return primitive.kmlDelayedStart * 1000;
+        }
+        return 0;
+    }
+
+    // Internal use only. Plays the sound unless it has already ended. Browsers may refuse to play it.
+    function playSound(sound) {
+        if (sound.ended) {
+            return;
+        }
+
+        var promise = sound.play();
+        if (promise && promise.catch) {
+            promise.catch(function () {
+                Logger.log(Logger.LEVEL_WARNING, "Sound of the tour couldn't be played: " + sound.src);
+            });
+        }
+    }
+
+    return KmlTourPlayer;
+});
@@ -0,0 +1,58 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../KmlObject'
+], function (KmlObject) {
+    "use strict";
+
+    /**
+     * Constructs an KmlTourPrimitive. Applications usually don't call this constructor. It is called by
+     * {@link KmlFile} as objects from Kml file are read. It is the abstract parent of all the primitives which
+     * can be part of the Playlist of a Tour.
+     * @alias KmlTourPrimitive
+     * @classdesc Contains the data associated with TourPrimitive node.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing the tour primitive in the document.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxtourprimitive
+     * @augments KmlObject
+     */
+    var KmlTourPrimitive = function (options) {
+        KmlObject.call(this, options);
+    };
+
+    KmlTourPrimitive.prototype = Object.create(KmlObject.prototype);
+
+    /**
+     * Returns the time in milliseconds this primitive occupies in the timeline of the Tour. Primitives which
+     * are executed in parallel with the following ones, such as SoundCue, don't occupy any time.
+     * @returns {Number} Duration of this primitive in milliseconds.
+     */
+    KmlTourPrimitive.prototype.getTimelineDuration = function () {
+        return 0;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlTourPrimitive.prototype.getTagNames = function () {
+        return ['gx:FlyTo', 'gx:Wait', 'gx:AnimatedUpdate', 'gx:TourControl', 'gx:SoundCue'];
+    };
+
+    return KmlTourPrimitive;
+});
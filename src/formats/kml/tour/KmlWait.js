@@ -0,0 +1,75 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../KmlElements',
+    './KmlTourPrimitive',
+    '../util/NodeTransformers'
+], function (KmlElements,
+             KmlTourPrimitive,
+             NodeTransformers) {
+    "use strict";
+
+    /**
+     * Constructs an KmlWait. Applications usually don't call this constructor. It is called by {@link KmlFile} as
+     * objects from Kml file are read. This object is already concrete implementation.
+     * @alias KmlWait
+     * @classdesc Contains the data associated with Wait node.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing Wait in the document.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxwait
+     * @augments KmlTourPrimitive
+     */
+    var KmlWait = function (options) {
+        KmlTourPrimitive.call(this, options);
+    };
+
+    KmlWait.prototype = Object.create(KmlTourPrimitive.prototype);
+
+    Object.defineProperties(KmlWait.prototype, {
+        /**
+         * Amount of time, in seconds, for which the camera stays still before the tour continues.
+         * @memberof KmlWait.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlDuration: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:duration', transformer: NodeTransformers.number}) || 0;
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlWait.prototype.getTimelineDuration = function () {
+        return this.kmlDuration * 1000;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlWait.prototype.getTagNames = function () {
+        return ['gx:Wait'];
+    };
+
+    KmlElements.addKey(KmlWait.prototype.getTagNames()[0], KmlWait);
+
+    return KmlWait;
+});
@@ -0,0 +1,83 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    './../KmlElements',
+    '../KmlObject',
+    './NodeTransformers'
+], function (
+    KmlElements,
+    KmlObject,
+    NodeTransformers
+) {
+    "use strict";
+
+    /**
+     * Constructs an Alias. Application usually don't call this constructor. It is called by {@link KmlFile} as
+     * Objects from KmlFile are read. It is concrete implementation.
+     * @alias Alias
+     * @constructor
+     * @classdesc Contains the data associated with Kml Alias
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing the Kml Alias
+     * @throws {ArgumentError} If either the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#alias
+     * @augments KmlObject
+     */
+    var Alias = function (options) {
+        KmlObject.call(this, options);
+    };
+
+    Alias.prototype = Object.create(KmlObject.prototype);
+
+    Object.defineProperties(Alias.prototype, {
+        /**
+         * Texture file to be fetched instead of the one referenced from the model. It is either relative to the
+         * KML document or KMZ archive or absolute URL.
+         * @memberof Alias.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlTargetHref: {
+            get: function() {
+                return this._factory.specific(this, {name: 'targetHref', transformer: NodeTransformers.string});
+            }
+        },
+
+        /**
+         * Path of the texture file as specified in the model file.
+         * @memberof Alias.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlSourceHref: {
+            get: function() {
+                return this._factory.specific(this, {name: 'sourceHref', transformer: NodeTransformers.string});
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    Alias.prototype.getTagNames = function () {
+        return ['Alias'];
+    };
+
+    KmlElements.addKey(Alias.prototype.getTagNames()[0], Alias);
+
+    return Alias;
+});
@@ -0,0 +1,96 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    './Attribute',
+    './../KmlElements',
+    '../KmlObject',
+    './NodeTransformers'
+], function (
+    Attribute,
+    KmlElements,
+    KmlObject,
+    NodeTransformers
+) {
+    "use strict";
+
+    /**
+     * Constructs a Data. Application usually don't call this constructor. It is called by {@link KmlFile} as
+     * Objects from KmlFile are read. It is concrete implementation.
+     * @alias Data
+     * @constructor
+     * @classdesc Contains the data associated with Kml Data
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing the Kml Data
+     * @throws {ArgumentError} If either the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#data
+     * @augments KmlObject
+     */
+    var Data = function (options) {
+        KmlObject.call(this, options);
+    };
+
+    Data.prototype = Object.create(KmlObject.prototype);
+
+    Object.defineProperties(Data.prototype, {
+        /**
+         * Name of the data pair. It is used in the entities of the BalloonStyle text.
+         * @memberof Data.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlName: {
+            get: function() {
+                return new Attribute(this.node, "name").value();
+            }
+        },
+
+        /**
+         * Formatted version of the name to be used for display purposes.
+         * @memberof Data.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlDisplayName: {
+            get: function() {
+                return this._factory.specific(this, {name: 'displayName', transformer: NodeTransformers.string});
+            }
+        },
+
+        /**
+         * Value of the data pair.
+         * @memberof Data.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlValue: {
+            get: function() {
+                return this._factory.specific(this, {name: 'value', transformer: NodeTransformers.string});
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    Data.prototype.getTagNames = function () {
+        return ['Data'];
+    };
+
+    KmlElements.addKey(Data.prototype.getTagNames()[0], Data);
+
+    return Data;
+});
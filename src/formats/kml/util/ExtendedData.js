@@ -0,0 +1,88 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    './Data',
+    './../KmlElements',
+    '../KmlObject',
+    './SchemaData'
+], function (
+    Data,
+    KmlElements,
+    KmlObject,
+    SchemaData
+) {
+    "use strict";
+
+    /**
+     * Constructs an ExtendedData. Application usually don't call this constructor. It is called by {@link KmlFile} as
+     * Objects from KmlFile are read. It is concrete implementation.
+     * @alias ExtendedData
+     * @constructor
+     * @classdesc Contains the data associated with Kml ExtendedData
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing the Kml ExtendedData
+     * @throws {ArgumentError} If either the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#extendeddata
+     * @augments KmlObject
+     */
+    var ExtendedData = function (options) {
+        KmlObject.call(this, options);
+    };
+
+    ExtendedData.prototype = Object.create(KmlObject.prototype);
+
+    Object.defineProperties(ExtendedData.prototype, {
+        /**
+         * Untyped name/value pairs.
+         * @memberof ExtendedData.prototype
+         * @readonly
+         * @type {Data[]}
+         */
+        kmlData: {
+            get: function() {
+                return this._factory.all(this).filter(function (child) {
+                    return child instanceof Data;
+                });
+            }
+        },
+
+        /**
+         * Typed data described by the Schema.
+         * @memberof ExtendedData.prototype
+         * @readonly
+         * @type {SchemaData[]}
+         */
+        kmlSchemaData: {
+            get: function() {
+                return this._factory.all(this).filter(function (child) {
+                    return child instanceof SchemaData;
+                });
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    ExtendedData.prototype.getTagNames = function () {
+        return ['ExtendedData'];
+    };
+
+    KmlElements.addKey(ExtendedData.prototype.getTagNames()[0], ExtendedData);
+
+    return ExtendedData;
+});
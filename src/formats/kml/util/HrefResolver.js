@@ -42,18 +42,21 @@ define([
 
     /**
      * It returns relevant string. Either the url directly or retrieved from cache. It means that the cache needs
-     * to resolve the URLs upfront.
+     * to resolve the URLs upfront. The relative hrefs are resolved against the location of the document within the
+     * KMZ archive, so that the files stored in the archive are used without retrieving them from the network.
      * @private
      * @return {String} Either external URL or internal URL representing the information.
      */
     HrefResolver.prototype.url = function () {
-        if (WWUtil.startsWith(this._url, 'http://') || WWUtil.startsWith(this._url, 'https://')) {
+        if (WWUtil.startsWith(this._url, 'http://') || WWUtil.startsWith(this._url, 'https://') ||
+            WWUtil.startsWith(this._url, 'data:') || WWUtil.startsWith(this._url, 'blob:')) {
             return this._url;
         } else {
             var retrieved = this._fileCache.retrieve('kmz;' + this._url);
             if(!retrieved) {
-                retrieved = this._fileCache.retrieve('href;' + this._url);
-                // Probably relative path.
+                retrieved = this._fileCache.retrieve('href;' + this._url) ||
+                    // Relative path, which may reference file in the KMZ archive.
+                    this._fileCache.archiveUrl(this._url);
                 if(!retrieved) {
                     return this._url;
                 } else {
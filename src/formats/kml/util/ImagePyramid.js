@@ -94,6 +94,67 @@ define([
         }
     });
 
+    /**
+     * Returns the level with the highest resolution. The level 0 contains the whole image in one tile and every
+     * following level doubles the resolution.
+     * @returns {Number} The highest level of this pyramid.
+     */
+    ImagePyramid.prototype.maxLevel = function () {
+        var size = Math.max(this.kmlMaxWidth || 0, this.kmlMaxHeight || 0);
+        return Math.max(0, Math.ceil(Math.log(size / this.tileSize()) / Math.LN2));
+    };
+
+    /**
+     * Returns the size of the square tiles in pixels. The default is 256.
+     * @returns {Number} Size of the tiles.
+     */
+    ImagePyramid.prototype.tileSize = function () {
+        return this.kmlTileSize || 256;
+    };
+
+    /**
+     * Returns the size of the image in given level.
+     * @param level {Number} Level of the pyramid.
+     * @returns {Object} Width and height of the image in pixels.
+     */
+    ImagePyramid.prototype.levelSize = function (level) {
+        var divisor = Math.pow(2, this.maxLevel() - level);
+        return {
+            width: Math.ceil((this.kmlMaxWidth || 0) / divisor),
+            height: Math.ceil((this.kmlMaxHeight || 0) / divisor)
+        };
+    };
+
+    /**
+     * Returns the tiles of given level. Every tile contains its column and row as used in the href of the image
+     * and the part of the whole image it covers. The part is expressed as fractions of the width from the left and
+     * of the height from the bottom.
+     * @param level {Number} Level of the pyramid.
+     * @returns {Object[]} Tiles with x, y, left, right, bottom and top.
+     */
+    ImagePyramid.prototype.tiles = function (level) {
+        var tileSize = this.tileSize();
+        var size = this.levelSize(level);
+        var upperLeft = this.kmlGridOrigin === 'upperLeft';
+        var tiles = [];
+        for (var y = 0; y < Math.ceil(size.height / tileSize); y++) {
+            var first = y * tileSize, last = Math.min(size.height, first + tileSize);
+            var bottom = upperLeft ? 1 - last / size.height : first / size.height;
+            var top = upperLeft ? 1 - first / size.height : last / size.height;
+            for (var x = 0; x < Math.ceil(size.width / tileSize); x++) {
+                tiles.push({
+                    x: x,
+                    y: y,
+                    left: x * tileSize / size.width,
+                    right: Math.min(size.width, (x + 1) * tileSize) / size.width,
+                    bottom: bottom,
+                    top: top
+                });
+            }
+        }
+        return tiles;
+    };
+
     /**
      * @inheritDoc
      */
@@ -17,11 +17,13 @@
 define([
     './Attribute',
     './KmlElementsFactory',
+    './NodeTransformers',
     './TreeKeyValueCache',
     '../../../util/WWUtil'
 ], function (
     Attribute,
     KmlElementsFactory,
+    NodeTransformers,
     TreeKeyValueCache,
     WWUtil
 ) {
@@ -130,6 +132,83 @@ define([
         return result;
     };
 
+    /**
+     * It retrieves the KmlObject created for given node from the cache. The object is stored on the level of its
+     * parent node.
+     * @param node {Node} Node for which the KmlObject was created.
+     * @returns {KmlObject|null} Cached KmlObject or null if there is none.
+     */
+    KmlElementsFactoryCached.prototype.cached = function(node) {
+        if(!node.parentNode || node.parentNode.nodeType !== 1) {
+            return null;
+        }
+
+        var key = this.cacheKey(node);
+        return this.cache.value(this.cacheKey(node.parentNode), key) ||
+            this.cache.value(this.cacheKey(node.parentNode, "All"), key);
+    };
+
+    /**
+     * It removes the values cached for the node and all its descendants. It is used when the underlying document
+     * changes. The KmlObjects representing the children of the node are removed only when the removeObjects is set
+     * otherwise only the retrieved values are removed.
+     * @param node {Node} Node whose values should be removed from the cache.
+     * @param removeObjects {Boolean} Whether also the KmlObjects representing children should be removed.
+     */
+    KmlElementsFactoryCached.prototype.invalidate = function(node, removeObjects) {
+        this.cache.removeLevel(this.cacheKey(node));
+        if(removeObjects) {
+            this.cache.removeLevel(this.cacheKey(node, "All"));
+        }
+
+        var self = this;
+        [].forEach.call(node.childNodes, function(child) {
+            if(child.nodeType === 1) {
+                self.invalidate(child, removeObjects);
+            }
+        });
+    };
+
+    /**
+     * It adds the KmlObject for the node appended to the element to the cached children of the element. The
+     * KmlObjects representing the other children remain untouched. If the children of the element weren't
+     * retrieved yet, there is nothing to update.
+     * @param element {KmlObject} Element to which the node was appended.
+     * @param node {Node} Node appended to the element.
+     */
+    KmlElementsFactoryCached.prototype.append = function(element, node) {
+        var level = this.cacheKey(element.node, "All");
+        if(!this.cache.level(level)) {
+            return;
+        }
+
+        var created = NodeTransformers.kmlObject(node, element, this.internalFactory.options.controls);
+        if(created) {
+            this.cache.add(level, this.cacheKey(node), created);
+        }
+    };
+
+    /**
+     * It removes the KmlObject created for the node from the cached children of its parent as well as all values
+     * cached for the node. It is used before the node is removed from the document.
+     * @param node {Node} Node, which is being removed.
+     */
+    KmlElementsFactoryCached.prototype.remove = function(node) {
+        this.invalidate(node, true);
+        if(!node.parentNode || node.parentNode.nodeType !== 1) {
+            return;
+        }
+
+        var key = this.cacheKey(node);
+        var parentKey = this.cacheKey(node.parentNode);
+        if(this.cache.level(parentKey)) {
+            this.cache.remove(parentKey, key);
+        }
+        if(this.cache.level("All" + parentKey)) {
+            this.cache.remove("All" + parentKey, key);
+        }
+    };
+
     /**
      * It creates cache key based on the node. In case the node doesn't have any id, it also creates id for this
      * element. This id is used for storing the value in the cache.
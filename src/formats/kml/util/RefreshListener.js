@@ -20,6 +20,11 @@ define([], function(){
 		var self = this;
 		setTimeout(function(){
 			self.currentActiveEvents.push(event);
+
+			// Send an event to request a redraw, so that the event is processed.
+			var e = document.createEvent('Event');
+			e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+			window.dispatchEvent(e);
 		}, event.time);
 	};
 
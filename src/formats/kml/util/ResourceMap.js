@@ -0,0 +1,87 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    './Alias',
+    './../KmlElements',
+    '../KmlObject'
+], function (
+    Alias,
+    KmlElements,
+    KmlObject
+) {
+    "use strict";
+
+    /**
+     * Constructs a ResourceMap. Application usually don't call this constructor. It is called by {@link KmlFile} as
+     * Objects from KmlFile are read. It is concrete implementation.
+     * @alias ResourceMap
+     * @constructor
+     * @classdesc Contains the data associated with Kml ResourceMap
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing the Kml ResourceMap
+     * @throws {ArgumentError} If either the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#resourcemap
+     * @augments KmlObject
+     */
+    var ResourceMap = function (options) {
+        KmlObject.call(this, options);
+    };
+
+    ResourceMap.prototype = Object.create(KmlObject.prototype);
+
+    Object.defineProperties(ResourceMap.prototype, {
+        /**
+         * Mappings of the texture files referenced by the model to the files to be fetched.
+         * @memberof ResourceMap.prototype
+         * @readonly
+         * @type {Alias[]}
+         */
+        kmlAliases: {
+            get: function() {
+                return this._factory.all(this).filter(function (child) {
+                    return child instanceof Alias;
+                });
+            }
+        }
+    });
+
+    /**
+     * Returns the target of the Alias whose source matches given path.
+     * @param sourceHref {String} Path of the texture as specified in the model file.
+     * @returns {String|null} Path of the texture file to be fetched or null if there is no such Alias.
+     */
+    ResourceMap.prototype.targetHref = function (sourceHref) {
+        var aliases = this.kmlAliases;
+        for (var index = 0; index < aliases.length; index++) {
+            if (aliases[index].kmlSourceHref === sourceHref) {
+                return aliases[index].kmlTargetHref;
+            }
+        }
+        return null;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    ResourceMap.prototype.getTagNames = function () {
+        return ['ResourceMap'];
+    };
+
+    KmlElements.addKey(ResourceMap.prototype.getTagNames()[0], ResourceMap);
+
+    return ResourceMap;
+});
@@ -15,10 +15,14 @@
  * limitations under the License.
  */
 define([
+    './Attribute',
     './../KmlElements',
-    '../KmlObject'
-], function (KmlElements,
-             KmlObject) {
+    '../KmlObject',
+    './NodeTransformers'
+], function (Attribute,
+             KmlElements,
+             KmlObject,
+             NodeTransformers) {
     "use strict";
     /**
      * Constructs an Schema. Application usually don't call this constructor. It is called by {@link KmlFile} as
@@ -29,7 +33,7 @@ define([
      * @param options {Object}
      * @param options.objectNode {Node} Node representing the Kml Schema.
      * @throws {ArgumentError} If either the node is null or undefined.
-     * @see https://developers.google.com/kml/documentation/kmlreference#itemicon
+     * @see https://developers.google.com/kml/documentation/kmlreference#schema
      * @augments KmlObject
      */
     var Schema = function (options) {
@@ -38,6 +42,43 @@ define([
 
     Schema.prototype = Object.create(KmlObject.prototype);
 
+    Object.defineProperties(Schema.prototype, {
+        /**
+         * Name of the Schema. It is used in the entities of the BalloonStyle text.
+         * @memberof Schema.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlName: {
+            get: function () {
+                return new Attribute(this.node, "name").value();
+            }
+        },
+
+        /**
+         * Fields declared by the Schema.
+         * @memberof Schema.prototype
+         * @readonly
+         * @type {Object[]} Name, type and display name of the fields.
+         */
+        kmlSimpleFields: {
+            get: function () {
+                return [].filter.call(this.node.childNodes, function (node) {
+                    return node.nodeName === 'SimpleField';
+                }).map(function (node) {
+                    var displayNames = [].filter.call(node.childNodes, function (child) {
+                        return child.nodeName === 'displayName';
+                    });
+                    return {
+                        name: new Attribute(node, "name").value(),
+                        type: new Attribute(node, "type").value(),
+                        displayName: displayNames.length > 0 ? NodeTransformers.string(displayNames[0]) : null
+                    };
+                });
+            }
+        }
+    });
+
     /**
      * @inheritDoc
      */
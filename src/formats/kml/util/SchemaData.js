@@ -0,0 +1,91 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    './Attribute',
+    './../KmlElements',
+    '../KmlObject',
+    './NodeTransformers'
+], function (
+    Attribute,
+    KmlElements,
+    KmlObject,
+    NodeTransformers
+) {
+    "use strict";
+
+    /**
+     * Constructs a SchemaData. Application usually don't call this constructor. It is called by {@link KmlFile} as
+     * Objects from KmlFile are read. It is concrete implementation.
+     * @alias SchemaData
+     * @constructor
+     * @classdesc Contains the data associated with Kml SchemaData
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing the Kml SchemaData
+     * @throws {ArgumentError} If either the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#schemadata
+     * @augments KmlObject
+     */
+    var SchemaData = function (options) {
+        KmlObject.call(this, options);
+    };
+
+    SchemaData.prototype = Object.create(KmlObject.prototype);
+
+    Object.defineProperties(SchemaData.prototype, {
+        /**
+         * Reference to the Schema describing the data. If part of the same document it starts with the prefix #
+         * @memberof SchemaData.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlSchemaUrl: {
+            get: function() {
+                return new Attribute(this.node, "schemaUrl").value();
+            }
+        },
+
+        /**
+         * Values of the fields of the Schema.
+         * @memberof SchemaData.prototype
+         * @readonly
+         * @type {Object[]} Pairs of the name of the field and its value.
+         */
+        kmlSimpleData: {
+            get: function() {
+                return [].filter.call(this.node.childNodes, function (node) {
+                    return node.nodeName === 'SimpleData';
+                }).map(function (node) {
+                    return {
+                        name: new Attribute(node, "name").value(),
+                        value: NodeTransformers.string(node)
+                    };
+                });
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    SchemaData.prototype.getTagNames = function () {
+        return ['SchemaData'];
+    };
+
+    KmlElements.addKey(SchemaData.prototype.getTagNames()[0], SchemaData);
+
+    return SchemaData;
+});
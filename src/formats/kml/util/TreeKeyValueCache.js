@@ -60,7 +60,8 @@ define([
                     continue;
                 }
 
-                if(WWUtil.startsWith(keyFromLevel, key)){
+                // Only the keys of objects with the same name are matched, altitude mustn't match altitudeMode.
+                if(WWUtil.startsWith(keyFromLevel, key + "#")){
                     return currentLevel[keyFromLevel];
                 }
             }
@@ -86,6 +87,14 @@ define([
         delete this.map[level][key];
     };
 
+	/**
+     * It removes the whole level with all the data stored in it.
+     * @param level {Object} Anything that can be used as a key in JavaScript object
+     */
+    TreeKeyValueCache.prototype.removeLevel = function(level) {
+        delete this.map[level];
+    };
+
     var applicationLevelCache = new TreeKeyValueCache();
     TreeKeyValueCache.applicationLevelCache = function() {
         return applicationLevelCache;
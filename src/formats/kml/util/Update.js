@@ -15,13 +15,15 @@
  * limitations under the License.
  */
 define([
+	'./Attribute',
 	'./Change',
 	'./Create',
 	'./Delete',
 	'../KmlElements',
 	'../KmlObject',
 	'./NodeTransformers'
-], function(Change,
+], function(Attribute,
+			Change,
 			Create,
 			Delete,
 			KmlElements,
@@ -42,7 +44,7 @@ define([
 		 */
 		targetHref: {
 			get: function() {
-				return this._factory.specific(this, {name: 'minRefreshPeriod', transformer: NodeTransformers.number});
+				return this._factory.specific(this, {name: 'targetHref', transformer: NodeTransformers.string});
 			}
 		},
 
@@ -93,6 +95,171 @@ define([
 		}
 	});
 
+	/**
+	 * It applies the changes described by this Update to the already loaded document. The Change, Create and Delete
+	 * elements are applied in the order in which they appear in the Update.
+	 * Every child of the Change element references the element to modify by its targetId attribute. The children of
+	 * the referencing element replace the children of the target element with the same name. All other children of
+	 * the target remain untouched.
+	 * Every child of the Create element references the Document or Folder by its targetId attribute. Its children
+	 * are added to the target container.
+	 * Every child of the Delete element references the feature, which is removed from the document.
+	 * @param kmlFile {KmlFile} File containing the elements to update.
+	 */
+	Update.prototype.apply = function(kmlFile) {
+		var self = this;
+		[].forEach.call(this.node.childNodes, function(child) {
+			if(child.nodeName === Change.prototype.getTagNames()[0]) {
+				self.applyChange(kmlFile, child);
+			} else if(child.nodeName === Create.prototype.getTagNames()[0]) {
+				self.applyCreate(kmlFile, child);
+			} else if(child.nodeName === Delete.prototype.getTagNames()[0]) {
+				self.applyDelete(kmlFile, child);
+			}
+		});
+	};
+
+	/**
+	 * Internal use only.
+	 * It applies one Change element to the document.
+	 * @param kmlFile {KmlFile} File containing the elements to update.
+	 * @param changeNode {Node} Node representing the Change element.
+	 */
+	Update.prototype.applyChange = function(kmlFile, changeNode) {
+		var self = this;
+		[].forEach.call(changeNode.childNodes, function(change) {
+			var targetNode = self.target(kmlFile, change);
+			if(!targetNode) {
+				return;
+			}
+
+			[].forEach.call(change.childNodes, function(value) {
+				if(value.nodeType !== 1) {
+					return;
+				}
+
+				var replacement = targetNode.ownerDocument.importNode(value, true);
+				var original = null;
+				[].forEach.call(targetNode.childNodes, function(targetChild) {
+					if(targetChild.nodeName === value.nodeName) {
+						original = targetChild;
+					}
+				});
+				if(original) {
+					targetNode.replaceChild(replacement, original);
+				} else {
+					targetNode.appendChild(replacement);
+				}
+			});
+
+			self.invalidate(targetNode);
+		});
+	};
+
+	/**
+	 * Internal use only.
+	 * It applies one Create element to the document.
+	 * @param kmlFile {KmlFile} File containing the elements to update.
+	 * @param createNode {Node} Node representing the Create element.
+	 */
+	Update.prototype.applyCreate = function(kmlFile, createNode) {
+		var self = this;
+		[].forEach.call(createNode.childNodes, function(container) {
+			var targetNode = self.target(kmlFile, container);
+			if(!targetNode) {
+				return;
+			}
+
+			var targetContainer = self._factory.cached(targetNode);
+			[].forEach.call(container.childNodes, function(created) {
+				if(created.nodeType !== 1) {
+					return;
+				}
+
+				var appended = targetNode.appendChild(targetNode.ownerDocument.importNode(created, true));
+				if(targetContainer) {
+					targetContainer._factory.append(targetContainer, appended);
+				}
+			});
+
+			if(!targetContainer) {
+				self._factory.invalidate(targetNode, true);
+			}
+		});
+	};
+
+	/**
+	 * Internal use only.
+	 * It applies one Delete element to the document.
+	 * @param kmlFile {KmlFile} File containing the elements to update.
+	 * @param deleteNode {Node} Node representing the Delete element.
+	 */
+	Update.prototype.applyDelete = function(kmlFile, deleteNode) {
+		var self = this;
+		[].forEach.call(deleteNode.childNodes, function(deleted) {
+			var targetNode = self.target(kmlFile, deleted);
+			if(!targetNode || !targetNode.parentNode) {
+				return;
+			}
+
+			self._factory.remove(targetNode);
+			targetNode.parentNode.removeChild(targetNode);
+		});
+	};
+
+	/**
+	 * Internal use only.
+	 * It finds the node in the document referenced by the targetId attribute of the passed node.
+	 * @param kmlFile {KmlFile} File containing the elements to update.
+	 * @param node {Node} Node with the targetId attribute.
+	 * @returns {Node|null} Referenced node or null if there is none.
+	 */
+	Update.prototype.target = function(kmlFile, node) {
+		if(node.nodeType !== 1) {
+			return null;
+		}
+
+		var targetId = new Attribute(node, "targetId").value();
+		if(!targetId) {
+			return null;
+		}
+
+		// The id is compared directly, as it may contain characters with special meaning in the selectors.
+		var elements = kmlFile.node.ownerDocument.getElementsByTagName("*");
+		for(var index = 0; index < elements.length; index++) {
+			if(elements[index].getAttribute("id") === targetId) {
+				return elements[index];
+			}
+		}
+		return null;
+	};
+
+	/**
+	 * Internal use only.
+	 * It makes sure that the feature containing the changed node is rendered again with the new values.
+	 * @param node {Node} Node, which was changed.
+	 */
+	Update.prototype.invalidate = function(node) {
+		var featureNode = node;
+		var feature = null;
+		while(featureNode && featureNode.nodeType === 1) {
+			feature = this._factory.cached(featureNode);
+			if(feature && feature.isFeature) {
+				break;
+			}
+			featureNode = featureNode.parentNode;
+		}
+
+		if(!feature || !feature.isFeature) {
+			this._factory.invalidate(node);
+			return;
+		}
+
+		this._factory.invalidate(featureNode);
+		feature._renderable = null;
+		feature._pStyle = null;
+	};
+
 	/**
 	 * @inheritDoc
 	 */
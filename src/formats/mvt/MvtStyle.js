@@ -0,0 +1,116 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports MvtStyle
+ */
+define([],
+    function () {
+        "use strict";
+
+        /**
+         * Constructs a style of the vector tile features.
+         * @alias MvtStyle
+         * @constructor
+         * @classdesc Selects the attributes of the shapes displaying the features of the vector tiles. The style
+         * consists of the rules and the first rule matching the feature is used. The features which don't match
+         * any rule aren't displayed. The rule is an object with the following optional properties:
+         * <ul>
+         *     <li>layer - The name or the list of the names of the layers of the vector tile the rule applies to.
+         *     All the layers when not specified.</li>
+         *     <li>type - The [MvtTile.GeometryType]{@link MvtTile.GeometryType} the rule applies to.</li>
+         *     <li>filter - Either a function returning whether the rule applies to the feature, whose arguments
+         *     are the properties of the feature and the feature, or an object whose every key has to match the
+         *     property of the feature. The value of the key is either the value of the property or the list of its
+         *     possible values.</li>
+         *     <li>minZoom, maxZoom - The range of the zoom levels of the tiles the rule applies to.</li>
+         *     <li>attributes - The {@link ShapeAttributes} of the lines and polygons.</li>
+         *     <li>highlightAttributes - The {@link ShapeAttributes} of the highlighted lines and polygons.</li>
+         *     <li>placemarkAttributes - The {@link PlacemarkAttributes} of the points.</li>
+         *     <li>label - The name of the property used as the label of the points and the display name of the
+         *     shapes.</li>
+         * </ul>
+         * The attributes are shared by all the shapes the rule applies to.
+         * @param {Object[]} rules The rules of the style. A single rule applying to all the features with the
+         * default attributes when not specified.
+         */
+        var MvtStyle = function (rules) {
+            /**
+             * The rules of this style in the order they are evaluated.
+             * @type {Object[]}
+             */
+            this.rules = rules || [{}];
+        };
+
+        /**
+         * Returns the first rule applying to the feature.
+         * @param {Object} feature The feature of the vector tile as described in {@link MvtTile}.
+         * @param {Number} zoom The zoom level of the tile containing the feature.
+         * @returns {Object} The rule or null if no rule applies to the feature.
+         */
+        MvtStyle.prototype.ruleFor = function (feature, zoom) {
+            for (var i = 0; i < this.rules.length; i++) {
+                if (this.matches(this.rules[i], feature, zoom)) {
+                    return this.rules[i];
+                }
+            }
+
+            return null;
+        };
+
+        /**
+         * Indicates whether the rule applies to the feature.
+         * @param {Object} rule The rule.
+         * @param {Object} feature The feature of the vector tile.
+         * @param {Number} zoom The zoom level of the tile containing the feature.
+         * @returns {Boolean} true if the rule applies to the feature, otherwise false.
+         * @protected
+         */
+        MvtStyle.prototype.matches = function (rule, feature, zoom) {
+            if (rule.layer !== undefined &&
+                (Array.isArray(rule.layer) ? rule.layer.indexOf(feature.layer) < 0 : rule.layer !== feature.layer)) {
+                return false;
+            }
+
+            if (rule.type !== undefined && rule.type !== feature.type) {
+                return false;
+            }
+
+            if ((rule.minZoom !== undefined && zoom < rule.minZoom) ||
+                (rule.maxZoom !== undefined && zoom > rule.maxZoom)) {
+                return false;
+            }
+
+            if (typeof rule.filter === 'function') {
+                return !!rule.filter(feature.properties, feature);
+            }
+
+            for (var key in rule.filter) {
+                if (rule.filter.hasOwnProperty(key)) {
+                    var expected = rule.filter[key],
+                        value = feature.properties[key];
+                    if (Array.isArray(expected) ? expected.indexOf(value) < 0 : expected !== value) {
+                        return false;
+                    }
+                }
+            }
+
+            return true;
+        };
+
+        return MvtStyle;
+    }
+);
\ No newline at end of file
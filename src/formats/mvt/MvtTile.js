@@ -0,0 +1,294 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports MvtTile
+ */
+define([
+        '../../error/ArgumentError',
+        '../geotiff/DeflateDecoder',
+        '../../util/Logger',
+        './ProtobufReader'
+    ],
+    function (ArgumentError,
+              DeflateDecoder,
+              Logger,
+              ProtobufReader) {
+        "use strict";
+
+        /**
+         * Constructs a Mapbox vector tile from its encoded data.
+         * @alias MvtTile
+         * @constructor
+         * @classdesc Decodes the Mapbox vector tile as described at https://github.com/mapbox/vector-tile-spec.
+         * The tile consists of the named layers and each layer of the features. Every feature has:
+         * <ul>
+         *     <li>id - The identifier of the feature, if any.</li>
+         *     <li>type - One of the [MvtTile.GeometryType]{@link MvtTile.GeometryType}.</li>
+         *     <li>layer - The name of the layer the feature belongs to.</li>
+         *     <li>properties - The object with the attributes of the feature.</li>
+         *     <li>geometry - The list of the points, lines or rings of the feature. Each of them is a list of the
+         *     [x, y] coordinates within the extent of the layer with the origin in the upper left corner of the
+         *     tile. The rings are closed.</li>
+         * </ul>
+         * The gzip compressed tiles are decompressed first.
+         * @param {ArrayBuffer|Uint8Array} data The encoded tile.
+         * @throws {ArgumentError} If the specified data is null or undefined.
+         */
+        var MvtTile = function (data) {
+            if (!data) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "MvtTile", "constructor", "missingArrayBuffer"));
+            }
+
+            var bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+            if (DeflateDecoder.isGzip(bytes)) {
+                bytes = DeflateDecoder.decodeGzip(bytes);
+            }
+
+            /**
+             * The layers of this tile in the order of the encoded data.
+             * @type {Object[]}
+             * @readonly
+             */
+            this.layers = [];
+
+            var reader = new ProtobufReader(bytes);
+            reader.readFields(bytes.length, readTileField, this.layers);
+        };
+
+        /**
+         * The types of the geometries of the features.
+         * @type {{UNKNOWN: Number, POINT: Number, LINESTRING: Number, POLYGON: Number}}
+         */
+        MvtTile.GeometryType = {
+            UNKNOWN: 0,
+            POINT: 1,
+            LINESTRING: 2,
+            POLYGON: 3
+        };
+
+        /**
+         * Returns the layer with the specified name.
+         * @param {String} name The name of the layer.
+         * @returns {Object} The layer with the name, extent, version and features or null if this tile doesn't
+         * contain such layer.
+         */
+        MvtTile.prototype.layerNamed = function (name) {
+            for (var i = 0; i < this.layers.length; i++) {
+                if (this.layers[i].name === name) {
+                    return this.layers[i];
+                }
+            }
+
+            return null;
+        };
+
+        /**
+         * Groups the rings of the polygon feature to the polygons. Each polygon starts with its exterior ring
+         * followed by its interior rings. The winding order of the first ring is the winding order of the exterior
+         * rings.
+         * @param {Number[][][]} rings The rings of the feature.
+         * @returns {Number[][][][]} The polygons.
+         */
+        MvtTile.classifyRings = function (rings) {
+            var polygons = [],
+                polygon = null,
+                exteriorSign = 0;
+
+            for (var i = 0; i < rings.length; i++) {
+                var area = signedArea(rings[i]);
+                if (area === 0) {
+                    continue;
+                }
+
+                if (exteriorSign === 0) {
+                    exteriorSign = area > 0 ? 1 : -1;
+                }
+
+                if (area * exteriorSign > 0) {
+                    polygon = [rings[i]];
+                    polygons.push(polygon);
+                } else if (polygon) {
+                    polygon.push(rings[i]);
+                }
+            }
+
+            return polygons;
+        };
+
+        /**
+         * Computes the geographic location of the point within the tile of the Web Mercator tiling scheme.
+         * @param {Number[]} point The [x, y] coordinates of the point within the extent.
+         * @param {Number} extent The extent of the layer.
+         * @param {Number} zoom The zoom level of the tile.
+         * @param {Number} column The column of the tile increasing to the east.
+         * @param {Number} row The row of the tile increasing to the south.
+         * @param {Location} result The location to store the result in.
+         * @returns {Location} The result.
+         */
+        MvtTile.location = function (point, extent, zoom, column, row, result) {
+            var size = extent * Math.pow(2, zoom),
+                x = (column * extent + point[0]) / size,
+                y = (row * extent + point[1]) / size;
+
+            result.latitude = Math.atan(sinh(Math.PI * (1 - 2 * y))) * 180 / Math.PI;
+            result.longitude = x * 360 - 180;
+            return result;
+        };
+
+        // Internal use only. Reads the layers of the tile.
+        function readTileField(field, layers, reader) {
+            if (field === 3) {
+                var layer = reader.readMessage(readLayerField, {
+                    name: null,
+                    version: 1,
+                    extent: 4096,
+                    features: [],
+                    keys: [],
+                    values: []
+                });
+
+                layer.features.forEach(function (feature) {
+                    feature.layer = layer.name;
+                    for (var i = 0; i + 1 < feature.tags.length; i += 2) {
+                        feature.properties[layer.keys[feature.tags[i]]] = layer.values[feature.tags[i + 1]];
+                    }
+                    delete feature.tags;
+                });
+                delete layer.keys;
+                delete layer.values;
+
+                layers.push(layer);
+            }
+        }
+
+        // Internal use only. Reads the fields of the layer. The tags of the features are resolved once the keys and
+        // values of the layer are read.
+        function readLayerField(field, layer, reader) {
+            if (field === 15) {
+                layer.version = reader.readVarint();
+            } else if (field === 1) {
+                layer.name = reader.readString();
+            } else if (field === 2) {
+                layer.features.push(reader.readMessage(readFeatureField, {
+                    id: null,
+                    type: MvtTile.GeometryType.UNKNOWN,
+                    layer: null,
+                    properties: {},
+                    geometry: [],
+                    tags: []
+                }));
+            } else if (field === 3) {
+                layer.keys.push(reader.readString());
+            } else if (field === 4) {
+                layer.values.push(reader.readMessage(readValueField, {value: null}).value);
+            } else if (field === 5) {
+                layer.extent = reader.readVarint();
+            }
+        }
+
+        // Internal use only. Reads the fields of the feature.
+        function readFeatureField(field, feature, reader) {
+            if (field === 1) {
+                feature.id = reader.readVarint();
+            } else if (field === 2) {
+                feature.tags = feature.tags.concat(reader.readPackedVarint());
+            } else if (field === 3) {
+                feature.type = reader.readVarint();
+            } else if (field === 4) {
+                feature.geometry = decodeGeometry(reader.readPackedVarint());
+            }
+        }
+
+        // Internal use only. Reads the value of the feature attribute.
+        function readValueField(field, result, reader) {
+            if (field === 1) {
+                result.value = reader.readString();
+            } else if (field === 2) {
+                result.value = reader.readFloat();
+            } else if (field === 3) {
+                result.value = reader.readDouble();
+            } else if (field === 4 || field === 5) {
+                result.value = reader.readVarint();
+            } else if (field === 6) {
+                result.value = reader.readSVarint();
+            } else if (field === 7) {
+                result.value = reader.readBoolean();
+            }
+        }
+
+        // Internal use only. Decodes the MoveTo, LineTo and ClosePath commands of the geometry. Every MoveTo starts
+        // a new point, line or ring.
+        function decodeGeometry(commands) {
+            var geometry = [],
+                current = null,
+                x = 0,
+                y = 0,
+                i = 0;
+
+            while (i < commands.length) {
+                var command = commands[i] & 0x7,
+                    count = commands[i] >>> 3;
+                i++;
+
+                if (command === 1 || command === 2) {
+                    for (var j = 0; j < count && i + 1 < commands.length; j++, i += 2) {
+                        x += zigzag(commands[i]);
+                        y += zigzag(commands[i + 1]);
+                        if (command === 1) {
+                            current = [];
+                            geometry.push(current);
+                        }
+                        if (current) {
+                            current.push([x, y]);
+                        }
+                    }
+                } else if (command === 7) {
+                    if (current && current.length > 0) {
+                        current.push(current[0].slice());
+                    }
+                } else {
+                    Logger.log(Logger.LEVEL_WARNING, "Unknown vector tile geometry command: " + command);
+                    break;
+                }
+            }
+
+            return geometry;
+        }
+
+        // Internal use only. Decodes the zigzag encoded parameter of the geometry command.
+        function zigzag(value) {
+            return (value >>> 1) ^ -(value & 1);
+        }
+
+        // Internal use only. Computes the doubled signed area of the ring.
+        function signedArea(ring) {
+            var sum = 0;
+            for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                sum += (ring[i][0] - ring[j][0]) * (ring[i][1] + ring[j][1]);
+            }
+            return sum;
+        }
+
+        // Internal use only. Computes the hyperbolic sine.
+        function sinh(value) {
+            return (Math.exp(value) - Math.exp(-value)) / 2;
+        }
+
+        return MvtTile;
+    }
+);
\ No newline at end of file
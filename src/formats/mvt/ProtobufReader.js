@@ -0,0 +1,259 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ProtobufReader
+ */
+define([
+        '../../error/ArgumentError',
+        '../../util/Logger'
+    ],
+    function (ArgumentError,
+              Logger) {
+        "use strict";
+
+        /**
+         * Constructs a reader of protocol buffers encoded data.
+         * @alias ProtobufReader
+         * @constructor
+         * @classdesc Reads the fields of the protocol buffers messages as described at
+         * https://developers.google.com/protocol-buffers/docs/encoding. The messages are read field by field with
+         * [readFields]{@link ProtobufReader#readFields}, which passes the number of each field to a callback reading
+         * the value of the field. The fields which aren't read by the callback are skipped.
+         * @param {ArrayBuffer|Uint8Array} data The encoded data.
+         * @throws {ArgumentError} If the specified data is null or undefined.
+         */
+        var ProtobufReader = function (data) {
+            if (!data) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ProtobufReader", "constructor", "missingArrayBuffer"));
+            }
+
+            /**
+             * The encoded data.
+             * @type {Uint8Array}
+             * @readonly
+             */
+            this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+            /**
+             * The position of the next byte to read.
+             * @type {Number}
+             */
+            this.position = 0;
+
+            /**
+             * The wire type of the field read last.
+             * @type {Number}
+             * @readonly
+             */
+            this.wireType = 0;
+
+            // Internal. Intentionally not documented.
+            this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        };
+
+        /**
+         * The wire types of the encoded values.
+         * @type {{VARINT: Number, FIXED64: Number, BYTES: Number, FIXED32: Number}}
+         */
+        ProtobufReader.WireType = {
+            VARINT: 0,
+            FIXED64: 1,
+            BYTES: 2,
+            FIXED32: 5
+        };
+
+        /**
+         * Reads the fields of the message ending at the specified position.
+         * @param {Number} end The position after the last byte of the message.
+         * @param {Function} callback The function called for every field with the number of the field, the result
+         * and this reader. It reads the value of the field using this reader. The value is skipped when it isn't
+         * read.
+         * @param {Object} result The object the message is read to.
+         * @returns {Object} The result.
+         */
+        ProtobufReader.prototype.readFields = function (end, callback, result) {
+            while (this.position < end) {
+                var key = this.readVarint(),
+                    start;
+                this.wireType = key & 0x7;
+                start = this.position;
+
+                callback(key >>> 3, result, this);
+
+                if (this.position === start) {
+                    this.skip(this.wireType);
+                }
+            }
+
+            return result;
+        };
+
+        /**
+         * Reads the embedded message at the current position.
+         * @param {Function} callback The function reading the fields as described at
+         * [readFields]{@link ProtobufReader#readFields}.
+         * @param {Object} result The object the message is read to.
+         * @returns {Object} The result.
+         */
+        ProtobufReader.prototype.readMessage = function (callback, result) {
+            var end = this.readVarint() + this.position;
+            return this.readFields(end, callback, result);
+        };
+
+        /**
+         * Reads the unsigned variable length integer. The integers greater than 2^53 lose precision.
+         * @returns {Number} The integer.
+         */
+        ProtobufReader.prototype.readVarint = function () {
+            var result = 0,
+                multiplier = 1,
+                value;
+
+            do {
+                if (this.position >= this.bytes.length) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "ProtobufReader", "readVarint",
+                            "Unexpected end of the data."));
+                }
+                value = this.bytes[this.position++];
+                result += (value & 0x7F) * multiplier;
+                multiplier *= 128;
+            } while (value & 0x80);
+
+            return result;
+        };
+
+        /**
+         * Reads the zigzag encoded signed variable length integer.
+         * @returns {Number} The integer.
+         */
+        ProtobufReader.prototype.readSVarint = function () {
+            var value = this.readVarint();
+            return value % 2 === 1 ? (value + 1) / -2 : value / 2;
+        };
+
+        /**
+         * Reads the boolean encoded as variable length integer.
+         * @returns {Boolean} The boolean.
+         */
+        ProtobufReader.prototype.readBoolean = function () {
+            return this.readVarint() !== 0;
+        };
+
+        /**
+         * Reads the little endian 32 bit float.
+         * @returns {Number} The float.
+         */
+        ProtobufReader.prototype.readFloat = function () {
+            var result = this.view.getFloat32(this.position, true);
+            this.position += 4;
+            return result;
+        };
+
+        /**
+         * Reads the little endian 64 bit double.
+         * @returns {Number} The double.
+         */
+        ProtobufReader.prototype.readDouble = function () {
+            var result = this.view.getFloat64(this.position, true);
+            this.position += 8;
+            return result;
+        };
+
+        /**
+         * Reads the length delimited bytes.
+         * @returns {Uint8Array} The bytes. They share the buffer with the data of this reader.
+         */
+        ProtobufReader.prototype.readBytes = function () {
+            var end = this.readVarint() + this.position,
+                result = this.bytes.subarray(this.position, end);
+            this.position = end;
+            return result;
+        };
+
+        /**
+         * Reads the length delimited UTF-8 string.
+         * @returns {String} The string.
+         */
+        ProtobufReader.prototype.readString = function () {
+            var bytes = this.readBytes(),
+                result = '',
+                i = 0,
+                code;
+
+            while (i < bytes.length) {
+                code = bytes[i++];
+                if (code >= 0xF0) {
+                    code = ((code & 0x07) << 18) | ((bytes[i++] & 0x3F) << 12) | ((bytes[i++] & 0x3F) << 6) |
+                        (bytes[i++] & 0x3F);
+                    code -= 0x10000;
+                    result += String.fromCharCode(0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF));
+                    continue;
+                } else if (code >= 0xE0) {
+                    code = ((code & 0x0F) << 12) | ((bytes[i++] & 0x3F) << 6) | (bytes[i++] & 0x3F);
+                } else if (code >= 0xC0) {
+                    code = ((code & 0x1F) << 6) | (bytes[i++] & 0x3F);
+                }
+                result += String.fromCharCode(code);
+            }
+
+            return result;
+        };
+
+        /**
+         * Reads the packed repeated unsigned variable length integers.
+         * @returns {Number[]} The integers.
+         */
+        ProtobufReader.prototype.readPackedVarint = function () {
+            if (this.wireType !== ProtobufReader.WireType.BYTES) {
+                return [this.readVarint()];
+            }
+
+            var end = this.readVarint() + this.position,
+                result = [];
+            while (this.position < end) {
+                result.push(this.readVarint());
+            }
+            return result;
+        };
+
+        /**
+         * Skips the value of the specified wire type.
+         * @param {Number} wireType The wire type of the value.
+         * @throws {ArgumentError} If the wire type is not supported.
+         */
+        ProtobufReader.prototype.skip = function (wireType) {
+            if (wireType === ProtobufReader.WireType.VARINT) {
+                this.readVarint();
+            } else if (wireType === ProtobufReader.WireType.FIXED64) {
+                this.position += 8;
+            } else if (wireType === ProtobufReader.WireType.BYTES) {
+                var length = this.readVarint();
+                this.position += length;
+            } else if (wireType === ProtobufReader.WireType.FIXED32) {
+                this.position += 4;
+            } else {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ProtobufReader", "skip",
+                        "Unsupported wire type: " + wireType));
+            }
+        };
+
+        return ProtobufReader;
+    }
+);
\ No newline at end of file
@@ -33,6 +33,9 @@ define(['../../error/ArgumentError',
         /**
          * Constructs an object for dBase file at a specified URL. Applications typically do not call this constructor.
          * It is called by {@link {Shapefile} to read attributes for shapes.
+         * <p>
+         * The text values are decoded following the code page file (.cpg) accompanying the dBase file. Without the
+         * code page file, the language driver ID in the header of the dBase file determines the encoding.
          * @alias DBaseFile
          * @constructor
          * @classdesc Parses a dBase file.
@@ -61,6 +64,18 @@ define(['../../error/ArgumentError',
             this.boolean = true;
             this.numRecordsRead = 0;
 
+            /**
+             * The character encoding of the text values, such as "utf-8" or "windows-1251". It is taken from the
+             * code page file when available. Otherwise it is derived from the language driver ID once the header
+             * is parsed. When null, every byte is interpreted as one ISO-8859-1 character.
+             * @type {String}
+             */
+            this.encoding = null;
+
+            // Internal use only. Intentionally not documented.
+            // The decoder of the text values.
+            this._decoder = null;
+
             this._completionCallback = null;
         };
 
@@ -143,7 +158,62 @@ define(['../../error/ArgumentError',
         DBaseFile.prototype.load = function(completionCallback) {
             this._completionCallback = completionCallback;
 
-            this.requestUrl(this.url);
+            this.requestCodePage(this.url.replace(".dbf", ".cpg"), (function () {
+                this.requestUrl(this.url);
+            }).bind(this));
+        };
+
+        /**
+         * Internal use only.
+         * Request the code page file. The dBase file is read without it, when the code page file isn't available.
+         * @param {String} url The URL of the code page file.
+         * @param {Function} callback The function called once the request is done.
+         */
+        DBaseFile.prototype.requestCodePage = function(url, callback) {
+            var xhr = new XMLHttpRequest();
+
+            xhr.open("GET", url, true);
+            xhr.responseType = 'text';
+            xhr.onreadystatechange = (function () {
+                if (xhr.readyState === 4) {
+                    if (xhr.status === 200) {
+                        this.setCodePage(xhr.responseText);
+                    }
+                    else {
+                        Logger.log(Logger.LEVEL_INFO, "DBaseFile code page not available (" + xhr.statusText + "): " +
+                            url);
+                    }
+
+                    callback();
+                }
+            }).bind(this);
+
+            xhr.onerror = function () {
+                Logger.log(Logger.LEVEL_INFO, "DBaseFile code page retrieval failed: " + url);
+                callback();
+            };
+
+            xhr.ontimeout = function () {
+                Logger.log(Logger.LEVEL_INFO, "DBaseFile code page retrieval timed out: " + url);
+                callback();
+            };
+
+            xhr.send(null);
+        };
+
+        /**
+         * Sets the encoding of the text values from the contents of a code page file, e.g. "UTF-8", "1251" or
+         * "ANSI 1252". The code page file takes precedence over the language driver ID of the dBase file.
+         * @param {String} codePage The contents of the code page file.
+         */
+        DBaseFile.prototype.setCodePage = function(codePage) {
+            var encoding = DBaseFile.codePageEncoding(codePage);
+            if (encoding) {
+                this.encoding = encoding;
+            }
+            else {
+                Logger.log(Logger.LEVEL_WARNING, "DBaseFile unrecognized code page: " + codePage);
+            }
         };
 
         /**
@@ -202,6 +272,9 @@ define(['../../error/ArgumentError',
          */
         DBaseFile.prototype.parse = function() {
             this.header = this.readHeader(this._buffer);
+            this.encoding = this.encoding ||
+                DBaseFile.LANGUAGE_DRIVER_ENCODINGS[this.header.languageDriverId] || null;
+            this._decoder = this.createDecoder(this.encoding);
             this.fields = this.readFieldDescriptors(this._buffer, this.getNumberOfFields());
         };
 
@@ -248,6 +321,10 @@ define(['../../error/ArgumentError',
             // Record length
             var recordLength = buffer.getInt16();
 
+            // Language driver ID
+            buffer.seek(pos + 29);
+            var languageDriverId = buffer.getByte();
+
             var date = {
                 year: 1900 + yy,
                 month: mm - 1,
@@ -260,7 +337,8 @@ define(['../../error/ArgumentError',
                 'lastModificationDate': date,
                 'numberOfRecords': numRecords,
                 'headerLength': headerLength,
-                'recordLength': recordLength
+                'recordLength': recordLength,
+                'languageDriverId': languageDriverId
             };
 
             buffer.seek(pos + DBaseFile.FIXED_HEADER_LENGTH); // Move to end of header.
@@ -322,9 +400,34 @@ define(['../../error/ArgumentError',
         //**************************************************************//
 
         /**
-         * Read a null-terminated string.
+         * Creates the decoder of the text values for the encoding.
+         * @param {String} encoding The character encoding or null.
+         * @returns {TextDecoder} The decoder, or null if the encoding isn't specified or not supported by the browser.
+         */
+        DBaseFile.prototype.createDecoder = function(encoding) {
+            if (!encoding) {
+                return null;
+            }
+
+            if (typeof window.TextDecoder !== 'function') {
+                Logger.log(Logger.LEVEL_WARNING, "DBaseFile can't decode " + encoding + " without TextDecoder");
+                return null;
+            }
+
+            try {
+                return new TextDecoder(encoding);
+            }
+            catch (e) {
+                Logger.log(Logger.LEVEL_WARNING, "DBaseFile unsupported encoding: " + encoding);
+                return null;
+            }
+        };
+
+        /**
+         * Read a null-terminated string. The buffer is advanced by the maximum length regardless of where the string
+         * terminates.
          * @param {ByteBuffer} buffer A buffer descriptor to read from.
-         * @param {Number} maxLength The number of maximum characters.
+         * @param {Number} maxLength The number of bytes reserved for the string.
          * @returns {String}
          */
         DBaseFile.prototype.readNullTerminatedString = function(buffer, maxLength) {
@@ -332,15 +435,14 @@ define(['../../error/ArgumentError',
                 return 0;
             }
 
-            var string = "";
-
-            for (var length = 0; length < maxLength; length += 1) {
-                var byte = buffer.getByte();
-                if (byte == 0) {
-                    break;
-                }
-                string += String.fromCharCode(byte);
+            var bytes = buffer.getByteArray(maxLength),
+                length = 0;
+            while (length < maxLength && bytes[length] != 0) {
+                length += 1;
             }
+            bytes = bytes.subarray(0, length);
+
+            var string = this._decoder ? this._decoder.decode(bytes) : String.fromCharCode.apply(null, bytes);
 
             if (this.isStringEmpty(string))
                 return "";
@@ -378,6 +480,86 @@ define(['../../error/ArgumentError',
             return true;
         };
 
+        /**
+         * Determines the character encoding from the contents of a code page file. Windows and ISO code page numbers
+         * are recognized with or without the "CP" or "ANSI" prefix. Other values are treated as the encoding labels
+         * defined by the Encoding Standard, e.g. "UTF-8", "EUC-KR" or "KOI8-R".
+         * @param {String} codePage The contents of the code page file.
+         * @returns {String} The encoding label, or null if the code page is empty.
+         */
+        DBaseFile.codePageEncoding = function(codePage) {
+            var label = (codePage || "").trim().toLowerCase(),
+                number = label.replace(/^(cp|ansi|windows|ibm)[\s_-]*/, "");
+            if (!label) {
+                return null;
+            }
+
+            if (!/^\d+$/.test(number)) {
+                return label;
+            }
+            if (DBaseFile.CODE_PAGE_ENCODINGS[number]) {
+                return DBaseFile.CODE_PAGE_ENCODINGS[number];
+            }
+            if (/^8859\d+$/.test(number)) {
+                return "iso-8859-" + number.substring(4);
+            }
+            if (/^2859\d$/.test(number)) {
+                return "iso-8859-" + number.substring(4);
+            }
+            if (/^125\d$/.test(number) || number === "874") {
+                return "windows-" + number;
+            }
+            return null;
+        };
+
+        /**
+         * The encodings of the code page numbers, which don't follow the Windows or ISO naming.
+         * @type {Object}
+         */
+        DBaseFile.CODE_PAGE_ENCODINGS = {
+            "65001": "utf-8",
+            "866": "ibm866",
+            "932": "shift_jis",
+            "936": "gbk",
+            "949": "euc-kr",
+            "950": "big5",
+            "20866": "koi8-r",
+            "21866": "koi8-u",
+            "10000": "macintosh",
+            "10007": "x-mac-cyrillic",
+            "54936": "gb18030"
+        };
+
+        /**
+         * The encodings of the language driver IDs stored in the header of dBase files. Only the code pages supported
+         * by the browsers are listed.
+         * @type {Object}
+         */
+        DBaseFile.LANGUAGE_DRIVER_ENCODINGS = {
+            0x03: "windows-1252",
+            0x13: "shift_jis",
+            0x26: "ibm866",
+            0x4D: "gbk",
+            0x4E: "euc-kr",
+            0x4F: "big5",
+            0x57: "windows-1252",
+            0x58: "windows-1252",
+            0x59: "windows-1252",
+            0x65: "ibm866",
+            0x78: "big5",
+            0x79: "euc-kr",
+            0x7A: "gbk",
+            0x7B: "shift_jis",
+            0x7C: "windows-874",
+            0x7D: "windows-1255",
+            0x7E: "windows-1256",
+            0xC8: "windows-1250",
+            0xC9: "windows-1251",
+            0xCA: "windows-1254",
+            0xCB: "windows-1253",
+            0xCC: "windows-1257"
+        };
+
         /**
          * The length of a dBase file header.
          * @type {Number}
@@ -19,12 +19,14 @@
  */
 define(['../../error/ArgumentError',
         '../../util/Logger',
-        '../../error/NotYetImplementedError'
+        '../../util/proj4-src',
+        '../../error/UnsupportedOperationError'
     ],
 
     function (ArgumentError,
               Logger,
-              NotYetImplementedError) {
+              Proj4,
+              UnsupportedOperationError) {
         "use strict";
 
         /**
@@ -51,6 +53,9 @@ define(['../../error/ArgumentError',
 
             // Internal use only. Intentionally not documented.
             this._params = null;
+
+            // Internal use only. Intentionally not documented.
+            this._converter = null;
         };
 
         Object.defineProperties(PrjFile.prototype, {
@@ -99,6 +104,17 @@ define(['../../error/ArgumentError',
 
             this.requestUrl(this._url);
         };
+
+        /**
+         * Parses the contents of the projection descriptor file. Empty contents leave the coordinate system unknown.
+         * @param {String} text The well-known text of the coordinate system.
+         */
+        PrjFile.prototype.parse = function(text) {
+            if (text && text.trim()) {
+                this._params = this.decodeOGCCoordinateSystem(text);
+            }
+        };
+
         /**
          * TODO: this common code; refactor!
          * Internal use only.
@@ -113,8 +129,7 @@ define(['../../error/ArgumentError',
             xhr.onreadystatechange = (function () {
                 if (xhr.readyState === 4) {
                     if (xhr.status === 200) {
-                        var text = String.fromCharCode.apply(null, new Uint8Array(xhr.response));
-                        this._params = this.decodeOGCCoordinateSystem(text);
+                        this.parse(String.fromCharCode.apply(null, new Uint8Array(xhr.response)));
                     }
                     else {
                         Logger.log(Logger.LEVEL_WARNING,
@@ -150,9 +165,8 @@ define(['../../error/ArgumentError',
          * Retrieves the coordinate system and its parameters from an OGC coordinate system encoded as well-known text. For
          * details, see to the OGC Coordinate Transform Service (CT) specification at <a
          * href="https://www.opengeospatial.org/standards/ct">https://www.opengeospatial.org/standards/ct</a>. This recognizes
-         * Geographic and UTM coordinate systems.
-         *
-         * If an exception occurs while parsing the coordinate system text, the parameter list is left unchanged.
+         * Geographic and Projected coordinate systems. The UTM zone and hemisphere are parsed from the name of the
+         * projected coordinate system.
          *
          * @param {String} text   A string containing an OGC coordinate system in well-known text format.
          *
@@ -162,79 +176,98 @@ define(['../../error/ArgumentError',
          */
         PrjFile.prototype.decodeOGCCoordinateSystem = function(text) {
             if (!text) {
-                new ArgumentError(
+                throw new ArgumentError(
                     Logger.logMessage(Logger.LEVEL_SEVERE, "PrjFile", "decodeOGCCoordinateSystem", "missingText")
                 );
             }
 
             var params = {};
+            params[PrjFile.WELL_KNOWN_TEXT] = text.trim();
 
             // Convert the coordinate system text to upper case. The coordinate system regular expressions match against
             // upper case characters.
             text = text.trim().toUpperCase();
 
-            if (PrjFile.GEOGCS_WKT_PATTERN.test(text)) {
-                params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_GEOGRAPHIC;
-            }
-            else {
-                var result = text.match(PrjFile.PROJCS_WKT_PATTERN);
-                if (!!result) {
-                    params[PrfFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_PROJECTED;
-
-                    throw new NotYetImplementedError(Logger.log(Logger.LEVEL_SEVERE,
-                        "PrjFile implementation  for projected coordinate systems in incomplete."));
-                    // TODO: Complete the implementation; the Java implementation is summarized below.
-                    //String
-                    //csText = csMatcher.group(1);
-                    //Matcher
-                    //projMatcher = UTM_NAME_WKT_PATTERN.matcher(csText);
-                    //if (projMatcher.matches()) {
-                    //    params.setValue(AVKey.PROJECTION_NAME, AVKey.PROJECTION_UTM);
-                    //
-                    //    // Parse the UTM zone from the coordinate system name.
-                    //    String
-                    //    s = projMatcher.group(1);
-                    //    if (s != null) {
-                    //        Integer
-                    //        i = WWUtil.makeInteger(s.trim());
-                    //        if (i != null && i >= 1 && i <= 60)
-                    //            params.setValue(AVKey.PROJECTION_ZONE, i);
-                    //    }
-                    //
-                    //    if (params.getValue(AVKey.PROJECTION_ZONE) == null)
-                    //        Logging.logger().warning(Logging.getMessage("generic.ZoneIsInvalid", s));
-                    //
-                    //    // Parse the UTM hemisphere form the coordinate system name.
-                    //    s = projMatcher.group(2);
-                    //    if (s != null) {
-                    //        s = s.trim();
-                    //        if (s.startsWith("N") || s.startsWith("n"))
-                    //            params.setValue(AVKey.PROJECTION_HEMISPHERE, AVKey.NORTH);
-                    //        else if (s.startsWith("S") || s.startsWith("s"))
-                    //            params.setValue(AVKey.PROJECTION_HEMISPHERE, AVKey.SOUTH);
-                    //    }
-                    //
-                    //    if (params.getValue(AVKey.PROJECTION_HEMISPHERE) == null)
-                    //        Logging.logger().warning(Logging.getMessage("generic.HemisphereIsInvalid", s));
-                    //}
-                    //else {
-                    //    params.setValue(AVKey.PROJECTION_NAME, AVKey.PROJECTION_UNKNOWN);
-                    //}
+            // The projected coordinate system contains the geographic one, therefore it has to be tested first.
+            var result = text.match(PrjFile.PROJCS_WKT_PATTERN);
+            if (!!result) {
+                params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_PROJECTED;
+
+                var projection = result[1].match(PrjFile.UTM_NAME_WKT_PATTERN);
+                if (!!projection) {
+                    params[PrjFile.PROJECTION_NAME] = PrjFile.PROJECTION_UTM;
+
+                    // Parse the UTM zone from the coordinate system name.
+                    var zone = parseInt(projection[1], 10);
+                    if (zone >= 1 && zone <= 60) {
+                        params[PrjFile.PROJECTION_ZONE] = zone;
+                    } else {
+                        Logger.log(Logger.LEVEL_WARNING, "PrjFile: UTM zone is invalid: " + projection[1]);
+                    }
+
+                    // Parse the UTM hemisphere form the coordinate system name.
+                    var hemisphere = projection[2].trim();
+                    if (hemisphere.indexOf("N") === 0) {
+                        params[PrjFile.PROJECTION_HEMISPHERE] = PrjFile.PROJECTION_HEMISPHERE_NORTH;
+                    } else if (hemisphere.indexOf("S") === 0) {
+                        params[PrjFile.PROJECTION_HEMISPHERE] = PrjFile.PROJECTION_HEMISPHERE_SOUTH;
+                    } else {
+                        Logger.log(Logger.LEVEL_WARNING, "PrjFile: UTM hemisphere is invalid: " + hemisphere);
+                    }
                 }
                 else {
-                    params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_UNKNOWN;
+                    params[PrjFile.PROJECTION_NAME] = PrjFile.PROJECTION_UNKNOWN;
                 }
             }
+            else if (PrjFile.GEOGCS_WKT_PATTERN.test(text)) {
+                params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_GEOGRAPHIC;
+            }
+            else {
+                params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_UNKNOWN;
+            }
 
             return params;
         };
 
+        /**
+         * Returns the converter of the projected coordinates to the geographic coordinates in WGS84. The projected
+         * coordinate system is created by proj4js from the well-known text.
+         * @returns {{forward: Function, inverse: Function}} The proj4js converter, whose forward function transforms
+         * the [x, y] projected coordinates to [longitude, latitude].
+         * @throws {UnsupportedOperationError} If the coordinate system isn't projected or proj4js doesn't recognize
+         * its well-known text.
+         */
+        PrjFile.prototype.projectionConverter = function() {
+            if (this._converter) {
+                return this._converter;
+            }
+
+            if (!this.isProjectedCoordinateSystem()) {
+                throw new UnsupportedOperationError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "PrjFile", "projectionConverter",
+                        "The coordinate system of " + this.url + " isn't projected."));
+            }
+
+            var wkt = this.params[PrjFile.WELL_KNOWN_TEXT];
+            try {
+                this._converter = Proj4(wkt, 'EPSG:4326');
+            } catch (e) {
+                var name = wkt.match(/PROJCS\s*[\[\(]\s*"([^"]*)"/i);
+                throw new UnsupportedOperationError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "PrjFile", "projectionConverter",
+                        "The projected coordinate system " + (name ? name[1] : wkt) + " of " + this.url +
+                        " isn't recognized."));
+            }
+
+            return this._converter;
+        };
+
         /**
          * Indicates that an unknown coordinate system was encountered.
          * @returns {Boolean} True if an unknown coordinate system was encountered.
          */
         PrjFile.prototype.isUnknownCoordinateSystem = function() {
-            return !this.params || this.params.coordinateSystem === PrjFile.COORDINATE_SYSTEM_UNKNOWN;
+            return !this.params || this.coordinateSystem === PrjFile.COORDINATE_SYSTEM_UNKNOWN;
         };
 
         /**
@@ -242,7 +275,7 @@ define(['../../error/ArgumentError',
          * @returns {Boolean} True if a known coordinate system was encountered.
          */
         PrjFile.prototype.isKnownCoordinateSystem = function() {
-            return !!this.params && this.params.coordinateSystem !== PrjFile.COORDINATE_SYSTEM_UNKNOWN;
+            return !!this.params && this.coordinateSystem !== PrjFile.COORDINATE_SYSTEM_UNKNOWN;
         };
 
         /**
@@ -250,7 +283,7 @@ define(['../../error/ArgumentError',
          * @returns {Boolean} True if a geographic coordinate system was encountered.
          */
         PrjFile.prototype.isGeographicCoordinateSystem = function() {
-            return !!this.params && this.params.coordinateSystem === PrjFile.COORDINATE_SYSTEM_GEOGRAPHIC;
+            return !!this.params && this.coordinateSystem === PrjFile.COORDINATE_SYSTEM_GEOGRAPHIC;
         };
 
         /**
@@ -258,7 +291,7 @@ define(['../../error/ArgumentError',
          * @returns {boolean} True if a projected coordinate system was encountered.
          */
         PrjFile.prototype.isProjectedCoordinateSystem = function() {
-            return !!this.params && this.params.coordinateSystem === PrjFile.COORDINATE_SYSTEM_PROJECTED;
+            return !!this.params && this.coordinateSystem === PrjFile.COORDINATE_SYSTEM_PROJECTED;
         };
 
         /** Pattern matching the geographic coordinate system keyword in an OGC coordinate system well-known text. */
@@ -330,6 +363,18 @@ define(['../../error/ArgumentError',
          */
         PrjFile.PROJECTION_HEMISPHERE_SOUTH = 'Projection_hemisphere_south';
 
+        /**
+         * A projection descriptor of the projection other than UTM.
+         * @type {String}
+         */
+        PrjFile.PROJECTION_UNKNOWN = 'Projection_unknown';
+
+        /**
+         * The key for the well-known text of the coordinate system.
+         * @type {String}
+         */
+        PrjFile.WELL_KNOWN_TEXT = 'Well_known_text';
+
 
         return PrjFile;
     }
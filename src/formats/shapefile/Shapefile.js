@@ -23,50 +23,58 @@ define([
         '../../util/ByteBuffer',
         '../../util/Color',
         '../../formats/shapefile/DBaseFile',
+        '../../util/jszip',
         '../../geom/Location',
         '../../util/Logger',
-        '../../error/NotYetImplementedError',
         '../../shapes/Path',
         '../../shapes/Placemark',
         '../../shapes/PlacemarkAttributes',
         '../../shapes/Polygon',
         '../../geom/Position',
         '../../formats/shapefile/PrjFile',
+        '../../util/Promise',
         '../../layer/RenderableLayer',
         '../../shapes/ShapeAttributes',
         '../../formats/shapefile/ShapefileRecord',
+        '../../formats/shapefile/ShapefileRecordMultiPatch',
         '../../formats/shapefile/ShapefileRecordMultiPoint',
         '../../formats/shapefile/ShapefileRecordNull',
         '../../formats/shapefile/ShapefileRecordPoint',
         '../../formats/shapefile/ShapefileRecordPolygon',
         '../../formats/shapefile/ShapefileRecordPolyline',
         '../../shapes/SurfacePolygon',
-        '../../shapes/SurfacePolyline'
+        '../../shapes/SurfacePolyline',
+        '../../shapes/TriangleMesh',
+        '../../util/libtess'
     ],
     function (Angle,
               ArgumentError,
               ByteBuffer,
               Color,
               DBaseFile,
+              JsZip,
               Location,
               Logger,
-              NotYetImplementedError,
               Path,
               Placemark,
               PlacemarkAttributes,
               Polygon,
               Position,
               PrjFile,
+              Promise,
               RenderableLayer,
               ShapeAttributes,
               ShapefileRecord,
+              ShapefileRecordMultiPatch,
               ShapefileRecordMultiPoint,
               ShapefileRecordNull,
               ShapefileRecordPoint,
               ShapefileRecordPolygon,
               ShapefileRecordPolyline,
               SurfacePolygon,
-              SurfacePolyline) {
+              SurfacePolyline,
+              TriangleMesh,
+              libtessDummy) {
         "use strict";
 
         /**
@@ -76,8 +84,9 @@ define([
          * @constructor
          * @classdesc Parses a shapefile and creates shapes representing its contents. Points in the shapefile are
          * represented by [Placemarks]{@link Placemark}, lines are represented by [Paths]{@link Path} or
-         * [SurfacePolylines]{@link SurfacePolyline}, and polygons
-         * are represented by [Polygons]{@link Polygon} or [SurfacePolygons]{@link SurfacePolygon}.
+         * [SurfacePolylines]{@link SurfacePolyline}, polygons
+         * are represented by [Polygons]{@link Polygon} or [SurfacePolygons]{@link SurfacePolygon}, and
+         * multi-patches are represented by [TriangleMeshes]{@link TriangleMesh}.
          * A parser completion callback may be specified and is
          * called when the shapefile is fully parsed but before shapes are created.
          * <p>
@@ -86,7 +95,10 @@ define([
          * shape. An argument to this function provides any attributes specified in an attribute file (.dbf)
          * accompanying the shapefile. That attribute file is automatically detected, retrieved and parsed along
          * with the shapefile.
-         * @param {String} url The location of the shapefile.
+         * <p>
+         * The shapefile may also be retrieved as a zip archive containing the .shp file together with its .dbf,
+         * .prj and .cpg files. The first shapefile in the archive is used.
+         * @param {String} url The location of the shapefile or of the zip archive containing it.
          * @throws {ArgumentError} If the specified URL is null or undefined.
          */
         var Shapefile = function (url) {
@@ -142,7 +154,9 @@ define([
              *     <li>WorldWind.MULTI_POINT</li>
              *     <li>WorldWind.POLYLINE</li>
              *     <li>WorldWind.POLYGON</li>
+             *     <li>WorldWind.SHAPE_MULTI_PATCH</li>
              * </ul>
+             * The Z and M variants of the types are suffixed by "Z" and "M".
              * This value is defined during shapefile loading.
              * @memberof Shapefile.prototype
              * @type {String}
@@ -242,6 +256,11 @@ define([
 
             this._layer = layer || new RenderableLayer();
 
+            if (Shapefile.isArchive(this.url)) {
+                this.requestArchive(this.url);
+                return;
+            }
+
             // Load primary and secondary files in the following order:
             //      1) Projection file,
             //      2) Attribute file, and
@@ -306,6 +325,8 @@ define([
                 configuration.attributes = this.defaultPlacemarkAttributes;
             } else if (record.isPolylineType()) {
                 configuration.attributes = this.defaultShapeAttributes;
+            } else if (record.isMultiPatchType()) {
+                configuration.attributes = this.defaultShapeAttributes;
             } else if (record.isPolygonType()) {
                 configuration.attributes = this.defaultShapeAttributes;
                 var height = attributes.values.height || attributes.values.Height || attributes.values.HEIGHT;
@@ -326,6 +347,7 @@ define([
          *     <li>[addRenderablesForMultiPoints]{@link Shapefile#addRenderablesForMultiPoints}</li>
          *     <li>[addRenderablesForPolylines]{@link Shapefile#addRenderablesForPolylines}</li>
          *     <li>[addRenderablesForPolygons]{@link Shapefile#addRenderablesForPolygons}</li>
+         *     <li>[addRenderablesForMultiPatches]{@link Shapefile#addRenderablesForMultiPatches}</li>
          * </ul>
          * @param {RenderableLayer} layer The layer in which to place the newly created shapes.
          * @throws {ArgumentError} If the specified layer is null or undefined.
@@ -344,6 +366,8 @@ define([
                 this.addRenderablesForPolylines(layer);
             } else if (this.isPolygonType()) {
                 this.addRenderablesForPolygons(layer);
+            } else if (this.isMultiPatchType()) {
+                this.addRenderablesForMultiPatches(layer);
             }
         };
 
@@ -353,6 +377,9 @@ define([
          * Applications typically do not call this method directly. It is called by
          * [addRenderablesForShapefile]{@link Shapefile#addRenderablesForShapefile}.
          * <p>
+         * For the Z types, the placemarks are placed at the Z values of the points with the
+         * [WorldWind.ABSOLUTE]{@link WorldWind#ABSOLUTE} altitude mode, unless the configuration specifies an altitude.
+         * <p>
          * This method invokes this shapefile's
          * [shapeConfigurationCallback]{@link Shapefile#shapeConfigurationCallback} once for each record.
          * If that function returns null, the record is skipped. If it returns non-null, the returned value is
@@ -391,14 +418,16 @@ define([
                 }
 
                 for (var part = 0, parts = record.numberOfParts; part < parts; part += 1) {
-                    var points = record.pointBuffer(part);
+                    var points = record.pointBuffer(part),
+                        zValues = altitude ? null : record.zBuffer(part);
                     for (var idx = 0, len = points.length; idx < len; idx += 2) {
                         var longitude = points[idx],
                             latitude = points[idx + 1],
-                            position = new Position(latitude, longitude, altitude),
+                            position = new Position(latitude, longitude, zValues ? zValues[idx / 2] : altitude),
                             placemark = new Placemark(position, false, configuration.attributes);
 
-                        placemark.altitudeMode = configuration.altitudeMode || WorldWind.RELATIVE_TO_GROUND;
+                        placemark.altitudeMode = configuration.altitudeMode ||
+                            (zValues ? WorldWind.ABSOLUTE : WorldWind.RELATIVE_TO_GROUND);
                         if (configuration.highlightAttributes) {
                             placemark.highlightAttributes = configuration.highlightAttributes;
                         }
@@ -424,6 +453,9 @@ define([
          * Applications typically do not call this method directly. It is called by
          * [addRenderablesForShapefile]{@link Shapefile#addRenderablesForShapefile}.
          * <p>
+         * For the Z types, the placemarks are placed at the Z values of the points with the
+         * [WorldWind.ABSOLUTE]{@link WorldWind#ABSOLUTE} altitude mode, unless the configuration specifies an altitude.
+         * <p>
          * This method invokes this shapefile's
          * [shapeConfigurationCallback]{@link Shapefile#shapeConfigurationCallback} once for each record.
          * If that function returns null, the record is skipped. If it returns non-null, the returned value is
@@ -462,14 +494,16 @@ define([
                 }
 
                 for (var part = 0, parts = record.numberOfParts; part < parts; part += 1) {
-                    var points = record.pointBuffer(part);
+                    var points = record.pointBuffer(part),
+                        zValues = altitude ? null : record.zBuffer(part);
                     for (var idx = 0, len = points.length; idx < len; idx += 2) {
                         var longitude = points[idx],
                             latitude = points[idx + 1],
-                            position = new Position(latitude, longitude, altitude),
+                            position = new Position(latitude, longitude, zValues ? zValues[idx / 2] : altitude),
                             placemark = new Placemark(position, false, configuration.attributes);
 
-                        placemark.altitudeMode = configuration.altitudeMode || WorldWind.RELATIVE_TO_GROUND;
+                        placemark.altitudeMode = configuration.altitudeMode ||
+                            (zValues ? WorldWind.ABSOLUTE : WorldWind.RELATIVE_TO_GROUND);
                         if (configuration.highlightAttributes) {
                             placemark.highlightAttributes = configuration.highlightAttributes;
                         }
@@ -496,6 +530,10 @@ define([
          * Applications typically do not call this method directly. It is called by
          * [addRenderablesForShapefile]{@link Shapefile#addRenderablesForShapefile}.
          * <p>
+         * For the Z types, {@link Path}s following the Z values of the points with the
+         * [WorldWind.ABSOLUTE]{@link WorldWind#ABSOLUTE} altitude mode are created, unless the configuration specifies
+         * an altitude.
+         * <p>
          * This method invokes this shapefile's
          * [shapeConfigurationCallback]{@link Shapefile#shapeConfigurationCallback} once for each record.
          * If that function returns null, the record is skipped. If it returns non-null, the returned value is
@@ -533,21 +571,32 @@ define([
                 }
 
                 for (var part = 0, parts = record.numberOfParts; part < parts; part += 1) {
-                    var points = record.pointBuffer(part);
+                    var points = record.pointBuffer(part),
+                        zValues = altitude ? null : record.zBuffer(part);
 
                     var positions = [];
 
                     for (var idx = 0, len = points.length; idx < len; idx += 2) {
                         var longitude = points[idx],
                             latitude = points[idx + 1],
-                            position = !altitude ?
-                                new Location(latitude, longitude) : new Position(latitude, longitude, altitude);
+                            position;
+
+                        if (zValues) {
+                            position = new Position(latitude, longitude, zValues[idx / 2]);
+                        } else if (altitude) {
+                            position = new Position(latitude, longitude, altitude);
+                        } else {
+                            position = new Location(latitude, longitude);
+                        }
 
                         positions.push(position);
                     }
 
                     var shape;
-                    if (!altitude) {
+                    if (zValues) {
+                        shape = new Path(positions, configuration.attributes);
+                        shape.altitudeMode = configuration.altitudeMode || WorldWind.ABSOLUTE;
+                    } else if (!altitude) {
                         shape = new SurfacePolyline(positions, configuration.attributes);
                     } else {
                         shape = new Path(positions, configuration.attributes);
@@ -579,6 +628,10 @@ define([
          * Applications typically do not call this method directly. It is called by
          * [addRenderablesForShapefile]{@link Shapefile#addRenderablesForShapefile}.
          * <p>
+         * For the Z types, {@link Polygon}s following the Z values of the points with the
+         * [WorldWind.ABSOLUTE]{@link WorldWind#ABSOLUTE} altitude mode are created, unless the configuration specifies
+         * an altitude or a height.
+         * <p>
          * This method invokes this shapefile's
          * [shapeConfigurationCallback]{@link Shapefile#shapeConfigurationCallback} once for each record.
          * If that function returns null, the record is skipped. If it returns non-null, the returned value is
@@ -618,10 +671,12 @@ define([
                 var boundaries = [],
                     position,
                     height = configuration.height,
-                    altitude = configuration.altitude;
+                    altitude = configuration.altitude,
+                    hasZ = !height && !altitude && !!record.zValues;
 
                 for (var part = 0, parts = record.numberOfParts; part < parts; part += 1) {
                     var points = record.pointBuffer(part),
+                        zValues = record.zBuffer(part),
                         positions = [];
 
                     // The shapefile duplicates the first and last point in each record, but WW shapes do not
@@ -632,6 +687,8 @@ define([
 
                         if (height) {
                             position = new Position(latitude, longitude, height);
+                        } else if (hasZ) {
+                            position = new Position(latitude, longitude, zValues[idx / 2]);
                         } else if (altitude) {
                             position = new Position(latitude, longitude, altitude);
                         } else {
@@ -649,6 +706,9 @@ define([
                     shape = new Polygon(boundaries, configuration.attributes);
                     shape.extrude = true;
                     shape.altitudeMode = configuration.altitudeMode || WorldWind.RELATIVE_TO_GROUND;
+                } else if (hasZ) {
+                    shape = new Polygon(boundaries, configuration.attributes);
+                    shape.altitudeMode = configuration.altitudeMode || WorldWind.ABSOLUTE;
                 } else if (!altitude) {
                     shape = new SurfacePolygon(boundaries, configuration.attributes);
                 } else {
@@ -672,6 +732,130 @@ define([
             }
         };
 
+        /**
+         * Iterates over this shapefile's records and creates {@link TriangleMesh}es for the shapefile's multi-patch
+         * records. One mesh is created for each record. The mesh follows the Z values of the points with the
+         * [WorldWind.ABSOLUTE]{@link WorldWind#ABSOLUTE} altitude mode.
+         * Applications typically do not call this method directly. It is called by
+         * [addRenderablesForShapefile]{@link Shapefile#addRenderablesForShapefile}.
+         * <p>
+         * This method invokes this shapefile's
+         * [shapeConfigurationCallback]{@link Shapefile#shapeConfigurationCallback} once for each record.
+         * If that function returns null, the record is skipped. If it returns non-null, the returned value is
+         * assumed to be an object with any or all of the following optional properties:
+         * <ul>
+         *     <li><i>attributes:</i> A {@link ShapeAttributes} object to assign to the mesh created
+         *     for the record.</li>
+         *     <li><i>highlightAttributes:</i> A {@link ShapeAttributes} object to assign to the highlight
+         *     attributes of the mesh created for the record.</li>
+         *     <li><i>altitudeMode:</i> The [altitude mode]{@link AbstractShape#altitudeMode} to apply to the
+         *     created mesh. If not specified, [WorldWind.ABSOLUTE]{@link WorldWind#ABSOLUTE} is used.</li>
+         *     <li><i>name:</i> A String to assign as the created mesh's displayName property.</li>
+         *     <li><i>pickDelegate:</i> An object returned as the userObject when this feature is picked.</li>
+         *     <li><i>userProperties:</i> An ad hoc object assigned to the renderable.</li>
+         * </ul>
+         * @param {RenderableLayer} layer The layer in which to place the newly created shapes.
+         * @throws {ArgumentError} If the specified layer is null or undefined.
+         */
+        Shapefile.prototype.addRenderablesForMultiPatches = function (layer) {
+            if (!layer) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "Shapefile", "addRenderablesForMultiPatches",
+                        "missingLayer"));
+            }
+
+            for (var record = this.next(); !!record; record = this.next()) {
+                var configuration = this.shapeConfigurationCallback(record.attributes, record);
+                if (!configuration) {
+                    continue;
+                }
+
+                var mesh = this.multiPatchMesh(record);
+                if (mesh.indices.length === 0) {
+                    continue;
+                }
+
+                var shape = new TriangleMesh(mesh.positions, mesh.indices, configuration.attributes);
+                shape.altitudeMode = configuration.altitudeMode || WorldWind.ABSOLUTE;
+
+                if (configuration.highlightAttributes) {
+                    shape.highlightAttributes = configuration.highlightAttributes;
+                }
+                if (configuration.name) {
+                    shape.displayName = configuration.name;
+                }
+                if (configuration.pickDelegate) {
+                    shape.pickDelegate = configuration.pickDelegate;
+                }
+                if (configuration.userProperties) {
+                    shape.userProperties = configuration.userProperties;
+                }
+                layer.addRenderable(shape);
+            }
+        };
+
+        /**
+         * Computes the triangles of a multi-patch record. Triangle strips and fans are split into triangles. The
+         * rings are grouped into polygons, an outer ring with its inner rings or a first ring with the rings following
+         * it, and the polygons are tessellated.
+         * Applications typically do not call this method directly. It is called by
+         * [addRenderablesForMultiPatches]{@link Shapefile#addRenderablesForMultiPatches}.
+         * @param {ShapefileRecord} record The multi-patch record.
+         * @returns {{positions: Position[], indices: Number[]}} The positions of the mesh and the indices of its
+         * triangles' vertices.
+         */
+        Shapefile.prototype.multiPatchMesh = function (record) {
+            var positions = [],
+                indices = [],
+                rings = [],
+                offsets = [],
+                part, points, zValues, offset, count, idx;
+
+            for (part = 0; part < record.numberOfParts; part += 1) {
+                points = record.pointBuffer(part);
+                zValues = record.zBuffer(part);
+                offsets[part] = positions.length;
+                for (idx = 0; idx < points.length; idx += 2) {
+                    positions.push(new Position(points[idx + 1], points[idx], zValues ? zValues[idx / 2] : 0));
+                }
+            }
+
+            for (part = 0; part < record.numberOfParts; part += 1) {
+                var type = record.partTypes[part];
+                offset = offsets[part];
+                count = record.pointBuffer(part).length / 2;
+
+                if (type === Shapefile.TRIANGLE_STRIP) {
+                    for (idx = 0; idx < count - 2; idx += 1) {
+                        // Every other triangle of the strip is reversed to keep the orientation of the triangles.
+                        if (idx % 2 === 0) {
+                            indices.push(offset + idx, offset + idx + 1, offset + idx + 2);
+                        } else {
+                            indices.push(offset + idx + 1, offset + idx, offset + idx + 2);
+                        }
+                    }
+                } else if (type === Shapefile.TRIANGLE_FAN) {
+                    for (idx = 1; idx < count - 1; idx += 1) {
+                        indices.push(offset, offset + idx, offset + idx + 1);
+                    }
+                } else {
+                    // Inner rings and rings continue the polygon started by the preceding outer or first ring.
+                    var startsPolygon = type === Shapefile.OUTER_RING || type === Shapefile.FIRST_RING ||
+                        rings.length === 0;
+                    if (startsPolygon) {
+                        rings.push([]);
+                    }
+                    rings[rings.length - 1].push({offset: offset, count: count});
+                }
+            }
+
+            for (var polygon = 0; polygon < rings.length; polygon += 1) {
+                tessellateRings(positions, rings[polygon], indices);
+            }
+
+            return {positions: positions, indices: indices};
+        };
+
         /**
          * Returns the next {@link ShapefileRecord} in the shapefile, or null if no more records exist. This method
          * can be used to iterate through the shapefile records. Only one such iteration is possible.
@@ -733,6 +917,110 @@ define([
             xhr.send(null);
         };
 
+        // Intentionally not documented.
+        Shapefile.prototype.requestArchive = function (url) {
+            var xhr = new XMLHttpRequest();
+
+            xhr.open("GET", url, true);
+            xhr.responseType = 'arraybuffer';
+            xhr.onreadystatechange = (function () {
+                if (xhr.readyState === 4) {
+                    if (xhr.status === 200) {
+                        this.loadArchive(xhr.response).then((function () {
+                            if (!!this._parserCompletionCallback) {
+                                this._parserCompletionCallback(this);
+                            }
+                        }).bind(this));
+                        return;
+                    }
+
+                    Logger.log(Logger.LEVEL_WARNING,
+                        "Shapefile retrieval failed (" + xhr.statusText + "): " + url);
+
+                    if (!!this._parserCompletionCallback) {
+                        this._parserCompletionCallback(this);
+                    }
+                }
+            }).bind(this);
+
+            xhr.onerror = (function () {
+                Logger.log(Logger.LEVEL_WARNING, "Shapefile retrieval failed: " + url);
+
+                if (!!this._parserCompletionCallback) {
+                    this._parserCompletionCallback(this);
+                }
+            }).bind(this);
+
+            xhr.ontimeout = (function () {
+                Logger.log(Logger.LEVEL_WARNING, "Shapefile retrieval timed out: " + url);
+
+                if (!!this._parserCompletionCallback) {
+                    this._parserCompletionCallback(this);
+                }
+            }).bind(this);
+
+            xhr.send(null);
+        };
+
+        /**
+         * Reads the shapefile from a zip archive. The first .shp file in the archive is parsed together with the
+         * .dbf, .prj and .cpg files of the same name. Applications typically do not call this method directly. It
+         * is called by [load]{@link Shapefile#load} for the URLs of zip archives.
+         * @param {ArrayBuffer} data The contents of the zip archive.
+         * @returns {Promise} Promise resolved once the files are parsed. Failures are logged and leave this shapefile
+         * without records.
+         */
+        Shapefile.prototype.loadArchive = function (data) {
+            var self = this;
+
+            return new JsZip().loadAsync(data).then(function (zip) {
+                var files = Object.keys(zip.files).map(function (key) {
+                    return zip.files[key];
+                }).filter(function (file) {
+                    return !file.dir;
+                });
+
+                var shp = files.filter(function (file) {
+                    return /\.shp$/i.test(file.name);
+                })[0];
+                if (!shp) {
+                    throw new Error("The archive doesn't contain any shapefile.");
+                }
+
+                var baseName = shp.name.substring(0, shp.name.length - 4).toLowerCase();
+                var sibling = function (extension, type) {
+                    var file = files.filter(function (file) {
+                        return file.name.toLowerCase() === baseName + extension;
+                    })[0];
+                    return file ? file.async(type) : null;
+                };
+
+                return Promise.all([
+                    shp.async("arraybuffer"),
+                    sibling(".dbf", "arraybuffer"),
+                    sibling(".prj", "text"),
+                    sibling(".cpg", "text")
+                ]);
+            }).then(function (contents) {
+                self.projectionFile.parse(contents[2]);
+
+                if (contents[1]) {
+                    if (contents[3]) {
+                        self.attributeFile.setCodePage(contents[3]);
+                    }
+                    self.attributeFile._buffer = new ByteBuffer(contents[1]);
+                    self.attributeFile.parse();
+                } else {
+                    self.attributeFile = null;
+                }
+
+                self._buffer = new ByteBuffer(contents[0]);
+                self.parse();
+            }).catch(function (e) {
+                Logger.log(Logger.LEVEL_WARNING, "Shapefile archive can't be read: " + self.url + " (" + e + ")");
+            });
+        };
+
         // Internal use only. Intentionally not documented.
         Shapefile.prototype.parse = function () {
             try {
@@ -851,7 +1139,7 @@ define([
             if (coords[0] < -90) {
                 normalizedLat = Angle.normalizedDegreesLatitude(coords[0]);
 
-                coords[0] = 90;
+                coords[0] = -90;
                 isNormalized = true;
 
                 if (coords[1] < normalizedLat) {
@@ -884,31 +1172,53 @@ define([
 
         // Intentionally not documented.
         Shapefile.prototype.readProjectedBoundingRectangle = function (buffer) {
-            throw new NotYetImplementedError(
-                Logger.log(Logger.LEVEL_SEVERE, "Shapefile.readProjectedBoundingRectangle() not yet implemented"));
-
-            // TODO: complete the implementation; the Java implementation is summarized below.
-            //Object o = this.getValue(AVKey.PROJECTION_NAME);
-            //
-            //if (AVKey.PROJECTION_UTM.equals(o)) {
-            //    // Read the bounding rectangle coordinates in the following order: minEast, minNorth, maxEast, maxNorth.
-            //    var coords = ShapefileUtils.readDoubleArray(buffer, 4);
-            //    // Convert the UTM bounding rectangle to a geographic bounding rectangle. The zone and hemisphere parameters
-            //    // have already been validated in validateBounds.
-            //    var zone = (Integer) this.getValue(AVKey.PROJECTION_ZONE);
-            //    var hemisphere = (String) this.getValue(AVKey.PROJECTION_HEMISPHERE);
-            //    Sector sector = Sector.fromUTMRectangle(zone, hemisphere, coords[0], coords[2], coords[1], coords[3]);
-            //    // Return an array with bounding rectangle coordinates in the following order: minLon, maxLon, minLat, maxLat.
-            //    BoundingRectangle rect = new BoundingRectangle();
-            //    rect.coords = sector.toArrayDegrees();
-            //    return rect;
-            //}
-            //else {
-            //    // The Shapefile's coordinate system projection is unsupported. This should never happen because the
-            //    // projection is validated during initialization, but we check anyway. Let the caller catch and log the
-            //    // message.
-            //    throw new Error(Logger.log(Logger.LEVEL_SEVERE, "Shapefile has an unsupported projection"));
-            //}
+            // Read the bounding rectangle coordinates in the following order: minNorth, maxNorth, minEast, maxEast.
+            var coords = this.readBoundingRectangleCoordinates(buffer);
+
+            // The edges of the projected rectangle aren't straight in the geographic coordinates, therefore points
+            // along the edges are converted to find the geographic bounding rectangle. Let the caller catch and log the
+            // error of the unrecognized projection.
+            var converter = this.projectionFile.projectionConverter(),
+                steps = Shapefile.PROJECTED_BOUNDS_STEPS,
+                minLat = 90, maxLat = -90, minLon = 180, maxLon = -180;
+            for (var step = 0; step <= steps; step += 1) {
+                var fraction = step / steps,
+                    x = coords[2] + (coords[3] - coords[2]) * fraction,
+                    y = coords[0] + (coords[1] - coords[0]) * fraction,
+                    edgePoints = [[x, coords[0]], [x, coords[1]], [coords[2], y], [coords[3], y]];
+
+                for (var idx = 0; idx < edgePoints.length; idx += 1) {
+                    var location = converter.forward(edgePoints[idx]);
+                    minLon = Math.min(minLon, location[0]);
+                    maxLon = Math.max(maxLon, location[0]);
+                    minLat = Math.min(minLat, location[1]);
+                    maxLat = Math.max(maxLat, location[1]);
+                }
+            }
+
+            // Return an array with bounding rectangle coordinates in the following order: minLat, maxLat, minLon, maxLon.
+            return {'coords': [minLat, maxLat, minLon, maxLon], 'isNormalized': false};
+        };
+
+        /**
+         * Converts the projected coordinates of the points to the geographic coordinates in WGS84 in place. The array
+         * is left unchanged if the shapefile's coordinate system isn't projected.
+         * Applications typically do not call this method. It is called by {@link ShapefileRecord} as the points are
+         * read.
+         * @param {Float64Array} points The points in the order X0, Y0, X1, Y1, ..., Xn, Yn.
+         * @throws {UnsupportedOperationError} If the projection of the shapefile isn't recognized.
+         */
+        Shapefile.prototype.projectPoints = function (points) {
+            if (!this.projectionFile || !this.projectionFile.isProjectedCoordinateSystem()) {
+                return;
+            }
+
+            var converter = this.projectionFile.projectionConverter();
+            for (var idx = 0, len = points.length; idx < len; idx += 2) {
+                var location = converter.forward([points[idx], points[idx + 1]]);
+                points[idx] = location[0];
+                points[idx + 1] = location[1];
+            }
         };
 
         // Intentionally not documented.
@@ -962,6 +1272,9 @@ define([
             else if (this.isPolylineType()) {
                 return this.createPolyline(buffer);
             }
+            else if (this.isMultiPatchType()) {
+                return this.createMultiPatch(buffer);
+            }
 
             return null;
         };
@@ -991,6 +1304,11 @@ define([
             return new ShapefileRecordPolygon(this, buffer);
         };
 
+        // Intentionally not documented.
+        Shapefile.prototype.createMultiPatch = function (buffer) {
+            return new ShapefileRecordMultiPatch(this, buffer);
+        };
+
         // Intentionally not documented.
         Shapefile.prototype.getShapeType = function (shapeType) {
             // Cases commented out indicate shape types not implemented
@@ -1024,8 +1342,8 @@ define([
                 case 28:
                     return Shapefile.MULTI_POINT_M;
 
-//            case 31:
-//                return Shapefile.SHAPE_MULTI_PATCH;
+                case 31:
+                    return Shapefile.SHAPE_MULTI_PATCH;
 
                 default:
                     return null; // unsupported shape type
@@ -1111,6 +1429,15 @@ define([
             return Shapefile.polygonTypes.hasOwnProperty(this._shapeType);
         };
 
+        /**
+         * Indicates whether this shapefile is [Shapefile.SHAPE_MULTI_PATCH]{@link Shapefile#SHAPE_MULTI_PATCH}.
+         *
+         * @return {Boolean} True if this shapefile is a multi-patch type.
+         */
+        Shapefile.prototype.isMultiPatchType = function () {
+            return this._shapeType === Shapefile.SHAPE_MULTI_PATCH;
+        };
+
         Shapefile.NULL = "null";
         Shapefile.POINT = "point";
         Shapefile.MULTI_POINT = "multiPoint";
@@ -1129,6 +1456,49 @@ define([
 
         Shapefile.SHAPE_MULTI_PATCH = "multiPatch";
 
+        /**
+         * The type of the multi-patch part whose points form a triangle strip.
+         * @type {Number}
+         */
+        Shapefile.TRIANGLE_STRIP = 0;
+
+        /**
+         * The type of the multi-patch part whose points form a triangle fan.
+         * @type {Number}
+         */
+        Shapefile.TRIANGLE_FAN = 1;
+
+        /**
+         * The type of the multi-patch part which is the outer ring of a polygon.
+         * @type {Number}
+         */
+        Shapefile.OUTER_RING = 2;
+
+        /**
+         * The type of the multi-patch part which is a hole of the polygon started by the preceding outer ring.
+         * @type {Number}
+         */
+        Shapefile.INNER_RING = 3;
+
+        /**
+         * The type of the multi-patch part which is the first ring of a polygon of unknown ring types.
+         * @type {Number}
+         */
+        Shapefile.FIRST_RING = 4;
+
+        /**
+         * The type of the multi-patch part which is a ring of the polygon started by the preceding first ring.
+         * @type {Number}
+         */
+        Shapefile.RING = 5;
+
+        /**
+         * Number of segments along each edge of the projected bounding rectangle, whose points are converted to find
+         * the geographic bounding rectangle.
+         * @type {Number}
+         */
+        Shapefile.PROJECTED_BOUNDS_STEPS = 8;
+
         // Internal use only. Intentionally not documented.
         Shapefile.measureTypes = {
             pointM: Shapefile.POINT_M,
@@ -1138,7 +1508,8 @@ define([
             polylineM: Shapefile.POLYLINE_M,
             polylineZ: Shapefile.POLYLINE_Z,
             polygonM: Shapefile.POLYGON_M,
-            polygonZ: Shapefile.POLYGON_Z
+            polygonZ: Shapefile.POLYGON_Z,
+            multiPatch: Shapefile.SHAPE_MULTI_PATCH
         };
 
         // Internal use only. Intentionally not documented.
@@ -1146,7 +1517,8 @@ define([
             pointZ: Shapefile.POINT_Z,
             multiPointZ: Shapefile.MULTI_POINT_Z,
             polylineZ: Shapefile.POLYLINE_Z,
-            polygonZ: Shapefile.POLYGON_Z
+            polygonZ: Shapefile.POLYGON_Z,
+            multiPatch: Shapefile.SHAPE_MULTI_PATCH
         };
 
         // Internal use only. Intentionally not documented.
@@ -1180,6 +1552,81 @@ define([
         // Intentionally not documented.
         Shapefile.FILE_CODE = 0x0000270A;
 
+        // Internal use only. Intentionally not documented.
+        // Tessellates the polygon formed by the rings of a multi-patch. The rings are projected to a local plane
+        // measured in meters, so that the walls as well as the roofs are tessellated in their own plane.
+        var tessellateRings = function (positions, rings, indices) {
+            var origin = positions[rings[0].offset],
+                metersPerDegree = WorldWind.WGS84_SEMI_MAJOR_AXIS * Angle.DEGREES_TO_RADIANS,
+                cosLatitude = Math.cos(origin.latitude * Angle.DEGREES_TO_RADIANS),
+                tessellator = new libtess.GluTesselator();
+
+            tessellator.gluTessCallback(libtess.gluEnum.GLU_TESS_VERTEX_DATA, function (data, triangles) {
+                triangles.push(data[3]);
+            });
+
+            // Prevents triangle fans and strips.
+            tessellator.gluTessCallback(libtess.gluEnum.GLU_TESS_EDGE_FLAG, function () {
+            });
+
+            tessellator.gluTessCallback(libtess.gluEnum.GLU_TESS_COMBINE, function (coords, data, weight) {
+                var altitude = 0;
+                for (var w = 0; w < 4; w++) {
+                    if (weight[w] > 0) {
+                        altitude += weight[w] * positions[data[w][3]].altitude;
+                    }
+                }
+                positions.push(new Position(
+                    origin.latitude + coords[1] / metersPerDegree,
+                    origin.longitude + coords[0] / (metersPerDegree * cosLatitude),
+                    altitude));
+                return [coords[0], coords[1], coords[2], positions.length - 1];
+            });
+
+            tessellator.gluTessCallback(libtess.gluEnum.GLU_TESS_ERROR, function (errno) {
+                Logger.logMessage(Logger.LEVEL_WARNING, "Shapefile", "multiPatchMesh",
+                    "Tessellation error " + errno + ".");
+            });
+
+            var triangles = [];
+            tessellator.gluTessBeginPolygon(triangles);
+            for (var ring = 0; ring < rings.length; ring++) {
+                var first = rings[ring].offset,
+                    last = first + rings[ring].count - 1;
+                // The rings are closed, but the tessellator doesn't need the last point.
+                if (last > first && positions[first].equals(positions[last])) {
+                    last -= 1;
+                }
+
+                tessellator.gluTessBeginContour();
+                for (var idx = first; idx <= last; idx++) {
+                    var position = positions[idx],
+                        coords = [
+                            (position.longitude - origin.longitude) * metersPerDegree * cosLatitude,
+                            (position.latitude - origin.latitude) * metersPerDegree,
+                            position.altitude - origin.altitude,
+                            idx
+                        ];
+                    tessellator.gluTessVertex(coords, coords);
+                }
+                tessellator.gluTessEndContour();
+            }
+            tessellator.gluTessEndPolygon();
+
+            for (var t = 0; t < triangles.length; t++) {
+                indices.push(triangles[t]);
+            }
+        };
+
+        /**
+         * Indicates whether the URL points to a zip archive rather than to the .shp file.
+         * @param {String} url The URL of the shapefile.
+         * @returns {Boolean} True if the URL has the .zip extension.
+         */
+        Shapefile.isArchive = function (url) {
+            return /\.zip([?#].*)?$/i.test(url);
+        };
+
         return Shapefile;
     }
 );
\ No newline at end of file
@@ -0,0 +1,563 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ShapefileExporter
+ */
+define(['../../error/ArgumentError',
+        '../../util/jszip',
+        '../../util/Logger',
+        './Shapefile'
+    ],
+    function (ArgumentError,
+              JsZip,
+              Logger,
+              Shapefile) {
+        "use strict";
+
+        /**
+         * Provides shapefile exporter functions. The renderables are written as ESRI shapefiles consisting of the
+         * .shp, .shx, .dbf, .prj and .cpg files. The coordinates are written in the WGS84 geographic coordinate
+         * system.
+         * The following renderables can be exported:
+         * <ul>
+         *     <li>WorldWind.Placemark as point</li>
+         *     <li>WorldWind.Path as polyline</li>
+         *     <li>WorldWind.SurfacePolyline as polyline</li>
+         *     <li>WorldWind.Polygon as polygon</li>
+         *     <li>WorldWind.SurfacePolygon as polygon</li>
+         *     <li>WorldWind.SurfaceEllipse as polygon</li>
+         *     <li>WorldWind.SurfaceCircle as polygon</li>
+         *     <li>WorldWind.SurfaceRectangle as polygon</li>
+         *     <li>WorldWind.SurfaceSector as polygon</li>
+         * </ul>
+         * A shapefile contains shapes of one type only, so the renderables are split into one shapefile per shape
+         * type. The attributes of the records are taken from the user properties of the renderables. Every
+         * property holding a string, number, boolean or date becomes a column of the dBase file.
+         * @exports ShapefileExporter
+         */
+        var ShapefileExporter = {
+
+            /**
+             * Determines the shape type the [Renderable]{@link Renderable} is exported as.
+             * @param {Renderable} renderable The renderable to export.
+             * @returns {String} One of Shapefile.POINT, Shapefile.POLYLINE or Shapefile.POLYGON, or null if the
+             * renderable can't be exported.
+             */
+            shapeType: function (renderable) {
+                if (renderable instanceof WorldWind.Placemark) {
+                    return Shapefile.POINT;
+                }
+                else if (renderable instanceof WorldWind.Path || renderable instanceof WorldWind.SurfacePolyline) {
+                    return Shapefile.POLYLINE;
+                }
+                else if (renderable instanceof WorldWind.Polygon || renderable instanceof WorldWind.SurfaceShape) {
+                    return Shapefile.POLYGON;
+                }
+                else {
+                    return null;
+                }
+            },
+
+            /**
+             * Exports a list of [Renderable]{@link Renderable} as shapefiles. The renderables which can't be
+             * exported are skipped with a warning.
+             * @param {Renderable[]} renderables The renderables to export.
+             * @param {String} name Optional base name of the files. Defaults to "shapes". When the renderables
+             * are of more than one shape type, the shape type is appended to the name of each shapefile, e.g.
+             * "shapes_point.shp".
+             * @throws {ArgumentError} If the specified renderables are null or undefined.
+             * @returns {Object} The contents of the files keyed by the file names. The .shp, .shx and .dbf files
+             * are ArrayBuffers, the .prj and .cpg files are strings.
+             */
+            exportRenderables: function (renderables, name) {
+                if (!renderables) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "ShapefileExporter", "exportRenderables",
+                            "missingRenderables"));
+                }
+
+                var groups = {}, types = [];
+                for (var i = 0; i < renderables.length; i++) {
+                    var type = this.shapeType(renderables[i]);
+                    if (!type) {
+                        Logger.log(Logger.LEVEL_WARNING, "Export renderable not implemented: " + renderables[i]);
+                        continue;
+                    }
+                    if (!groups[type]) {
+                        groups[type] = [];
+                        types.push(type);
+                    }
+                    groups[type].push(renderables[i]);
+                }
+
+                var baseName = name || "shapes", files = {};
+                for (i = 0; i < types.length; i++) {
+                    var fileName = types.length > 1 ? baseName + "_" + types[i] : baseName,
+                        shapefile = this.exportShapes(groups[types[i]], types[i]);
+                    files[fileName + ".shp"] = shapefile.shp;
+                    files[fileName + ".shx"] = shapefile.shx;
+                    files[fileName + ".dbf"] = shapefile.dbf;
+                    files[fileName + ".prj"] = ShapefileExporter.WGS84_WKT;
+                    files[fileName + ".cpg"] = "UTF-8";
+                }
+                return files;
+            },
+
+            /**
+             * Exports a [Layer]{@link Layer} as shapefiles named after the layer.
+             * @param {Layer} layer The layer to export.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {Object} The contents of the files keyed by the file names.
+             */
+            exportLayer: function (layer) {
+                if (!layer) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "ShapefileExporter", "exportLayer",
+                            "missingLayer"));
+                }
+
+                return this.exportRenderables(layer.renderables, layer.displayName);
+            },
+
+            /**
+             * Exports a list of [Renderable]{@link Renderable} as shapefiles bundled in a zip archive.
+             * @param {Renderable[]} renderables The renderables to export.
+             * @param {String} name Optional base name of the files.
+             * @throws {ArgumentError} If the specified renderables are null or undefined.
+             * @returns {Promise} Promise resolved with the Blob containing the zip archive.
+             */
+            exportZip: function (renderables, name) {
+                if (!renderables) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "ShapefileExporter", "exportZip",
+                            "missingRenderables"));
+                }
+
+                var files = this.exportRenderables(renderables, name),
+                    zip = new JsZip();
+                for (var fileName in files) {
+                    if (files.hasOwnProperty(fileName)) {
+                        zip.file(fileName, files[fileName]);
+                    }
+                }
+                return zip.generateAsync({type: 'blob', mimeType: 'application/zip'});
+            },
+
+            /**
+             * Exports a list of [Renderable]{@link Renderable} of the same shape type as one shapefile. The
+             * renderables without any location are skipped.
+             * @param {Renderable[]} renderables The renderables to export.
+             * @param {String} shapeType The shape type of the renderables as returned by shapeType.
+             * @throws {ArgumentError} If the specified renderables are null or undefined or the shape type isn't
+             * one of Shapefile.POINT, Shapefile.POLYLINE or Shapefile.POLYGON.
+             * @returns {{shp: ArrayBuffer, shx: ArrayBuffer, dbf: ArrayBuffer}} The contents of the shape file,
+             * the index file and the attribute file.
+             */
+            exportShapes: function (renderables, shapeType) {
+                if (!renderables) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "ShapefileExporter", "exportShapes",
+                            "missingRenderables"));
+                }
+                if (!SHAPE_TYPE_CODES.hasOwnProperty(shapeType)) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "ShapefileExporter", "exportShapes",
+                            "Unsupported shape type: " + shapeType));
+                }
+
+                var shapes = [], records = [];
+                for (var i = 0; i < renderables.length; i++) {
+                    var parts = this.parts(renderables[i], shapeType);
+                    if (parts.length > 0) {
+                        shapes.push(parts);
+                        records.push(renderables[i].userProperties || {});
+                    } else {
+                        Logger.log(Logger.LEVEL_WARNING, "ShapefileExporter: Renderable without locations is " +
+                            "skipped: " + renderables[i]);
+                    }
+                }
+
+                var index = shapeIndex(shapes, shapeType);
+                return {
+                    shp: writeShp(shapes, shapeType, index),
+                    shx: writeShx(shapes, shapeType, index),
+                    dbf: writeDbf(records)
+                };
+            },
+
+            /**
+             * Collects the locations of the [Renderable]{@link Renderable} as parts of the shapefile record. The
+             * rings of polygons are closed and oriented clockwise for the outer boundary and counter-clockwise
+             * for the holes as required by the shapefile specification.
+             * @param {Renderable} renderable The renderable to export.
+             * @param {String} shapeType The shape type the renderable is exported as.
+             * @returns {Location[][]} The parts of the record. Empty when the renderable has no locations.
+             */
+            parts: function (renderable, shapeType) {
+                var parts;
+                if (shapeType === Shapefile.POINT) {
+                    parts = renderable.position ? [[renderable.position]] : [];
+                }
+                else if (renderable instanceof WorldWind.Path) {
+                    parts = [renderable.positions || []];
+                }
+                else if (renderable instanceof WorldWind.SurfaceShape) {
+                    parts = boundaries(renderable.computeBoundariesOnGlobe(null));
+                }
+                else {
+                    parts = boundaries(renderable.boundaries);
+                }
+
+                parts = parts.filter(function (part) {
+                    return part.length > 0;
+                });
+
+                if (shapeType === Shapefile.POLYGON) {
+                    parts = parts.map(function (ring, index) {
+                        ring = ring.slice();
+                        var first = ring[0], last = ring[ring.length - 1];
+                        if (first.latitude !== last.latitude || first.longitude !== last.longitude) {
+                            ring.push(first);
+                        }
+                        // The signed area is positive for counter-clockwise rings.
+                        var clockwise = signedArea(ring) < 0;
+                        return clockwise === (index === 0) ? ring : ring.reverse();
+                    });
+                }
+
+                return parts;
+            }
+        };
+
+        /**
+         * The well-known text of the WGS84 geographic coordinate system written to the .prj files.
+         * @type {String}
+         */
+        ShapefileExporter.WGS84_WKT = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+            'SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],' +
+            'UNIT["Degree",0.0174532925199433]]';
+
+        // Internal use only. Intentionally not documented.
+        var SHAPE_TYPE_CODES = {};
+        SHAPE_TYPE_CODES[Shapefile.POINT] = 1;
+        SHAPE_TYPE_CODES[Shapefile.POLYLINE] = 3;
+        SHAPE_TYPE_CODES[Shapefile.POLYGON] = 5;
+
+        // Internal use only. Intentionally not documented.
+        var HEADER_LENGTH = 100,
+            RECORD_HEADER_LENGTH = 8,
+            NUMBER_LENGTH = 19,
+            MAX_DECIMALS = 8,
+            MAX_CHAR_LENGTH = 254;
+
+        // Normalizes the boundaries of a shape, which are either a list of locations or a list of lists.
+        var boundaries = function (boundaries) {
+            if (!boundaries || boundaries.length === 0) {
+                return [];
+            }
+            return Array.isArray(boundaries[0]) ? boundaries : [boundaries];
+        };
+
+        // Computes the signed area of the ring in the longitude/latitude plane.
+        var signedArea = function (ring) {
+            var area = 0;
+            for (var i = 0; i < ring.length - 1; i++) {
+                area += ring[i].longitude * ring[i + 1].latitude - ring[i + 1].longitude * ring[i].latitude;
+            }
+            return area / 2;
+        };
+
+        // Computes the bounding box of the shapes and the offset and content length of each record.
+        var shapeIndex = function (shapes, shapeType) {
+            var index = {
+                    box: [Infinity, Infinity, -Infinity, -Infinity],
+                    offsets: [],
+                    lengths: [],
+                    length: HEADER_LENGTH
+                },
+                offset = HEADER_LENGTH;
+
+            for (var i = 0; i < shapes.length; i++) {
+                var numPoints = 0;
+                for (var p = 0; p < shapes[i].length; p++) {
+                    numPoints += shapes[i][p].length;
+                    extendBox(index.box, shapes[i][p]);
+                }
+
+                var length = shapeType === Shapefile.POINT ? 20 : 44 + 4 * shapes[i].length + 16 * numPoints;
+                index.offsets.push(offset);
+                index.lengths.push(length);
+                offset += RECORD_HEADER_LENGTH + length;
+            }
+
+            if (shapes.length === 0) {
+                index.box = [0, 0, 0, 0];
+            }
+            index.length = offset;
+            return index;
+        };
+
+        // Extends the box [minX, minY, maxX, maxY] by the locations.
+        var extendBox = function (box, locations) {
+            for (var i = 0; i < locations.length; i++) {
+                box[0] = Math.min(box[0], locations[i].longitude);
+                box[1] = Math.min(box[1], locations[i].latitude);
+                box[2] = Math.max(box[2], locations[i].longitude);
+                box[3] = Math.max(box[3], locations[i].latitude);
+            }
+            return box;
+        };
+
+        // Writes the header shared by the .shp and .shx files.
+        var writeHeader = function (view, shapeType, fileLength, box) {
+            view.setInt32(0, Shapefile.FILE_CODE, false);
+            view.setInt32(24, fileLength / 2, false);
+            view.setInt32(28, 1000, true);
+            view.setInt32(32, SHAPE_TYPE_CODES[shapeType], true);
+            for (var i = 0; i < 4; i++) {
+                view.setFloat64(36 + i * 8, box[i], true);
+            }
+        };
+
+        // Writes the main file with the geometry of the records.
+        var writeShp = function (shapes, shapeType, index) {
+            var view = new DataView(new ArrayBuffer(index.length));
+            writeHeader(view, shapeType, index.length, index.box);
+
+            for (var i = 0; i < shapes.length; i++) {
+                var offset = index.offsets[i], parts = shapes[i];
+                view.setInt32(offset, i + 1, false);
+                view.setInt32(offset + 4, index.lengths[i] / 2, false);
+                offset += RECORD_HEADER_LENGTH;
+                view.setInt32(offset, SHAPE_TYPE_CODES[shapeType], true);
+                offset += 4;
+
+                if (shapeType === Shapefile.POINT) {
+                    view.setFloat64(offset, parts[0][0].longitude, true);
+                    view.setFloat64(offset + 8, parts[0][0].latitude, true);
+                    continue;
+                }
+
+                var box = [Infinity, Infinity, -Infinity, -Infinity], numPoints = 0, p;
+                for (p = 0; p < parts.length; p++) {
+                    extendBox(box, parts[p]);
+                }
+                for (p = 0; p < 4; p++) {
+                    view.setFloat64(offset + p * 8, box[p], true);
+                }
+                offset += 32;
+                view.setInt32(offset, parts.length, true);
+                offset += 8;
+                for (p = 0; p < parts.length; p++) {
+                    view.setInt32(offset + p * 4, numPoints, true);
+                    numPoints += parts[p].length;
+                }
+                view.setInt32(offset - 4, numPoints, true);
+                offset += 4 * parts.length;
+                for (p = 0; p < parts.length; p++) {
+                    for (var j = 0; j < parts[p].length; j++) {
+                        view.setFloat64(offset, parts[p][j].longitude, true);
+                        view.setFloat64(offset + 8, parts[p][j].latitude, true);
+                        offset += 16;
+                    }
+                }
+            }
+
+            return view.buffer;
+        };
+
+        // Writes the index file with the offset and content length of each record in the main file.
+        var writeShx = function (shapes, shapeType, index) {
+            var length = HEADER_LENGTH + RECORD_HEADER_LENGTH * shapes.length,
+                view = new DataView(new ArrayBuffer(length));
+            writeHeader(view, shapeType, length, index.box);
+
+            for (var i = 0; i < shapes.length; i++) {
+                view.setInt32(HEADER_LENGTH + i * RECORD_HEADER_LENGTH, index.offsets[i] / 2, false);
+                view.setInt32(HEADER_LENGTH + i * RECORD_HEADER_LENGTH + 4, index.lengths[i] / 2, false);
+            }
+
+            return view.buffer;
+        };
+
+        // Encodes the string as UTF-8 bytes.
+        var utf8 = function (string) {
+            var encoded = unescape(encodeURIComponent(string)), bytes = [];
+            for (var i = 0; i < encoded.length; i++) {
+                bytes.push(encoded.charCodeAt(i));
+            }
+            return bytes;
+        };
+
+        // Finds the fewest decimals representing the number exactly, up to MAX_DECIMALS.
+        var decimalsOf = function (value) {
+            for (var decimals = 0; decimals < MAX_DECIMALS; decimals++) {
+                if (Number(value.toFixed(decimals)) === value) {
+                    return decimals;
+                }
+            }
+            return MAX_DECIMALS;
+        };
+
+        // Derives the dBase fields from the values of the user properties. Properties of mixed types are written
+        // as characters.
+        var dbfFields = function (records) {
+            var fields = [], byKey = {}, names = {};
+
+            records.forEach(function (record) {
+                for (var key in record) {
+                    if (!record.hasOwnProperty(key)) {
+                        continue;
+                    }
+                    var value = record[key], type = valueType(value);
+                    if (!type) {
+                        continue;
+                    }
+
+                    var field = byKey[key];
+                    if (!field) {
+                        field = byKey[key] = {key: key, name: fieldName(key, names), type: type, decimals: 0};
+                        fields.push(field);
+                    } else if (field.type !== type) {
+                        field.type = 'C';
+                    }
+                    if (type === 'N') {
+                        field.decimals = Math.max(field.decimals, decimalsOf(value));
+                    }
+                }
+            });
+
+            fields.forEach(function (field) {
+                if (field.type === 'C') {
+                    field.decimals = 0;
+                    field.length = records.reduce(function (length, record) {
+                        return Math.max(length, encodeValue(field, record[field.key]).length);
+                    }, 1);
+                } else {
+                    field.length = field.type === 'N' ? NUMBER_LENGTH : field.type === 'L' ? 1 : 8;
+                }
+            });
+
+            return fields;
+        };
+
+        // Determines the dBase field type of the value. Returns null for the values which can't be written.
+        var valueType = function (value) {
+            if (typeof value === 'string') {
+                return 'C';
+            } else if (typeof value === 'number' && isFinite(value)) {
+                return 'N';
+            } else if (typeof value === 'boolean') {
+                return 'L';
+            } else if (value instanceof Date && !isNaN(value.getTime())) {
+                return 'D';
+            } else {
+                return null;
+            }
+        };
+
+        // Creates a unique field name of at most 10 ASCII characters.
+        var fieldName = function (key, names) {
+            var base = key.replace(/[^A-Za-z0-9_]/g, '_').substring(0, 10) || 'FIELD',
+                name = base;
+            for (var i = 1; names[name.toUpperCase()]; i++) {
+                name = base.substring(0, 10 - String(i).length) + i;
+            }
+            names[name.toUpperCase()] = true;
+            return name;
+        };
+
+        // Encodes the value of the field as bytes. Missing values are left blank.
+        var encodeValue = function (field, value) {
+            if (!valueType(value)) {
+                return [];
+            }
+
+            var text;
+            if (field.type === 'C') {
+                text = value instanceof Date ? value.toISOString() : String(value);
+                var bytes = utf8(text);
+                if (bytes.length > MAX_CHAR_LENGTH) {
+                    // Don't split the multi-byte sequence of the character crossing the limit.
+                    var end = MAX_CHAR_LENGTH;
+                    while ((bytes[end] & 0xC0) === 0x80) {
+                        end--;
+                    }
+                    bytes = bytes.slice(0, end);
+                }
+                return bytes;
+            } else if (field.type === 'N') {
+                text = value.toFixed(field.decimals);
+                if (text.length > field.length) {
+                    text = new Array(field.length + 1).join('*');
+                }
+                return utf8(new Array(field.length - text.length + 1).join(' ') + text);
+            } else if (field.type === 'L') {
+                return utf8(value ? 'T' : 'F');
+            } else {
+                var month = value.getUTCMonth() + 1, day = value.getUTCDate();
+                return utf8(value.getUTCFullYear() + (month < 10 ? '0' : '') + month + (day < 10 ? '0' : '') + day);
+            }
+        };
+
+        // Writes the dBase file with one record of attributes per shape.
+        var writeDbf = function (records) {
+            var fields = dbfFields(records),
+                headerLength = 32 + 32 * fields.length + 1,
+                recordLength = fields.reduce(function (length, field) {
+                    return length + field.length;
+                }, 1),
+                bytes = new Uint8Array(headerLength + recordLength * records.length + 1),
+                view = new DataView(bytes.buffer),
+                now = new Date();
+
+            view.setUint8(0, 0x03);
+            view.setUint8(1, now.getFullYear() - 1900);
+            view.setUint8(2, now.getMonth() + 1);
+            view.setUint8(3, now.getDate());
+            view.setInt32(4, records.length, true);
+            view.setInt16(8, headerLength, true);
+            view.setInt16(10, recordLength, true);
+
+            fields.forEach(function (field, index) {
+                var offset = 32 + index * 32;
+                bytes.set(utf8(field.name), offset);
+                view.setUint8(offset + 11, field.type.charCodeAt(0));
+                view.setUint8(offset + 16, field.length);
+                view.setUint8(offset + 17, field.decimals);
+            });
+            view.setUint8(headerLength - 1, 0x0D);
+
+            records.forEach(function (record, index) {
+                var offset = headerLength + index * recordLength;
+                // The record starts with the deletion flag and the values are padded with blanks.
+                for (var i = 0; i < recordLength; i++) {
+                    bytes[offset + i] = 0x20;
+                }
+                offset += 1;
+                fields.forEach(function (field) {
+                    bytes.set(encodeValue(field, record[field.key]), offset);
+                    offset += field.length;
+                });
+            });
+            view.setUint8(bytes.length - 1, 0x1A);
+
+            return bytes.buffer;
+        };
+
+        return ShapefileExporter;
+    });
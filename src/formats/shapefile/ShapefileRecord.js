@@ -23,6 +23,7 @@ define([
         '../../util/ByteBuffer',
         '../../geom/Location',
         '../../util/Logger',
+        '../../geom/Position',
         '../../formats/shapefile/Shapefile'
     ],
     function (Angle,
@@ -30,6 +31,7 @@ define([
               ByteBuffer,
               Location,
               Logger,
+              Position,
               Shapefile) {
         "use strict";
 
@@ -70,6 +72,7 @@ define([
             this._zValues = null;
             this._mRange = null;
             this._mValues = null;
+            this._partTypes = null;
 
             // Internal use only. Intentionally not documented.
             this._contentLengthInBytes = -1;
@@ -83,6 +86,14 @@ define([
             // Internal use only. Intentionally not documented.
             this._parts = [];
 
+            // Internal use only. Intentionally not documented.
+            // The index of the first point of each part.
+            this._partOffsets = [];
+
+            // Internal use only. Intentionally not documented.
+            // The position in the buffer following the contents of this record.
+            this._contentEnd = -1;
+
             // Prime the input pump.
             this.readRecord();
         };
@@ -226,7 +237,8 @@ define([
             },
 
             /**
-             * The record's M values if the shapefile's shape type is an M type, otherwise null.
+             * The record's M values if the shapefile's shape type is an M type and the record contains the optional
+             * measures, otherwise null. The measures marked as no data are NaN.
              * @memberof ShapefileRecord.prototype
              * @type {Number[]}
              * @readonly
@@ -235,6 +247,20 @@ define([
                 get: function () {
                     return this._mValues;
                 }
+            },
+
+            /**
+             * The types of the record's parts if the shapefile's shape type is a multi-patch, otherwise null. The
+             * types are Shapefile.TRIANGLE_STRIP, Shapefile.TRIANGLE_FAN, Shapefile.OUTER_RING,
+             * Shapefile.INNER_RING, Shapefile.FIRST_RING and Shapefile.RING.
+             * @memberof ShapefileRecord.prototype
+             * @type {Number[]}
+             * @readonly
+             */
+            partTypes: {
+                get: function () {
+                    return this._partTypes;
+                }
             }
         });
 
@@ -255,6 +281,73 @@ define([
             }
         };
 
+        /**
+         * Returns the Z values of a specified part of this record.
+         * @param {Number} partNumber The part number of interest.
+         * @returns {Float64Array} The Z values of the part's points, or null if the specified part does not exist or
+         * the record has no Z values.
+         */
+        ShapefileRecord.prototype.zBuffer = function (partNumber) {
+            return this.partValues(this._zValues, partNumber);
+        };
+
+        /**
+         * Returns the measures of a specified part of this record.
+         * @param {Number} partNumber The part number of interest.
+         * @returns {Float64Array} The measures of the part's points, or null if the specified part does not exist or
+         * the record has no measures.
+         */
+        ShapefileRecord.prototype.measureBuffer = function (partNumber) {
+            return this.partValues(this._mValues, partNumber);
+        };
+
+        // Internal use only. Intentionally not documented.
+        ShapefileRecord.prototype.partValues = function (values, partNumber) {
+            if (!values || !this._parts || partNumber < 0 || partNumber >= this._parts.length) {
+                return null;
+            }
+
+            var offset = this._partOffsets[partNumber];
+            return values.subarray(offset, offset + this._parts[partNumber].length / 2);
+        };
+
+        /**
+         * Finds the position along this record's parts at which the measure is reached. This enables linear
+         * referencing of the events measured along the routes, such as mileposts. The location and Z value are
+         * linearly interpolated between the points enclosing the measure.
+         * @param {Number} measure The measure of interest.
+         * @returns {Position} The position of the first occurrence of the measure, with the altitude taken from the
+         * Z values or 0 if the record has none. Null if the record has no measures or the measure is out of their
+         * range.
+         */
+        ShapefileRecord.prototype.positionAtMeasure = function (measure) {
+            for (var part = 0, parts = this._parts ? this._parts.length : 0; part < parts; part += 1) {
+                var points = this._parts[part],
+                    measures = this.measureBuffer(part),
+                    zValues = this.zBuffer(part);
+                if (!measures) {
+                    return null;
+                }
+
+                for (var idx = 0, len = measures.length; idx < len; idx += 1) {
+                    var m0 = measures[idx],
+                        m1 = idx < len - 1 ? measures[idx + 1] : m0;
+                    if (isNaN(m0) || isNaN(m1) || measure < Math.min(m0, m1) || measure > Math.max(m0, m1)) {
+                        continue;
+                    }
+
+                    var next = Math.min(idx + 1, len - 1),
+                        t = m1 !== m0 ? (measure - m0) / (m1 - m0) : 0;
+                    return new Position(
+                        points[2 * idx + 1] + t * (points[2 * next + 1] - points[2 * idx + 1]),
+                        points[2 * idx] + t * (points[2 * next] - points[2 * idx]),
+                        zValues ? zValues[idx] + t * (zValues[next] - zValues[idx]) : 0);
+                }
+            }
+
+            return null;
+        };
+
         ShapefileRecord.prototype.readRecord = function() {
             this.readHeader();
 
@@ -279,6 +372,7 @@ define([
             this._buffer.order(ByteBuffer.BIG_ENDIAN);
             this._recordNumber = this._buffer.getInt32();
             this._contentLengthInBytes = this._buffer.getInt32() * 2;
+            this._contentEnd = this._buffer.position + this._contentLengthInBytes;
         };
 
         /**
@@ -310,7 +404,7 @@ define([
             this._boundingRectangle = null;
 
             // Skip over the remaining contents of the record after the record's shape type.
-            this._buffer.seek(this._contentLengthInBytes - ByteBuffer.INT32_SIZE);
+            this._buffer.seek(this._contentEnd);
         };
 
         // Internal use only. Intentionally not documented.
@@ -321,6 +415,8 @@ define([
             this._numberOfPoints = 1;
 
             this._parts = [this._buffer.getDoubleArray(2)];
+            this._partOffsets = [0];
+            this.shapefile.projectPoints(this._parts[0]);
 
             var latitude = this._parts[0][1];
             var longitude = this._parts[0][0];
@@ -356,6 +452,7 @@ define([
             if (this._numberOfParts > 0 && this._numberOfPoints > 0) {
                 // Read the part positions.
                 var partPositions = this._buffer.getInt32Array(this.numberOfParts);
+                this._partOffsets = partPositions;
 
                 for (var partNumber = 0; partNumber < this.numberOfParts; partNumber += 1) {
                     var numPointsInPart = (partNumber == this.numberOfParts - 1) ?
@@ -365,6 +462,7 @@ define([
                     // Add the record's points to the Shapefile's point buffer, and record this record's part offset in the
                     // Shapefile's point buffer.
                     this._parts[partNumber] = this._buffer.getDoubleArray(numPointsInPart * 2);
+                    this.shapefile.projectPoints(this._parts[partNumber]);
                     ShapefileRecord.normalizeLocations(this._parts[partNumber]);
                 }
             }
@@ -395,6 +493,8 @@ define([
             this._numberOfPoints = this._buffer.getInt32();
 
             this._parts = [this._buffer.getDoubleArray(this._numberOfPoints * 2)];
+            this._partOffsets = [0];
+            this.shapefile.projectPoints(this._parts[0]);
             ShapefileRecord.normalizeLocations(this._parts[0]);
 
             // Read the optional Z value.
@@ -408,6 +508,38 @@ define([
             }
         };
 
+        // Internal use only. Intentionally not documented.
+        ShapefileRecord.prototype.readMultiPatchContents = function() {
+            // Read the bounding rectangle.
+            var rect = this.shapefile.readBoundingRectangle(this._buffer);
+            this._boundingRectangle = rect.coords;
+            this._isNormalized = rect.isNormalized;
+
+            // Read the number of parts and the number of points.
+            this._numberOfParts = this._buffer.getInt32();
+            this._firstPartNumber = 0;
+            this._lastPartNumber = this._numberOfParts - 1;
+            this._numberOfPoints = this._buffer.getInt32();
+
+            // Read the part positions and the part types, which tell how the points of each part form triangles.
+            this._partOffsets = this._buffer.getInt32Array(this._numberOfParts);
+            this._partTypes = this._buffer.getInt32Array(this._numberOfParts);
+
+            for (var partNumber = 0; partNumber < this._numberOfParts; partNumber += 1) {
+                var numPointsInPart = (partNumber == this._numberOfParts - 1) ?
+                    this._numberOfPoints - this._partOffsets[partNumber] :
+                    this._partOffsets[partNumber + 1] - this._partOffsets[partNumber];
+
+                this._parts[partNumber] = this._buffer.getDoubleArray(numPointsInPart * 2);
+                this.shapefile.projectPoints(this._parts[partNumber]);
+                ShapefileRecord.normalizeLocations(this._parts[partNumber]);
+            }
+
+            // The Z values are mandatory for multi-patches, the measures are optional.
+            this.readZ(false);
+            this.readOptionalMeasures(false);
+        };
+
         /**
          * Read's the shape's Z values from the record buffer.
          */
@@ -427,8 +559,9 @@ define([
          * Reads any optional measure values from the record buffer.
          */
         ShapefileRecord.prototype.readOptionalMeasures = function(isPoint) {
-            // Measure values are optional.
-            if (this._buffer.hasRemaining() && (this._buffer.limit() - this._buffer.position) >= (this.numberOfPoints * 8)) {
+            // Measure values are optional. They are present when the record's contents continue past the Z values.
+            var measuresLength = (isPoint ? 1 : 2 + this.numberOfPoints) * ByteBuffer.DOUBLE_SIZE;
+            if (this._contentEnd - this._buffer.position >= measuresLength) {
                 if (isPoint) {
                     this._mValues = this._buffer.getDoubleArray(1);
                     var m = this._mValues[0];
@@ -438,6 +571,14 @@ define([
                     this._mRange = this._buffer.getDoubleArray(2);
                     this._mValues = this._buffer.getDoubleArray(this.numberOfPoints);
                 }
+
+                // Copy the measures so that marking no data doesn't alter the shapefile's buffer.
+                this._mValues = new Float64Array(this._mValues);
+                for (var idx = 0, len = this._mValues.length; idx < len; idx += 1) {
+                    if (this._mValues[idx] < ShapefileRecord.NO_DATA) {
+                        this._mValues[idx] = NaN;
+                    }
+                }
             }
         };
 
@@ -491,6 +632,14 @@ define([
             return this.shapefile.isPolygonType();
         };
 
+        /**
+         * Indicate whether the record is of a multi-patch type.
+         * @returns {Boolean} True if the record is of a multi-patch type.
+         */
+        ShapefileRecord.prototype.isMultiPatchType = function() {
+            return this.shapefile.isMultiPatchType();
+        };
+
         /**
          * Indicate whether the record is of a depth type.
          * @returns {Boolean} True if the record is of a depth type.
@@ -519,6 +668,12 @@ define([
 
         ShapefileRecord.RECORD_HEADER_LENGTH = 8;
 
+        /**
+         * The measures smaller than this value mean no data according to the shapefile specification.
+         * @type {Number}
+         */
+        ShapefileRecord.NO_DATA = -1e38;
+
         return ShapefileRecord;
     }
 );
\ No newline at end of file
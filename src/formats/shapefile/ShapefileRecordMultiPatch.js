@@ -0,0 +1,50 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ShapefileRecordMultiPatch
+ */
+define(['../../formats/shapefile/Shapefile',
+        '../../formats/shapefile/ShapefileRecord'
+    ],
+    function (Shapefile,
+              ShapefileRecord) {
+        "use strict";
+
+        /**
+         * Constructs a shapefile record for a multi-patch. Applications typically do not call this constructor. It is called
+         * by {@link Shapefile} as shapefile records are read.
+         * @alias ShapefileRecordMultiPatch
+         * @constructor
+         * @classdesc Contains the data associated with a shapefile record.
+         * @augments ShapefileRecord
+         * @param {Shapefile} shapefile The shapefile containing this record.
+         * @param {ByteBuffer} buffer A buffer descriptor to read data from.
+         * @throws {ArgumentError} If either the specified shapefile or buffer are null or undefined.
+         */
+        var ShapefileRecordMultiPatch = function (shapefile, buffer) {
+            ShapefileRecord.call(this, shapefile, buffer);
+        };
+
+        ShapefileRecordMultiPatch.prototype = Object.create(ShapefileRecord.prototype);
+
+        ShapefileRecordMultiPatch.prototype.readContents = function() {
+            this.readMultiPatchContents();
+        };
+
+        return ShapefileRecordMultiPatch;
+    }
+);
\ No newline at end of file
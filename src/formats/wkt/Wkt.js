@@ -75,6 +75,8 @@ define([
         this._shapeConfigurationCallback = this.defaultShapeConfigurationCallback;
 
         this._layer = null;
+
+        this._srid = null;
     };
 
     Object.defineProperties(Wkt.prototype, {
@@ -118,6 +120,19 @@ define([
             get: function() {
                 return this._layer;
             }
+        },
+
+        /**
+         * The EPSG code of the SRID prefix of the extended WKT (EWKT) parsed by [load]{@link Wkt#load}. The
+         * coordinates are reprojected from this coordinate reference system to WGS84. It is null for plain WKT.
+         * @memberof Wkt.prototype
+         * @type {Number}
+         * @readonly
+         */
+        srid: {
+            get: function() {
+                return this._srid;
+            }
         }
     });
 
@@ -145,9 +160,13 @@ define([
             this._shapeConfigurationCallback = shapeConfigurationCallback;
         }
 
+        var tokens = new WktTokens(this.textRepresentation);
+        var objects = tokens.objects();
+        this._srid = tokens.srid;
+
         this.parserCompletionCallback(
             this,
-            new WktTokens(this.textRepresentation).objects()
+            objects
         );
     };
 
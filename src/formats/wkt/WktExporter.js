@@ -19,10 +19,12 @@
  */
 define(['../../error/ArgumentError',
         '../../util/Logger',
+        '../../util/proj4-src',
         './WktType'
     ],
     function (ArgumentError,
               Logger,
+              Proj4,
               WktType) {
         "use strict";
 
@@ -47,42 +49,52 @@ define(['../../error/ArgumentError',
             /**
              * Exports a [Renderable]{@link Renderable} in WKT format.
              * @param {Renderable} renderable The renderable to export.
-             * @throws {ArgumentError} If the specified renderable is null or undefined.
+             * @param {String} crs Optional name of the coordinate reference system to write the coordinates in, e.g.
+             * "EPSG:3857". It must be an EPSG code known to proj4js. When specified, the coordinates are reprojected
+             * and the WKT is prefixed by the SRID as extended WKT (EWKT), e.g. "SRID=3857;POINT(...)". The
+             * coordinates are written in WGS84 when not specified.
+             * @throws {ArgumentError} If the specified renderable is null or undefined or the crs isn't an EPSG code.
              * @returns {String} WKT format.
              */
-            exportRenderable: function (renderable) {
+            exportRenderable: function (renderable, crs) {
                 if (!renderable) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "WktExporter", "exportRenderable",
                             "missingRenderable"));
                 }
 
+                var wkt = this.exportGeometry(renderable, crs);
+                return wkt && this.sridPrefix(crs) + wkt;
+            },
+
+            // Internal. Exports the geometry of a renderable without the SRID prefix.
+            exportGeometry: function (renderable, crs) {
                 if (renderable instanceof WorldWind.Placemark) {
-                    return this.exportPlacemark(renderable);
+                    return this.exportPlacemark(renderable, crs);
                 }
                 else if (renderable instanceof WorldWind.Path) {
-                    return this.exportPath(renderable);
+                    return this.exportPath(renderable, crs);
                 }
                 else if (renderable instanceof WorldWind.Polygon) {
-                    return this.exportPolygon(renderable);
+                    return this.exportPolygon(renderable, crs);
                 }
                 else if (renderable instanceof WorldWind.SurfacePolyline) {
-                    return this.exportSurfacePolyline(renderable);
+                    return this.exportSurfacePolyline(renderable, crs);
                 }
                 else if (renderable instanceof WorldWind.SurfacePolygon) {
-                    return this.exportSurfacePolygon(renderable);
+                    return this.exportSurfacePolygon(renderable, crs);
                 }
                 else if (renderable instanceof WorldWind.SurfaceEllipse) {
-                    return this.exportSurfaceEllipse(renderable);
+                    return this.exportSurfaceEllipse(renderable, crs);
                 }
                 else if (renderable instanceof WorldWind.SurfaceCircle) {
-                    return this.exportSurfaceCircle(renderable);
+                    return this.exportSurfaceCircle(renderable, crs);
                 }
                 else if (renderable instanceof WorldWind.SurfaceRectangle) {
-                    return this.exportSurfaceRectangle(renderable);
+                    return this.exportSurfaceRectangle(renderable, crs);
                 }
                 else if (renderable instanceof WorldWind.SurfaceSector) {
-                    return this.exportSurfaceSector(renderable);
+                    return this.exportSurfaceSector(renderable, crs);
                 }
                 else {
                     Logger.log(Logger.LEVEL_WARNING, "Export renderable not implemented: " + renderable);
@@ -93,10 +105,12 @@ define(['../../error/ArgumentError',
             /**
              * Exports a list of [Renderable]{@link Renderable} in WKT format of type GeometryCollection.
              * @param {Renderable[]} renderables The renderables to export.
+             * @param {String} crs Optional name of the coordinate reference system to write the coordinates in.
+             * See [exportRenderable]{@link WktExporter#exportRenderable}.
              * @throws {ArgumentError} If the specified renderable is null or undefined.
              * @returns {String} WKT format.
              */
-            exportRenderables: function (renderables) {
+            exportRenderables: function (renderables, crs) {
                 if (!renderables) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "WktExporter", "exportRenderables",
@@ -111,7 +125,7 @@ define(['../../error/ArgumentError',
                     var sb = WktType.SupportedGeometries.GEOMETRY_COLLECTION + '(';
 
                     for (var i = 0; i < renderables.length; i++) {
-                        var exportedRenderable = this.exportRenderable(renderables[i]);
+                        var exportedRenderable = this.exportGeometry(renderables[i], crs);
 
                         if (exportedRenderable) {
                             sb = sb + exportedRenderable;
@@ -121,36 +135,40 @@ define(['../../error/ArgumentError',
                     sb = sb.substring(0, sb.length - 1);
                     sb = sb + ')';
 
-                    return sb;
+                    return this.sridPrefix(crs) + sb;
                 }
                 else {
-                    return this.exportRenderable(renderables[0]);
+                    return this.exportRenderable(renderables[0], crs);
                 }
             },
 
             /**
              * Exports a [Layer]{@link Layer} in WKT format of type GeometryCollection.
              * @param {Layer} layer The layer to export.
+             * @param {String} crs Optional name of the coordinate reference system to write the coordinates in.
+             * See [exportRenderable]{@link WktExporter#exportRenderable}.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} WKT format.
              */
-            exportLayer: function (layer) {
+            exportLayer: function (layer, crs) {
                 if (!layer) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "WktExporter", "exportLayer",
                             "missingLayer"));
                 }
 
-                return this.exportRenderables(layer.renderables);
+                return this.exportRenderables(layer.renderables, crs);
             },
 
             /**
              * Exports a [Placemark]{@link Placemark} in WKT format of type Point.
              * @param {Placemark} renderable The Placemark object.
+             * @param {String} crs Optional name of the coordinate reference system of the coordinates, e.g.
+             * "EPSG:3857". The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} WKT format.
              */
-            exportPlacemark: function (renderable) {
+            exportPlacemark: function (renderable, crs) {
                 if (!(renderable instanceof WorldWind.Placemark)) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "WktExporter", "exportPlacemark",
@@ -158,7 +176,7 @@ define(['../../error/ArgumentError',
                 }
 
                 var sb = WktType.SupportedGeometries.POINT + '(';
-                sb = sb + renderable.position.longitude + ' ' + renderable.position.latitude;
+                sb = sb + this.coordinates(renderable.position, crs);
                 sb = sb + ')';
                 return sb;
             },
@@ -166,10 +184,12 @@ define(['../../error/ArgumentError',
             /**
              * Exports a [Path]{@link Path} in WKT format of type LineString.
              * @param {SurfacePolyline} renderable The Path object.
+             * @param {String} crs Optional name of the coordinate reference system of the coordinates, e.g.
+             * "EPSG:3857". The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} WKT format.
              */
-            exportPath: function (renderable) {
+            exportPath: function (renderable, crs) {
                 if (!(renderable instanceof WorldWind.Path)) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "WktExporter", "exportPath",
@@ -178,8 +198,8 @@ define(['../../error/ArgumentError',
 
                 var sb = WktType.SupportedGeometries.LINE_STRING + '(';
                 for (var i = 0; i < renderable.positions.length; i++) {
-                    sb = sb + renderable.positions[i].longitude + ' ' +
-                        renderable.positions[i].latitude;
+                    sb = sb + this.coordinates(renderable.positions[i], crs);
+                    sb = sb + ', ';
                 }
                 sb = sb.substring(0, sb.length - 2);
                 sb = sb + ')';
@@ -189,10 +209,12 @@ define(['../../error/ArgumentError',
             /**
              * Exports a [Polygon]{@link Polygon} in WKT format of type Polygon.
              * @param {Polygon} renderable The Polygon object.
+             * @param {String} crs Optional name of the coordinate reference system of the coordinates, e.g.
+             * "EPSG:3857". The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} WKT format.
              */
-            exportPolygon: function (renderable) {
+            exportPolygon: function (renderable, crs) {
                 if (!(renderable instanceof WorldWind.Polygon)) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "WktExporter", "exportPolygon",
@@ -205,8 +227,7 @@ define(['../../error/ArgumentError',
                     for (var i = 0; i < renderable.boundaries.length; i++) {
                         sb = sb + '(';
                         for (var j = 0; j < renderable.boundaries[i].length; j++) {
-                            sb = sb + renderable.boundaries[i][j].longitude + ' ' +
-                                renderable.boundaries[i][j].latitude;
+                            sb = sb + this.coordinates(renderable.boundaries[i][j], crs);
                             sb = sb + ', ';
                         }
                         sb = sb.substring(0, sb.length - 2);
@@ -219,8 +240,7 @@ define(['../../error/ArgumentError',
                     //no holes
                     sb = sb + '(';
                     for (var i = 0; i < renderable.boundaries.length; i++) {
-                        sb = sb + renderable.boundaries[i].longitude + ' ' +
-                            renderable.boundaries[i].latitude;
+                        sb = sb + this.coordinates(renderable.boundaries[i], crs);
                         sb = sb + ', ';
                     }
 
@@ -234,10 +254,12 @@ define(['../../error/ArgumentError',
             /**
              * Exports a [SurfacePolyline]{@link SurfacePolyline} in WKT format of type LineString.
              * @param {SurfacePolyline} renderable The SurfacePolyline object.
+             * @param {String} crs Optional name of the coordinate reference system of the coordinates, e.g.
+             * "EPSG:3857". The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} WKT format.
              */
-            exportSurfacePolyline: function (renderable) {
+            exportSurfacePolyline: function (renderable, crs) {
                 if (!(renderable instanceof WorldWind.SurfacePolyline)) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "WktExporter", "exportSurfacePolyline",
@@ -246,8 +268,7 @@ define(['../../error/ArgumentError',
 
                 var sb = WktType.SupportedGeometries.LINE_STRING + '(';
                 for (var i = 0; i < renderable.boundaries.length; i++) {
-                    sb = sb + renderable.boundaries[i].longitude + ' ' +
-                        renderable.boundaries[i].latitude;
+                    sb = sb + this.coordinates(renderable.boundaries[i], crs);
                     sb = sb + ', ';
                 }
                 sb = sb.substring(0, sb.length - 2);
@@ -258,10 +279,12 @@ define(['../../error/ArgumentError',
             /**
              * Exports a [SurfacePolygon]{@link SurfacePolygon} in WKT format of type Polygon.
              * @param {SurfacePolygon} renderable The SurfacePolygon object.
+             * @param {String} crs Optional name of the coordinate reference system of the coordinates, e.g.
+             * "EPSG:3857". The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} WKT format.
              */
-            exportSurfacePolygon: function (renderable) {
+            exportSurfacePolygon: function (renderable, crs) {
                 if (!(renderable instanceof WorldWind.SurfacePolygon)) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "WktExporter", "exportSurfacePolygon",
@@ -274,8 +297,7 @@ define(['../../error/ArgumentError',
                     for (var i = 0; i < renderable.boundaries.length; i++) {
                         sb = sb + '(';
                         for (var j = 0; j < renderable.boundaries[i].length; j++) {
-                            sb = sb + renderable.boundaries[i][j].longitude + ' ' +
-                                renderable.boundaries[i][j].latitude;
+                            sb = sb + this.coordinates(renderable.boundaries[i][j], crs);
                             sb = sb + ', ';
                         }
                         sb = sb.substring(0, sb.length - 2);
@@ -288,8 +310,7 @@ define(['../../error/ArgumentError',
                     //no holes
                     sb = sb + '(';
                     for (var i = 0; i < renderable.boundaries.length; i++) {
-                        sb = sb + renderable.boundaries[i].longitude + ' ' +
-                            renderable.boundaries[i].latitude;
+                        sb = sb + this.coordinates(renderable.boundaries[i], crs);
                         sb = sb + ', ';
                     }
                     sb = sb.substring(0, sb.length - 2);
@@ -302,10 +323,12 @@ define(['../../error/ArgumentError',
             /**
              * Exports a [SurfaceEllipse]{@link SurfaceEllipse} in WKT format of type Polygon.
              * @param {SurfaceEllipse} renderable The SurfaceEllipse object.
+             * @param {String} crs Optional name of the coordinate reference system of the coordinates, e.g.
+             * "EPSG:3857". The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} WKT format.
              */
-            exportSurfaceEllipse: function (renderable) {
+            exportSurfaceEllipse: function (renderable, crs) {
                 if (!(renderable instanceof WorldWind.SurfaceEllipse)) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "WktExporter", "exportSurfaceEllipse",
@@ -315,8 +338,7 @@ define(['../../error/ArgumentError',
                 var sb = WktType.SupportedGeometries.POLYGON + '(';
                 sb = sb + '(';
                 for (var i = 0; i < renderable._boundaries.length; i++) {
-                    sb = sb + renderable._boundaries[i].longitude + ' ' +
-                        renderable._boundaries[i].latitude;
+                    sb = sb + this.coordinates(renderable._boundaries[i], crs);
                     sb = sb + ', ';
                 }
 
@@ -330,10 +352,12 @@ define(['../../error/ArgumentError',
             /**
              * Exports a [SurfaceCircle]{@link SurfaceCircle} in WKT format of type Polygon.
              * @param {SurfaceCircle} renderable The SurfaceCircle object.
+             * @param {String} crs Optional name of the coordinate reference system of the coordinates, e.g.
+             * "EPSG:3857". The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} WKT format.
              */
-            exportSurfaceCircle: function (renderable) {
+            exportSurfaceCircle: function (renderable, crs) {
                 if (!(renderable instanceof WorldWind.SurfaceCircle)) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "WktExporter", "exportSurfaceCircle",
@@ -343,8 +367,7 @@ define(['../../error/ArgumentError',
                 var sb = WktType.SupportedGeometries.POLYGON + '(';
                 sb = sb + '(';
                 for (var i = 0; i < renderable._boundaries.length; i++) {
-                    sb = sb + renderable._boundaries[i].longitude + ' ' +
-                        renderable._boundaries[i].latitude;
+                    sb = sb + this.coordinates(renderable._boundaries[i], crs);
                     sb = sb + ', ';
                 }
 
@@ -358,10 +381,12 @@ define(['../../error/ArgumentError',
             /**
              * Exports a [SurfaceRectangle]{@link SurfaceRectangle} in WKT format of type Polygon.
              * @param {SurfaceRectangle} renderable The SurfaceRectangle object.
+             * @param {String} crs Optional name of the coordinate reference system of the coordinates, e.g.
+             * "EPSG:3857". The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} WKT format.
              */
-            exportSurfaceRectangle: function (renderable) {
+            exportSurfaceRectangle: function (renderable, crs) {
                 if (!(renderable instanceof WorldWind.SurfaceRectangle)) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "WktExporter", "exportSurfaceRectangle",
@@ -371,8 +396,7 @@ define(['../../error/ArgumentError',
                 var sb = WktType.SupportedGeometries.POLYGON + '(';
                 sb = sb + '(';
                 for (var i = 0; i < renderable._boundaries.length; i++) {
-                    sb = sb + renderable._boundaries[i].longitude + ' ' +
-                        renderable._boundaries[i].latitude;
+                    sb = sb + this.coordinates(renderable._boundaries[i], crs);
                     sb = sb + ', ';
                 }
 
@@ -386,10 +410,12 @@ define(['../../error/ArgumentError',
             /**
              * Exports a [SurfaceSector]{@link SurfaceSector} in WKT format of type Polygon.
              * @param {SurfaceSector} renderable The SurfaceSector object.
+             * @param {String} crs Optional name of the coordinate reference system of the coordinates, e.g.
+             * "EPSG:3857". The coordinates are written in WGS84 when not specified.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} WKT format.
              */
-            exportSurfaceSector: function (renderable) {
+            exportSurfaceSector: function (renderable, crs) {
                 if (!(renderable instanceof WorldWind.SurfaceSector)) {
                     throw new ArgumentError(
                         Logger.logMessage(Logger.LEVEL_SEVERE, "WktExporter", "exportSurfaceSector",
@@ -399,8 +425,7 @@ define(['../../error/ArgumentError',
                 var sb = WktType.SupportedGeometries.POLYGON + '(';
                 sb = sb + '(';
                 for (var i = 0; i < renderable._boundaries.length; i++) {
-                    sb = sb + renderable._boundaries[i].longitude + ' ' +
-                        renderable._boundaries[i].latitude;
+                    sb = sb + this.coordinates(renderable._boundaries[i], crs);
                     sb = sb + ', ';
                 }
 
@@ -409,7 +434,46 @@ define(['../../error/ArgumentError',
                 sb = sb + ')';
                 sb = sb + ')';
                 return sb;
-            }
+            },
+
+            // Internal. Returns the EWKT prefix of the coordinate reference system, which is empty for WGS84.
+            sridPrefix: function (crs) {
+                return this.isDefaultCrs(crs) ? '' : 'SRID=' + this.srid(crs) + ';';
+            },
+
+            // Internal. Indicates whether the coordinate reference system is the default WGS84 one.
+            isDefaultCrs: function (crs) {
+                return !crs || this.srid(crs) === WktExporter.WGS84_SRID;
+            },
+
+            // Internal. Returns the EPSG code of the coordinate reference system, which is written as its SRID.
+            srid: function (crs) {
+                var code = /^EPSG:(\d+)$/i.exec(crs);
+                if (!code) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "WktExporter", "srid",
+                            "The coordinate reference system isn't an EPSG code: " + crs));
+                }
+                return Number(code[1]);
+            },
+
+            // Internal. Writes the coordinates of a location, reprojected to the coordinate reference system.
+            coordinates: function (location, crs) {
+                if (this.isDefaultCrs(crs)) {
+                    return location.longitude + ' ' + location.latitude;
+                }
+
+                var point = Proj4('EPSG:' + WktExporter.WGS84_SRID, crs, [location.longitude, location.latitude]);
+                return point[0] + ' ' + point[1];
+            },
+
+            /**
+             * The EPSG code of the WGS84 geographic coordinate system, in which the coordinates are written by
+             * default.
+             * @type {Number}
+             * @constant
+             */
+            WGS84_SRID: 4326
         };
 
         return WktExporter;
@@ -15,10 +15,14 @@
  * limitations under the License.
  */
 define([
+    '../../util/Logger',
+    '../../util/proj4-src',
     './WktElements',
     './geom/WktObject',
     './WktType'
-], function (WktElements,
+], function (Logger,
+             Proj4,
+             WktElements,
              WktObject,
              WktType) {
     /**
@@ -30,6 +34,13 @@ define([
      */
     var WktTokens = function (sourceText) {
         this.sourceText = sourceText;
+
+        /**
+         * EPSG code specified by the SRID prefix of extended WKT (EWKT), such as SRID=3857;POINT(...). It is null
+         * for plain WKT.
+         * @type {Number}
+         */
+        this.srid = null;
     };
 
     /**
@@ -39,8 +50,13 @@ define([
     WktTokens.prototype.objects = function () {
         var currentObject;
         var objects = [];
+        var sourceText = this.readSrid(this.sourceText);
+        var srid = this.srid && Proj4.defs('EPSG:' + this.srid) ? this.srid : null;
+        if (this.srid && !srid) {
+            Logger.log(Logger.LEVEL_WARNING, "Unknown WKT SRID, the coordinates aren't reprojected: " + this.srid);
+        }
 
-        this.tokenize(this.sourceText).forEach(function (token) {
+        this.tokenize(sourceText).forEach(function (token) {
             if(currentObject && currentObject.isFinished() || !currentObject) {
                 // It represents new object.
                 var value = token.value;
@@ -53,6 +69,7 @@ define([
                 if(!currentObject) {
                     currentObject = new WktObject();
                 }
+                currentObject.srid = srid;
 
                 if(founded && founded.length > 0 && founded[0] != '') {
                     currentObject.setOptions(founded[0], currentObject);
@@ -66,6 +83,22 @@ define([
         return objects;
     };
 
+    /**
+     * It reads the SRID prefix of extended WKT, if there is any, and returns the text following it.
+     * @private
+     * @param textToParse {String} The text to use in parsing.
+     * @return {String} The WKT without the SRID prefix.
+     */
+    WktTokens.prototype.readSrid = function (textToParse) {
+        var prefix = /^\s*SRID\s*=\s*(\d+)\s*;/i.exec(textToParse);
+        if (!prefix) {
+            return textToParse;
+        }
+
+        this.srid = Number(prefix[1]);
+        return textToParse.substring(prefix[0].length);
+    };
+
     /**
      * It continues character by character through the string. The empty spaces works always as delimiter.
      * It begins with the information about the type. It is one of the WKT types with potential ending with M or Z
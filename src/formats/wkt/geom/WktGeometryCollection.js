@@ -54,6 +54,7 @@ define([
      */
     WktGeometryCollection.prototype.addCoordinates = function (coordinates) {
         var object = this.objects[this.objects.length - 1];
+        coordinates = this.reproject(coordinates);
         if (this._is3d) {
             object.coordinates.push(new Position(coordinates[0], coordinates[1], coordinates[2] || 0));
         } else {
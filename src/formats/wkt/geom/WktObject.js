@@ -20,10 +20,12 @@
 define([
     '../../../geom/Location',
     '../../../geom/Position',
+    '../../../util/proj4-src',
     '../WktElements',
     '../WktType'
 ], function (Location,
              Position,
+             Proj4,
              WktElements,
              WktType) {
     /**
@@ -60,6 +62,13 @@ define([
          */
         this.coordinates = [];
 
+        /**
+         * EPSG code of the coordinate reference system of the coordinates, as specified by the SRID prefix of
+         * extended WKT. The coordinates are reprojected to WGS84 when it is set to another system.
+         * @type {Number}
+         */
+        this.srid = null;
+
         /**
          * Options contains information relevant for parsing of this specific Object. Basically processed tokens, parsed
          * coordinates and amounts of parntheses used to find out whether the object was already finished.
@@ -93,6 +102,7 @@ define([
      *  object.
      */
     WktObject.prototype.addCoordinates = function (coordinates) {
+        coordinates = this.reproject(coordinates);
         if (this._is3d) {
             this.coordinates.push(new Position(coordinates[0], coordinates[1], coordinates[2] || 0));
         } else {
@@ -100,6 +110,22 @@ define([
         }
     };
 
+    /**
+     * It reprojects the coordinates from the coordinate reference system of the SRID to WGS84. The coordinates are
+     * returned unchanged when there is no SRID or it is WGS84.
+     * @param coordinates {Number[]} Array containing the x, y and potentially further ordinates of a point.
+     * @return {Number[]} Array containing latitude, longitude and potentially further ordinates of the point.
+     */
+    WktObject.prototype.reproject = function (coordinates) {
+        if (!this.srid || this.srid === 4326) {
+            return coordinates;
+        }
+
+        var location = Proj4('EPSG:' + this.srid, 'EPSG:4326', [coordinates[0], coordinates[1]]);
+        // The coordinates are stored latitude first as the unprojected ones are read.
+        return [location[1], location[0]].concat(coordinates.slice(2));
+    };
+
     /**
      * It is used to retrieve and create the shape or shapes associated.
      * @returns {Renderable[]} Array of renderables associated with given shape.
@@ -162,6 +188,7 @@ define([
             if(!currentObject) {
                 currentObject = new WktObject();
             }
+            currentObject.srid = this.srid;
 
             if(founded && founded.length > 0 && founded[0] != '') {
                 currentObject.setOptions(founded[0], currentObject);
@@ -0,0 +1,68 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports AAIGridElevationCoverage
+ */
+define([
+        '../error/ArgumentError',
+        '../globe/GridElevationCoverage',
+        '../util/Logger'
+    ],
+    function (ArgumentError,
+              GridElevationCoverage,
+              Logger) {
+        "use strict";
+
+        /**
+         * Constructs an elevation coverage from an ESRI ASCII grid.
+         * @alias AAIGridElevationCoverage
+         * @constructor
+         * @augments GridElevationCoverage
+         * @classdesc Provides the elevations of an AAIGrid in geographic coordinates, such as a hydrology grid,
+         * as terrain. The no data cells are left to the other coverages of the elevation model. Add the coverage to
+         * the elevation model of the globe with [ElevationModel.addCoverage]{@link ElevationModel#addCoverage}.
+         * @param {AAIGridReader} reader The reader of the AAIGrid.
+         * @param {Number} metersPerUnit The number of meters of one unit of the grid values. 1 if this parameter
+         * is null or undefined.
+         * @throws {ArgumentError} If the specified reader is null or undefined.
+         */
+        var AAIGridElevationCoverage = function (reader, metersPerUnit) {
+            if (!reader) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "AAIGridElevationCoverage", "constructor",
+                        "missingReader"));
+            }
+
+            var metadata = reader.metadata;
+
+            GridElevationCoverage.call(this, metadata.sector, metadata.ncols, metadata.nrows, reader.getImageData(),
+                metadata.NODATA_value, metersPerUnit);
+
+            this.displayName = "AAIGrid Elevation Coverage";
+
+            /**
+             * The reader of the AAIGrid providing the elevations.
+             * @type {AAIGridReader}
+             * @readonly
+             */
+            this.reader = reader;
+        };
+
+        AAIGridElevationCoverage.prototype = Object.create(GridElevationCoverage.prototype);
+
+        return AAIGridElevationCoverage;
+    });
\ No newline at end of file
@@ -0,0 +1,101 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports GeoTiffElevationCoverage
+ */
+define([
+        '../error/ArgumentError',
+        '../formats/geotiff/GeoTiffConstants',
+        '../globe/GridElevationCoverage',
+        '../util/Logger'
+    ],
+    function (ArgumentError,
+              GeoTiffConstants,
+              GridElevationCoverage,
+              Logger) {
+        "use strict";
+
+        /**
+         * Constructs an elevation coverage from a digital elevation model stored in a geotiff.
+         * @alias GeoTiffElevationCoverage
+         * @constructor
+         * @augments GridElevationCoverage
+         * @classdesc Provides the elevations of a single band geotiff, such as a project specific high resolution
+         * terrain. The elevations are converted to meters following the vertical units of the geotiff and the no
+         * data pixels are left to the other coverages of the elevation model. Add the coverage to the elevation
+         * model of the globe with [ElevationModel.addCoverage]{@link ElevationModel#addCoverage}.
+         * @param {GeoTiffReader} geoTiff The reader of the geotiff.
+         * @throws {ArgumentError} If the specified geotiff is null or undefined or has more than one band.
+         */
+        var GeoTiffElevationCoverage = function (geoTiff) {
+            if (!geoTiff) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffElevationCoverage", "constructor",
+                        "missingGeoTiff"));
+            }
+
+            var metadata = geoTiff.metadata;
+            if (metadata.samplesPerPixel > 1) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffElevationCoverage", "constructor",
+                        "The specified geotiff has more than one band."));
+            }
+
+            GridElevationCoverage.call(this, metadata.bbox, metadata.imageWidth, metadata.imageLength,
+                geoTiff.getImageData(), metadata.noData !== null ? parseFloat(metadata.noData) : null,
+                GeoTiffElevationCoverage.metersPerUnit(metadata.verticalUnits));
+
+            this.displayName = "GeoTIFF Elevation Coverage";
+
+            /**
+             * The reader of the geotiff providing the elevations.
+             * @type {GeoTiffReader}
+             * @readonly
+             */
+            this.geoTiff = geoTiff;
+
+            this.pixelIsPoint = metadata.gtRasterTypeGeoKey === GeoTiffConstants.RasterType.PIXEL_IS_POINT;
+        };
+
+        GeoTiffElevationCoverage.prototype = Object.create(GridElevationCoverage.prototype);
+
+        /**
+         * Returns the factor converting the elevations of a geotiff to meters.
+         * @param {Number} verticalUnits The EPSG code of the vertical units of the geotiff.
+         * @returns {Number} The number of meters of one vertical unit. Unknown units are considered meters.
+         */
+        GeoTiffElevationCoverage.metersPerUnit = function (verticalUnits) {
+            switch (verticalUnits) {
+                case GeoTiffConstants.LinearUnits.FOOT:
+                    return 0.3048;
+                case GeoTiffConstants.LinearUnits.US_SURVEY_FOOT:
+                    return 1200 / 3937;
+                case GeoTiffConstants.LinearUnits.KILOMETER:
+                    return 1000;
+                default:
+                    return 1;
+            }
+        };
+
+        // Documented in superclass. The location is projected to the image following the geotiff's model
+        // transformation.
+        GeoTiffElevationCoverage.prototype.locationToGrid = function (latitude, longitude) {
+            return this.geoTiff.locationToGeoTiffImage(latitude, longitude);
+        };
+
+        return GeoTiffElevationCoverage;
+    });
\ No newline at end of file
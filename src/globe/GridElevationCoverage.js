@@ -0,0 +1,336 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports GridElevationCoverage
+ */
+define([
+        '../error/ArgumentError',
+        '../globe/ElevationCoverage',
+        '../util/Logger',
+        '../geom/Sector',
+        '../util/WWMath'
+    ],
+    function (ArgumentError,
+              ElevationCoverage,
+              Logger,
+              Sector,
+              WWMath) {
+        "use strict";
+
+        /**
+         * Constructs an elevation coverage from a grid of elevations held in memory.
+         * @alias GridElevationCoverage
+         * @constructor
+         * @augments ElevationCoverage
+         * @classdesc Provides the elevations of a grid covering a sector, such as a digital elevation model read
+         * from a file. The elevations are interpolated between the centers of the grid cells and the no data cells
+         * are left to the other coverages of the elevation model. Add the coverage to the elevation model of the
+         * globe with [ElevationModel.addCoverage]{@link ElevationModel#addCoverage}.
+         * @param {Sector} sector The sector spanned by the grid.
+         * @param {Number} imageWidth The number of columns of the grid.
+         * @param {Number} imageHeight The number of rows of the grid.
+         * @param {Number[]} values The values of the grid row by row from the north-west corner.
+         * @param {Number} noData The value of the cells without data. May be null or undefined.
+         * @param {Number} metersPerUnit The number of meters of one unit of the values. 1 if this parameter is
+         * null or undefined.
+         * @throws {ArgumentError} If the specified sector or values are null or undefined, or if there are less values
+         * than cells of the grid.
+         */
+        var GridElevationCoverage = function (sector, imageWidth, imageHeight, values, noData, metersPerUnit) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GridElevationCoverage", "constructor", "missingSector"));
+            }
+
+            if (!values || values.length < imageWidth * imageHeight) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GridElevationCoverage", "constructor", "missingArray"));
+            }
+
+            ElevationCoverage.call(this, sector.deltaLongitude() / imageWidth);
+
+            this.displayName = "Grid Elevation Coverage";
+
+            this.coverageSector = sector;
+
+            /**
+             * The number of columns of the grid.
+             * @type {Number}
+             * @readonly
+             */
+            this.imageWidth = imageWidth;
+
+            /**
+             * The number of rows of the grid.
+             * @type {Number}
+             * @readonly
+             */
+            this.imageHeight = imageHeight;
+
+            /**
+             * Indicates whether the elevations are located at the corners of the grid cells instead of their
+             * centers.
+             * @type {Boolean}
+             * @default false
+             */
+            this.pixelIsPoint = false;
+
+            // Internal. Intentionally not documented.
+            this.minElevation = Number.MAX_VALUE;
+
+            // Internal. Intentionally not documented.
+            this.maxElevation = -Number.MAX_VALUE;
+
+            // Internal. Intentionally not documented.
+            this.hasMissingData = false;
+
+            // Internal. Intentionally not documented. The elevations in meters, no data cells are NaN.
+            this.elevations = this.readElevations(values, noData, metersPerUnit || 1);
+        };
+
+        GridElevationCoverage.prototype = Object.create(ElevationCoverage.prototype);
+
+        // Internal. Converts the values of the grid to elevations in meters and computes their extremes.
+        GridElevationCoverage.prototype.readElevations = function (values, noData, metersPerUnit) {
+            var elevations = new Float64Array(this.imageWidth * this.imageHeight);
+
+            if (noData === null || noData === undefined) {
+                noData = NaN;
+            }
+
+            for (var i = 0, len = elevations.length; i < len; i++) {
+                var value = values[i];
+
+                // The no data value is compared also with the single precision of float grids.
+                if (value === noData || value === Math.fround(noData) || isNaN(value)) {
+                    elevations[i] = NaN;
+                    this.hasMissingData = true;
+                    continue;
+                }
+
+                elevations[i] = value * metersPerUnit;
+                if (this.minElevation > elevations[i]) {
+                    this.minElevation = elevations[i];
+                }
+                if (this.maxElevation < elevations[i]) {
+                    this.maxElevation = elevations[i];
+                }
+            }
+
+            return elevations;
+        };
+
+        /**
+         * Translates a geographic location to the fractional column and row of the grid. The default
+         * implementation maps the sector of the coverage linearly to the grid. Subclasses override this method for
+         * grids in projected coordinate systems.
+         * @param {Number} latitude The location's latitude in degrees.
+         * @param {Number} longitude The location's longitude in degrees.
+         * @returns {Number[]} The column and row of the location, from the north-west corner of the grid.
+         * @protected
+         */
+        GridElevationCoverage.prototype.locationToGrid = function (latitude, longitude) {
+            var sector = this.coverageSector,
+                columns = this.pixelIsPoint ? this.imageWidth - 1 : this.imageWidth,
+                rows = this.pixelIsPoint ? this.imageHeight - 1 : this.imageHeight;
+
+            return [
+                columns * (longitude - sector.minLongitude) / sector.deltaLongitude(),
+                rows * (sector.maxLatitude - latitude) / sector.deltaLatitude()
+            ];
+        };
+
+        // Documented in superclass.
+        GridElevationCoverage.prototype.minAndMaxElevationsForSector = function (sector, result) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GridElevationCoverage", "minAndMaxElevationsForSector",
+                        "missingSector"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GridElevationCoverage", "minAndMaxElevationsForSector",
+                        "missingResult"));
+            }
+
+            if (!this.coverageSector.intersects(sector)) {
+                return false; // Sector is outside the coverage's coverage area. Don't modify the result.
+            }
+
+            var minElevation = this.minElevation,
+                maxElevation = this.maxElevation,
+                hasMissingData = this.hasMissingData;
+
+            if (!sector.contains(this.coverageSector)) {
+                var coveredSector = new Sector(0, 0, 0, 0).copy(sector).intersection(this.coverageSector),
+                    extremes = this.gridExtremes(coveredSector);
+                minElevation = extremes[0];
+                maxElevation = extremes[1];
+                hasMissingData = extremes[2];
+            }
+
+            if (minElevation <= maxElevation) {
+                if (result[0] > minElevation) {
+                    result[0] = minElevation;
+                }
+
+                if (result[1] < maxElevation) {
+                    result[1] = maxElevation;
+                }
+            }
+
+            return !hasMissingData && this.coverageSector.contains(sector);
+        };
+
+        // Internal. Returns the minimum and maximum elevations of the cells within a sector and whether some of
+        // them are missing.
+        GridElevationCoverage.prototype.gridExtremes = function (sector) {
+            var corners = sector.getCorners(),
+                x0 = Number.MAX_VALUE, x1 = -Number.MAX_VALUE,
+                y0 = Number.MAX_VALUE, y1 = -Number.MAX_VALUE,
+                result = [Number.MAX_VALUE, -Number.MAX_VALUE, false];
+
+            for (var i = 0; i < corners.length; i++) {
+                var point = this.locationToGrid(corners[i].latitude, corners[i].longitude);
+                x0 = Math.min(x0, point[0]);
+                x1 = Math.max(x1, point[0]);
+                y0 = Math.min(y0, point[1]);
+                y1 = Math.max(y1, point[1]);
+            }
+
+            x0 = WWMath.clamp(Math.floor(x0), 0, this.imageWidth - 1);
+            x1 = WWMath.clamp(Math.ceil(x1), 0, this.imageWidth - 1);
+            y0 = WWMath.clamp(Math.floor(y0), 0, this.imageHeight - 1);
+            y1 = WWMath.clamp(Math.ceil(y1), 0, this.imageHeight - 1);
+
+            for (var y = y0; y <= y1; y++) {
+                for (var x = x0, index = y * this.imageWidth + x0; x <= x1; x++, index++) {
+                    var elevation = this.elevations[index];
+                    if (isNaN(elevation)) {
+                        result[2] = true;
+                        continue;
+                    }
+
+                    if (result[0] > elevation) {
+                        result[0] = elevation;
+                    }
+                    if (result[1] < elevation) {
+                        result[1] = elevation;
+                    }
+                }
+            }
+
+            return result;
+        };
+
+        // Documented in superclass.
+        GridElevationCoverage.prototype.elevationAtLocation = function (latitude, longitude) {
+            if (!this.coverageSector.containsLocation(latitude, longitude)) {
+                return null; // location is outside the coverage's coverage area
+            }
+
+            return this.interpolateElevation(latitude, longitude);
+        };
+
+        // Documented in superclass.
+        GridElevationCoverage.prototype.elevationsForGrid = function (sector, numLat, numLon, result) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GridElevationCoverage", "elevationsForGrid",
+                        "missingSector"));
+            }
+
+            if (!numLat || !numLon || numLat < 1 || numLon < 1) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GridElevationCoverage", "elevationsForGrid",
+                        "The specified number of latitudinal or longitudinal positions is less than one."));
+            }
+
+            if (!result || result.length < numLat * numLon) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GridElevationCoverage", "elevationsForGrid",
+                        "missingArray"));
+            }
+
+            var minLat = sector.minLatitude,
+                maxLat = sector.maxLatitude,
+                minLon = sector.minLongitude,
+                maxLon = sector.maxLongitude,
+                deltaLat = sector.deltaLatitude() / (numLat > 1 ? numLat - 1 : 1),
+                deltaLon = sector.deltaLongitude() / (numLon > 1 ? numLon - 1 : 1),
+                lat, lon, elevation,
+                latIndex, lonIndex, resultIndex = 0;
+
+            for (latIndex = 0, lat = minLat; latIndex < numLat; latIndex += 1, lat += deltaLat) {
+                if (latIndex === numLat - 1) {
+                    lat = maxLat; // explicitly set the last lat to the max latitude ensure alignment
+                }
+
+                for (lonIndex = 0, lon = minLon; lonIndex < numLon; lonIndex += 1, lon += deltaLon) {
+                    if (lonIndex === numLon - 1) {
+                        lon = maxLon; // explicitly set the last lon to the max longitude ensure alignment
+                    }
+
+                    if (isNaN(result[resultIndex])) {
+                        if (this.coverageSector.containsLocation(lat, lon)) { // ignore locations outside of the model
+                            elevation = this.interpolateElevation(lat, lon);
+                            if (elevation !== null) {
+                                result[resultIndex] = elevation;
+                            }
+                        }
+                    }
+
+                    resultIndex++;
+                }
+            }
+
+            return !result.includes(NaN); // true if the result array is fully populated.
+        };
+
+        // Internal. Bilinearly interpolates the elevations of the cells around a location. Returns null when one of
+        // the cells has no data.
+        GridElevationCoverage.prototype.interpolateElevation = function (latitude, longitude) {
+            var point = this.locationToGrid(latitude, longitude),
+                cellOffset = this.pixelIsPoint ? 0 : 0.5,
+                u = WWMath.clamp(point[0] - cellOffset, 0, this.imageWidth - 1),
+                v = WWMath.clamp(point[1] - cellOffset, 0, this.imageHeight - 1),
+                x0 = Math.floor(u),
+                y0 = Math.floor(v),
+                xf = u - x0,
+                yf = v - y0,
+                // Cells not weighted in the interpolation are ignored, so that locations at the centers of cells
+                // next to no data cells have an elevation.
+                x1 = xf > 0 ? Math.min(x0 + 1, this.imageWidth - 1) : x0,
+                y1 = yf > 0 ? Math.min(y0 + 1, this.imageHeight - 1) : y0,
+                x0y0 = this.elevations[y0 * this.imageWidth + x0],
+                x1y0 = this.elevations[y0 * this.imageWidth + x1],
+                x0y1 = this.elevations[y1 * this.imageWidth + x0],
+                x1y1 = this.elevations[y1 * this.imageWidth + x1];
+
+            if (isNaN(x0y0) || isNaN(x1y0) || isNaN(x0y1) || isNaN(x1y1)) {
+                return null;
+            }
+
+            return (1 - xf) * (1 - yf) * x0y0 +
+                xf * (1 - yf) * x1y0 +
+                (1 - xf) * yf * x0y1 +
+                xf * yf * x1y1;
+        };
+
+        return GridElevationCoverage;
+    });
\ No newline at end of file
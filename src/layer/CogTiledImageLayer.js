@@ -0,0 +1,220 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports CogTiledImageLayer
+ */
+define([
+        '../error/ArgumentError',
+        '../formats/geotiff/CogReader',
+        '../util/LevelSet',
+        '../geom/Location',
+        '../util/Logger',
+        '../geom/Sector',
+        '../layer/TiledImageLayer'
+    ],
+    function (ArgumentError,
+              CogReader,
+              LevelSet,
+              Location,
+              Logger,
+              Sector,
+              TiledImageLayer) {
+        "use strict";
+
+        /**
+         * Constructs a layer displaying a cloud optimized geotiff.
+         * @alias CogTiledImageLayer
+         * @constructor
+         * @augments TiledImageLayer
+         * @classdesc Displays a cloud optimized geotiff retrieved with HTTP range requests. The image file
+         * directories of the geotiff are retrieved first and its full resolution image and overviews are mapped to
+         * the levels of the layer. Only the tiles of the geotiff intersecting the tiles in view are then retrieved
+         * from the image matching the resolution of each tile.
+         * <p>
+         * The layer isn't displayed until the image file directories are loaded.
+         * @param {String} url The URL of the geotiff. The server has to support range requests.
+         * @param {String} displayName This layer's display name. "Cloud Optimized GeoTIFF" if this parameter is
+         * null or undefined.
+         * @throws {ArgumentError} If the specified URL is null or undefined.
+         */
+        var CogTiledImageLayer = function (url, displayName) {
+            if (!url) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CogTiledImageLayer", "constructor", "missingUrl"));
+            }
+
+            // The levels are replaced once the geotiff is loaded.
+            TiledImageLayer.call(this, Sector.FULL_SPHERE, new Location(45, 45), 1, "image/png", url,
+                CogTiledImageLayer.TILE_SIZE, CogTiledImageLayer.TILE_SIZE);
+
+            this.displayName = displayName || "Cloud Optimized GeoTIFF";
+
+            /**
+             * The reader of the geotiff displayed by this layer.
+             * @type {CogReader}
+             * @readonly
+             */
+            this.cog = new CogReader(url);
+
+            // Internal. Intentionally not documented.
+            this.loaded = false;
+
+            // Internal. Intentionally not documented.
+            this.canvas = null;
+
+            var self = this;
+            this.cog.load().then(function () {
+                self.createLevels();
+                self.loaded = true;
+                self.requestRedraw();
+            }, function () {
+                Logger.log(Logger.LEVEL_WARNING, "COG layer could not be loaded: " + url);
+            });
+        };
+
+        CogTiledImageLayer.prototype = Object.create(TiledImageLayer.prototype);
+
+        /**
+         * The width and height of the tiles of the layer, in pixels.
+         * @type {Number}
+         * @default 256
+         */
+        CogTiledImageLayer.TILE_SIZE = 256;
+
+        // Map the images of the loaded geotiff to the levels of the layer. The level zero tiles are the smallest
+        // ones covering the geotiff and the last level reaches the resolution of the full resolution image.
+        // Internal use only.
+        CogTiledImageLayer.prototype.createLevels = function () {
+            var sector = this.cog.sector,
+                extent = Math.max(sector.deltaLatitude(), sector.deltaLongitude()),
+                levelZeroDelta = 180;
+
+            while (levelZeroDelta / 2 >= extent && levelZeroDelta > 1e-6) {
+                levelZeroDelta /= 2;
+            }
+
+            var levelZeroResolution = levelZeroDelta / CogTiledImageLayer.TILE_SIZE,
+                numLevels = Math.max(1, Math.ceil(Math.log(levelZeroResolution / this.cog.resolution) / Math.LN2) + 1);
+
+            this.levels = new LevelSet(sector, new Location(levelZeroDelta, levelZeroDelta), numLevels,
+                CogTiledImageLayer.TILE_SIZE, CogTiledImageLayer.TILE_SIZE);
+            this.topLevelTiles = [];
+            this.currentTiles = [];
+            this.currentTilesInvalid = true;
+        };
+
+        // Documented in superclass. The canvas is kept to request a redraw once the geotiff is loaded.
+        CogTiledImageLayer.prototype.doRender = function (dc) {
+            this.canvas = dc.currentGlContext.canvas;
+
+            if (this.loaded) {
+                TiledImageLayer.prototype.doRender.call(this, dc);
+            }
+        };
+
+        // Documented in superclass.
+        CogTiledImageLayer.prototype.retrieveTileImage = function (dc, tile, suppressRedraw) {
+            if (this.currentRetrievals.indexOf(tile.imagePath) < 0) {
+                if (this.currentRetrievals.length > this.retrievalQueueSize) {
+                    return;
+                }
+
+                if (this.absentResourceList.isResourceAbsent(tile.imagePath)) {
+                    return;
+                }
+
+                var imagePath = tile.imagePath,
+                    cache = dc.gpuResourceCache,
+                    layer = this;
+
+                this.currentRetrievals.push(imagePath);
+
+                this.createTileImage(tile).then(function (image) {
+                    var texture = layer.createTexture(dc, tile, image);
+                    layer.removeFromCurrentRetrievals(imagePath);
+
+                    if (texture) {
+                        cache.putResource(imagePath, texture, texture.size);
+
+                        layer.currentTilesInvalid = true;
+                        layer.absentResourceList.unmarkResourceAbsent(imagePath);
+
+                        if (!suppressRedraw) {
+                            layer.requestRedraw();
+                        }
+                    }
+                }, function () {
+                    layer.removeFromCurrentRetrievals(imagePath);
+                    layer.absentResourceList.markResourceAbsent(imagePath);
+                    Logger.log(Logger.LEVEL_WARNING, "COG tile retrieval failed: " + imagePath);
+                });
+            }
+        };
+
+        /**
+         * Creates the image of a tile from the pixels of the geotiff covering the tile. Pixels outside of the
+         * geotiff are transparent.
+         * @param {ImageTile} tile The tile to create the image for.
+         * @returns {Promise} A promise resolved with the canvas of the image.
+         * @protected
+         */
+        CogTiledImageLayer.prototype.createTileImage = function (tile) {
+            var width = this.levels.tileWidth,
+                height = this.levels.tileHeight,
+                geoTiff = this.cog.geoTiff,
+                metadata = geoTiff.metadata,
+                colorMapSampleSize = metadata.colorMap ? Math.pow(2, metadata.bitsPerSample[0]) : undefined;
+
+            return this.cog.readRegion(tile.sector, width, height).then(function (pixels) {
+                var canvas = document.createElement("canvas");
+                canvas.width = width;
+                canvas.height = height;
+
+                var ctx = canvas.getContext("2d"),
+                    imageData = ctx.createImageData(width, height);
+
+                for (var i = 0; i < pixels.length; i++) {
+                    if (!pixels[i]) {
+                        continue;
+                    }
+
+                    var color = geoTiff.getPixelColor(pixels[i], metadata.photometricInterpretation,
+                        metadata.bitsPerSample, metadata.samplesPerPixel, metadata.colorMap, colorMapSampleSize);
+                    imageData.data[4 * i] = color[0];
+                    imageData.data[4 * i + 1] = color[1];
+                    imageData.data[4 * i + 2] = color[2];
+                    imageData.data[4 * i + 3] = Math.round(color[3] * 255);
+                }
+
+                ctx.putImageData(imageData, 0, 0);
+
+                return canvas;
+            });
+        };
+
+        // Send an event to request a redraw of the WorldWindow which rendered this layer. Internal use only.
+        CogTiledImageLayer.prototype.requestRedraw = function () {
+            if (this.canvas) {
+                var e = document.createEvent('Event');
+                e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                this.canvas.dispatchEvent(e);
+            }
+        };
+
+        return CogTiledImageLayer;
+    }
+);
\ No newline at end of file
@@ -0,0 +1,376 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports VectorTileLayer
+ */
+define([
+        '../error/ArgumentError',
+        '../geom/Location',
+        '../util/Logger',
+        '../cache/MemoryCache',
+        '../layer/MercatorTiledImageLayer',
+        '../formats/mvt/MvtStyle',
+        '../formats/mvt/MvtTile',
+        '../shapes/Placemark',
+        '../geom/Position',
+        '../geom/Sector',
+        '../shapes/SurfacePolygon',
+        '../shapes/SurfacePolyline'
+    ],
+    function (ArgumentError,
+              Location,
+              Logger,
+              MemoryCache,
+              MercatorTiledImageLayer,
+              MvtStyle,
+              MvtTile,
+              Placemark,
+              Position,
+              Sector,
+              SurfacePolygon,
+              SurfacePolyline) {
+        "use strict";
+
+        /**
+         * Constructs a layer displaying Mapbox vector tiles.
+         * @alias VectorTileLayer
+         * @constructor
+         * @augments MercatorTiledImageLayer
+         * @classdesc Displays the features of the Mapbox vector tiles of the Web Mercator tiling scheme. The tiles
+         * are selected the same way as the image tiles of the Mercator layers, retrieved from a server or a local
+         * tile directory and decoded by {@link MvtTile}. The features are displayed as
+         * [SurfacePolygons]{@link SurfacePolygon}, [SurfacePolylines]{@link SurfacePolyline} and
+         * [Placemarks]{@link Placemark} with the attributes of the [style]{@link VectorTileLayer#style} rules. The
+         * surface shapes are rasterized to the surface tiles together with the other surface shapes.
+         * <p>
+         * The pickDelegate of each shape is the feature it displays, so the picked objects contain the features
+         * with their layer name and properties.
+         * <p>
+         * The URL template contains the {z}, {x} and {y} placeholders replaced by the zoom level, column and row of
+         * the tile, e.g. "https://example.com/tiles/{z}/{x}/{y}.pbf". The {-y} placeholder is replaced by the row of
+         * the TMS tiling scheme, which increases to the north.
+         * @param {String} urlTemplate The template of the URLs of the tiles.
+         * @param {MvtStyle} style The style of the features. All the features are displayed with the default
+         * attributes if null or undefined.
+         * @param {String} displayName This layer's display name. "Vector Tiles" if null or undefined.
+         * @param {Number} maxZoom The highest zoom level of the tiles. 14 if null or undefined.
+         * @throws {ArgumentError} If the specified URL template is null or undefined.
+         */
+        var VectorTileLayer = function (urlTemplate, style, displayName, maxZoom) {
+            if (!urlTemplate) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "VectorTileLayer", "constructor", "missingUrl"));
+            }
+
+            this.imageSize = 256;
+
+            // The level zero tiles are the tiles of the zoom level 1.
+            MercatorTiledImageLayer.call(this,
+                new Sector(-85.05, 85.05, -180, 180), new Location(85.05, 180), maxZoom || 14,
+                "application/vnd.mapbox-vector-tile", urlTemplate, this.imageSize, this.imageSize);
+
+            this.displayName = displayName || "Vector Tiles";
+
+            /**
+             * The template of the URLs of the tiles as specified to this layer's constructor.
+             * @type {String}
+             * @readonly
+             */
+            this.urlTemplate = urlTemplate;
+
+            /**
+             * The style of the features displayed by this layer. Call [refresh]{@link VectorTileLayer#refresh}
+             * after changing it, so that the shapes are created again.
+             * @type {MvtStyle}
+             */
+            this.style = style || new MvtStyle();
+
+            this.pickEnabled = true;
+
+            // Internal. Intentionally not documented.
+            this.shapeCache = new MemoryCache(20e6, 15e6);
+
+            // Internal. Intentionally not documented.
+            this.canvas = null;
+        };
+
+        VectorTileLayer.prototype = Object.create(MercatorTiledImageLayer.prototype);
+
+        /**
+         * Forgets the retrieved tiles, so that they are retrieved again and their shapes are created with the
+         * current style.
+         */
+        VectorTileLayer.prototype.refresh = function () {
+            this.shapeCache.clear(false);
+            MercatorTiledImageLayer.prototype.refresh.call(this);
+        };
+
+        // Overridden from MercatorTiledImageLayer. The tiles are identified by their zoom level, column and row.
+        VectorTileLayer.prototype.createTile = function (sector, level, row, column) {
+            var tile = MercatorTiledImageLayer.prototype.createTile.call(this, sector, level, row, column);
+            tile.imagePath = this.cachePath + "-layer/" + (level.levelNumber + 1) + "/" + column + "/" + row + ".mvt";
+            tile.gpuCacheKey = tile.imagePath;
+            return tile;
+        };
+
+        // Determines the map size for a specified level number.
+        VectorTileLayer.prototype.mapSizeForLevel = function (levelNumber) {
+            return 256 << (levelNumber + 1);
+        };
+
+        // Documented in superclass.
+        VectorTileLayer.prototype.doRender = function (dc) {
+            if (!dc.terrain)
+                return;
+
+            this.canvas = dc.currentGlContext.canvas;
+
+            if (this.currentTilesInvalid
+                || !dc.modelviewProjection.equals(this.lasTtMVP)
+                || dc.globeStateKey !== this.lastGlobeStateKey) {
+                this.currentTilesInvalid = false;
+                this.assembleTiles(dc);
+            }
+
+            this.lasTtMVP.copy(dc.modelviewProjection);
+            this.lastGlobeStateKey = dc.globeStateKey;
+
+            for (var i = 0, len = this.currentTiles.length; i < len; i++) {
+                var shapes = this.shapeCache.entryForKey(this.currentTiles[i].imagePath) || [];
+                for (var j = 0; j < shapes.length; j++) {
+                    shapes[j].render(dc);
+                }
+                this.inCurrentFrame = this.inCurrentFrame || shapes.length > 0;
+            }
+        };
+
+        // Overridden from TiledImageLayer. The ancestor tile is displayed until the shapes of the tile are created.
+        // The ancestor contains the features of all its descendants, so its loaded descendants aren't displayed
+        // while it is current.
+        VectorTileLayer.prototype.addTile = function (dc, tile) {
+            if (this.isTileTextureInMemory(dc, tile)) {
+                if (!this.isTileCovered(tile)) {
+                    this.currentTiles.push(tile);
+                }
+                return;
+            }
+
+            this.retrieveTileImage(dc, tile);
+
+            var ancestor = this.currentAncestorTile;
+            if (ancestor && this.isTileTextureInMemory(dc, ancestor) && this.currentTiles.indexOf(ancestor) < 0 &&
+                !this.isTileCovered(ancestor)) {
+                this.currentTiles = this.currentTiles.filter(function (currentTile) {
+                    return !VectorTileLayer.isDescendant(currentTile, ancestor);
+                });
+                this.currentTiles.push(ancestor);
+            }
+        };
+
+        // Internal. Indicates whether an ancestor of the tile is already displayed.
+        VectorTileLayer.prototype.isTileCovered = function (tile) {
+            for (var i = 0, len = this.currentTiles.length; i < len; i++) {
+                if (VectorTileLayer.isDescendant(tile, this.currentTiles[i])) {
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        // Overridden from TiledImageLayer. The shapes of the tiles are kept instead of the textures.
+        VectorTileLayer.prototype.isTileTextureInMemory = function (dc, tile) {
+            return this.shapeCache.containsKey(tile.imagePath);
+        };
+
+        // Overridden from TiledImageLayer. Retrieves the vector tile and creates the shapes of its features.
+        VectorTileLayer.prototype.retrieveTileImage = function (dc, tile, suppressRedraw) {
+            if (this.currentRetrievals.indexOf(tile.imagePath) < 0) {
+                if (this.currentRetrievals.length > this.retrievalQueueSize) {
+                    return;
+                }
+
+                if (this.absentResourceList.isResourceAbsent(tile.imagePath)) {
+                    return;
+                }
+
+                var url = this.resourceUrlForTile(tile, this.retrievalImageFormat),
+                    imagePath = tile.imagePath,
+                    xhr = new XMLHttpRequest(),
+                    layer = this;
+
+                xhr.open("GET", url, true);
+                xhr.responseType = 'arraybuffer';
+                xhr.onreadystatechange = function () {
+                    if (xhr.readyState !== 4) {
+                        return;
+                    }
+
+                    layer.removeFromCurrentRetrievals(imagePath);
+
+                    if (xhr.status === 200 || xhr.status === 204) {
+                        try {
+                            var shapes = xhr.status === 200 && xhr.response ?
+                                layer.createShapes(tile, new MvtTile(xhr.response)) : [];
+                            layer.shapeCache.putEntry(imagePath, shapes, VectorTileLayer.shapesSize(shapes));
+                            layer.currentTilesInvalid = true;
+                            layer.absentResourceList.unmarkResourceAbsent(imagePath);
+
+                            if (!suppressRedraw) {
+                                layer.requestRedraw();
+                            }
+                        } catch (e) {
+                            layer.absentResourceList.markResourceAbsentPermanently(imagePath);
+                            Logger.log(Logger.LEVEL_WARNING, "Vector tile decoding failed: " + url + " " + e);
+                        }
+                    } else {
+                        layer.absentResourceList.markResourceAbsent(imagePath);
+                        Logger.log(Logger.LEVEL_WARNING,
+                            "Vector tile retrieval failed (" + xhr.statusText + "): " + url);
+                    }
+                };
+
+                this.currentRetrievals.push(imagePath);
+                xhr.send(null);
+            }
+        };
+
+        /**
+         * Returns the URL of the tile by replacing the placeholders of the URL template.
+         * @param {ImageTile} tile The tile.
+         * @returns {String} The URL of the tile.
+         * @protected
+         */
+        VectorTileLayer.prototype.resourceUrlForTile = function (tile) {
+            var zoom = tile.level.levelNumber + 1;
+            return this.urlTemplate
+                .replace("{z}", zoom)
+                .replace("{x}", tile.column)
+                .replace("{y}", tile.row)
+                .replace("{-y}", Math.pow(2, zoom) - 1 - tile.row);
+        };
+
+        /**
+         * Creates the shapes of the features of the vector tile. The features are styled by the first matching
+         * rule of the [style]{@link VectorTileLayer#style} and the features without matching rule are omitted.
+         * The points are displayed as Placemarks clamped to the ground, the lines as SurfacePolylines and the
+         * polygons as SurfacePolygons.
+         * @param {ImageTile} tile The tile of this layer the vector tile was retrieved for.
+         * @param {MvtTile} mvtTile The decoded vector tile.
+         * @returns {Renderable[]} The shapes.
+         * @protected
+         */
+        VectorTileLayer.prototype.createShapes = function (tile, mvtTile) {
+            var zoom = tile.level.levelNumber + 1,
+                shapes = [],
+                style = this.style;
+
+            mvtTile.layers.forEach(function (mvtLayer) {
+                var toLocation = function (point) {
+                    return MvtTile.location(point, mvtLayer.extent, zoom, tile.column, tile.row, new Location(0, 0));
+                };
+                var toLocations = function (points) {
+                    return points.map(toLocation);
+                };
+
+                mvtLayer.features.forEach(function (feature) {
+                    var rule = style.ruleFor(feature, zoom);
+                    if (!rule) {
+                        return;
+                    }
+
+                    var featureShapes = [];
+                    if (feature.type === MvtTile.GeometryType.POINT) {
+                        feature.geometry.forEach(function (points) {
+                            points.forEach(function (point) {
+                                var location = toLocation(point),
+                                    placemark = new Placemark(new Position(location.latitude, location.longitude, 0),
+                                        false, rule.placemarkAttributes || null);
+                                placemark.altitudeMode = WorldWind.CLAMP_TO_GROUND;
+                                featureShapes.push(placemark);
+                            });
+                        });
+                    } else if (feature.type === MvtTile.GeometryType.LINESTRING) {
+                        feature.geometry.forEach(function (line) {
+                            featureShapes.push(new SurfacePolyline(toLocations(line), rule.attributes || null));
+                        });
+                    } else if (feature.type === MvtTile.GeometryType.POLYGON) {
+                        MvtTile.classifyRings(feature.geometry).forEach(function (polygon) {
+                            featureShapes.push(new SurfacePolygon(polygon.map(toLocations), rule.attributes || null));
+                        });
+                    }
+
+                    var label = rule.label && feature.properties[rule.label];
+                    featureShapes.forEach(function (shape) {
+                        if (rule.highlightAttributes && !(shape instanceof Placemark)) {
+                            shape.highlightAttributes = rule.highlightAttributes;
+                        }
+                        if (label !== undefined && label !== null && label !== false) {
+                            shape.displayName = String(label);
+                            if (shape instanceof Placemark) {
+                                shape.label = String(label);
+                            }
+                        }
+                        shape.pickDelegate = feature;
+                        shapes.push(shape);
+                    });
+                });
+            });
+
+            return shapes;
+        };
+
+        // Estimates the memory size of the shapes. Internal use only.
+        VectorTileLayer.shapesSize = function (shapes) {
+            var size = 1;
+            shapes.forEach(function (shape) {
+                var boundaries = shape.boundaries || [];
+                if (boundaries.length > 0 && Array.isArray(boundaries[0])) {
+                    boundaries.forEach(function (boundary) {
+                        size += 32 * boundary.length;
+                    });
+                } else {
+                    size += 32 * boundaries.length;
+                }
+                size += 200;
+            });
+            return size;
+        };
+
+        // Send an event to request a redraw of the WorldWindow which rendered this layer. Internal use only.
+        VectorTileLayer.prototype.requestRedraw = function () {
+            if (this.canvas) {
+                var e = document.createEvent('Event');
+                e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                this.canvas.dispatchEvent(e);
+            }
+        };
+
+        /**
+         * Indicates whether the tile lies within the ancestor tile of a lower level.
+         * @param {ImageTile} tile The tile.
+         * @param {ImageTile} ancestor The potential ancestor.
+         * @returns {Boolean} true if the tile is a descendant of the ancestor, otherwise false.
+         */
+        VectorTileLayer.isDescendant = function (tile, ancestor) {
+            var levels = tile.level.levelNumber - ancestor.level.levelNumber;
+            return levels > 0 && Math.floor(tile.row / Math.pow(2, levels)) === ancestor.row &&
+                Math.floor(tile.column / Math.pow(2, levels)) === ancestor.column;
+        };
+
+        return VectorTileLayer;
+    }
+);
\ No newline at end of file
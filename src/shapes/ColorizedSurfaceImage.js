@@ -0,0 +1,210 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ColorizedSurfaceImage
+ */
+define([
+        '../error/ArgumentError',
+        '../util/ColorRamp',
+        '../util/ImageSource',
+        '../util/Logger',
+        '../shapes/SurfaceImage'
+    ],
+    function (ArgumentError,
+              ColorRamp,
+              ImageSource,
+              Logger,
+              SurfaceImage) {
+        "use strict";
+
+        /**
+         * Constructs a surface image colorizing a grid of values.
+         * @alias ColorizedSurfaceImage
+         * @constructor
+         * @augments SurfaceImage
+         * @classdesc Drapes a grid of values, such as an AAIGrid of water depths, over the terrain as a heat map.
+         * The values are colorized by a {@link ColorRamp} between a minimum and a maximum value and the cells
+         * without data are transparent. The image is recreated when the color ramp or the range of the values
+         * changes.
+         * @param {Sector} sector The sector spanned by the grid.
+         * @param {Number} imageWidth The number of columns of the grid.
+         * @param {Number} imageHeight The number of rows of the grid.
+         * @param {Number[]} values The values of the grid row by row from the north-west corner.
+         * @param {Object} options Optional properties of the image:
+         * <ul>
+         *     <li>colorRamp - The {@link ColorRamp} of the values. {@link ColorRamp.HEAT} by default.</li>
+         *     <li>minValue - The value mapped to the start of the ramp. The minimum of the values by default.</li>
+         *     <li>maxValue - The value mapped to the end of the ramp. The maximum of the values by default.</li>
+         *     <li>noData - The value of the cells without data.</li>
+         * </ul>
+         * @throws {ArgumentError} If the specified sector or values are null or undefined, or if there are less values
+         * than cells of the grid.
+         */
+        var ColorizedSurfaceImage = function (sector, imageWidth, imageHeight, values, options) {
+            if (!values || values.length < imageWidth * imageHeight) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ColorizedSurfaceImage", "constructor", "missingArray"));
+            }
+
+            options = options || {};
+
+            // Internal. Intentionally not documented.
+            this.imageWidth = imageWidth;
+
+            // Internal. Intentionally not documented.
+            this.imageHeight = imageHeight;
+
+            // Internal. Intentionally not documented.
+            this.values = values;
+
+            // Internal. Intentionally not documented.
+            this.noData = options.noData;
+
+            // Documented in defineProperties below.
+            this._colorRamp = options.colorRamp || ColorRamp.HEAT;
+
+            var extremes = this.valueExtremes();
+
+            // Documented in defineProperties below.
+            this._minValue = typeof options.minValue === "number" ? options.minValue : extremes[0];
+
+            // Documented in defineProperties below.
+            this._maxValue = typeof options.maxValue === "number" ? options.maxValue : extremes[1];
+
+            SurfaceImage.call(this, sector, this.createImageSource());
+
+            this.displayName = "Colorized Surface Image";
+        };
+
+        ColorizedSurfaceImage.prototype = Object.create(SurfaceImage.prototype);
+
+        Object.defineProperties(ColorizedSurfaceImage.prototype, {
+            /**
+             * The color ramp colorizing the values of this image.
+             * @type {ColorRamp}
+             * @memberof ColorizedSurfaceImage.prototype
+             */
+            colorRamp: {
+                get: function () {
+                    return this._colorRamp;
+                },
+                set: function (colorRamp) {
+                    if (!colorRamp) {
+                        throw new ArgumentError(
+                            Logger.logMessage(Logger.LEVEL_SEVERE, "ColorizedSurfaceImage", "colorRamp",
+                                "missingColorRamp"));
+                    }
+
+                    this._colorRamp = colorRamp;
+                    this.imageSource = this.createImageSource();
+                }
+            },
+
+            /**
+             * The value mapped to the start of the color ramp.
+             * @type {Number}
+             * @memberof ColorizedSurfaceImage.prototype
+             */
+            minValue: {
+                get: function () {
+                    return this._minValue;
+                },
+                set: function (value) {
+                    this._minValue = value;
+                    this.imageSource = this.createImageSource();
+                }
+            },
+
+            /**
+             * The value mapped to the end of the color ramp.
+             * @type {Number}
+             * @memberof ColorizedSurfaceImage.prototype
+             */
+            maxValue: {
+                get: function () {
+                    return this._maxValue;
+                },
+                set: function (value) {
+                    this._maxValue = value;
+                    this.imageSource = this.createImageSource();
+                }
+            }
+        });
+
+        /**
+         * Creates a colorized surface image from an AAIGrid. The coordinates of the grid are considered geographic.
+         * @param {AAIGridReader} reader The reader of the AAIGrid.
+         * @param {Object} options The optional properties of the image, as for the constructor. The no data value
+         * defaults to the one of the grid.
+         * @returns {ColorizedSurfaceImage} The surface image of the grid.
+         * @throws {ArgumentError} If the specified reader is null or undefined.
+         */
+        ColorizedSurfaceImage.fromAAIGrid = function (reader, options) {
+            if (!reader) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ColorizedSurfaceImage", "fromAAIGrid", "missingReader"));
+            }
+
+            var metadata = reader.metadata;
+            options = options || {};
+
+            return new ColorizedSurfaceImage(metadata.sector, metadata.ncols, metadata.nrows, reader.getImageData(), {
+                colorRamp: options.colorRamp,
+                minValue: options.minValue,
+                maxValue: options.maxValue,
+                noData: options.noData !== undefined ? options.noData : metadata.NODATA_value
+            });
+        };
+
+        // Internal. Returns the minimum and maximum of the values with data.
+        ColorizedSurfaceImage.prototype.valueExtremes = function () {
+            var result = [Number.MAX_VALUE, -Number.MAX_VALUE];
+
+            for (var i = 0, len = this.imageWidth * this.imageHeight; i < len; i++) {
+                var value = this.values[i];
+                if (value === this.noData || isNaN(value)) {
+                    continue;
+                }
+
+                if (result[0] > value) {
+                    result[0] = value;
+                }
+                if (result[1] < value) {
+                    result[1] = value;
+                }
+            }
+
+            return result;
+        };
+
+        // Internal. Draws the colorized values on a canvas.
+        ColorizedSurfaceImage.prototype.createImageSource = function () {
+            var canvas = document.createElement("canvas");
+            canvas.width = this.imageWidth;
+            canvas.height = this.imageHeight;
+
+            var ctx = canvas.getContext("2d"),
+                imageData = ctx.createImageData(this.imageWidth, this.imageHeight);
+
+            this._colorRamp.colorize(this.values, this._minValue, this._maxValue, this.noData, imageData.data);
+            ctx.putImageData(imageData, 0, 0);
+
+            return new ImageSource(canvas);
+        };
+
+        return ColorizedSurfaceImage;
+    });
\ No newline at end of file
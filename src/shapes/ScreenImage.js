@@ -105,12 +105,21 @@ define([
             this.imageScale = 1;
 
             /**
-             * The amount of rotation to apply to the image, measured in degrees clockwise from the top of the window.
+             * The amount of rotation to apply to the image, measured in degrees counter-clockwise from the top of the
+             * window.
              * @type {Number}
              * @default 0
              */
             this.imageRotation = 0;
 
+            /**
+             * Indicates the location within the image around which the image is rotated and tilted. May be null, in
+             * which case the image is rotated around its center.
+             * @type {Offset}
+             * @default null
+             */
+            this.imageRotationOffset = null;
+
             /**
              * The amount of tilt to apply to the image, measured in degrees.
              * @type {Number}
@@ -240,7 +249,7 @@ define([
         // Internal. Intentionally not documented.
         ScreenImage.prototype.makeOrderedRenderable = function (dc) {
             var w, h, s, ws, hs,
-                iOffset, sOffset;
+                iOffset, rOffset, sOffset;
 
             this.activeTexture = this.getActiveTexture(dc);
             if (!this.activeTexture || this.imageSourceWasUpdated) {
@@ -253,22 +262,27 @@ define([
             this.eyeDistance = 0;
 
             // Compute the image's transform matrix and texture coordinate matrix according to its screen point, image size,
-            // image offset and image scale. The image offset is defined with its origin at the image's bottom-left corner and
-            // axes that extend up and to the right from the origin point.
+            // image offset, image scale, rotation and tilt. The image offset is defined with its origin at the image's
+            // bottom-left corner and axes that extend up and to the right from the origin point.
             w = this.activeTexture.imageWidth;
             h = this.activeTexture.imageHeight;
             s = this.imageScale;
             iOffset = this.imageOffset.offsetForSize(w, h);
+            rOffset = this.imageRotationOffset ? this.imageRotationOffset.offsetForSize(w, h) : [w / 2, h / 2];
             ws = dc.viewport.width;
             hs = dc.viewport.height;
             sOffset = this.screenOffset.offsetForSize(ws, hs);
 
-            this.imageTransform.setTranslation(
-                sOffset[0] - iOffset[0] * s,
-                sOffset[1] - iOffset[1] * s,
-                0);
-
-            this.imageTransform.setScale(w * s, h * s, 1);
+            // The image is rotated in screen coordinates, so that the rotation doesn't distort images which aren't
+            // square. Z is shifted to prevent image clipping when tilted.
+            this.imageTransform.setToTranslation(
+                sOffset[0] - (iOffset[0] - rOffset[0]) * s,
+                sOffset[1] - (iOffset[1] - rOffset[1]) * s,
+                0.5);
+            this.imageTransform.multiplyByRotation(1, 0, 0, this.imageTilt);
+            this.imageTransform.multiplyByRotation(0, 0, 1, this.imageRotation);
+            this.imageTransform.multiplyByTranslation(-rOffset[0] * s, -rOffset[1] * s, 0);
+            this.imageTransform.multiplyByScale(w * s, h * s, 1);
 
             this.imageBounds = WWMath.boundingRectForUnitQuad(this.imageTransform);
 
@@ -352,11 +366,6 @@ define([
             ScreenImage.matrix.copy(dc.screenProjection);
             ScreenImage.matrix.multiplyMatrix(this.imageTransform);
 
-            ScreenImage.matrix.multiplyByTranslation(0.5, 0.5, 0.5); // shift Z to prevent image clipping
-            ScreenImage.matrix.multiplyByRotation(1, 0, 0, this.imageTilt);
-            ScreenImage.matrix.multiplyByRotation(0, 0, 1, this.imageRotation);
-            ScreenImage.matrix.multiplyByTranslation(-0.5, -0.5, 0);
-
             program.loadModelviewProjection(gl, ScreenImage.matrix);
 
             // Enable texture for both normal display and for picking. If picking is enabled in the shader (set in
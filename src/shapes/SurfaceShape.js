@@ -23,12 +23,15 @@ define([
         '../error/ArgumentError',
         '../geom/BoundingBox',
         '../util/Color',
+        '../globe/ElevationModel',
+        '../globe/Globe',
         '../geom/Location',
         '../util/Logger',
         '../cache/MemoryCache',
         '../error/NotYetImplementedError',
         '../pick/PickedObject',
         '../util/PolygonSplitter',
+        '../projections/ProjectionWgs84',
         '../render/Renderable',
         '../geom/Sector',
         '../shapes/ShapeAttributes',
@@ -41,12 +44,15 @@ define([
               ArgumentError,
               BoundingBox,
               Color,
+              ElevationModel,
+              Globe,
               Location,
               Logger,
               MemoryCache,
               NotYetImplementedError,
               PickedObject,
               PolygonSplitter,
+              ProjectionWgs84,
               Renderable,
               Sector,
               ShapeAttributes,
@@ -453,6 +459,32 @@ define([
                 Logger.logMessage(Logger.LEVEL_SEVERE, "SurfaceShape", "computeBoundaries", "abstractInvocation"));
         };
 
+        /**
+         * Computes the boundaries of this shape on a specified globe. Unlike the boundaries used for rendering,
+         * they are available before the shape is rendered and computing them leaves the rendering state of the
+         * shape untouched, e.g. when the shape is exported.
+         * @param {Globe} globe The globe to compute the boundaries on. May be null, in which case a WGS84 globe is
+         * used.
+         * @returns {Location[]|Location[][]} The boundaries of this shape, either a list of locations or a list of
+         * lists of locations.
+         */
+        SurfaceShape.prototype.computeBoundariesOnGlobe = function (globe) {
+            if (!globe) {
+                if (!SurfaceShape.wgs84Globe) {
+                    SurfaceShape.wgs84Globe = new Globe(new ElevationModel(), new ProjectionWgs84());
+                }
+                globe = SurfaceShape.wgs84Globe;
+            }
+
+            // The shapes generating their boundaries assign them to the derived object, the others keep their own.
+            var shape = Object.create(this);
+            shape.computeBoundaries({globe: globe});
+            return (shape.hasOwnProperty('_boundaries') ? shape._boundaries : this._boundaries) || [];
+        };
+
+        // Internal. The globe used for the boundaries computed without a globe.
+        SurfaceShape.wgs84Globe = null;
+
         // Internal. Intentionally not documented.
         SurfaceShape.prototype.intersectsFrustum = function (dc) {
             if (this.currentData && this.currentData.extent) {
@@ -0,0 +1,192 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ColorRamp
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Color',
+        '../util/Logger',
+        '../util/WWMath'
+    ],
+    function (ArgumentError,
+              Color,
+              Logger,
+              WWMath) {
+        "use strict";
+
+        /**
+         * Constructs a color ramp from a list of color stops.
+         * @alias ColorRamp
+         * @constructor
+         * @classdesc Maps values to colors by interpolating linearly between color stops. The stops are located
+         * at fractions between 0 and 1 of the range of the values, and the values outside of the stops take the
+         * color of the nearest stop. Color ramps are used to colorize grids of values, such as elevations or
+         * rainfall, for display by a {@link ColorizedSurfaceImage}. Several predefined ramps are provided as
+         * static properties of this class.
+         * @param {Object[]} stops The color stops, each with a <code>value</code> property holding the fraction
+         * of the stop and a <code>color</code> property holding its {@link Color}.
+         * @throws {ArgumentError} If the specified stops are null, undefined or empty.
+         */
+        var ColorRamp = function (stops) {
+            if (!stops || stops.length === 0) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ColorRamp", "constructor", "missingArray"));
+            }
+
+            /**
+             * The color stops of this ramp, sorted by their value.
+             * @type {Object[]}
+             * @readonly
+             */
+            this.stops = stops.slice().sort(function (a, b) {
+                return a.value - b.value;
+            });
+        };
+
+        /**
+         * Returns the color of a fraction of the range of this ramp.
+         * @param {Number} fraction The fraction, between 0 and 1.
+         * @param {Color} result A pre-allocated color in which to return the computed color.
+         * @returns {Color} The result argument set to the interpolated color.
+         * @throws {ArgumentError} If the specified result is null or undefined.
+         */
+        ColorRamp.prototype.colorForValue = function (fraction, result) {
+            if (!result) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ColorRamp", "colorForValue", "missingResult"));
+            }
+
+            var stops = this.stops,
+                last = stops.length - 1;
+
+            if (fraction <= stops[0].value) {
+                return result.copy(stops[0].color);
+            }
+
+            if (fraction >= stops[last].value) {
+                return result.copy(stops[last].color);
+            }
+
+            for (var i = 1; i < stops.length; i++) {
+                if (fraction <= stops[i].value) {
+                    var lower = stops[i - 1],
+                        upper = stops[i],
+                        t = (fraction - lower.value) / (upper.value - lower.value);
+
+                    return result.set(
+                        WWMath.interpolate(t, lower.color.red, upper.color.red),
+                        WWMath.interpolate(t, lower.color.green, upper.color.green),
+                        WWMath.interpolate(t, lower.color.blue, upper.color.blue),
+                        WWMath.interpolate(t, lower.color.alpha, upper.color.alpha));
+                }
+            }
+
+            return result.copy(stops[last].color);
+        };
+
+        /**
+         * Colorizes a grid of values into RGBA pixels. The values are mapped to this ramp between a minimum and a
+         * maximum value. The no data values and NaN are transparent.
+         * @param {Number[]} values The values to colorize.
+         * @param {Number} minValue The value mapped to the start of this ramp.
+         * @param {Number} maxValue The value mapped to the end of this ramp.
+         * @param {Number} noData The value of the cells without data. May be null or undefined.
+         * @param {Uint8ClampedArray} result A pre-allocated array with four bytes per value in which to return the
+         * pixels, for example the data of an ImageData.
+         * @returns {Uint8ClampedArray} The result argument set to the colors of the values.
+         * @throws {ArgumentError} If the specified values are null or undefined or the result is too short.
+         */
+        ColorRamp.prototype.colorize = function (values, minValue, maxValue, noData, result) {
+            if (!values) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ColorRamp", "colorize", "missingArray"));
+            }
+
+            if (!result || result.length < 4 * values.length) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ColorRamp", "colorize", "missingResult"));
+            }
+
+            var range = maxValue - minValue,
+                color = new Color(0, 0, 0, 0);
+
+            for (var i = 0, len = values.length; i < len; i++) {
+                var value = values[i];
+                if (value === noData || isNaN(value)) {
+                    result[4 * i] = result[4 * i + 1] = result[4 * i + 2] = result[4 * i + 3] = 0;
+                    continue;
+                }
+
+                this.colorForValue(range > 0 ? (value - minValue) / range : 0, color);
+                result[4 * i] = Math.round(color.red * 255);
+                result[4 * i + 1] = Math.round(color.green * 255);
+                result[4 * i + 2] = Math.round(color.blue * 255);
+                result[4 * i + 3] = Math.round(color.alpha * 255);
+            }
+
+            return result;
+        };
+
+        /**
+         * A color ramp from black to white.
+         * @type {ColorRamp}
+         * @constant
+         */
+        ColorRamp.GRAYSCALE = new ColorRamp([
+            {value: 0, color: Color.BLACK},
+            {value: 1, color: Color.WHITE}
+        ]);
+
+        /**
+         * A heat map color ramp from blue through cyan, green and yellow to red.
+         * @type {ColorRamp}
+         * @constant
+         */
+        ColorRamp.HEAT = new ColorRamp([
+            {value: 0, color: Color.BLUE},
+            {value: 0.25, color: Color.CYAN},
+            {value: 0.5, color: Color.GREEN},
+            {value: 0.75, color: Color.YELLOW},
+            {value: 1, color: Color.RED}
+        ]);
+
+        /**
+         * A hypsometric color ramp from green lowlands through brown mountains to white peaks.
+         * @type {ColorRamp}
+         * @constant
+         */
+        ColorRamp.TERRAIN = new ColorRamp([
+            {value: 0, color: new Color(0.2, 0.5, 0.2, 1)},
+            {value: 0.35, color: new Color(0.85, 0.8, 0.45, 1)},
+            {value: 0.7, color: new Color(0.55, 0.35, 0.2, 1)},
+            {value: 1, color: Color.WHITE}
+        ]);
+
+        /**
+         * A color ramp for water depths or discharges, from light to dark blue.
+         * @type {ColorRamp}
+         * @constant
+         */
+        ColorRamp.WATER = new ColorRamp([
+            {value: 0, color: new Color(0.8, 0.92, 1, 1)},
+            {value: 0.5, color: new Color(0.25, 0.55, 0.9, 1)},
+            {value: 1, color: new Color(0.03, 0.15, 0.45, 1)}
+        ]);
+
+        return ColorRamp;
+    });
\ No newline at end of file
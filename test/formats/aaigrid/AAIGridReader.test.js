@@ -89,6 +89,27 @@ define([
             expect(reader.getImageData()).toEqual(expectedValues);
         });
 
+        it('should compute the sector of a grid registered at the center of its lower left cell', function () {
+            var dataSource =
+                'ncols        4\n' +
+                'nrows        2\n' +
+                'xllcenter    10.25\n' +
+                'yllcenter    20.25\n' +
+                'cellsize     0.5\n' +
+                '1 2 3 4\n' +
+                '5 6 7 8\n';
+
+            var reader = new AAIGridReader(dataSource);
+
+            expect(reader.metadata.xllcenter).toBe(10.25);
+            expect(reader.metadata.yllcenter).toBe(20.25);
+            expect(reader.metadata.xllcorner).toBeNull();
+            expect(reader.metadata.sector.minLatitude).toBe(20);
+            expect(reader.metadata.sector.maxLatitude).toBe(21);
+            expect(reader.metadata.sector.minLongitude).toBe(10);
+            expect(reader.metadata.sector.maxLongitude).toBe(12);
+        });
+
         it('should parse an array buffer data source', function (done) {
             var xhr = new XMLHttpRequest();
 
@@ -0,0 +1,56 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/geojson/GeoJSONExporter',
+    'src/geom/Position',
+    'src/WorldWind'
+], function (GeoJSONExporter, Position, WorldWind) {
+    "use strict";
+
+    describe("GeoJSONExporter", function () {
+        var placemark = new WorldWind.Placemark(new Position(20, 10, 0)),
+            path = new WorldWind.Path([new Position(20, 10, 5), new Position(21, 11, 5)]);
+
+        it("Should write WGS84 coordinates without crs by default", function () {
+            expect(JSON.parse(GeoJSONExporter.exportRenderable(placemark))).toEqual({
+                type: "Point",
+                coordinates: [10, 20]
+            });
+            expect(GeoJSONExporter.exportRenderable(placemark, "EPSG:4326")).toBe(
+                GeoJSONExporter.exportRenderable(placemark));
+        });
+
+        it("Should reproject the coordinates and name the crs", function () {
+            var geoJSON = JSON.parse(GeoJSONExporter.exportRenderable(path, "EPSG:3857"));
+
+            expect(geoJSON.crs).toEqual({type: "name", properties: {name: "EPSG:3857"}});
+            expect(geoJSON.type).toBe("LineString");
+            expect(geoJSON.coordinates[0][0]).toBeCloseTo(1113194.9079327357, 4);
+            expect(geoJSON.coordinates[0][1]).toBeCloseTo(2273030.926987689, 4);
+            expect(geoJSON.coordinates[0][2]).toBe(5);
+        });
+
+        it("Should name the crs only on the collection", function () {
+            var geoJSON = JSON.parse(GeoJSONExporter.exportRenderables([placemark, path], "EPSG:3857"));
+
+            expect(geoJSON.crs.properties.name).toBe("EPSG:3857");
+            expect(geoJSON.geometries.length).toBe(2);
+            expect(geoJSON.geometries[0].crs).toBeUndefined();
+            expect(geoJSON.geometries[0].coordinates[0]).toBeCloseTo(1113194.9079327357, 4);
+        });
+    });
+});
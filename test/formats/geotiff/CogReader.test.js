@@ -0,0 +1,104 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/geotiff/CogReader',
+    'src/geom/Sector',
+    'src/formats/geotiff/TiffConstants'
+], function (CogReader, Sector, TiffConstants) {
+    "use strict";
+
+    describe("CogReader", function () {
+        var reader;
+
+        beforeEach(function (done) {
+            reader = new CogReader("../base/test/formats/geotiff/cog-test.tif");
+            // The header is requested in several steps as the image file directories take 472 bytes.
+            reader.headerSize = 128;
+            reader.load().then(function () {
+                done();
+            }, function () {
+                done.fail("Test COG Retrieval Error");
+            });
+        });
+
+        it("Should read the full resolution image and the overview from the header", function () {
+            expect(reader.images.length).toBe(2);
+            expect(reader.images[0].imageWidth).toBe(512);
+            expect(reader.images[1].imageWidth).toBe(256);
+            expect(reader.images[1].newSubfileType).toBe(TiffConstants.NewSubfileType.REDUCED_RESOLUTION);
+            expect(reader.images[1].tileOffsets.length).toBe(1);
+
+            expect(reader.sector.minLongitude).toBeCloseTo(14, 6);
+            expect(reader.sector.maxLatitude).toBeCloseTo(50, 6);
+            expect(reader.resolution).toBeCloseTo(0.01, 6);
+        });
+
+        it("Should select the image matching the resolution", function () {
+            expect(reader.imageIndexForResolution(0.005)).toBe(0);
+            expect(reader.imageIndexForResolution(0.015)).toBe(0);
+            expect(reader.imageIndexForResolution(0.021)).toBe(1);
+            expect(reader.imageIndexForResolution(1)).toBe(1);
+        });
+
+        it("Should retrieve only the tile covering the region", function (done) {
+            spyOn(reader, "requestRange").and.callThrough();
+
+            reader.readRegion(new Sector(49.9, 50, 14, 14.1), 10, 10).then(function (pixels) {
+                expect(reader.requestRange.calls.count()).toBe(1);
+                expect(reader.requestRange.calls.argsFor(0)[0]).toBe(reader.images[0].tileOffsets[0]);
+
+                expect(pixels.length).toBe(100);
+                expect(pixels[3 * 10 + 5]).toEqual([3]);
+                expect(pixels[9 * 10 + 9]).toEqual([8]);
+                done();
+            }, function () {
+                done.fail("Test COG Region Error");
+            });
+        });
+
+        it("Should read the overview for the lower resolution and leave the pixels outside empty", function (done) {
+            var sector = new Sector(44.88, 50, 14, 19.12);
+
+            reader.readRegion(sector, 100, 100).then(function (pixels) {
+                expect(pixels[5 * 100 + 3]).toEqual([22]);
+
+                return reader.readRegion(new Sector(49, 51, 13, 15), 2, 2);
+            }).then(function (pixels) {
+                expect(pixels[0]).toBeNull();
+                expect(pixels[3]).not.toBeNull();
+                done();
+            }, function () {
+                done.fail("Test COG Region Error");
+            });
+        });
+
+        it("Should cache the decoded tiles", function (done) {
+            reader.readTile(1, 0, 0).then(function (pixels) {
+                expect(pixels.length).toBe(256 * 256);
+                spyOn(reader, "requestRange").and.callThrough();
+
+                return reader.readTile(1, 0, 0);
+            }).then(function (pixels) {
+                expect(reader.requestRange).not.toHaveBeenCalled();
+                expect(pixels[1]).toEqual([1]);
+                done();
+            }, function () {
+                done.fail("Test COG Tile Error");
+            });
+        });
+    });
+});
@@ -15,8 +15,9 @@
  * limitations under the License.
  */
 define([
-    'src/formats/geotiff/GeoTiffReader'
-], function (GeoTiffReader) {
+    'src/formats/geotiff/GeoTiffReader',
+    'src/formats/geotiff/TiffConstants'
+], function (GeoTiffReader, TiffConstants) {
     "use strict";
 
     describe("GeoTiffReader RGB Parsing", function () {
@@ -116,4 +117,79 @@ define([
             expect(elevationArray[25 * 100 + 25]).toBe(2888);
         });
     });
+
+    describe("GeoTiffReader Decompression", function () {
+        var geoTiffs = {};
+
+        beforeAll(function (done) {
+            var names = ["lzw-test.tif", "deflate-test.tif", "packbits-test.tif", "jpeg-test.tif"],
+                remaining = names.length;
+
+            names.forEach(function (name) {
+                var xhr = new XMLHttpRequest();
+                xhr.open("GET", "../base/test/formats/geotiff/" + name, true);
+                xhr.responseType = 'arraybuffer';
+                xhr.addEventListener('load', function () {
+                    if (xhr.status === 200) {
+                        geoTiffs[name] = new GeoTiffReader(xhr.response);
+                        remaining--;
+                        if (remaining === 0) {
+                            done();
+                        }
+                    } else {
+                        done.fail("Test GeoTiff Retrieval Error: " + xhr.statusText);
+                    }
+                });
+                xhr.send(null);
+            });
+        });
+
+        it("Should decompress the LZW strips with the horizontal predictor", function () {
+            var geoTiff = geoTiffs["lzw-test.tif"];
+            expect(geoTiff.metadata.compression).toBe(TiffConstants.Compression.LZW);
+            expect(geoTiff.metadata.predictor).toBe(TiffConstants.Predictor.HORIZONTAL);
+
+            var elevationArray = geoTiff.getImageData();
+
+            expect(elevationArray.length).toBe(64 * 10);
+            expect(elevationArray[0]).toBe(0);
+            expect(elevationArray[5 * 64 + 10]).toBe(8781);
+            expect(elevationArray[9 * 64 + 63]).toBe(24904);
+        });
+
+        it("Should decompress the Adobe Deflate tiles with the floating point predictor", function () {
+            var geoTiff = geoTiffs["deflate-test.tif"];
+            expect(geoTiff.isLittleEndian).toBe(false);
+
+            var elevationArray = geoTiff.getImageData();
+
+            expect(elevationArray instanceof Float32Array).toBe(true);
+            expect(elevationArray.length).toBe(20 * 10);
+            expect(elevationArray[2 * 20 + 3]).toBe(-1);
+            expect(elevationArray[9 * 20 + 19]).toBe(-1.75);
+        });
+
+        it("Should decompress the PackBits strips", function () {
+            var strips = geoTiffs["packbits-test.tif"].parseStrips(false);
+
+            expect(strips[0].length).toBe(12 * 4);
+            expect(strips[0][2 * 12 + 5]).toEqual([60, 100, 255]);
+            expect(strips[0][3 * 12 + 11]).toEqual([120, 150, 255]);
+        });
+
+        it("Should decode the JPEG tiles with the shared tables and the subsampled chroma", function () {
+            var geoTiff = geoTiffs["jpeg-test.tif"];
+            var tiles = geoTiff.parseTiles(false);
+
+            expect(tiles[0].length).toBe(16 * 16);
+            expect(tiles[0][3 * 16 + 3]).toEqual([50, 90, 160]);
+            expect(tiles[0][3 * 16 + 12]).toEqual([100, 90, 160]);
+            expect(tiles[0][12 * 16 + 3]).toEqual([150, 90, 160]);
+            expect(tiles[0][15 * 16 + 15]).toEqual([200, 90, 160]);
+
+            var fillStyle = geoTiff.getFillStyle([50, 90, 160], TiffConstants.PhotometricInterpretation.Y_Cb_Cr,
+                [8, 8, 8], 3);
+            expect(fillStyle).toBe("rgba(95, 40, 0, 1)");
+        });
+    });
 });
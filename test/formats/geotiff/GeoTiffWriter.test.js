@@ -0,0 +1,109 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/geotiff/GeoTiffConstants',
+    'src/formats/geotiff/GeoTiffReader',
+    'src/formats/geotiff/GeoTiffWriter',
+    'src/geom/Sector',
+    'src/formats/geotiff/TiffConstants',
+    'src/WorldWind'
+], function (GeoTiffConstants, GeoTiffReader, GeoTiffWriter, Sector, TiffConstants, WorldWind) {
+    "use strict";
+
+    describe("GeoTiffWriter", function () {
+        var sector = new Sector(50, 51, 14, 16);
+
+        it("Should write the elevations as a georeferenced float geotiff", function () {
+            // Two rows of three elevations from the south.
+            var elevations = [1, 2, 3, 4, 5, -9999],
+                reader = new GeoTiffReader(GeoTiffWriter.writeElevations(sector, 2, 3, elevations, -9999)),
+                metadata = reader.metadata;
+
+            expect(reader.isLittleEndian).toBe(true);
+            expect(metadata.imageWidth).toBe(3);
+            expect(metadata.imageLength).toBe(2);
+            expect(metadata.sampleFormat[0]).toBe(TiffConstants.SampleFormat.IEEE_FLOAT);
+            expect(metadata.modelTiepoint).toEqual([0, 0, 0, 14, 51, 0]);
+            expect(metadata.modelPixelScale).toEqual([1, 1, 0]);
+            expect(metadata.gtModelTypeGeoKey).toBe(GeoTiffConstants.ModelType.GEOGRAPHIC);
+            expect(metadata.gtRasterTypeGeoKey).toBe(GeoTiffConstants.RasterType.PIXEL_IS_POINT);
+            expect(metadata.geographicTypeGeoKey).toBe(4326);
+            expect(parseFloat(metadata.noData)).toBe(-9999);
+            expect(Array.prototype.slice.call(reader.getImageData())).toEqual([4, 5, -9999, 1, 2, 3]);
+        });
+
+        it("Should write the RGBA image with its pixels spanning the sector", function () {
+            var pixels = new Uint8ClampedArray([
+                    255, 0, 0, 255, 0, 255, 0, 255,
+                    0, 0, 255, 255, 0, 0, 0, 0
+                ]),
+                reader = new GeoTiffReader(GeoTiffWriter.writeImage(sector, 2, 2, pixels)),
+                metadata = reader.metadata;
+
+            expect(metadata.samplesPerPixel).toBe(4);
+            expect(metadata.bitsPerSample).toEqual([8, 8, 8, 8]);
+            expect(metadata.photometricInterpretation).toBe(TiffConstants.PhotometricInterpretation.RGB);
+            expect(metadata.extraSamples).toEqual([TiffConstants.ExtraSamples.UNASSOCIATED_ALPHA]);
+            expect(metadata.modelPixelScale).toEqual([1, 0.5, 0]);
+            expect(metadata.bbox.minLatitude).toBe(50);
+            expect(metadata.bbox.maxLongitude).toBe(16);
+            expect(new Uint8Array(reader.geoTiffData.buffer, metadata.stripOffsets[0], 16)).toEqual(
+                new Uint8Array(pixels));
+        });
+
+        it("Should export the elevations of the globe", function () {
+            var globe = new WorldWind.Globe(new WorldWind.ElevationModel(), new WorldWind.ProjectionWgs84()),
+                reader = new GeoTiffReader(GeoTiffWriter.exportElevations(globe, sector, 3, 5));
+
+            expect(reader.metadata.imageWidth).toBe(5);
+            expect(reader.metadata.imageLength).toBe(3);
+            expect(reader.getImageData().length).toBe(15);
+        });
+
+        it("Should call the other redraw callbacks while exporting the view", function (done) {
+            var wwd = {
+                    _redrawCallbacks: [],
+                    redraw: function () {
+                    }
+                },
+                later = jasmine.createSpy("later");
+            spyOn(GeoTiffWriter, "sampleView").and.returnValue(new Uint8Array(4 * 2 * 3));
+
+            wwd.redrawCallbacks = wwd._redrawCallbacks;
+            var first = GeoTiffWriter.exportView(wwd, sector, 3, 2),
+                second = GeoTiffWriter.exportView(wwd, sector, 3, 2);
+            wwd.redrawCallbacks.push(later);
+            WorldWind.WorldWindow.prototype.callRedrawCallbacks.call(wwd, WorldWind.AFTER_REDRAW);
+
+            expect(later).toHaveBeenCalled();
+            Promise.all([first, second]).then(function (geotiffs) {
+                expect(new GeoTiffReader(geotiffs[0]).metadata.imageWidth).toBe(3);
+                expect(new GeoTiffReader(geotiffs[1]).metadata.imageWidth).toBe(3);
+                setTimeout(function () {
+                    expect(wwd.redrawCallbacks).toEqual([later]);
+                    done();
+                }, 0);
+            }, done.fail);
+        });
+
+        it("Should require the sector", function () {
+            expect(function () {
+                GeoTiffWriter.writeImage(null, 1, 1, new Uint8Array(4));
+            }).toThrow();
+        });
+    });
+});
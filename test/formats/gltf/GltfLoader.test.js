@@ -0,0 +1,267 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/gltf/GltfLoader',
+    'src/formats/gltf/GltfScene',
+    'src/geom/Position',
+    'src/WorldWind'
+], function (GltfLoader,
+             GltfScene,
+             Position,
+             WorldWind) {
+    "use strict";
+
+    // A triangle with normals and texture coordinates followed by its indices.
+    var createBuffer = function () {
+        var buffer = new ArrayBuffer(104),
+            floats = new Float32Array(buffer, 0, 24),
+            indices = new Uint16Array(buffer, 96, 3);
+        floats.set([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+        floats.set([0, 0, 1, 0, 0, 1, 0, 0, 1], 9);
+        floats.set([0, 1, 1, 1, 0, 0], 18);
+        indices.set([0, 1, 2]);
+        return new Uint8Array(buffer);
+    };
+
+    var toBase64 = function (bytes) {
+        return btoa(String.fromCharCode.apply(null, bytes));
+    };
+
+    var createJson = function (buffer) {
+        return {
+            asset: {version: "2.0"},
+            scene: 0,
+            scenes: [{nodes: [0]}],
+            nodes: [
+                {name: "root", translation: [10, 0, 0], children: [1]},
+                {name: "child", mesh: 0, rotation: [0, 0, Math.SQRT1_2, Math.SQRT1_2], scale: [2, 2, 2]}
+            ],
+            meshes: [{name: "triangle", primitives: [{
+                attributes: {POSITION: 0, NORMAL: 1, TEXCOORD_0: 2},
+                indices: 3,
+                material: 0
+            }]}],
+            materials: [{
+                name: "red",
+                doubleSided: true,
+                pbrMetallicRoughness: {baseColorFactor: [1, 0, 0, 1], baseColorTexture: {index: 0}}
+            }],
+            textures: [{source: 0, sampler: 0}],
+            samplers: [{wrapS: 33071, wrapT: 33071}],
+            images: [{uri: "textures/red.png"}],
+            accessors: [
+                {bufferView: 0, componentType: 5126, count: 3, type: "VEC3"},
+                {bufferView: 0, byteOffset: 36, componentType: 5126, count: 3, type: "VEC3"},
+                {bufferView: 1, componentType: 5126, count: 3, type: "VEC2"},
+                {bufferView: 2, componentType: 5123, count: 3, type: "SCALAR"}
+            ],
+            bufferViews: [
+                {buffer: 0, byteLength: 72},
+                {buffer: 0, byteOffset: 72, byteLength: 24},
+                {buffer: 0, byteOffset: 96, byteLength: 6}
+            ],
+            buffers: [buffer]
+        };
+    };
+
+    var createGlb = function (json, binary) {
+        var jsonText = JSON.stringify(json);
+        while (jsonText.length % 4 !== 0) {
+            jsonText += ' ';
+        }
+        var binaryLength = Math.ceil(binary.length / 4) * 4,
+            glb = new ArrayBuffer(12 + 8 + jsonText.length + 8 + binaryLength),
+            view = new DataView(glb),
+            bytes = new Uint8Array(glb);
+        view.setUint32(0, 0x46546C67, true);
+        view.setUint32(4, 2, true);
+        view.setUint32(8, glb.byteLength, true);
+        view.setUint32(12, jsonText.length, true);
+        view.setUint32(16, 0x4E4F534A, true);
+        for (var i = 0; i < jsonText.length; i++) {
+            bytes[20 + i] = jsonText.charCodeAt(i);
+        }
+        view.setUint32(20 + jsonText.length, binaryLength, true);
+        view.setUint32(24 + jsonText.length, 0x004E4942, true);
+        bytes.set(binary, 28 + jsonText.length);
+        return glb;
+    };
+
+    describe("GltfLoader", function () {
+        var position = new Position(50, 14, 100),
+            loader = new GltfLoader(position, {dirPath: "models/"});
+
+        it("should require the position", function () {
+            expect(function () {
+                new GltfLoader(null);
+            }).toThrow();
+        });
+
+        it("should parse the glTF with the buffer embedded as data URI", function () {
+            var json = createJson({
+                byteLength: 104,
+                uri: "data:application/octet-stream;base64," + toBase64(createBuffer())
+            });
+            var scene = loader.parse(JSON.stringify(json));
+
+            expect(scene instanceof GltfScene).toBe(true);
+            expect(scene.position).toBe(position);
+            expect(scene.meshes.length).toEqual(1);
+
+            var primitive = scene.meshes[0].primitives[0];
+            expect(Array.prototype.slice.call(primitive.vertices)).toEqual([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+            expect(Array.prototype.slice.call(primitive.normals)).toEqual([0, 0, 1, 0, 0, 1, 0, 0, 1]);
+            expect(Array.prototype.slice.call(primitive.uvs)).toEqual([0, 1, 1, 1, 0, 0]);
+            expect(primitive.indices instanceof Uint16Array).toBe(true);
+            expect(Array.prototype.slice.call(primitive.indices)).toEqual([0, 1, 2]);
+            expect(primitive.indexedRendering).toBe(true);
+            expect(primitive.material).toEqual(0);
+        });
+
+        it("should parse the binary glTF", function () {
+            var json = createJson({byteLength: 104}),
+                scene = loader.parse(createGlb(json, createBuffer()));
+
+            var primitive = scene.meshes[0].primitives[0];
+            expect(Array.prototype.slice.call(primitive.vertices)).toEqual([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+            expect(Array.prototype.slice.call(primitive.indices)).toEqual([0, 1, 2]);
+        });
+
+        it("should combine the matrices of the node hierarchy", function () {
+            var json = createJson({byteLength: 104}),
+                scene = loader.parse(createGlb(json, createBuffer())),
+                root = scene.nodes[0],
+                child = root.children[0];
+
+            expect(root.name).toEqual("root");
+            expect(root.mesh).toBeNull();
+            expect(child.mesh).toEqual(0);
+
+            // The child is rotated by 90 degrees around z, scaled by 2 and then translated by the root.
+            var point = [1, 0, 0],
+                m = child.worldMatrix;
+            expect(m[0] * point[0] + m[3]).toBeCloseTo(10, 6);
+            expect(m[4] * point[0] + m[7]).toBeCloseTo(2, 6);
+            expect(m[8] * point[0] + m[11]).toBeCloseTo(0, 6);
+        });
+
+        it("should read the column-major node matrix", function () {
+            var matrix = GltfLoader.nodeMatrix({matrix: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 5, 6, 7, 1]});
+            expect(matrix[3]).toEqual(5);
+            expect(matrix[7]).toEqual(6);
+            expect(matrix[11]).toEqual(7);
+            expect(matrix[12]).toEqual(0);
+        });
+
+        it("should parse the base color of the material", function () {
+            var json = createJson({byteLength: 104}),
+                material = loader.parse(createGlb(json, createBuffer())).materials[0];
+
+            expect(material.name).toEqual("red");
+            expect(material.baseColorFactor).toEqual([1, 0, 0, 1]);
+            expect(material.doubleSided).toBe(true);
+            expect(material.alphaMode).toEqual("OPAQUE");
+            expect(material.baseColorTexture.url).toEqual("models/textures/red.png");
+            expect(material.baseColorTexture.isClamp).toBe(true);
+        });
+
+        it("should embed the image of the buffer view as data URI", function () {
+            var json = createJson({byteLength: 104});
+            json.images = [{bufferView: 2, mimeType: "image/png"}];
+            var material = loader.parse(createGlb(json, createBuffer())).materials[0];
+
+            expect(material.baseColorTexture.url).toEqual("data:image/png;base64," + toBase64([0, 0, 1, 0, 2, 0]));
+        });
+
+        it("should expand the vertices without the indices", function () {
+            var json = createJson({byteLength: 104});
+            json.accessors[3].componentType = 5121;
+            json.accessors[3].count = 2;
+            json.bufferViews[2].byteLength = 2;
+            var buffer = createBuffer();
+            buffer[96] = 2;
+            buffer[97] = 1;
+            json.accessors.push({bufferView: 0, componentType: 5126, count: 200000, type: "SCALAR"});
+            json.bufferViews[0].byteLength = 800000;
+            json.buffers[0].byteLength = 800000;
+            var binary = new Uint8Array(800000);
+            binary.set(buffer);
+            json.meshes[0].primitives[0].attributes.POSITION = 4;
+
+            var primitive = loader.parse(createGlb(json, binary)).meshes[0].primitives[0];
+            expect(primitive.indexedRendering).toBe(false);
+            expect(primitive.indices).toBeNull();
+            expect(primitive.vertices.length).toEqual(6);
+        });
+
+        it("should display only the root nodes without the scenes", function () {
+            var json = createJson({byteLength: 104});
+            delete json.scenes;
+            delete json.scene;
+
+            expect(GltfLoader.rootNodes(json)).toEqual([0]);
+
+            var scene = loader.parse(createGlb(json, createBuffer()));
+            expect(scene.nodes.length).toEqual(1);
+            expect(scene.nodes[0].name).toEqual("root");
+        });
+
+        it("should resolve the buffers and images against the directory of the model URL", function (done) {
+            var requested = [],
+                originalRequest = window.XMLHttpRequest;
+            window.XMLHttpRequest = function () {
+                var request = this;
+                this.open = function (method, url) {
+                    requested.push(url);
+                    request.url = url;
+                };
+                this.send = function () {
+                    var text = JSON.stringify(createJson({byteLength: 104, uri: "triangle.bin"}));
+                    request.status = 200;
+                    request.response = /\.bin$/.test(request.url) ? createBuffer().buffer :
+                        new Uint8Array(text.split("").map(function (character) {
+                            return character.charCodeAt(0);
+                        })).buffer;
+                    setTimeout(function () {
+                        request.onload.call(request);
+                    }, 0);
+                };
+            };
+
+            new GltfLoader(position).load("https://host/models/triangle.gltf", function (scene) {
+                window.XMLHttpRequest = originalRequest;
+                expect(requested).toEqual(["https://host/models/triangle.gltf", "https://host/models/triangle.bin"]);
+                expect(scene.dirPath).toEqual("https://host/models/");
+                expect(scene.materials[0].baseColorTexture.url).toEqual("https://host/models/textures/red.png");
+                expect(Array.prototype.slice.call(scene.meshes[0].primitives[0].indices)).toEqual([0, 1, 2]);
+                done();
+            });
+        });
+
+        it("should reject the external buffers which aren't loaded", function () {
+            expect(function () {
+                loader.parse(createJson({byteLength: 104, uri: "triangle.bin"}));
+            }).toThrow();
+        });
+
+        it("should reject glTF 1.0", function () {
+            expect(function () {
+                loader.parse({asset: {version: "1.0"}});
+            }).toThrow();
+        });
+    });
+});
@@ -0,0 +1,84 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/gltf/GltfScene',
+    'src/geom/Matrix',
+    'src/geom/Position',
+    'src/geom/Vec3',
+    'src/WorldWind'
+], function (GltfScene,
+             Matrix,
+             Position,
+             Vec3,
+             WorldWind) {
+    "use strict";
+
+    describe("GltfScene", function () {
+        var globe = new WorldWind.Globe(new WorldWind.ElevationModel(), new WorldWind.ProjectionWgs84());
+
+        var transform = function (matrix, x, y, z) {
+            return new Vec3(x, y, z).multiplyByMatrix(matrix);
+        };
+
+        it("should default to absolute altitude and no rotation", function () {
+            var scene = new GltfScene(new Position(0, 0, 0), {nodes: [], meshes: [], materials: []});
+            expect(scene.altitudeMode).toEqual(WorldWind.ABSOLUTE);
+            expect(scene.heading).toEqual(0);
+            expect(scene.scale).toEqual(1);
+        });
+
+        it("should place the +Y axis of the model up and its +Z axis to the south", function () {
+            var scene = new GltfScene(new Position(0, 0, 0), {});
+            globe.computePointFromPosition(0, 0, 0, scene.placePoint);
+            scene.computeTransformationMatrix(globe);
+
+            var up = transform(scene.transformationMatrix, 0, 1, 0);
+            expect(globe.computePositionFromPoint(up[0], up[1], up[2], new Position(0, 0, 0)).altitude)
+                .toBeCloseTo(1, 3);
+
+            var south = transform(scene.transformationMatrix, 0, 0, 10);
+            expect(globe.computePositionFromPoint(south[0], south[1], south[2], new Position(0, 0, 0)).latitude)
+                .toBeLessThan(0);
+        });
+
+        it("should apply the heading clockwise and the scale", function () {
+            var scene = new GltfScene(new Position(0, 0, 0), {});
+            scene.heading = 90;
+            scene.scale = 2;
+            globe.computePointFromPosition(0, 0, 0, scene.placePoint);
+            scene.computeTransformationMatrix(globe);
+
+            // The front of the model faces west after turning by 90 degrees.
+            var front = transform(scene.transformationMatrix, 0, 0, 10),
+                position = globe.computePositionFromPoint(front[0], front[1], front[2], new Position(0, 0, 0));
+            expect(position.longitude * Math.PI / 180 * globe.equatorialRadius).toBeCloseTo(-20, 3);
+            expect(position.latitude).toBeCloseTo(0, 9);
+        });
+
+        it("should keep the length of the uniformly scaled normals", function () {
+            var model = Matrix.fromIdentity();
+            model.multiplyByRotation(0, 0, 1, 90);
+            model.multiplyByScale(3, 3, 3);
+            model.multiplyByTranslation(5, 6, 7);
+
+            var normal = transform(GltfScene.normalMatrix(model), 1, 0, 0);
+            expect(normal[0]).toBeCloseTo(0, 9);
+            expect(normal[1]).toBeCloseTo(1, 9);
+            expect(normal[2]).toBeCloseTo(0, 9);
+        });
+    });
+});
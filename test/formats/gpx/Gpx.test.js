@@ -0,0 +1,120 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/WorldWind'
+], function (WorldWind) {
+    "use strict";
+    describe("Gpx", function () {
+        var document = '<?xml version="1.0" encoding="UTF-8"?>' +
+            '<gpx xmlns="http://www.topografix.com/GPX/1/1" version="1.1" creator="test">' +
+            '<wpt lat="50.1" lon="14.4"><ele>250.5</ele><time>2018-03-01T10:00:00Z</time>' +
+            '<name>Camp</name><desc>Base &amp; start</desc></wpt>' +
+            '<wpt lat="50.2" lon="14.5"><name>Lake</name></wpt>' +
+            '<rte><name>Road</name><rtept lat="50.1" lon="14.4"/><rtept lat="50.3" lon="14.6"/></rte>' +
+            '<trk><name>Walk</name>' +
+            '<trkseg>' +
+            '<trkpt lat="50.1" lon="14.4"><ele>250</ele><time>2018-03-01T10:00:00Z</time></trkpt>' +
+            '<trkpt lat="50.2" lon="14.5"><ele>260</ele><time>2018-03-01T11:00:00Z</time></trkpt>' +
+            '</trkseg>' +
+            '<trkseg>' +
+            '<trkpt lat="50.3" lon="14.6"><ele>270</ele><time>2018-03-01T12:00:00Z</time></trkpt>' +
+            '<trkpt lat="50.4" lon="14.7"><ele>280</ele><time>2018-03-01T13:00:00Z</time></trkpt>' +
+            '</trkseg>' +
+            '</trk>' +
+            '</gpx>';
+
+        var load = function () {
+            var gpx = new WorldWind.Gpx(document);
+            gpx.load(null, null, new WorldWind.RenderableLayer());
+            return gpx;
+        };
+
+        it("Should create Placemarks for the waypoints", function () {
+            var gpx = load();
+            var camp = gpx.shapes[0], lake = gpx.shapes[1];
+
+            expect(camp instanceof WorldWind.Placemark).toBeTruthy();
+            expect(camp.position.latitude).toEqual(50.1);
+            expect(camp.position.longitude).toEqual(14.4);
+            expect(camp.position.altitude).toEqual(250.5);
+            expect(camp.altitudeMode).toEqual(WorldWind.ABSOLUTE);
+            expect(camp.label).toEqual("Camp");
+            expect(camp.userProperties.description).toEqual("Base & start");
+            expect(camp.userProperties.time.toISOString()).toEqual("2018-03-01T10:00:00.000Z");
+
+            expect(lake.altitudeMode).toEqual(WorldWind.CLAMP_TO_GROUND);
+            expect(lake.userProperties.time).toBeNull();
+            expect(lake.userProperties.timeRange).toBeNull();
+        });
+
+        it("Should create Paths for the routes and for each segment of the tracks", function () {
+            var gpx = load();
+            expect(gpx.shapes.length).toEqual(5);
+            expect(gpx.layer.renderables.length).toEqual(5);
+
+            var road = gpx.shapes[2];
+            expect(road instanceof WorldWind.Path).toBeTruthy();
+            expect(road.userProperties.type).toEqual("rte");
+            expect(road.displayName).toEqual("Road");
+            expect(road.positions.length).toEqual(2);
+            expect(road.altitudeMode).toEqual(WorldWind.CLAMP_TO_GROUND);
+            expect(road.followTerrain).toBe(true);
+
+            var segment = gpx.shapes[4];
+            expect(segment.userProperties.type).toEqual("trk");
+            expect(segment.userProperties.name).toEqual("Walk");
+            expect(segment.altitudeMode).toEqual(WorldWind.ABSOLUTE);
+            expect(segment.positions[1].altitude).toEqual(280);
+            expect(segment.userProperties.times.length).toEqual(2);
+            expect(segment.userProperties.timeRange).toEqual({
+                from: Date.UTC(2018, 2, 1, 12),
+                to: Date.UTC(2018, 2, 1, 13)
+            });
+        });
+
+        it("Should display only the shapes within the time interval", function () {
+            var gpx = load();
+            gpx.applyTimeInterval([Date.UTC(2018, 2, 1, 9), Date.UTC(2018, 2, 1, 11, 30)]);
+
+            expect(gpx.shapes.map(function (shape) {
+                return shape.enabled;
+            })).toEqual([true, true, true, true, false]);
+
+            gpx.layer.currentTimeInterval = [Date.UTC(2018, 2, 1, 11, 30), Date.UTC(2018, 2, 1, 14)];
+            gpx.applyTimeInterval();
+
+            expect(gpx.shapes.map(function (shape) {
+                return shape.enabled;
+            })).toEqual([false, true, true, false, true]);
+        });
+
+        it("Should call the shape configuration and completion callbacks", function () {
+            var attributes = new WorldWind.ShapeAttributes(null), completed = null;
+            var gpx = new WorldWind.Gpx(document);
+            gpx.load(function (result) {
+                completed = result;
+            }, function (properties) {
+                return properties.type === 'trk' ? {attributes: attributes, name: properties.name + " part"} : null;
+            });
+
+            expect(completed).toBe(gpx);
+            expect(gpx.layer instanceof WorldWind.RenderableLayer).toBeTruthy();
+            expect(gpx.shapes[3].attributes).toBe(attributes);
+            expect(gpx.shapes[3].displayName).toEqual("Walk part");
+        });
+    });
+});
@@ -0,0 +1,96 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/WorldWind'
+], function (WorldWind) {
+    "use strict";
+    describe("GpxExporter", function () {
+        var exporter = WorldWind.GpxExporter;
+
+        var parse = function (gpx) {
+            return new DOMParser().parseFromString(gpx, "text/xml");
+        };
+
+        it("exports Placemark as wpt", function () {
+            var placemark = new WorldWind.Placemark(new WorldWind.Position(10, 20, 30), false, null);
+            placemark.label = "Tom & Jerry";
+            placemark.altitudeMode = WorldWind.ABSOLUTE;
+            placemark.userProperties.time = new Date(Date.UTC(2018, 2, 1, 10));
+
+            var wpt = parse(exporter.exportRenderable(placemark)).documentElement;
+
+            expect(wpt.nodeName).toEqual("wpt");
+            expect(wpt.getAttribute("lat")).toEqual("10");
+            expect(wpt.getAttribute("lon")).toEqual("20");
+            expect(wpt.querySelector("ele").textContent).toEqual("30");
+            expect(wpt.querySelector("time").textContent).toEqual("2018-03-01T10:00:00.000Z");
+            expect(wpt.querySelector("name").textContent).toEqual("Tom & Jerry");
+        });
+
+        it("exports Path as trk without elevation when clamped to ground", function () {
+            var path = new WorldWind.Path([new WorldWind.Position(1, 2, 3), new WorldWind.Position(4, 5, 6)], null);
+            path.displayName = "Walk";
+            path.altitudeMode = WorldWind.CLAMP_TO_GROUND;
+
+            var trk = parse(exporter.exportRenderable(path)).documentElement;
+
+            expect(trk.nodeName).toEqual("trk");
+            expect(trk.querySelector("name").textContent).toEqual("Walk");
+            expect(trk.querySelectorAll("trkseg > trkpt").length).toEqual(2);
+            expect(trk.querySelector("ele")).toBeNull();
+        });
+
+        it("writes the waypoints, routes and tracks of the layer in the GPX order", function () {
+            var layer = new WorldWind.RenderableLayer("Trip");
+            var path = new WorldWind.Path([new WorldWind.Position(1, 2, 3), new WorldWind.Position(4, 5, 6)], null);
+            var route = new WorldWind.Path([new WorldWind.Position(1, 2, 0), new WorldWind.Position(4, 5, 0)], null);
+            route.userProperties.type = 'rte';
+            layer.addRenderables([path, route, new WorldWind.Placemark(new WorldWind.Position(7, 8, 9), false, null)]);
+
+            var gpx = parse(exporter.exportLayer(layer)).documentElement;
+
+            expect(gpx.getAttribute("version")).toEqual("1.1");
+            expect(gpx.querySelector("metadata > name").textContent).toEqual("Trip");
+            var names = [];
+            for (var node = gpx.firstChild; node; node = node.nextSibling) {
+                names.push(node.nodeName);
+            }
+            expect(names).toEqual(["metadata", "wpt", "rte", "trk"]);
+        });
+
+        it("round trips the shapes read by Gpx", function () {
+            var source = '<gpx xmlns="http://www.topografix.com/GPX/1/1" version="1.1">' +
+                '<wpt lat="50.1" lon="14.4"><ele>250</ele><name>Camp</name><desc>Base</desc></wpt>' +
+                '<trk><name>Walk</name><trkseg>' +
+                '<trkpt lat="50.1" lon="14.4"><ele>250</ele><time>2018-03-01T10:00:00Z</time></trkpt>' +
+                '<trkpt lat="50.2" lon="14.5"><ele>260</ele><time>2018-03-01T11:00:00Z</time></trkpt>' +
+                '</trkseg></trk></gpx>';
+            var gpx = new WorldWind.Gpx(source);
+            gpx.load();
+
+            var copy = new WorldWind.Gpx(exporter.exportRenderables(gpx.shapes));
+            copy.load();
+
+            expect(copy.shapes.length).toEqual(2);
+            expect(copy.shapes[0].userProperties.name).toEqual("Camp");
+            expect(copy.shapes[0].userProperties.description).toEqual("Base");
+            expect(copy.shapes[0].position.altitude).toEqual(250);
+            expect(copy.shapes[1].positions[1].altitude).toEqual(260);
+            expect(copy.shapes[1].userProperties.timeRange).toEqual(gpx.shapes[1].userProperties.timeRange);
+        });
+    });
+});
@@ -16,9 +16,11 @@
  */
 define([
     'src/formats/kml/KmlCamera',
-    'src/util/XmlDocument'
+    'src/util/XmlDocument',
+    'src/WorldWind'
 ], function (KmlCamera,
-    		 XmlDocument) {
+    		 XmlDocument,
+    		 WorldWind) {
 	"use strict";
 
 	describe("KmlCameraTest", function() {
@@ -46,6 +48,26 @@ define([
 			expect(camera.kmlTilt).toEqual('7');
 			expect(camera.kmlRoll).toEqual('6');
 			expect(camera.kmlAltitudeMode).toEqual("clampToGround");
-		})	
+		});
+
+		it("should move the navigator to the camera", function () {
+			var redrawn = false;
+			var wwd = {
+				globe: new WorldWind.Globe(new WorldWind.ElevationModel(), new WorldWind.ProjectionWgs84()),
+				navigator: {lookAtLocation: new WorldWind.Location(0, 0)},
+				redraw: function () {
+					redrawn = true;
+				}
+			};
+			camera.update({wwd: wwd});
+
+			expect(wwd.navigator.heading).toEqual(1);
+			expect(wwd.navigator.tilt).toEqual(7);
+			expect(wwd.navigator.roll).toEqual(6);
+			expect(wwd.navigator.range).toBeCloseTo(8 / Math.cos(7 * Math.PI / 180), 5);
+			expect(wwd.navigator.lookAtLocation.latitude).toBeCloseTo(9, 2);
+			expect(wwd.navigator.lookAtLocation.longitude).toBeCloseTo(10, 2);
+			expect(redrawn).toBe(true);
+		});
 	});
 });
\ No newline at end of file
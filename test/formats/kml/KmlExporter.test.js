@@ -0,0 +1,190 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/util/jszip',
+    'src/WorldWind'
+], function (JsZip,
+             WorldWind) {
+    "use strict";
+    describe("KmlExporter", function () {
+        var exporter = WorldWind.KmlExporter;
+
+        var parse = function (kml) {
+            return new DOMParser().parseFromString(kml, "text/xml");
+        };
+
+        it("exports Placemark with its icon and label style", function () {
+            var attributes = new WorldWind.PlacemarkAttributes(null);
+            attributes.imageSource = "images/pushpin.png";
+            attributes.imageScale = 2;
+            attributes.imageColor = new WorldWind.Color(1, 0, 0, 0.5);
+            var placemark = new WorldWind.Placemark(new WorldWind.Position(10, 20, 30), false, attributes);
+            placemark.label = "Tom & Jerry";
+            placemark.altitudeMode = WorldWind.ABSOLUTE;
+
+            var document = parse(exporter.exportRenderable(placemark));
+
+            expect(document.querySelector("Placemark > name").textContent).toEqual("Tom & Jerry");
+            expect(document.querySelector("IconStyle > color").textContent).toEqual("800000ff");
+            expect(document.querySelector("IconStyle > scale").textContent).toEqual("2");
+            expect(document.querySelector("IconStyle href").textContent).toEqual("images/pushpin.png");
+            expect(document.querySelector("LabelStyle")).not.toBeNull();
+            expect(document.querySelector("Point > altitudeMode").textContent).toEqual("absolute");
+            expect(document.querySelector("Point > coordinates").textContent).toEqual("20,10,30");
+        });
+
+        it("exports Path as LineString with line style", function () {
+            var attributes = new WorldWind.ShapeAttributes(null);
+            attributes.outlineColor = WorldWind.Color.GREEN;
+            attributes.outlineWidth = 3;
+            var path = new WorldWind.Path([new WorldWind.Position(1, 2, 3), new WorldWind.Position(4, 5, 6)],
+                attributes);
+            path.extrude = true;
+            path.followTerrain = false;
+
+            var document = parse(exporter.exportRenderable(path));
+
+            expect(document.querySelector("LineStyle > color").textContent).toEqual("ff00ff00");
+            expect(document.querySelector("LineStyle > width").textContent).toEqual("3");
+            expect(document.querySelector("LineString > extrude").textContent).toEqual("1");
+            expect(document.querySelector("LineString > tessellate").textContent).toEqual("0");
+            expect(document.querySelector("LineString > coordinates").textContent).toEqual("2,1,3 5,4,6");
+        });
+
+        it("exports SurfacePolygon with holes as closed rings clamped to ground", function () {
+            var outer = [new WorldWind.Location(0, 0), new WorldWind.Location(0, 10), new WorldWind.Location(10, 10)];
+            var inner = [new WorldWind.Location(1, 2), new WorldWind.Location(1, 3), new WorldWind.Location(2, 3),
+                new WorldWind.Location(1, 2)];
+            var attributes = new WorldWind.ShapeAttributes(null);
+            attributes.drawOutline = false;
+            var polygon = new WorldWind.SurfacePolygon([outer, inner], attributes);
+
+            var document = parse(exporter.exportRenderable(polygon));
+
+            expect(document.querySelector("Polygon > altitudeMode").textContent).toEqual("clampToGround");
+            expect(document.querySelector("outerBoundaryIs coordinates").textContent).toEqual("0,0 10,0 10,10 0,0");
+            expect(document.querySelector("innerBoundaryIs coordinates").textContent).toEqual("2,1 3,1 3,2 2,1");
+            expect(document.querySelector("PolyStyle > fill").textContent).toEqual("1");
+            expect(document.querySelector("PolyStyle > outline").textContent).toEqual("0");
+        });
+
+        it("exports the surface shapes which weren't rendered yet from their parameters", function () {
+            var circle = new WorldWind.SurfaceCircle(new WorldWind.Location(10, 20), 1000, null);
+            var sector = new WorldWind.SurfaceSector(new WorldWind.Sector(1, 2, 3, 4), null);
+
+            var circleRing = parse(exporter.exportRenderable(circle))
+                .querySelector("outerBoundaryIs coordinates").textContent.split(" ");
+            var sectorRing = parse(exporter.exportRenderable(sector))
+                .querySelector("outerBoundaryIs coordinates").textContent;
+
+            expect(circleRing.length).toEqual(WorldWind.SurfaceCircle.DEFAULT_NUM_INTERVALS + 1);
+            expect(Number(circleRing[0].split(",")[1])).toBeCloseTo(10 + 1000 / 6378137 * 180 / Math.PI, 5);
+            expect(sectorRing).toEqual("3,1 3,2 4,2 4,1 3,1");
+            expect(circle._boundaries).toBeFalsy();
+        });
+
+        it("exports SurfaceImage as GroundOverlay", function () {
+            var image = new WorldWind.SurfaceImage(new WorldWind.Sector(10, 20, 30, 40), "images/overlay.png");
+            image.opacity = 0.5;
+
+            var document = parse(exporter.exportRenderable(image));
+
+            expect(document.querySelector("GroundOverlay > color").textContent).toEqual("80ffffff");
+            expect(document.querySelector("GroundOverlay href").textContent).toEqual("images/overlay.png");
+            expect(document.querySelector("LatLonBox > north").textContent).toEqual("20");
+            expect(document.querySelector("LatLonBox > south").textContent).toEqual("10");
+            expect(document.querySelector("LatLonBox > east").textContent).toEqual("40");
+            expect(document.querySelector("LatLonBox > west").textContent).toEqual("30");
+        });
+
+        it("leaves out the Icon of SurfaceImage without URL", function () {
+            var image = new WorldWind.SurfaceImage(new WorldWind.Sector(10, 20, 30, 40),
+                new WorldWind.ImageSource({width: 0, height: 0}));
+            spyOn(WorldWind.Logger, "log");
+
+            var kml = exporter.exportRenderable(image);
+
+            expect(kml).not.toContain("<Icon>");
+            expect(parse(kml).querySelector("LatLonBox > north").textContent).toEqual("20");
+            expect(WorldWind.Logger.log).toHaveBeenCalledWith(WorldWind.Logger.LEVEL_WARNING, jasmine.any(String));
+        });
+
+        it("exports layer as KML document", function () {
+            var layer = new WorldWind.RenderableLayer("Exported");
+            layer.addRenderable(new WorldWind.Placemark(new WorldWind.Position(1, 2, 3), false, null));
+            layer.addRenderable(new WorldWind.SurfacePolyline([new WorldWind.Location(0, 0),
+                new WorldWind.Location(1, 1)], null));
+
+            var document = parse(exporter.exportLayer(layer));
+
+            expect(document.documentElement.namespaceURI).toEqual("http://www.opengis.net/kml/2.2");
+            expect(document.querySelector("Document > name").textContent).toEqual("Exported");
+            expect(document.querySelectorAll("Placemark").length).toEqual(2);
+        });
+
+        it("references the images by their path in the KMZ archive", function () {
+            var attributes = new WorldWind.PlacemarkAttributes(null);
+            attributes.imageSource = "images/pushpin.jpg?size=32";
+            var first = new WorldWind.Placemark(new WorldWind.Position(1, 2, 3), false, attributes);
+            var second = new WorldWind.Placemark(new WorldWind.Position(4, 5, 6), false, attributes);
+            var resources = [];
+
+            var document = parse(exporter.exportRenderables([first, second], "Pins", resources));
+
+            expect(resources.length).toEqual(1);
+            expect(resources[0].path).toEqual("files/image0.jpg");
+            var hrefs = document.querySelectorAll("IconStyle href");
+            expect(hrefs[0].textContent).toEqual("files/image0.jpg");
+            expect(hrefs[1].textContent).toEqual("files/image0.jpg");
+        });
+
+        it("bundles the images into the KMZ archive", function (done) {
+            var attributes = new WorldWind.PlacemarkAttributes(null);
+            attributes.imageSource = "../base/images/pushpins/castshadow-red.png";
+            var placemark = new WorldWind.Placemark(new WorldWind.Position(1, 2, 3), false, attributes);
+
+            exporter.exportKmz([placemark], "Pins").then(function (kmz) {
+                expect(kmz instanceof Blob).toBe(true);
+                expect(kmz.size).toBeGreaterThan(0);
+                done();
+            }).catch(done.fail);
+        });
+
+        it("leaves out the Icon of the image without URL which can't be bundled", function (done) {
+            var attributes = new WorldWind.PlacemarkAttributes(null);
+            attributes.imageSource = new WorldWind.ImageSource({width: 0, height: 0});
+            var placemark = new WorldWind.Placemark(new WorldWind.Position(1, 2, 3), false, attributes);
+
+            exporter.exportKmz([placemark], "Pins").then(function (kmz) {
+                return new JsZip().loadAsync(kmz);
+            }).then(function (zip) {
+                return zip.file("doc.kml").async("string");
+            }).then(function (kml) {
+                expect(kml).not.toContain("[object Object]");
+                expect(kml).not.toContain("<Icon>");
+                expect(parse(kml).querySelectorAll("Placemark").length).toEqual(1);
+                done();
+            }).catch(done.fail);
+        });
+
+        it("throws for missing renderable", function () {
+            expect(function () {
+                exporter.exportRenderable(null);
+            }).toThrow();
+        });
+    });
+});
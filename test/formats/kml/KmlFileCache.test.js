@@ -0,0 +1,47 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/kml/KmlFileCache'
+], function (KmlFileCache) {
+    "use strict";
+
+    describe("KmlFileCache", function () {
+        var fileCache;
+
+        beforeEach(function () {
+            fileCache = new KmlFileCache();
+            fileCache.addArchiveFile("files/my icon.png", "data:image/png;base64,aWNvbg==");
+            fileCache.addArchiveFile("kml/nested.kml", "data:application/vnd.google-earth.kml+xml;base64,a21s");
+        });
+
+        it("resolves hrefs of the files in the archive", function () {
+            expect(fileCache.archiveUrl("files/my icon.png")).toEqual("data:image/png;base64,aWNvbg==");
+            expect(fileCache.archiveUrl("./files/my%20icon.png")).toEqual("data:image/png;base64,aWNvbg==");
+            expect(fileCache.archiveUrl("files\\my icon.png")).toEqual("data:image/png;base64,aWNvbg==");
+            expect(fileCache.archiveUrl("files/missing.png")).toBeNull();
+        });
+
+        it("shares the archive with the nested document", function () {
+            var nestedCache = new KmlFileCache();
+
+            expect(nestedCache.shareArchive(fileCache, "http://example.com/nested.kml")).toBe(false);
+            expect(nestedCache.shareArchive(fileCache,
+                "data:application/vnd.google-earth.kml+xml;base64,a21s")).toBe(true);
+            expect(nestedCache.archiveUrl("../files/my icon.png")).toEqual("data:image/png;base64,aWNvbg==");
+        });
+    });
+});
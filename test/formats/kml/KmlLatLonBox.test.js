@@ -44,5 +44,24 @@ define([
             expect(lod.kmlWest).toEqual(-90.8714285289695);
             expect(lod.kmlRotation).toEqual('39.37878630116985');
         });
+
+        it('should rotate the corners counter-clockwise around the center', function () {
+            var rotatedKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                "<LatLonBox>" +
+                "   <north>1</north><south>-1</south><east>2</east><west>-2</west>" +
+                "   <rotation>90</rotation>" +
+                "</LatLonBox>" +
+                "</kml>";
+            var box = new KmlLatLonBox({objectNode:
+                new XmlDocument(rotatedKml).dom().getElementsByTagName("LatLonBox")[0]});
+            var corners = box.locations();
+
+            // The lower-left corner moves to the south-east.
+            expect(corners[0].latitude).toBeCloseTo(-2, 6);
+            expect(corners[0].longitude).toBeCloseTo(1, 6);
+            expect(corners[2].latitude).toBeCloseTo(2, 6);
+            expect(corners[2].longitude).toBeCloseTo(-1, 6);
+        });
     });
 });
\ No newline at end of file
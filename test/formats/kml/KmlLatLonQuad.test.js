@@ -38,4 +38,24 @@ define([
                 latLonQuad.kmlCoordinates).toEqual("81.601884,44.160723 83.529902,43.665148 82.947737,44.248831 81.509322,44.321015");
         });
     });
-});
\ No newline at end of file
+
+    describe("KmlLatLonQuadLocationsTest", function () {
+        var validKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\" xmlns:gx=\"http://www.google.com/kml/ext/2.2\">" +
+            "<gx:LatLonQuad>" +
+            "   <coordinates> 81.6,44.1 83.5,43.6 82.9,44.2 81.5,44.3 </coordinates>" +
+            "</gx:LatLonQuad>" +
+            "</kml>";
+        var latLonQuad = new KmlLatLonQuad({objectNode:
+            new XmlDocument(validKml).dom().getElementsByTagName("gx:LatLonQuad")[0]});
+
+        it('should parse the corners as locations', function () {
+            var locations = latLonQuad.locations();
+            expect(locations.length).toEqual(4);
+            expect(locations[0].latitude).toEqual(44.1);
+            expect(locations[0].longitude).toEqual(81.6);
+            expect(locations[3].latitude).toEqual(44.3);
+            expect(locations[3].longitude).toEqual(81.5);
+        });
+    });
+});
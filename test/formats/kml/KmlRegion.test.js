@@ -18,12 +18,16 @@ define([
     'src/formats/kml/KmlRegion',
     'src/formats/kml/KmlLatLonAltBox',
     'src/formats/kml/KmlLod',
-    'src/util/XmlDocument'
+    'src/geom/Vec3',
+    'src/util/XmlDocument',
+    'src/WorldWind'
 ], function (
     KmlRegion,
     KmlLatLonAltBox,
     KmlLod,
-    XmlDocument
+    Vec3,
+    XmlDocument,
+    WorldWind
 ) {
     "use strict";
     describe ("KmlRegionTest", function () {
@@ -45,4 +49,58 @@ define([
 
 
         });
+
+    describe("KmlRegionLodTest", function () {
+        var validKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+            "<Region id=\"lodRegion\">" +
+            "   <LatLonAltBox>" +
+            "       <north>1</north><south>0</south><east>1</east><west>0</west>" +
+            "   </LatLonAltBox>" +
+            "   <Lod>" +
+            "       <minLodPixels>128</minLodPixels><maxLodPixels>1024</maxLodPixels>" +
+            "       <minFadeExtent>128</minFadeExtent><maxFadeExtent>128</maxFadeExtent>" +
+            "   </Lod>" +
+            "</Region>" +
+            "</kml>";
+        var region = new KmlRegion({objectNode:
+            new XmlDocument(validKml).dom().getElementsByTagName("Region")[0]});
+        region.intersectsVisible = function () {
+            return true;
+        };
+
+        var globe = new WorldWind.Globe(new WorldWind.ElevationModel(), new WorldWind.ProjectionWgs84());
+        var center = globe.computePointFromPosition(0.5, 0.5, 0, new Vec3(0, 0, 0));
+        // The side of the region is roughly 111 km. One pixel represents 1 / 1000 of the distance from the eye.
+        var side = Math.PI / 180 * globe.equatorialRadius;
+
+        // Draw context with the eye in such a distance from the region, that it has given size on the screen.
+        function drawContext(size) {
+            var distance = side * 1000 / size;
+            return {
+                globe: globe,
+                eyePoint: new Vec3(center[0] + distance, center[1], center[2]),
+                pixelSizeAtDistance: function (distance) {
+                    return distance / 1000;
+                }
+            };
+        }
+
+        it("should compute the projected size of the region", function () {
+            expect(region.projectedSize(drawContext(500))).toBeCloseTo(500, 0);
+        });
+
+        it("should be active only between minLodPixels and maxLodPixels", function () {
+            expect(region.isActive(drawContext(100))).toBe(false);
+            expect(region.isActive(drawContext(500))).toBe(true);
+            expect(region.isActive(drawContext(2000))).toBe(false);
+        });
+
+        it("should fade in and out within the fade extents", function () {
+            expect(region.fadeOpacity(drawContext(192))).toBeCloseTo(0.5, 2);
+            expect(region.fadeOpacity(drawContext(500))).toBeCloseTo(1, 5);
+            expect(region.fadeOpacity(drawContext(1000))).toBeCloseTo(0.1875, 2);
+            expect(region.fadeOpacity(drawContext(100))).toEqual(0);
+        });
+    });
     });
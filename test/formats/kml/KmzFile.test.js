@@ -0,0 +1,97 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/kml/KmlFileCache',
+    'src/formats/kml/KmzFile',
+    'src/util/jszip'
+], function (KmlFileCache,
+             KmzFile,
+             JsZip) {
+    "use strict";
+
+    describe("KmzFile", function () {
+        var document = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\"><Document><name>Root</name></Document></kml>";
+
+        var archive = function (files) {
+            var zip = new JsZip();
+            Object.keys(files).forEach(function (name) {
+                zip.file(name, files[name]);
+            });
+            return zip.generateAsync({type: "arraybuffer"});
+        };
+
+        it("uses doc.kml as the root document and registers other files", function (done) {
+            var fileCache = new KmlFileCache();
+            archive({
+                "other.kml": "<kml/>",
+                "doc.kml": document,
+                "files/icon.png": "png",
+                "files/nested.kmz": "kmz"
+            }).then(function (binary) {
+                return new KmzFile(binary, fileCache).load();
+            }).then(function (rootDocument) {
+                expect(rootDocument).toEqual(document);
+                expect(fileCache.archiveUrl("files/icon.png")).toEqual("data:image/png;base64,cG5n");
+                expect(fileCache.archiveUrl("other.kml"))
+                    .toEqual("data:application/vnd.google-earth.kml+xml;base64,PGttbC8+");
+                expect(fileCache.archiveUrl("files/nested.kmz").indexOf("data:application/vnd.google-earth.kmz;"))
+                    .toEqual(0);
+                expect(fileCache.archiveUrl("doc.kml")).toBeNull();
+                done();
+            }).catch(done.fail);
+        });
+
+        it("prefers the KML document in the root of the archive", function (done) {
+            var fileCache = new KmlFileCache();
+            archive({
+                "nested/first.kml": "<kml/>",
+                "main.kml": document
+            }).then(function (binary) {
+                return new KmzFile(binary, fileCache).load();
+            }).then(function (rootDocument) {
+                expect(rootDocument).toEqual(document);
+                done();
+            }).catch(done.fail);
+        });
+
+        it("resolves hrefs relative to the root document in a folder", function (done) {
+            var fileCache = new KmlFileCache();
+            archive({
+                "kml/main.kml": document,
+                "images/icon.gif": "gif"
+            }).then(function (binary) {
+                return new KmzFile(binary, fileCache).load();
+            }).then(function () {
+                expect(fileCache.archiveUrl("../images/icon.gif")).toEqual("data:image/gif;base64,Z2lm");
+                done();
+            }).catch(done.fail);
+        });
+
+        it("rejects archive without KML document", function (done) {
+            archive({
+                "icon.png": "png"
+            }).then(function (binary) {
+                return new KmzFile(binary, new KmlFileCache()).load();
+            }).then(function () {
+                done.fail("The archive without KML document was loaded.");
+            }, function () {
+                done();
+            });
+        });
+    });
+});
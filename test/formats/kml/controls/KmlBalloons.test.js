@@ -0,0 +1,136 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/kml/controls/KmlBalloons',
+    'src/formats/kml/features/KmlPlacemark',
+    'src/formats/kml/geom/KmlPoint',
+    'src/geom/Position',
+    'src/util/XmlDocument',
+    'src/WorldWind'
+], function (
+    KmlBalloons,
+    KmlPlacemark,
+    KmlPoint,
+    Position,
+    XmlDocument,
+    WorldWind
+) {
+    "use strict";
+    describe("KmlBalloons", function () {
+        var validKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+            "<Placemark>" +
+            "   <name>Club house</name>" +
+            "   <description><![CDATA[<p>Near the first hole</p>]]></description>" +
+            "   <Point><coordinates>-122.0822035425683,37.42228990140251,0</coordinates></Point>" +
+            "</Placemark>" +
+            "</kml>";
+
+        var container, wwd, balloons, placemark, pickList;
+
+        beforeEach(function () {
+            container = document.createElement("div");
+            var canvas = document.createElement("canvas");
+            container.appendChild(canvas);
+            document.body.appendChild(container);
+
+            pickList = {objects: []};
+            wwd = {
+                canvas: canvas,
+                redrawCallbacks: [],
+                listeners: {},
+                addEventListener: function (type, listener) {
+                    this.listeners[type] = listener;
+                },
+                canvasCoordinates: function (x, y) {
+                    return [x, y];
+                },
+                pick: function () {
+                    return pickList;
+                },
+                redraw: function () {
+                }
+            };
+            balloons = new KmlBalloons(wwd);
+
+            var kmlRepresentation = new XmlDocument(validKml).dom();
+            placemark = new KmlPlacemark({
+                objectNode: kmlRepresentation.getElementsByTagName("Placemark")[0],
+                controls: [balloons]
+            });
+        });
+
+        afterEach(function () {
+            document.body.removeChild(container);
+        });
+
+        it("should open the balloon of the picked feature", function () {
+            var shape = {};
+            placemark._renderable = shape;
+            pickList.objects = [{isTerrain: false, userObject: shape, position: new Position(37.42, -122.08, 0)}];
+
+            wwd.listeners.click({clientX: 10, clientY: 10});
+
+            expect(balloons.feature).toBe(placemark);
+            var element = container.querySelector(".kml-balloon .kml-balloon-content");
+            expect(element.innerHTML).toEqual("<h3>Club house</h3><p>Near the first hole</p>");
+        });
+
+        it("should keep the markup but remove the scripts from the balloon", function () {
+            var scriptKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                "<Placemark>" +
+                "   <name>Club house</name>" +
+                "   <description><![CDATA[<p onclick=\"window.balloonInjected = true\">Near the first hole</p>" +
+                "<script>window.balloonInjected = true;</script><iframe src=\"evil.html\"></iframe>" +
+                "<img src=\"hole.png\" onerror=\"window.balloonInjected = true\">" +
+                "<a href=\" javascript:window.balloonInjected = true\">Map</a>]]></description>" +
+                "   <Point><coordinates>-122.08,37.42,0</coordinates></Point>" +
+                "</Placemark>" +
+                "</kml>";
+            var scriptPlacemark = new KmlPlacemark({
+                objectNode: new XmlDocument(scriptKml).dom().getElementsByTagName("Placemark")[0],
+                controls: [balloons]
+            });
+
+            balloons.open(scriptPlacemark, new Position(37.42, -122.08, 0));
+
+            var element = container.querySelector(".kml-balloon .kml-balloon-content");
+            expect(element.innerHTML).toEqual("<h3>Club house</h3><p>Near the first hole</p>" +
+                "<img src=\"hole.png\"><a>Map</a>");
+            expect(window.balloonInjected).toBeUndefined();
+        });
+
+        it("should find the feature of the geometry", function () {
+            var shape = {};
+            placemark.kmlGeometry._renderable = shape;
+            expect(balloons.featureFor(shape)).toBe(placemark);
+            expect(balloons.featureFor({})).toBeNull();
+        });
+
+        it("should close the balloon by its button and by the click outside of features", function () {
+            balloons.open(placemark, new Position(37.42, -122.08, 0));
+            container.querySelector(".kml-balloon-close").click();
+            expect(balloons.feature).toBeNull();
+            expect(container.querySelector(".kml-balloon")).toBeNull();
+
+            balloons.open(placemark, new Position(37.42, -122.08, 0));
+            wwd.listeners.click({clientX: 10, clientY: 10});
+            expect(balloons.feature).toBeNull();
+        });
+    });
+});
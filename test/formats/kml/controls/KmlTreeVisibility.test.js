@@ -0,0 +1,163 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/kml/controls/KmlTreeVisibility',
+    'src/formats/kml/features/KmlDocument',
+    'src/formats/kml/styles/KmlStyle',
+    'src/util/XmlDocument',
+    'src/WorldWind'
+], function (
+    KmlTreeVisibility,
+    KmlDocument,
+    KmlStyle,
+    XmlDocument,
+    WorldWind
+) {
+    "use strict";
+    describe("KmlTreeVisibility", function () {
+        var kml = function (listStyle) {
+            return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                "<Document>" +
+                "   <name>Vehicles</name>" +
+                "   <Style>" +
+                "       <ListStyle>" + listStyle + "</ListStyle>" +
+                "   </Style>" +
+                "   <Placemark><name>Car</name></Placemark>" +
+                "   <Placemark><name>Bus</name></Placemark>" +
+                "</Document>" +
+                "</kml>";
+        };
+
+        var container, wwd, tree;
+
+        beforeEach(function () {
+            container = document.createElement("div");
+            container.id = "kmlTreeVisibilityTest";
+            document.body.appendChild(container);
+
+            wwd = {
+                redrawCallbacks: [],
+                redrawn: 0,
+                redraw: function () {
+                    this.redrawn++;
+                }
+            };
+            tree = new KmlTreeVisibility(container.id, wwd);
+        });
+
+        afterEach(function () {
+            document.body.removeChild(container);
+        });
+
+        var load = function (listStyle) {
+            var kmlRepresentation = new XmlDocument(kml(listStyle)).dom();
+            var kmlDocument = new KmlDocument({
+                objectNode: kmlRepresentation.getElementsByTagName("Document")[0],
+                controls: [tree]
+            });
+            var placemarks = kmlDocument.kmlShapes.filter(function (shape) {
+                return shape.isFeature;
+            });
+            kmlDocument._pStyle = {
+                normal: new KmlStyle({objectNode: kmlRepresentation.getElementsByTagName("Style")[0]}),
+                highlight: null
+            };
+            wwd.redrawCallbacks.forEach(function (callback) {
+                callback(wwd, WorldWind.AFTER_REDRAW);
+            });
+            return placemarks;
+        };
+
+        var inputs = function () {
+            return container.querySelectorAll("input");
+        };
+
+        it("nests the Features of the container", function () {
+            load("");
+
+            var items = container.querySelectorAll(".kml-tree-item");
+            expect(items.length).toEqual(3);
+            expect(items[0].querySelectorAll(".kml-tree-children .kml-tree-item").length).toEqual(2);
+            expect(inputs()[1].type).toEqual("checkbox");
+        });
+
+        it("displays only one child of radioFolder", function () {
+            var placemarks = load("<listItemType>radioFolder</listItemType>");
+
+            expect(inputs()[1].type).toEqual("radio");
+            expect(inputs()[1].name).toEqual(inputs()[2].name);
+
+            inputs()[2].click();
+
+            expect(placemarks[0].controlledVisibility).toBe(false);
+            expect(placemarks[1].controlledVisibility).toBe(true);
+            expect(inputs()[1].checked).toBe(false);
+            expect(inputs()[2].checked).toBe(true);
+        });
+
+        it("allows only turning off the children of checkOffOnly", function () {
+            load("<listItemType>checkOffOnly</listItemType>");
+
+            var folder = inputs()[0];
+            expect(folder.disabled).toBe(false);
+            folder.click();
+
+            expect(folder.checked).toBe(false);
+            expect(folder.disabled).toBe(true);
+        });
+
+        it("allows turning on again the children of checkOffOnly one by one", function () {
+            var placemarks = load("<listItemType>checkOffOnly</listItemType>");
+            placemarks[0]._pStyle = tree._items[0].feature._pStyle;
+            wwd.redrawCallbacks.forEach(function (callback) {
+                callback(wwd, WorldWind.AFTER_REDRAW);
+            });
+
+            inputs()[0].click();
+            expect(inputs()[1].checked).toBe(false);
+            expect(inputs()[1].disabled).toBe(false);
+            expect(placemarks[0].controlledVisibility).toBe(false);
+
+            inputs()[1].click();
+            expect(inputs()[1].checked).toBe(true);
+            expect(placemarks[0].controlledVisibility).toBe(true);
+            expect(inputs()[1].disabled).toBe(false);
+
+            inputs()[1].click();
+            inputs()[1].click();
+            expect(inputs()[1].checked).toBe(true);
+            expect(inputs()[0].disabled).toBe(true);
+        });
+
+        it("hides the children of checkHideChildren", function () {
+            load("<listItemType>checkHideChildren</listItemType>");
+
+            expect(container.querySelector(".kml-tree-children").style.display).toEqual("none");
+        });
+
+        it("displays the ItemIcon and background color", function () {
+            load("<bgColor>ff0000ff</bgColor>" +
+                "<ItemIcon><state>closed</state><href>closed.png</href></ItemIcon>" +
+                "<ItemIcon><state>open error</state><href>open.png</href></ItemIcon>");
+
+            var item = container.querySelector(".kml-tree-item");
+            expect(item.querySelector("img").getAttribute("src")).toEqual("open.png");
+            expect(item.style.backgroundColor).toEqual("rgb(255, 0, 0)");
+        });
+    });
+});
@@ -18,12 +18,16 @@ define([
     'src/formats/kml/features/KmlGroundOverlay',
     'src/formats/kml/KmlLatLonBox',
     'src/formats/kml/KmlLatLonQuad',
-    'src/util/XmlDocument'
+    'src/geom/Location',
+    'src/util/XmlDocument',
+    'src/WorldWind'
 ], function (
     KmlGroundOverlay,
     KmlLatLonBox,
     KmlLatLonQuad,
-    XmlDocument
+    Location,
+    XmlDocument,
+    WorldWind
 ) {
     "use strict";
     describe("KmlGroundOverlayTest", function() {
@@ -52,4 +56,54 @@ define([
 
 
         });
+
+    describe("KmlGroundOverlayRenderingTest", function () {
+        function overlay(content) {
+            var kml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                "<kml xmlns=\"http://www.opengis.net/kml/2.2\" xmlns:gx=\"http://www.google.com/kml/ext/2.2\">" +
+                "<GroundOverlay>" + content + "</GroundOverlay>" +
+                "</kml>";
+            return new KmlGroundOverlay({objectNode:
+                new XmlDocument(kml).dom().getElementsByTagName("GroundOverlay")[0]});
+        }
+
+        var box = "<LatLonBox><north>1</north><south>0</south><east>1</east><west>0</west></LatLonBox>";
+
+        it("should drape only the not rotated box clamped to the ground", function () {
+            expect(overlay(box).isDraped()).toBe(true);
+            expect(overlay(box.replace("</west>", "</west><rotation>30</rotation>")).isDraped()).toBe(false);
+            expect(overlay("<altitude>100</altitude><altitudeMode>absolute</altitudeMode>" + box).isDraped())
+                .toBe(false);
+            expect(overlay("<gx:LatLonQuad><coordinates>0,0 1,0 1,1 0,1</coordinates></gx:LatLonQuad>").isDraped())
+                .toBe(false);
+        });
+
+        it("should map the corners of the square to the corners of the quad", function () {
+            var corners = [new Location(0, 0), new Location(0, 4), new Location(3, 3), new Location(1, 0)];
+            var transform = KmlGroundOverlay.squareToQuad(corners);
+            [[0, 0], [1, 0], [1, 1], [0, 1]].forEach(function (point, index) {
+                var location = transform(point[0], point[1]);
+                expect(location.latitude).toBeCloseTo(corners[index].latitude, 9);
+                expect(location.longitude).toBeCloseTo(corners[index].longitude, 9);
+            });
+
+            // The center of the image is in the intersection of the diagonals.
+            var center = transform(0.5, 0.5);
+            expect(center.latitude).toBeCloseTo(0.8, 9);
+            expect(center.longitude).toBeCloseTo(0.8, 9);
+        });
+
+        it("should place the mesh at the absolute altitude", function () {
+            var absolute = overlay("<altitude>100</altitude><altitudeMode>absolute</altitudeMode>" + box);
+            var mesh = absolute.createMesh(absolute.kmlLatLonBox.locations(), "overlay.png");
+            var cells = KmlGroundOverlay.MESH_CELLS;
+
+            expect(mesh.altitudeMode).toEqual(WorldWind.ABSOLUTE);
+            expect(mesh.attributes.imageSource).toEqual("overlay.png");
+            expect(mesh.positions.length).toEqual(cells + 1);
+            expect(mesh.positions[0][0].altitude).toEqual(100);
+            expect(mesh.positions[cells][cells].latitude).toBeCloseTo(1, 9);
+            expect(mesh.positions[cells][cells].longitude).toBeCloseTo(1, 9);
+        });
+    });
     });
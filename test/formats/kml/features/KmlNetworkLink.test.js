@@ -15,13 +15,19 @@
  * limitations under the License.
  */
 define([
+    'src/formats/kml/KmlFile',
+    'src/formats/kml/KmlFileCache',
     'src/formats/kml/KmlLink',
     'src/formats/kml/features/KmlNetworkLink',
-    'src/util/XmlDocument'
+    'src/util/XmlDocument',
+    'src/WorldWind'
 ], function (
+    KmlFile,
+    KmlFileCache,
     KmlLink,
     KmlNetworkLink,
-    XmlDocument
+    XmlDocument,
+    WorldWind
 ) {
     "use strict";
     describe("KmlNetworkLinkTest", function() {
@@ -44,5 +50,119 @@ define([
 
             });
 
+            describe("loadFile", function () {
+                var nestedKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                    "<kml xmlns=\"http://www.opengis.net/kml/2.2\"><Document><name>Nested</name></Document></kml>";
+                var validKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                    "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                    "<NetworkLink>" +
+                    "<Link><href>kml/nested.kml</href></Link>" +
+                    "</NetworkLink>" +
+                    "</kml>";
+
+                it("loads the document from the KMZ archive with access to the other files", function (done) {
+                    var fileCache = new KmlFileCache();
+                    fileCache.addArchiveFile("kml/nested.kml",
+                        "data:application/vnd.google-earth.kml+xml;base64," + btoa(nestedKml));
+                    fileCache.addArchiveFile("files/icon.png", "data:image/png;base64,aWNvbg==");
+                    var networkLink = new KmlNetworkLink({objectNode:
+                        new XmlDocument(validKml).dom().getElementsByTagName("NetworkLink")[0]});
+
+                    networkLink.loadFile(fileCache).then(function (kmlFile) {
+                        expect(kmlFile._document.getElementsByTagName("name")[0].textContent).toEqual("Nested");
+                        expect(kmlFile._fileCache.archiveUrl("../files/icon.png"))
+                            .toEqual("data:image/png;base64,aWNvbg==");
+                        done();
+                    }).catch(done.fail);
+                });
+            });
+            describe("NetworkLinkControl", function () {
+                var dataUri = function (kml) {
+                    return "data:application/vnd.google-earth.kml+xml;base64," + btoa(kml);
+                };
+                var controlKml = function (control) {
+                    return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                        "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                        "<NetworkLinkControl>" + control + "</NetworkLinkControl>" +
+                        "</kml>";
+                };
+                var networkLink = function (href, refresh) {
+                    var kml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                        "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                        "<NetworkLink><Link><href>" + href + "</href>" + refresh + "</Link></NetworkLink>" +
+                        "</kml>";
+                    return new KmlNetworkLink({objectNode:
+                        new XmlDocument(kml).dom().getElementsByTagName("NetworkLink")[0]});
+                };
+                var scheduled = function (link, resolvedFile) {
+                    var events = [];
+                    link.resolvedFile = resolvedFile;
+                    link.fireEvent({listener: {addEvent: function (event) {
+                        events.push(event);
+                    }}});
+                    return events;
+                };
+
+                it("applies the Update to the file loaded by another NetworkLink", function (done) {
+                    var fleetKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                        "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                        "<Document><Placemark id=\"truck\"><name>Before</name></Placemark></Document>" +
+                        "</kml>";
+                    var updateKml = controlKml("<Update><targetHref>http://example.com/fleet.kml</targetHref>" +
+                        "<Change><Placemark targetId=\"truck\"><name>After</name></Placemark></Change></Update>");
+                    var fileCache = new KmlFileCache();
+
+                    new KmlFile(dataUri(fleetKml)).then(function (fleetFile) {
+                        fileCache.addLinkedFile("http://example.com/fleet.kml", fleetFile);
+                        expect(fleetFile.shapes[0].kmlShapes[0].kmlName).toEqual("Before");
+
+                        return networkLink(dataUri(updateKml), "").loadFile(fileCache).then(function (updateFile) {
+                            expect(updateFile.shapes.length).toEqual(0);
+                            expect(fleetFile.shapes[0].kmlShapes[0].kmlName).toEqual("After");
+                            done();
+                        });
+                    }).catch(done.fail);
+                });
+
+                it("postpones the refresh by the minRefreshPeriod", function (done) {
+                    var link = networkLink("updates.kml",
+                        "<refreshMode>onInterval</refreshMode><refreshInterval>1</refreshInterval>");
+                    var kml = controlKml("<minRefreshPeriod>30</minRefreshPeriod>");
+                    new KmlFile(dataUri(kml)).then(function (kmlFile) {
+                        link.sessionStart = new Date().getTime();
+                        var events = scheduled(link, kmlFile);
+                        expect(events.length).toEqual(1);
+                        expect(events[0].time).toEqual(30000);
+                        expect(events[0].payload).toBe(link);
+                        done();
+                    }).catch(done.fail);
+                });
+
+                it("stops refreshing after the maxSessionLength", function (done) {
+                    var link = networkLink("updates.kml",
+                        "<refreshMode>onInterval</refreshMode><refreshInterval>10</refreshInterval>");
+                    var kml = controlKml("<maxSessionLength>60</maxSessionLength>");
+                    new KmlFile(dataUri(kml)).then(function (kmlFile) {
+                        link.sessionStart = new Date().getTime();
+                        expect(scheduled(link, kmlFile).length).toEqual(1);
+
+                        link.sessionStart = new Date().getTime() - 55000;
+                        expect(scheduled(link, kmlFile).length).toEqual(0);
+                        done();
+                    }).catch(done.fail);
+                });
+
+                it("refreshes when the file expires", function (done) {
+                    var expires = new Date(new Date().getTime() + 120000).toISOString();
+                    var link = networkLink("updates.kml", "<refreshMode>onExpire</refreshMode>");
+                    new KmlFile(dataUri(controlKml("<expires>" + expires + "</expires>"))).then(function (kmlFile) {
+                        var events = scheduled(link, kmlFile);
+                        expect(events.length).toEqual(1);
+                        expect(events[0].time).toBeGreaterThan(110000);
+                        expect(events[0].time).not.toBeGreaterThan(120000);
+                        done();
+                    }).catch(done.fail);
+                });
+            });
         });
     });
\ No newline at end of file
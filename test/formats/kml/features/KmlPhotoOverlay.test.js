@@ -15,17 +15,23 @@
  * limitations under the License.
  */
 define( [
+    'src/formats/kml/KmlFileCache',
     'src/formats/kml/util/ImagePyramid',
     'src/formats/kml/util/ViewVolume',
     'src/formats/kml/geom/KmlPoint',
+    'src/formats/kml/features/KmlFeature',
     'src/formats/kml/features/KmlPhotoOverlay',
-    'src/util/XmlDocument'
+    'src/util/XmlDocument',
+    'src/WorldWind'
 ], function (
+    KmlFileCache,
     ImagePyramid,
     ViewVolume,
     KmlPoint,
+    KmlFeature,
     KmlPhotoOverlay,
-    XmlDocument
+    XmlDocument,
+    WorldWind
 ) {
     "use strict";
     describe("KmlPhotoOverlayTest", function () {
@@ -52,8 +58,154 @@ define( [
                 expect(photoOverlay.kmlPoint instanceof KmlPoint).toBeTruthy();
 
             });
+        });
+
+    describe("KmlPhotoOverlayRenderingTest", function () {
+        var validKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+            "<PhotoOverlay>" +
+            "   <Camera>" +
+            "       <longitude>0</longitude>" +
+            "       <latitude>0</latitude>" +
+            "       <altitude>100</altitude>" +
+            "       <heading>0</heading>" +
+            "       <tilt>90</tilt>" +
+            "       <roll>0</roll>" +
+            "       <altitudeMode>absolute</altitudeMode>" +
+            "   </Camera>" +
+            "   <Icon><href>photos/$[level]/$[x]_$[y].jpg</href></Icon>" +
+            "   <ViewVolume>" +
+            "       <leftFov>-45</leftFov>" +
+            "       <rightFov>45</rightFov>" +
+            "       <bottomFov>-45</bottomFov>" +
+            "       <topFov>45</topFov>" +
+            "       <near>10</near>" +
+            "   </ViewVolume>" +
+            "   <ImagePyramid>" +
+            "       <tileSize>256</tileSize>" +
+            "       <maxWidth>512</maxWidth>" +
+            "       <maxHeight>512</maxHeight>" +
+            "   </ImagePyramid>" +
+            "</PhotoOverlay>" +
+            "</kml>";
+        var kmlRepresentation = new XmlDocument(validKml).dom();
+        var photoOverlay = new KmlPhotoOverlay({objectNode:
+            kmlRepresentation.getElementsByTagName("PhotoOverlay")[0]});
+        var globe = new WorldWind.Globe(new WorldWind.ElevationModel(), new WorldWind.ProjectionWgs84());
+        photoOverlay._eyeToWorld = photoOverlay.eyeToWorld(photoOverlay.kmlAbstractView, globe);
+
+        it("should place the photo in front of the camera", function () {
+            var center = photoOverlay.position(globe, 0.5, 0.5);
+            expect(center.altitude).toBeCloseTo(100, 3);
+            expect(center.longitude).toBeCloseTo(0, 6);
+            expect(center.latitude * Math.PI / 180 * globe.equatorialRadius).toBeCloseTo(10, 0);
+
+            var upperRight = photoOverlay.position(globe, 1, 1);
+            expect(upperRight.altitude).toBeCloseTo(110, 3);
+            expect(upperRight.longitude * Math.PI / 180 * globe.equatorialRadius).toBeCloseTo(10, 1);
+        });
+
+        it("should wrap the photo around the camera for the sphere", function () {
+            var sphereKml = validKml.replace("</ViewVolume>", "</ViewVolume><shape>sphere</shape>");
+            var sphere = new KmlPhotoOverlay({objectNode:
+                new XmlDocument(sphereKml).dom().getElementsByTagName("PhotoOverlay")[0]});
+            sphere._eyeToWorld = sphere.eyeToWorld(sphere.kmlAbstractView, globe);
+
+            var upperRight = sphere.position(globe, 1, 1);
+            expect(upperRight.altitude).toBeCloseTo(100 + 10 * Math.SQRT1_2, 3);
+
+            var mesh = sphere.createTile(globe, {x: 0, y: 0, left: 0, right: 0.5, bottom: 0, top: 0.5}, "tile.jpg");
+            expect(mesh.positions.length).toEqual(100);
+            expect(mesh.textureCoordinates.length).toEqual(100);
+            expect(mesh.indices.length).toEqual(486);
+        });
+
+        it("should replace the level, column and row in the href of the tiles", function () {
+            expect(photoOverlay.tileUrl(1, {x: 1, y: 0}, new KmlFileCache())).toEqual("photos/1/1_0.jpg");
+        });
+
+        it("should keep the tiles in the bounded cache", function () {
+            var overlay = new KmlPhotoOverlay({objectNode:
+                new XmlDocument(validKml).dom().getElementsByTagName("PhotoOverlay")[0]});
+            for (var index = 0; index < 600; index++) {
+                overlay._tiles.putEntry("0/" + index + "/0", {}, 1);
+            }
+            expect(overlay._tiles.usedCapacity).toBeLessThan(overlay._tiles.capacity + 1);
+            expect(overlay._tiles.entryForKey("0/599/0")).toBeDefined();
+        });
 
+        it("should bound the tile by its extent", function () {
+            var tile = {x: 1, y: 1, left: 0.5, right: 1, bottom: 0.5, top: 1},
+                extent = photoOverlay.tileExtent(globe, "1/1/1", tile);
 
+            [[0.5, 0.5], [1, 1], [0.75, 0.75]].forEach(function (uv) {
+                var position = photoOverlay.position(globe, uv[0], uv[1]),
+                    point = globe.computePointFromPosition(position.latitude, position.longitude, position.altitude,
+                        new WorldWind.Vec3(0, 0, 0));
+                expect(point.distanceTo(extent.center)).not.toBeGreaterThan(extent.radius);
+            });
+            expect(photoOverlay.tileExtent(globe, "1/1/1", tile)).toBe(extent);
+        });
+
+        describe("rendering", function () {
+            var overlay, dc, meshes;
+
+            beforeEach(function () {
+                overlay = new KmlPhotoOverlay({objectNode:
+                    new XmlDocument(validKml).dom().getElementsByTagName("PhotoOverlay")[0]});
+                overlay.enabled = true;
+                spyOn(KmlFeature.prototype, "render");
+                meshes = [];
+                spyOn(overlay, "createTile").and.callFake(function (globe, tile) {
+                    var mesh = {tile: tile, render: jasmine.createSpy("render")};
+                    meshes.push(mesh);
+                    return mesh;
+                });
+                // Only the tiles in the left column are in view.
+                spyOn(overlay, "tileExtent").and.callFake(function (globe, key, tile) {
+                    return {
+                        intersectsFrustum: function () {
+                            return tile.x === 0;
+                        }
+                    };
+                });
+                dc = {
+                    globe: globe,
+                    eyePoint: new WorldWind.Vec3(0, 0, 0),
+                    pixelSizeAtDistance: function () {
+                        return 0.001;
+                    }
+                };
+            });
+
+            it("should create and render only the tiles in view", function () {
+                overlay.render(dc, {fileCache: new KmlFileCache()});
+
+                expect(meshes.length).toEqual(2);
+                meshes.forEach(function (mesh) {
+                    expect(mesh.tile.x).toEqual(0);
+                    expect(mesh.render).toHaveBeenCalled();
+                });
+            });
+
+            it("should place the photo again when its Camera changes", function () {
+                overlay.render(dc, {fileCache: new KmlFileCache()});
+                var eyeToWorld = overlay._eyeToWorld;
+
+                overlay._factory.invalidate(overlay.node);
+                overlay.render(dc, {fileCache: new KmlFileCache()});
+
+                expect(overlay._eyeToWorld).not.toBe(eyeToWorld);
+                expect(meshes.length).toEqual(4);
+            });
+        });
 
+        it("should create the mesh of the tile", function () {
+            var mesh = photoOverlay.createTile(globe, {x: 0, y: 0, left: 0, right: 1, bottom: 0, top: 1}, "tile.jpg");
+            expect(mesh.positions.length).toEqual(4);
+            expect(mesh.indices).toEqual([0, 1, 3, 0, 3, 2]);
+            expect(mesh.altitudeMode).toEqual(WorldWind.ABSOLUTE);
+            expect(mesh.attributes.imageSource).toEqual("tile.jpg");
         });
     });
+});
@@ -17,11 +17,17 @@
 define([
     'src/util/XmlDocument',
     'src/formats/kml/features/KmlPlacemark',
-    'src/formats/kml/geom/KmlPoint'
+    'src/formats/kml/KmlFileCache',
+    'src/formats/kml/geom/KmlPoint',
+    'src/formats/kml/styles/KmlStyle',
+    'src/WorldWind'
 ], function (
     XmlDocument,
     KmlPlacemark,
-    KmlPoint
+    KmlFileCache,
+    KmlPoint,
+    KmlStyle,
+    WorldWind
 ) {
     "use strict";
     describe("KmlPlacemark", function(){
@@ -41,5 +47,20 @@ define([
             expect(placemark.kmlGeometry instanceof KmlPoint).toBeTruthy();
         });
 
+        it ("should apply the LabelStyle to the label", function(){
+            var styleKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                "<Style id=\"labelled\">" +
+                "   <LabelStyle><color>ff00ff00</color><scale>1.5</scale></LabelStyle>" +
+                "</Style>" +
+                "</kml>";
+            var style = new KmlStyle({objectNode: new XmlDocument(styleKml).dom().getElementsByTagName("Style")[0]});
+
+            var labelAttributes = placemark.prepareAttributes(style, new KmlFileCache()).labelAttributes;
+            expect(labelAttributes.color.green).toEqual(1);
+            expect(labelAttributes.color.red).toEqual(0);
+            expect(labelAttributes.scale).toEqual(1.5);
+        });
+
         });
     });
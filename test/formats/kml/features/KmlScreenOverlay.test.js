@@ -15,11 +15,17 @@
  * limitations under the License.
  */
 define([
+    'src/formats/kml/KmlFileCache',
     'src/formats/kml/features/KmlScreenOverlay',
-    'src/util/XmlDocument'
+    'src/util/Promise',
+    'src/util/XmlDocument',
+    'src/WorldWind'
 ], function (
+    KmlFileCache,
     KmlScreenOverlay,
-    XmlDocument
+    Promise,
+    XmlDocument,
+    WorldWind
 ) {
     "use strict";
     describe("KmlScreenOverlayTest", function () {
@@ -36,4 +42,36 @@ define([
                 expect(screenOverlay.kmlRotation).toEqual(0);
             });
         });
+
+    describe("KmlScreenOverlayRenderingTest", function () {
+        var validKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+            "<ScreenOverlay>" +
+            "   <Icon><href>legend.png</href></Icon>" +
+            "   <overlayXY x=\"0\" y=\"1\" xunits=\"fraction\" yunits=\"fraction\"/>" +
+            "   <screenXY x=\"10\" y=\"10\" xunits=\"pixels\" yunits=\"insetPixels\"/>" +
+            "   <rotationXY x=\"0.5\" y=\"0\" xunits=\"fraction\" yunits=\"fraction\"/>" +
+            "   <rotation>45</rotation>" +
+            "</ScreenOverlay>" +
+            "</kml>";
+        var screenOverlay = new KmlScreenOverlay({objectNode:
+            new XmlDocument(validKml).dom().getElementsByTagName("ScreenOverlay")[0]});
+
+        it("should rotate the screen image around the rotationXY", function () {
+            screenOverlay.render({currentLayer: {}, accumulateOrderedRenderables: false}, {
+                fileCache: new KmlFileCache(),
+                styleResolver: {
+                    handleRemoteStyle: function () {
+                        return Promise.resolve({normal: null, highlight: null});
+                    }
+                }
+            });
+
+            var screenImage = screenOverlay._renderable;
+            expect(screenImage.imageRotation).toEqual(45);
+            expect(screenImage.imageRotationOffset.xUnits).toEqual(WorldWind.OFFSET_FRACTION);
+            expect(screenImage.imageRotationOffset.offsetForSize(100, 50)[0]).toEqual(50);
+            expect(screenImage.imageRotationOffset.offsetForSize(100, 50)[1]).toEqual(0);
+        });
+    });
     });
@@ -0,0 +1,113 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/kml/tour/KmlAnimatedUpdate',
+    'src/formats/kml/tour/KmlFlyTo',
+    'src/formats/kml/KmlLookAt',
+    'src/formats/kml/tour/KmlSoundCue',
+    'src/formats/kml/features/KmlTour',
+    'src/formats/kml/tour/KmlTourControl',
+    'src/formats/kml/tour/KmlWait',
+    'src/formats/kml/util/Update',
+    'src/util/XmlDocument'
+], function (
+    KmlAnimatedUpdate,
+    KmlFlyTo,
+    KmlLookAt,
+    KmlSoundCue,
+    KmlTour,
+    KmlTourControl,
+    KmlWait,
+    Update,
+    XmlDocument
+) {
+    "use strict";
+    describe("KmlTourTest", function () {
+        var validKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\" xmlns:gx=\"http://www.google.com/kml/ext/2.2\">" +
+            "<gx:Tour>" +
+            "   <name>Briefing</name>" +
+            "   <gx:Playlist>" +
+            "       <gx:FlyTo>" +
+            "           <gx:duration>5</gx:duration>" +
+            "           <gx:flyToMode>smooth</gx:flyToMode>" +
+            "           <LookAt>" +
+            "               <longitude>10</longitude>" +
+            "               <latitude>20</latitude>" +
+            "               <range>1000</range>" +
+            "           </LookAt>" +
+            "       </gx:FlyTo>" +
+            "       <gx:Wait>" +
+            "           <gx:duration>2.5</gx:duration>" +
+            "       </gx:Wait>" +
+            "       <gx:AnimatedUpdate>" +
+            "           <gx:duration>3</gx:duration>" +
+            "           <gx:delayedStart>1</gx:delayedStart>" +
+            "           <Update></Update>" +
+            "       </gx:AnimatedUpdate>" +
+            "       <gx:TourControl>" +
+            "           <gx:playMode>pause</gx:playMode>" +
+            "       </gx:TourControl>" +
+            "       <gx:SoundCue>" +
+            "           <href>sounds/briefing.mp3</href>" +
+            "       </gx:SoundCue>" +
+            "   </gx:Playlist>" +
+            "</gx:Tour>" +
+            "</kml>";
+        var kmlRepresentation = new XmlDocument(validKml).dom();
+        var tour = new KmlTour({objectNode: kmlRepresentation.getElementsByTagName("gx:Tour")[0]});
+        var primitives = tour.kmlPlaylist.kmlTourPrimitives;
+
+        it("should contain the primitives of the playlist in order", function () {
+            expect(tour.kmlName).toEqual("Briefing");
+            expect(primitives.length).toEqual(5);
+            expect(primitives[0] instanceof KmlFlyTo).toBeTruthy();
+            expect(primitives[1] instanceof KmlWait).toBeTruthy();
+            expect(primitives[2] instanceof KmlAnimatedUpdate).toBeTruthy();
+            expect(primitives[3] instanceof KmlTourControl).toBeTruthy();
+            expect(primitives[4] instanceof KmlSoundCue).toBeTruthy();
+        });
+
+        it("should have the Duration, FlyToMode and AbstractView properties of the FlyTo", function () {
+            expect(primitives[0].kmlDuration).toEqual(5);
+            expect(primitives[0].kmlFlyToMode).toEqual("smooth");
+            expect(primitives[0].kmlAbstractView instanceof KmlLookAt).toBeTruthy();
+            expect(primitives[0].getTimelineDuration()).toEqual(5000);
+        });
+
+        it("should have the Duration property of the Wait", function () {
+            expect(primitives[1].kmlDuration).toEqual(2.5);
+            expect(primitives[1].getTimelineDuration()).toEqual(2500);
+        });
+
+        it("should have the Duration, DelayedStart and Update properties of the AnimatedUpdate", function () {
+            expect(primitives[2].kmlDuration).toEqual(3);
+            expect(primitives[2].kmlDelayedStart).toEqual(1);
+            expect(primitives[2].kmlUpdate instanceof Update).toBeTruthy();
+            expect(primitives[2].getTimelineDuration()).toEqual(0);
+        });
+
+        it("should have the PlayMode property of the TourControl", function () {
+            expect(primitives[3].kmlPlayMode).toEqual("pause");
+        });
+
+        it("should have the Href property of the SoundCue", function () {
+            expect(primitives[4].kmlHref).toEqual("sounds/briefing.mp3");
+            expect(primitives[4].kmlDelayedStart).toEqual(0);
+        });
+    });
+});
@@ -0,0 +1,117 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/kml/KmlFileCache',
+    'src/formats/kml/geom/KmlModel',
+    'src/util/XmlDocument',
+    'src/WorldWind'
+], function (
+    KmlFileCache,
+    KmlModel,
+    XmlDocument,
+    WorldWind
+) {
+    "use strict";
+    describe("KmlModel", function () {
+
+        var kmlContainingModel = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+            "<Model id=\"1\">" +
+            "   <altitudeMode>relativeToGround</altitudeMode>" +
+            "   <Location>" +
+            "       <longitude>39.55375305703105</longitude>" +
+            "       <latitude>-118.9813220168456</latitude>" +
+            "       <altitude>1223</altitude>" +
+            "   </Location>" +
+            "   <Orientation>" +
+            "       <heading>45.0</heading>" +
+            "       <tilt>10.0</tilt>" +
+            "       <roll>0.0</roll>" +
+            "   </Orientation>" +
+            "   <Scale>" +
+            "       <x>2</x>" +
+            "       <y>3</y>" +
+            "       <z>4</z>" +
+            "   </Scale>" +
+            "   <Link>" +
+            "       <href>models/house.dae</href>" +
+            "   </Link>" +
+            "   <ResourceMap>" +
+            "       <Alias>" +
+            "           <targetHref>files/roof.jpg</targetHref>" +
+            "           <sourceHref>../images/roof.jpg</sourceHref>" +
+            "       </Alias>" +
+            "   </ResourceMap>" +
+            "</Model>" +
+            "</kml>";
+
+        var kmlRepresentation = new XmlDocument(kmlContainingModel).dom();
+        var model = new KmlModel({
+            objectNode: kmlRepresentation.getElementsByTagName("Model")[0],
+            style: {
+                then: function () {
+                }
+            }
+        });
+
+        it("should have the Location, Orientation, Scale, Link and ResourceMap", function () {
+            expect(model.kmlAltitudeMode).toEqual(WorldWind.RELATIVE_TO_GROUND);
+            expect(model.kmlCenter.latitude).toEqual(-118.9813220168456);
+            expect(model.kmlCenter.longitude).toEqual(39.55375305703105);
+            expect(model.kmlCenter.altitude).toEqual(1223);
+            expect(model.kmlOrientation.kmlHeading).toEqual(45);
+            expect(model.kmlScale.kmlZ).toEqual(4);
+            expect(model.kmlLink.kmlHref(new KmlFileCache())).toEqual("models/house.dae");
+            expect(model.kmlResourceMap.kmlAliases.length).toEqual(1);
+        });
+
+        it("should resolve paths relative to the model", function () {
+            expect(KmlModel.resolveRelative("roof.jpg", "models/house.dae")).toEqual("models/roof.jpg");
+            expect(KmlModel.resolveRelative("../images/wall.jpg", "models/house.dae")).toEqual("images/wall.jpg");
+            expect(KmlModel.resolveRelative("http://host/wall.jpg", "models/house.dae"))
+                .toEqual("http://host/wall.jpg");
+        });
+
+        it("should resolve the textures using the ResourceMap and the KMZ contents", function () {
+            var fileCache = new KmlFileCache();
+            fileCache.add("href;files/roof.jpg", "data:image/jpeg;base64,AAAA");
+
+            expect(model.textureUrl("../images/roof.jpg", "models/house.dae", fileCache))
+                .toEqual("data:image/jpeg;base64,AAAA");
+            expect(model.textureUrl("wall.jpg", "models/house.dae", fileCache)).toEqual("models/wall.jpg");
+        });
+
+        it("should place, orient and scale the scene", function () {
+            var scene = {
+                images: {
+                    roof: {path: "../images/roof.jpg", filename: "roof.jpg"}
+                },
+                dirPath: "/"
+            };
+            model.prepareScene(scene, "models/house.dae", new KmlFileCache());
+
+            expect(scene.altitudeMode).toEqual(WorldWind.RELATIVE_TO_GROUND);
+            expect(scene.xRotation).toEqual(10);
+            expect(scene.zRotation).toEqual(-45);
+            expect(scene.xScale).toEqual(2);
+            expect(scene.yScale).toEqual(3);
+            expect(scene.zScale).toEqual(4);
+            expect(scene.images.roof.path).toEqual("files/roof.jpg");
+            expect(scene.dirPath).toEqual("");
+        });
+    });
+});
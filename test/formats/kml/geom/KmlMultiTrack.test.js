@@ -0,0 +1,81 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/kml/geom/KmlMultiTrack',
+    'src/formats/kml/geom/KmlTrack',
+    'src/util/XmlDocument',
+    'src/WorldWind'
+], function (
+    KmlMultiTrack,
+    KmlTrack,
+    XmlDocument,
+    WorldWind
+) {
+    "use strict";
+    describe("KmlMultiTrack", function () {
+
+        var kmlContainingMultiTrack = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\" xmlns:gx=\"http://www.google.com/kml/ext/2.2\">" +
+            "<gx:MultiTrack id=\"1\">" +
+            "   <altitudeMode>relativeToGround</altitudeMode>" +
+            "   <gx:interpolate>1</gx:interpolate>" +
+            "   <gx:Track>" +
+            "       <when>2010-05-28T02:02:09Z</when>" +
+            "       <when>2010-05-28T02:02:19Z</when>" +
+            "       <gx:coord>-122.207881 37.371915 150.0</gx:coord>" +
+            "       <gx:coord>-122.205712 37.373288 152.0</gx:coord>" +
+            "   </gx:Track>" +
+            "   <gx:Track>" +
+            "       <when>2010-05-28T02:02:39Z</when>" +
+            "       <when>2010-05-28T02:02:49Z</when>" +
+            "       <gx:coord>-122.203572 37.374630 154.0</gx:coord>" +
+            "       <gx:coord>-122.201500 37.375950 156.0</gx:coord>" +
+            "   </gx:Track>" +
+            "</gx:MultiTrack>" +
+            "</kml>";
+
+        var kmlRepresentation = new XmlDocument(kmlContainingMultiTrack).dom();
+        var multiTrack = new KmlMultiTrack({
+            objectNode: kmlRepresentation.getElementsByTagName("gx:MultiTrack")[0],
+            style: {
+                then: function () {
+                }
+            }
+        });
+        var start = new Date("2010-05-28T02:02:09Z").valueOf();
+
+        it("should have the altitude mode, interpolate and tracks", function () {
+            expect(multiTrack.kmlAltitudeMode).toEqual(WorldWind.RELATIVE_TO_GROUND);
+            expect(multiTrack.kmlInterpolate).toBe(true);
+            expect(multiTrack.kmlTracks.length).toEqual(2);
+            expect(multiTrack.kmlTracks[0] instanceof KmlTrack).toBe(true);
+            expect(multiTrack.kmlCenter.altitude).toEqual(150);
+        });
+
+        it("should pass its altitude mode to the tracks", function () {
+            expect(multiTrack.kmlTracks[1].kmlAltitudeMode).toEqual(WorldWind.RELATIVE_TO_GROUND);
+        });
+
+        it("should join the samples of the tracks", function () {
+            var positions = KmlTrack.visibleSamples(multiTrack.samples(), [start + 15000, start + 35000]);
+            expect(positions.length).toEqual(3);
+            expect(positions[0].altitude).toBeCloseTo(152.5, 5);
+            expect(positions[1].altitude).toEqual(154);
+            expect(positions[2].altitude).toBeCloseTo(155, 5);
+        });
+    });
+});
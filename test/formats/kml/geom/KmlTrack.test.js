@@ -0,0 +1,91 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/kml/geom/KmlTrack',
+    'src/util/XmlDocument',
+    'src/WorldWind'
+], function (
+    KmlTrack,
+    XmlDocument,
+    WorldWind
+) {
+    "use strict";
+    describe("KmlTrack", function () {
+
+        var kmlContainingTrack = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\" xmlns:gx=\"http://www.google.com/kml/ext/2.2\">" +
+            "<gx:Track id=\"1\">" +
+            "   <altitudeMode>absolute</altitudeMode>" +
+            "   <when>2010-05-28T02:02:09Z</when>" +
+            "   <when>2010-05-28T02:02:19Z</when>" +
+            "   <when>2010-05-28T02:02:29Z</when>" +
+            "   <gx:coord>-122.207881 37.371915 150.0</gx:coord>" +
+            "   <gx:coord>-122.205712 37.373288 152.0</gx:coord>" +
+            "   <gx:coord>-122.203572 37.374630 154.0</gx:coord>" +
+            "</gx:Track>" +
+            "</kml>";
+
+        var kmlRepresentation = new XmlDocument(kmlContainingTrack).dom();
+        var track = new KmlTrack({
+            objectNode: kmlRepresentation.getElementsByTagName("gx:Track")[0],
+            style: {
+                then: function () {
+                }
+            }
+        });
+        var start = new Date("2010-05-28T02:02:09Z").valueOf();
+
+        it("should have the altitude mode, times and coordinates", function () {
+            expect(track.kmlAltitudeMode).toEqual(WorldWind.ABSOLUTE);
+            expect(track.kmlWhens.length).toEqual(3);
+            expect(track.kmlWhens[1].valueOf()).toEqual(start + 10000);
+            expect(track.kmlCoords.length).toEqual(3);
+            expect(track.kmlCoords[2].latitude).toEqual(37.374630);
+            expect(track.kmlCoords[2].longitude).toEqual(-122.203572);
+            expect(track.kmlCoords[2].altitude).toEqual(154);
+            expect(track.kmlCenter.longitude).toEqual(-122.207881);
+        });
+
+        it("should display all the positions without time interval", function () {
+            var positions = KmlTrack.visibleSamples(track.samples(), null);
+            expect(positions.length).toEqual(3);
+        });
+
+        it("should interpolate the positions at the boundaries of the time interval", function () {
+            var positions = KmlTrack.visibleSamples(track.samples(), [start + 5000, start + 15000]);
+            expect(positions.length).toEqual(3);
+            expect(positions[0].altitude).toBeCloseTo(151, 5);
+            expect(positions[1].altitude).toEqual(152);
+            expect(positions[2].altitude).toBeCloseTo(153, 5);
+        });
+
+        it("should display nothing outside of the time interval", function () {
+            var positions = KmlTrack.visibleSamples(track.samples(), [start + 40000, start + 50000]);
+            expect(positions.length).toEqual(0);
+        });
+
+        it("should move the head to the end of the time interval", function () {
+            var dc = {currentLayer: {currentTimeInterval: [start, start + 15000]}};
+            track.render(dc, {lastVisibility: true});
+            expect(track.headPosition.altitude).toBeCloseTo(153, 5);
+
+            dc.currentLayer.currentTimeInterval = [start - 20000, start - 10000];
+            track.render(dc, {lastVisibility: true});
+            expect(track.headPosition).toBeNull();
+        });
+    });
+});
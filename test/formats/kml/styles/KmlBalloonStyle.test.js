@@ -16,10 +16,12 @@
  */
 define([
     'src/util/XmlDocument',
-    'src/formats/kml/styles/KmlBalloonStyle'
+    'src/formats/kml/styles/KmlBalloonStyle',
+    'src/formats/kml/features/KmlPlacemark'
 ], function (
     XmlDocument,
-    KmlBalloonStyle
+    KmlBalloonStyle,
+    KmlPlacemark
 ) {
     "use strict";
 
@@ -44,5 +46,56 @@ define([
             expect(balloonStyle.kmlTextColor).toEqual('ff000000');
             expect(balloonStyle.kmlDisplayMode).toEqual('default');
         });
+
+        it ('should convert the colors to CSS', function(){
+            expect(balloonStyle.backgroundColor()).toEqual('rgba(255, 255, 255, 1)');
+            expect(balloonStyle.foregroundColor()).toEqual('rgba(0, 0, 0, 1)');
+        });
+    });
+
+    describe("BalloonText", function(){
+        var validKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+            "<Document>" +
+            "   <Schema name=\"TrailHeadType\" id=\"TrailHeadTypeId\">" +
+            "       <SimpleField type=\"int\" name=\"TrailLength\">" +
+            "           <displayName><![CDATA[<i>Length</i>]]></displayName>" +
+            "       </SimpleField>" +
+            "   </Schema>" +
+            "   <BalloonStyle id=\"balloon\">" +
+            "       <text><![CDATA[<b>$[name]</b> $[holeNumber/displayName]: $[holeNumber], " +
+            "$[TrailHeadType/TrailLength/displayName]: $[TrailHeadType/TrailLength]$[unknown]]]></text>" +
+            "   </BalloonStyle>" +
+            "   <Placemark>" +
+            "       <name>Club house</name>" +
+            "       <description>Near the first hole</description>" +
+            "       <ExtendedData>" +
+            "           <Data name=\"holeNumber\">" +
+            "               <displayName>Hole</displayName>" +
+            "               <value>1</value>" +
+            "           </Data>" +
+            "           <SchemaData schemaUrl=\"#TrailHeadTypeId\">" +
+            "               <SimpleData name=\"TrailLength\">3.14</SimpleData>" +
+            "           </SchemaData>" +
+            "       </ExtendedData>" +
+            "   </Placemark>" +
+            "</Document>" +
+            "</kml>";
+
+        var kmlRepresentation = new XmlDocument(validKml).dom();
+        var balloonStyle = new KmlBalloonStyle({objectNode:
+            kmlRepresentation.getElementsByTagName("BalloonStyle")[0]});
+        var placemark = new KmlPlacemark({objectNode:
+            kmlRepresentation.getElementsByTagName("Placemark")[0]});
+
+        it ('should replace the entities of the feature, Data and SchemaData', function(){
+            expect(KmlBalloonStyle.balloonText(placemark, balloonStyle)).toEqual(
+                "<b>Club house</b> Hole: 1, <i>Length</i>: 3.14");
+        });
+
+        it ('should use the name and description without the text', function(){
+            expect(KmlBalloonStyle.balloonText(placemark, null)).toEqual(
+                "<h3>Club house</h3>Near the first hole");
+        });
     });
 });
\ No newline at end of file
@@ -40,5 +40,22 @@ define([
                 expect(labelStyle.kmlScale).toEqual(1);
             });
 
+        it ("should update the label options with its color and scale", function(){
+            var hiddenKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                "<LabelStyle id=\"hiddenLabel\">" +
+                "   <color>ff0000ff</color>" +
+                "   <scale>0</scale>" +
+                "</LabelStyle>" +
+                "</kml>";
+            var hiddenStyle = new KmlLabelStyle({objectNode:
+                new XmlDocument(hiddenKml).dom().getElementsByTagName("LabelStyle")[0]});
+
+            var options = KmlLabelStyle.update(hiddenStyle, {});
+            expect(options._labelColor.red).toEqual(1);
+            expect(options._labelColor.blue).toEqual(0);
+            expect(options._labelScale).toEqual(0);
+        });
+
         });
     });
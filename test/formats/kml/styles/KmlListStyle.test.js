@@ -46,5 +46,22 @@ define([
 
             });
 
+            it ("should provide the ItemIcon for the state and the background color", function(){
+                var iconsKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                    "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                    "<ListStyle id=\"itemIcons\">" +
+                    "   <bgColor>80ff0000</bgColor>" +
+                    "   <ItemIcon><state>open</state><href>open.png</href></ItemIcon>" +
+                    "   <ItemIcon><state>closed error</state><href>closed.png</href></ItemIcon>" +
+                    "</ListStyle>" +
+                    "</kml>";
+                var iconsStyle = new KmlListStyle({objectNode:
+                    new XmlDocument(iconsKml).dom().getElementsByTagName("ListStyle")[0]});
+
+                expect(iconsStyle.itemIcon('error').kmlState).toEqual('closed error');
+                expect(iconsStyle.itemIcon('fetching0')).toBeNull();
+                expect(iconsStyle.backgroundColor()).toEqual('rgba(0, 0, 255, 0.5019607843137255)');
+            });
+
     });
 });
\ No newline at end of file
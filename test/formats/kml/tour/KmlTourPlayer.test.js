@@ -0,0 +1,210 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/WorldWind',
+    'src/formats/kml/features/KmlTour',
+    'src/formats/kml/tour/KmlTourPlayer',
+    'src/geom/Location',
+    'src/util/XmlDocument'
+], function (
+    WorldWind,
+    KmlTour,
+    KmlTourPlayer,
+    Location,
+    XmlDocument
+) {
+    "use strict";
+    describe("KmlTourPlayerTest", function () {
+        var validKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\" xmlns:gx=\"http://www.google.com/kml/ext/2.2\">" +
+            "<gx:Tour>" +
+            "   <gx:Playlist>" +
+            "       <gx:FlyTo>" +
+            "           <gx:duration>4</gx:duration>" +
+            "           <gx:flyToMode>smooth</gx:flyToMode>" +
+            "           <LookAt>" +
+            "               <longitude>0</longitude>" +
+            "               <latitude>40</latitude>" +
+            "               <range>2000</range>" +
+            "               <heading>90</heading>" +
+            "               <tilt>40</tilt>" +
+            "           </LookAt>" +
+            "       </gx:FlyTo>" +
+            "       <gx:TourControl/>" +
+            "       <gx:Wait>" +
+            "           <gx:duration>1</gx:duration>" +
+            "       </gx:Wait>" +
+            "       <gx:FlyTo>" +
+            "           <gx:duration>2</gx:duration>" +
+            "           <LookAt>" +
+            "               <longitude>10</longitude>" +
+            "               <latitude>40</latitude>" +
+            "               <range>1000</range>" +
+            "           </LookAt>" +
+            "       </gx:FlyTo>" +
+            "   </gx:Playlist>" +
+            "</gx:Tour>" +
+            "</kml>";
+
+        var worldWindow, player;
+        beforeEach(function () {
+            var kmlRepresentation = new XmlDocument(validKml).dom();
+            var tour = new KmlTour({objectNode: kmlRepresentation.getElementsByTagName("gx:Tour")[0]});
+
+            worldWindow = {
+                navigator: {
+                    lookAtLocation: new Location(0, 0),
+                    range: 4000,
+                    heading: 0,
+                    tilt: 0,
+                    roll: 0
+                },
+                canvas: {clientWidth: 800},
+                globe: new WorldWind.Globe(new WorldWind.ElevationModel(), new WorldWind.ProjectionWgs84()),
+                pixelSizeAtDistance: function (distance) {
+                    return distance / 800;
+                },
+                redraw: function () {
+                }
+            };
+            player = new KmlTourPlayer(worldWindow, tour);
+        });
+
+        it("should compute the duration of the tour", function () {
+            expect(player.duration).toEqual(7000);
+            expect(player.state).toEqual(KmlTourPlayer.STOPPED);
+        });
+
+        it("should move the navigator when seeking inside of the smooth FlyTo", function () {
+            var seeked = jasmine.createSpy("seeked");
+            player.addEventListener("seeked", seeked);
+
+            player.seek(2000);
+
+            expect(seeked).toHaveBeenCalled();
+            expect(player.currentTime).toEqual(2000);
+            expect(worldWindow.navigator.lookAtLocation.latitude).toBeCloseTo(20, 6);
+            expect(worldWindow.navigator.range).toBeCloseTo(3000, 6);
+            expect(worldWindow.navigator.heading).toBeCloseTo(45, 6);
+            expect(worldWindow.navigator.tilt).toBeCloseTo(20, 6);
+        });
+
+        it("should move the navigator to the target view when seeking after the FlyTo", function () {
+            player.seek(4500);
+
+            expect(worldWindow.navigator.lookAtLocation.latitude).toBeCloseTo(40, 6);
+            expect(worldWindow.navigator.range).toBeCloseTo(2000, 6);
+            expect(player.state).toEqual(KmlTourPlayer.PAUSED);
+        });
+
+        describe("playing", function () {
+            beforeEach(function () {
+                jasmine.clock().install();
+                jasmine.clock().mockDate(new Date(2017, 0, 1));
+            });
+
+            afterEach(function () {
+                player.stop();
+                jasmine.clock().uninstall();
+            });
+
+            it("should pause on the TourControl and report the reached primitives", function () {
+                var primitives = [];
+                var paused = jasmine.createSpy("pause");
+                player.addEventListener("primitive", function (event) {
+                    primitives.push(event.primitive);
+                });
+                player.addEventListener("pause", paused);
+
+                player.play();
+                jasmine.clock().tick(4100);
+
+                expect(paused).toHaveBeenCalled();
+                expect(player.state).toEqual(KmlTourPlayer.PAUSED);
+                expect(player.currentTime).toEqual(4000);
+                expect(primitives.length).toEqual(2);
+                expect(worldWindow.navigator.lookAtLocation.latitude).toBeCloseTo(40, 6);
+            });
+
+            it("should fly the bounce FlyTo by the GoToAnimator and end the tour", function () {
+                var ended = jasmine.createSpy("ended");
+                player.addEventListener("ended", ended);
+
+                player.play();
+                jasmine.clock().tick(4100);
+                player.play();
+                jasmine.clock().tick(1900);
+
+                expect(player._animator instanceof WorldWind.GoToAnimator).toBe(true);
+                expect(player._animator.travelTime).not.toBeGreaterThan(2000);
+                expect(worldWindow.navigator.lookAtLocation.longitude).toBeGreaterThan(0);
+                expect(worldWindow.navigator.range).toBeGreaterThan(100000);
+
+                jasmine.clock().tick(2000);
+
+                expect(ended).toHaveBeenCalled();
+                expect(player.state).toEqual(KmlTourPlayer.STOPPED);
+                expect(worldWindow.navigator.lookAtLocation.longitude).toBeCloseTo(10, 6);
+                expect(worldWindow.navigator.range).toBeCloseTo(1000, 6);
+            });
+
+            it("should restart the bounce FlyTo by a new GoToAnimator when seeking", function () {
+                player.seek(5500);
+                player.play();
+                jasmine.clock().tick(100);
+                var animator = player._animator;
+
+                player.seek(6000);
+
+                expect(animator.cancelled).toBe(true);
+                expect(player._animator).not.toBe(animator);
+                expect(player._animator.travelTime).toEqual(1000);
+
+                player.pause();
+
+                expect(player._animator).toBeNull();
+            });
+
+            it("should end the tour after the trailing delayed SoundCue", function () {
+                var delayedKml = validKml.replace("</gx:Playlist>",
+                    "<gx:SoundCue><href>sound.mp3</href><gx:delayedStart>3</gx:delayedStart></gx:SoundCue>" +
+                    "</gx:Playlist>");
+                var tour = new KmlTour({objectNode:
+                    new XmlDocument(delayedKml).dom().getElementsByTagName("gx:Tour")[0]});
+                player = new KmlTourPlayer(worldWindow, tour);
+                spyOn(player, "startSound");
+                var ended = jasmine.createSpy("ended");
+                player.addEventListener("ended", ended);
+
+                expect(player.duration).toEqual(10000);
+
+                player.seek(4500);
+                player.play();
+                jasmine.clock().tick(4000);
+
+                expect(ended).not.toHaveBeenCalled();
+                expect(player.startSound).not.toHaveBeenCalled();
+
+                jasmine.clock().tick(1600);
+
+                expect(player.startSound).toHaveBeenCalled();
+                expect(ended).toHaveBeenCalled();
+                expect(player.state).toEqual(KmlTourPlayer.STOPPED);
+            });
+        });
+    });
+});
@@ -0,0 +1,83 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/kml/util/Data',
+    'src/formats/kml/util/ExtendedData',
+    'src/formats/kml/util/Schema',
+    'src/formats/kml/util/SchemaData',
+    'src/util/XmlDocument'
+], function (
+    Data,
+    ExtendedData,
+    Schema,
+    SchemaData,
+    XmlDocument
+) {
+    "use strict";
+    describe("ExtendedDataTest", function () {
+        var validKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+            "<Schema name=\"TrailHeadType\" id=\"TrailHeadTypeId\">" +
+            "   <SimpleField type=\"double\" name=\"TrailLength\">" +
+            "       <displayName>Length</displayName>" +
+            "   </SimpleField>" +
+            "   <SimpleField type=\"int\" name=\"ElevationGain\"></SimpleField>" +
+            "</Schema>" +
+            "<ExtendedData>" +
+            "   <Data name=\"holeNumber\">" +
+            "       <displayName>Hole</displayName>" +
+            "       <value>1</value>" +
+            "   </Data>" +
+            "   <SchemaData schemaUrl=\"#TrailHeadTypeId\">" +
+            "       <SimpleData name=\"TrailLength\">3.14</SimpleData>" +
+            "       <SimpleData name=\"ElevationGain\">10</SimpleData>" +
+            "   </SchemaData>" +
+            "</ExtendedData>" +
+            "</kml>";
+        var kmlRepresentation = new XmlDocument(validKml).dom();
+        var extendedData = new ExtendedData({objectNode:
+            kmlRepresentation.getElementsByTagName("ExtendedData")[0]});
+        var schema = new Schema({objectNode:
+            kmlRepresentation.getElementsByTagName("Schema")[0]});
+
+        it('should have the Data', function () {
+            expect(extendedData.kmlData.length).toBe(1);
+            expect(extendedData.kmlData[0] instanceof Data).toBe(true);
+            expect(extendedData.kmlData[0].kmlName).toBe("holeNumber");
+            expect(extendedData.kmlData[0].kmlDisplayName).toBe("Hole");
+            expect(extendedData.kmlData[0].kmlValue).toBe("1");
+        });
+
+        it('should have the SchemaData', function () {
+            expect(extendedData.kmlSchemaData.length).toBe(1);
+            expect(extendedData.kmlSchemaData[0] instanceof SchemaData).toBe(true);
+            expect(extendedData.kmlSchemaData[0].kmlSchemaUrl).toBe("#TrailHeadTypeId");
+            expect(extendedData.kmlSchemaData[0].kmlSimpleData).toEqual([
+                {name: "TrailLength", value: "3.14"},
+                {name: "ElevationGain", value: "10"}
+            ]);
+        });
+
+        it('should have the name and fields of the Schema', function () {
+            expect(schema.kmlName).toBe("TrailHeadType");
+            expect(schema.kmlSimpleFields).toEqual([
+                {name: "TrailLength", type: "double", displayName: "Length"},
+                {name: "ElevationGain", type: "int", displayName: null}
+            ]);
+        });
+    });
+});
@@ -59,7 +59,31 @@ define([
             expect(imagePyramid.kmlMaxHeight).toEqual(10);
             expect(imagePyramid.kmlGridOrigin).toEqual("lowerLeft");
         });
+    });
+
+    describe("KmlImagePyramidTilesTest", function () {
+        it('should split the levels into tiles', function(){
+            var pyramidKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                "<ImagePyramid>" +
+                "   <tileSize>256</tileSize>" +
+                "   <maxWidth>1000</maxWidth>" +
+                "   <maxHeight>500</maxHeight>" +
+                "   <gridOrigin>upperLeft</gridOrigin>" +
+                "</ImagePyramid>" +
+                "</kml>";
+            var pyramid = new ImagePyramid({objectNode:
+                new XmlDocument(pyramidKml).dom().getElementsByTagName("ImagePyramid")[0]});
 
+            expect(pyramid.maxLevel()).toEqual(2);
+            expect(pyramid.levelSize(0)).toEqual({width: 250, height: 125});
+            expect(pyramid.tiles(0).length).toEqual(1);
 
+            var tiles = pyramid.tiles(2);
+            expect(tiles.length).toEqual(8);
+            expect(tiles[0]).toEqual({x: 0, y: 0, left: 0, right: 0.256, bottom: 0.488, top: 1});
+            expect(tiles[7].right).toEqual(1);
+            expect(tiles[7].bottom).toEqual(0);
         });
     });
+});
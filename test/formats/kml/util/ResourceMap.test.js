@@ -0,0 +1,53 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/kml/util/Alias',
+    'src/formats/kml/util/ResourceMap',
+    'src/util/XmlDocument'
+], function (
+    Alias,
+    ResourceMap,
+    XmlDocument
+) {
+    "use strict";
+    describe("ResourceMapTest", function () {
+        var validKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+            "<ResourceMap>" +
+            "   <Alias>" +
+            "       <targetHref>files/roof.jpg</targetHref>" +
+            "       <sourceHref>../images/roof.jpg</sourceHref>" +
+            "   </Alias>" +
+            "</ResourceMap>" +
+            "</kml>";
+        var kmlRepresentation = new XmlDocument(validKml).dom();
+        var resourceMap = new ResourceMap({objectNode:
+            kmlRepresentation.getElementsByTagName("ResourceMap")[0]});
+
+        it('should have the Aliases', function () {
+            expect(resourceMap.kmlAliases.length).toBe(1);
+            expect(resourceMap.kmlAliases[0] instanceof Alias).toBe(true);
+            expect(resourceMap.kmlAliases[0].kmlTargetHref).toBe("files/roof.jpg");
+            expect(resourceMap.kmlAliases[0].kmlSourceHref).toBe("../images/roof.jpg");
+        });
+
+        it('should map the source to the target', function () {
+            expect(resourceMap.targetHref("../images/roof.jpg")).toBe("files/roof.jpg");
+            expect(resourceMap.targetHref("../images/wall.jpg")).toBeNull();
+        });
+    });
+});
@@ -43,6 +43,11 @@ define([
 				var retrievedValue = cache.value("MultiGeometry#1", "LineString");
 				expect("ToStore").toEqual(retrievedValue);
 			});
+
+			it('doesn\'t retrieve the data for the name which is prefix of another name', function(){
+				cache.add("GroundOverlay#1", "altitudeMode", "absolute");
+				expect(cache.value("GroundOverlay#1", "altitude")).toBeNull();
+			});
 		});
 
 		describe('#removal', function(){
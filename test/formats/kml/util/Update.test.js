@@ -0,0 +1,121 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/kml/KmlFile',
+    'src/formats/kml/features/KmlDocument',
+    'src/formats/kml/features/KmlPlacemark',
+    'src/formats/kml/geom/KmlPoint',
+    'src/formats/kml/util/Update',
+    'src/util/XmlDocument'
+], function (
+    KmlFile,
+    KmlDocument,
+    KmlPlacemark,
+    KmlPoint,
+    Update,
+    XmlDocument
+) {
+    "use strict";
+    describe("UpdateTest", function () {
+        var validKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+            "<Document>" +
+            "   <Placemark id=\"vehicle\">" +
+            "       <name>Before</name>" +
+            "       <Point><coordinates>10,20</coordinates></Point>" +
+            "   </Placemark>" +
+            "   <Update>" +
+            "       <Change>" +
+            "           <Placemark targetId=\"vehicle\">" +
+            "               <name>After</name>" +
+            "               <description>Changed</description>" +
+            "           </Placemark>" +
+            "       </Change>" +
+            "   </Update>" +
+            "</Document>" +
+            "</kml>";
+
+        it("should apply the Change to the already loaded Placemark", function () {
+            var kmlRepresentation = new XmlDocument(validKml).dom();
+            var document = new KmlDocument({objectNode: kmlRepresentation.getElementsByTagName("Document")[0]});
+            var placemark = document.kmlShapes.filter(function (shape) {
+                return shape instanceof KmlPlacemark;
+            })[0];
+            expect(placemark.kmlName).toEqual("Before");
+
+            var update = new Update({objectNode: kmlRepresentation.getElementsByTagName("Update")[0]});
+            update.apply({node: kmlRepresentation.documentElement});
+
+            expect(placemark.kmlName).toEqual("After");
+            expect(placemark.kmlDescription).toEqual("Changed");
+            expect(Number(placemark.kmlGeometry.kmlPosition.longitude)).toEqual(10);
+        });
+
+        it("should find the target whose id contains quotes and backslashes", function () {
+            var quotedKml = validKml.replace(/vehicle/g, "o'brien\\car");
+            var kmlRepresentation = new XmlDocument(quotedKml).dom();
+            var update = new Update({objectNode: kmlRepresentation.getElementsByTagName("Update")[0]});
+            var change = kmlRepresentation.getElementsByTagName("Change")[0].getElementsByTagName("Placemark")[0];
+
+            expect(update.target({node: kmlRepresentation.documentElement}, change))
+                .toBe(kmlRepresentation.getElementsByTagName("Placemark")[0]);
+        });
+
+        it("should apply the Create and Delete to the already loaded Document", function (done) {
+            var loadedKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                "<Document id=\"fleet\">" +
+                "   <Placemark id=\"first\"><name>First</name></Placemark>" +
+                "   <Placemark id=\"second\"><name>Second</name></Placemark>" +
+                "</Document>" +
+                "</kml>";
+            var updateKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                "<Update>" +
+                "   <targetHref>fleet.kml</targetHref>" +
+                "   <Delete><Placemark targetId=\"first\"/></Delete>" +
+                "   <Create>" +
+                "       <Document targetId=\"fleet\">" +
+                "           <Placemark id=\"third\"><name>Third</name></Placemark>" +
+                "       </Document>" +
+                "   </Create>" +
+                "</Update>" +
+                "</kml>";
+
+            new KmlFile("data:application/vnd.google-earth.kml+xml;base64," + btoa(loadedKml)).then(function (kmlFile) {
+                var document = kmlFile.shapes[0];
+                var names = function () {
+                    return document.kmlShapes.map(function (shape) {
+                        return shape.kmlName;
+                    });
+                };
+                expect(names()).toEqual(["First", "Second"]);
+                var second = document.kmlShapes[1];
+
+                var updateNode = new XmlDocument(updateKml).dom().getElementsByTagName("Update")[0];
+                var update = new Update({objectNode: updateNode});
+                expect(update.targetHref).toEqual("fleet.kml");
+                update.apply(kmlFile);
+
+                expect(names()).toEqual(["Second", "Third"]);
+                expect(document.kmlShapes[0]).toBe(second);
+                expect(kmlFile.node.getElementsByTagName("Placemark").length).toEqual(2);
+                done();
+            }).catch(done.fail);
+        });
+    });
+});
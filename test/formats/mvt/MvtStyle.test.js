@@ -0,0 +1,58 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/mvt/MvtStyle',
+    'src/formats/mvt/MvtTile'
+], function (MvtStyle, MvtTile) {
+    "use strict";
+    describe("MvtStyle", function () {
+        var road = {layer: "roads", type: MvtTile.GeometryType.LINESTRING, properties: {class: "primary", lanes: 4}},
+            lake = {layer: "water", type: MvtTile.GeometryType.POLYGON, properties: {name: "Lake"}};
+
+        it("applies the first rule matching the layer, type and zoom", function () {
+            var style = new MvtStyle([
+                {layer: "roads", minZoom: 10},
+                {layer: ["water", "landuse"], type: MvtTile.GeometryType.POINT},
+                {layer: ["water", "landuse"], type: MvtTile.GeometryType.POLYGON}
+            ]);
+
+            expect(style.ruleFor(road, 12)).toBe(style.rules[0]);
+            expect(style.ruleFor(road, 8)).toBeNull();
+            expect(style.ruleFor(lake, 8)).toBe(style.rules[2]);
+        });
+
+        it("filters the features by their properties", function () {
+            var style = new MvtStyle([
+                {filter: {class: ["motorway", "trunk"]}},
+                {filter: {class: "primary", lanes: 2}},
+                {filter: function (properties) {
+                    return properties.lanes > 2;
+                }}
+            ]);
+
+            expect(style.ruleFor(road, 12)).toBe(style.rules[2]);
+            expect(style.ruleFor(lake, 12)).toBeNull();
+        });
+
+        it("applies the default rule to all the features", function () {
+            var style = new MvtStyle();
+
+            expect(style.ruleFor(road, 1)).toBe(style.rules[0]);
+            expect(style.ruleFor(lake, 20)).toBe(style.rules[0]);
+        });
+    });
+});
@@ -0,0 +1,174 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/mvt/MvtTile',
+    'src/formats/mvt/ProtobufReader',
+    'src/geom/Location'
+], function (MvtTile, ProtobufReader, Location) {
+    "use strict";
+
+    var varint = function (value) {
+        var bytes = [];
+        while (value > 127) {
+            bytes.push((value % 128) | 0x80);
+            value = Math.floor(value / 128);
+        }
+        bytes.push(value);
+        return bytes;
+    };
+
+    var key = function (field, wireType) {
+        return varint(field * 8 + wireType);
+    };
+
+    var message = function (field, bytes) {
+        return key(field, 2).concat(varint(bytes.length), bytes);
+    };
+
+    var string = function (field, text) {
+        var utf8 = unescape(encodeURIComponent(text));
+        return message(field, utf8.split('').map(function (character) {
+            return character.charCodeAt(0);
+        }));
+    };
+
+    var packed = function (field, values) {
+        return message(field, [].concat.apply([], values.map(varint)));
+    };
+
+    var zigzag = function (value) {
+        return value < 0 ? -2 * value - 1 : 2 * value;
+    };
+
+    var double = function (field, value) {
+        var view = new DataView(new ArrayBuffer(8));
+        view.setFloat64(0, value, true);
+        return key(field, 1).concat(Array.prototype.slice.call(new Uint8Array(view.buffer)));
+    };
+
+    // The features of the roads layer precede its keys and values.
+    var roads = message(3, [].concat(
+        string(1, "roads"),
+        message(2, [].concat(key(1, 0), varint(1), packed(2, [0, 0]), key(3, 0), varint(2),
+            packed(4, [9, zigzag(10), zigzag(20), 18, zigzag(10), 0, 0, zigzag(10)]))),
+        string(3, "class"),
+        message(4, string(1, "primary"))
+    ));
+
+    // The polygon with a hole and two points.
+    var water = message(3, [].concat(
+        key(15, 0), varint(2),
+        string(1, "water"),
+        key(5, 0), varint(256),
+        message(2, [].concat(key(3, 0), varint(3), packed(4, [
+            9, 0, 0, 26, zigzag(100), 0, 0, zigzag(100), zigzag(-100), 0, 15,
+            9, zigzag(25), zigzag(-75), 26, 0, zigzag(50), zigzag(50), 0, 0, zigzag(-50), 15]))),
+        message(2, [].concat(key(3, 0), varint(1), packed(2, [0, 0, 1, 1, 2, 2]),
+            packed(4, [17, zigzag(5), zigzag(5), zigzag(10), zigzag(10)]))),
+        string(3, "name"),
+        string(3, "depth"),
+        string(3, "area"),
+        message(4, string(1, "Lake Ž")),
+        message(4, key(6, 0).concat(varint(zigzag(-3)))),
+        message(4, double(3, 1.5))
+    ));
+
+    var encodedTile = new Uint8Array(roads.concat(water));
+
+    describe("MvtTile", function () {
+        it("decodes the layers and resolves the properties of the features", function () {
+            var tile = new MvtTile(encodedTile.buffer);
+
+            expect(tile.layers.length).toBe(2);
+            var feature = tile.layerNamed("roads").features[0];
+            expect(feature.id).toBe(1);
+            expect(feature.layer).toBe("roads");
+            expect(feature.type).toBe(MvtTile.GeometryType.LINESTRING);
+            expect(feature.properties).toEqual({class: "primary"});
+            expect(feature.geometry).toEqual([[[10, 20], [20, 20], [20, 30]]]);
+            expect(tile.layerNamed("roads").extent).toBe(4096);
+            expect(tile.layerNamed("parks")).toBeNull();
+        });
+
+        it("decodes the points and closed rings", function () {
+            var layer = new MvtTile(encodedTile).layerNamed("water");
+
+            expect(layer.version).toBe(2);
+            expect(layer.extent).toBe(256);
+            expect(layer.features[0].geometry.length).toBe(2);
+            expect(layer.features[0].geometry[0]).toEqual([[0, 0], [100, 0], [100, 100], [0, 100], [0, 0]]);
+            expect(layer.features[0].geometry[1][0]).toEqual([25, 25]);
+            expect(layer.features[0].geometry[1][4]).toEqual([25, 25]);
+            expect(layer.features[1].geometry).toEqual([[[5, 5]], [[15, 15]]]);
+            expect(layer.features[1].properties).toEqual({name: "Lake Ž", depth: -3, area: 1.5});
+        });
+
+        it("groups the holes with their exterior rings", function () {
+            var rings = new MvtTile(encodedTile).layerNamed("water").features[0].geometry,
+                polygons = MvtTile.classifyRings(rings.concat(rings));
+
+            expect(polygons.length).toBe(2);
+            expect(polygons[0]).toEqual(rings);
+        });
+
+        it("decompresses the gzip compressed tile", function () {
+            var length = encodedTile.length,
+                gzip = [0x1F, 0x8B, 8, 0, 0, 0, 0, 0, 0, 255,
+                    0x01, length & 0xFF, length >> 8, ~length & 0xFF, (~length >> 8) & 0xFF]
+                    .concat(Array.prototype.slice.call(encodedTile), [0, 0, 0, 0, length & 0xFF, length >> 8, 0, 0]);
+
+            var tile = new MvtTile(new Uint8Array(gzip));
+
+            expect(tile.layers.length).toBe(2);
+            expect(tile.layers[1].name).toBe("water");
+        });
+
+        it("computes the locations of the Web Mercator tiles", function () {
+            var location = MvtTile.location([0, 4096], 4096, 1, 1, 0, new Location(0, 0));
+            expect(location.latitude).toBeCloseTo(0, 9);
+            expect(location.longitude).toBeCloseTo(0, 9);
+
+            MvtTile.location([0, 0], 4096, 0, 0, 0, location);
+            expect(location.latitude).toBeCloseTo(85.0511, 4);
+            expect(location.longitude).toBe(-180);
+        });
+    });
+
+    describe("ProtobufReader", function () {
+        it("reads the variable length integers", function () {
+            var reader = new ProtobufReader(new Uint8Array([0xAC, 0x02, 0x03, 0x80, 0x80, 0x80, 0x80, 0x80, 0x20]));
+
+            expect(reader.readVarint()).toBe(300);
+            expect(reader.readSVarint()).toBe(-2);
+            expect(reader.readVarint()).toBe(Math.pow(2, 40));
+        });
+
+        it("skips the fields which aren't read", function () {
+            var data = new Uint8Array([].concat(double(1, 2.5), key(2, 5), [0, 0, 0, 0], string(3, "text"),
+                key(4, 0), varint(7)));
+            var reader = new ProtobufReader(data);
+
+            var result = reader.readFields(data.length, function (field, result, reader) {
+                if (field === 4) {
+                    result.value = reader.readVarint();
+                }
+            }, {});
+
+            expect(result.value).toBe(7);
+        });
+    });
+});
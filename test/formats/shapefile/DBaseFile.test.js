@@ -0,0 +1,91 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/util/ByteBuffer',
+    'src/formats/shapefile/DBaseFile'
+], function (ByteBuffer,
+             DBaseFile) {
+    "use strict";
+
+    describe("DBaseFile", function () {
+        // Creates the dBase file with one record of the character field NAME holding the bytes.
+        function dbaseFile(languageDriverId, bytes) {
+            var data = new Uint8Array(32 + 32 + 1 + 11 + 1);
+            data.set([0x03, 117, 1, 1, 1, 0, 0, 0, 65, 0, 12, 0]);
+            data[29] = languageDriverId;
+            data.set([78, 65, 77, 69], 32);
+            data[32 + 11] = 67;
+            data[32 + 16] = 10;
+            data[64] = 0x0D;
+            for (var i = 0; i < 11; i++) {
+                data[65 + i] = i < 1 + bytes.length && i > 0 ? bytes[i - 1] : 0x20;
+            }
+            data[76] = 0x1A;
+
+            var file = new DBaseFile("test.dbf");
+            file._buffer = new ByteBuffer(data.buffer);
+            return file;
+        }
+
+        var moscow = [0xCC, 0xEE, 0xF1, 0xEA, 0xE2, 0xE0],
+            seoul = [0xBC, 0xAD, 0xBF, 0xEF];
+
+        it("should decode the values following the language driver ID", function () {
+            var file = dbaseFile(0xC9, moscow);
+            file.parse();
+
+            expect(file.header.languageDriverId).toEqual(0xC9);
+            expect(file.encoding).toEqual("windows-1251");
+            expect(file.nextRecord().values.NAME).toEqual("Москва");
+        });
+
+        it("should prefer the code page file to the language driver ID", function () {
+            var file = dbaseFile(0x57, seoul);
+            file.setCodePage("CP949\r\n");
+            file.parse();
+
+            expect(file.nextRecord().values.NAME).toEqual("서울");
+        });
+
+        it("should read the bytes as ISO-8859-1 without the code page", function () {
+            var file = dbaseFile(0, [0x41, 0xE9]);
+            file.parse();
+
+            expect(file.encoding).toBeNull();
+            expect(file.nextRecord().values.NAME).toEqual("Aé");
+        });
+
+        it("should skip the rest of the value after the null terminator", function () {
+            var file = dbaseFile(0, [0x41, 0x00, 0x42]);
+            file.parse();
+
+            expect(file.nextRecord().values.NAME).toEqual("A");
+            expect(file._buffer.position).toEqual(76);
+        });
+
+        it("should recognize the code page names and numbers", function () {
+            expect(DBaseFile.codePageEncoding("UTF-8")).toEqual("utf-8");
+            expect(DBaseFile.codePageEncoding("65001")).toEqual("utf-8");
+            expect(DBaseFile.codePageEncoding("ANSI 1251")).toEqual("windows-1251");
+            expect(DBaseFile.codePageEncoding("88595")).toEqual("iso-8859-5");
+            expect(DBaseFile.codePageEncoding("28591")).toEqual("iso-8859-1");
+            expect(DBaseFile.codePageEncoding("KOI8-R")).toEqual("koi8-r");
+            expect(DBaseFile.codePageEncoding("437")).toBeNull();
+            expect(DBaseFile.codePageEncoding(" ")).toBeNull();
+        });
+    });
+});
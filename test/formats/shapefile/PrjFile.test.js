@@ -0,0 +1,73 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/shapefile/PrjFile',
+    'src/error/UnsupportedOperationError'
+], function (PrjFile,
+             UnsupportedOperationError) {
+    "use strict";
+
+    describe("PrjFile", function () {
+        var utmWkt = 'PROJCS["WGS_1984_UTM_Zone_33N",GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+            'SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],' +
+            'UNIT["Degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],' +
+            'PARAMETER["False_Easting",500000.0],PARAMETER["False_Northing",0.0],' +
+            'PARAMETER["Central_Meridian",15.0],PARAMETER["Scale_Factor",0.9996],' +
+            'PARAMETER["Latitude_Of_Origin",0.0],UNIT["Meter",1.0]]';
+
+        function prjFile(wkt) {
+            var file = new PrjFile("test.prj");
+            file._params = file.decodeOGCCoordinateSystem(wkt);
+            return file;
+        }
+
+        it("should recognize the geographic coordinate system", function () {
+            var file = prjFile('GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+                'SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],' +
+                'UNIT["Degree",0.0174532925199433]]');
+            expect(file.isGeographicCoordinateSystem()).toBe(true);
+            expect(file.isProjectedCoordinateSystem()).toBe(false);
+        });
+
+        it("should recognize the UTM zone and hemisphere of the projected coordinate system", function () {
+            var file = prjFile(utmWkt);
+            expect(file.isProjectedCoordinateSystem()).toBe(true);
+            expect(file.params[PrjFile.PROJECTION_NAME]).toEqual(PrjFile.PROJECTION_UTM);
+            expect(file.params[PrjFile.PROJECTION_ZONE]).toEqual(33);
+            expect(file.params[PrjFile.PROJECTION_HEMISPHERE]).toEqual(PrjFile.PROJECTION_HEMISPHERE_NORTH);
+        });
+
+        it("should convert the projected coordinates to WGS84", function () {
+            var location = prjFile(utmWkt).projectionConverter().forward([500000, 5540000]);
+            expect(location[0]).toBeCloseTo(15, 6);
+            expect(location[1]).toBeCloseTo(50.0123, 3);
+        });
+
+        it("should report the unrecognized projection", function () {
+            var file = prjFile('PROJCS["Custom_Grid",PROJECTION["Unknown_Projection"],UNIT["Meter",1.0]]');
+            expect(file.isProjectedCoordinateSystem()).toBe(true);
+            var error = null;
+            try {
+                file.projectionConverter();
+            } catch (e) {
+                error = e;
+            }
+            expect(error instanceof UnsupportedOperationError).toBe(true);
+            expect(error.message).toMatch(/Custom_Grid/);
+        });
+    });
+});
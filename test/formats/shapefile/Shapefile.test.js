@@ -0,0 +1,275 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/util/ByteBuffer',
+    'src/util/jszip',
+    'src/formats/shapefile/Shapefile',
+    'src/formats/shapefile/ShapefileExporter',
+    'src/error/UnsupportedOperationError',
+    'src/WorldWind'
+], function (ByteBuffer,
+             JsZip,
+             Shapefile,
+             ShapefileExporter,
+             UnsupportedOperationError,
+             WorldWind) {
+    "use strict";
+
+    describe("Shapefile", function () {
+        var utmWkt = 'PROJCS["WGS_1984_UTM_Zone_33N",GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+            'SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],' +
+            'UNIT["Degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],' +
+            'PARAMETER["False_Easting",500000.0],PARAMETER["False_Northing",0.0],' +
+            'PARAMETER["Central_Meridian",15.0],PARAMETER["Scale_Factor",0.9996],' +
+            'PARAMETER["Latitude_Of_Origin",0.0],UNIT["Meter",1.0]]';
+
+        // Creates the shapefile with one polyline record of one part.
+        function polylineShapefile(points, wkt) {
+            var contentLength = 4 + 32 + 8 + 4 + points.length * 8,
+                view = new DataView(new ArrayBuffer(100 + 8 + contentLength)),
+                minX = Math.min(points[0], points[2]), maxX = Math.max(points[0], points[2]),
+                minY = Math.min(points[1], points[3]), maxY = Math.max(points[1], points[3]);
+
+            view.setInt32(0, 9994, false);
+            view.setInt32(24, view.byteLength / 2, false);
+            view.setInt32(28, 1000, true);
+            view.setInt32(32, 3, true);
+            [minX, minY, maxX, maxY].forEach(function (value, index) {
+                view.setFloat64(36 + index * 8, value, true);
+            });
+
+            view.setInt32(100, 1, false);
+            view.setInt32(104, contentLength / 2, false);
+            view.setInt32(108, 3, true);
+            [minX, minY, maxX, maxY].forEach(function (value, index) {
+                view.setFloat64(112 + index * 8, value, true);
+            });
+            view.setInt32(144, 1, true);
+            view.setInt32(148, points.length / 2, true);
+            view.setInt32(152, 0, true);
+            points.forEach(function (value, index) {
+                view.setFloat64(156 + index * 8, value, true);
+            });
+
+            var shapefile = new Shapefile("test.shp");
+            shapefile.attributeFile = null;
+            shapefile.projectionFile._params = shapefile.projectionFile.decodeOGCCoordinateSystem(wkt);
+            shapefile._buffer = new ByteBuffer(view.buffer);
+            return shapefile;
+        }
+
+        // Creates the geographic shapefile with one record whose contents are the listed Int32 and Float64 values.
+        function recordShapefile(type, contents) {
+            var contentLength = contents.reduce(function (length, value) {
+                    return length + (value.int !== undefined ? 4 : 8);
+                }, 0),
+                view = new DataView(new ArrayBuffer(100 + 8 + contentLength)),
+                offset = 108;
+
+            view.setInt32(0, 9994, false);
+            view.setInt32(24, view.byteLength / 2, false);
+            view.setInt32(28, 1000, true);
+            view.setInt32(32, type, true);
+            [-180, -90, 180, 90].forEach(function (value, index) {
+                view.setFloat64(36 + index * 8, value, true);
+            });
+
+            view.setInt32(100, 1, false);
+            view.setInt32(104, contentLength / 2, false);
+            contents.forEach(function (value) {
+                if (value.int !== undefined) {
+                    view.setInt32(offset, value.int, true);
+                    offset += 4;
+                } else {
+                    view.setFloat64(offset, value, true);
+                    offset += 8;
+                }
+            });
+
+            var shapefile = new Shapefile("test.shp");
+            shapefile.attributeFile = null;
+            shapefile.projectionFile = null;
+            shapefile._shapeConfigurationCallback = function () {
+                return {};
+            };
+            shapefile._buffer = new ByteBuffer(view.buffer);
+            shapefile.parse();
+            return shapefile;
+        }
+
+        function int(value) {
+            return {int: value};
+        }
+
+        it("should render the polyline with Z values as a path at absolute altitude", function () {
+            var shapefile = recordShapefile(13, [int(13), 14, 49, 15, 50, int(1), int(2), int(0),
+                    14, 49, 15, 50, 100, 200, 100, 200]),
+                layer = new WorldWind.RenderableLayer();
+            shapefile.addRenderablesForShapefile(layer);
+
+            var path = layer.renderables[0];
+            expect(path instanceof WorldWind.Path).toBe(true);
+            expect(path.altitudeMode).toEqual(WorldWind.ABSOLUTE);
+            expect(path.positions[1].altitude).toEqual(200);
+        });
+
+        it("should render the point with Z value as a placemark at absolute altitude", function () {
+            var shapefile = recordShapefile(11, [int(11), 14, 49, 350, 0]),
+                layer = new WorldWind.RenderableLayer();
+            shapefile.addRenderablesForShapefile(layer);
+
+            var placemark = layer.renderables[0];
+            expect(placemark instanceof WorldWind.Placemark).toBe(true);
+            expect(placemark.altitudeMode).toEqual(WorldWind.ABSOLUTE);
+            expect(placemark.position.altitude).toEqual(350);
+        });
+
+        it("should expose the measures of the polyline and the positions at the measures", function () {
+            var shapefile = recordShapefile(13, [int(13), 14, 49, 16, 50, int(1), int(3), int(0),
+                    14, 49, 15, 49, 16, 50, 100, 300, 100, 200, 300,
+                    0, 20, 0, 10, -1e39]),
+                record = shapefile.next();
+
+            expect(Array.prototype.slice.call(record.measureBuffer(0))).toEqual([0, 10, NaN]);
+            expect(Array.prototype.slice.call(record.zBuffer(0))).toEqual([100, 200, 300]);
+
+            var position = record.positionAtMeasure(2.5);
+            expect(position.longitude).toBeCloseTo(14.25, 9);
+            expect(position.latitude).toBeCloseTo(49, 9);
+            expect(position.altitude).toBeCloseTo(125, 9);
+            expect(record.positionAtMeasure(15)).toBeNull();
+        });
+
+        it("should not expose the measures missing from the record", function () {
+            var shapefile = recordShapefile(13, [int(13), 14, 49, 15, 50, int(1), int(2), int(0),
+                    14, 49, 15, 50, 100, 200, 100, 200]),
+                record = shapefile.next();
+
+            expect(record.mValues).toBeNull();
+            expect(record.measureBuffer(0)).toBeNull();
+            expect(record.positionAtMeasure(0)).toBeNull();
+        });
+
+        it("should render the multi-patch as a triangle mesh", function () {
+            // A wall made of a triangle strip and a roof made of a square ring with a square hole.
+            var shapefile = recordShapefile(31, [int(31), 14, 49, 14.002, 49.002, int(3), int(14),
+                    int(0), int(4), int(9), int(0), int(2), int(3),
+                    14, 49, 14, 49, 14.002, 49, 14.002, 49,
+                    14, 49, 14, 49.002, 14.002, 49.002, 14.002, 49, 14, 49,
+                    14.0005, 49.0005, 14.0015, 49.0005, 14.0015, 49.0015, 14.0005, 49.0015, 14.0005, 49.0005,
+                    0, 10, 0, 10, 0, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10]),
+                layer = new WorldWind.RenderableLayer();
+
+            expect(shapefile.shapeType).toEqual(Shapefile.SHAPE_MULTI_PATCH);
+            var record = shapefile.next();
+            expect(Array.prototype.slice.call(record.partTypes)).toEqual([Shapefile.TRIANGLE_STRIP,
+                Shapefile.OUTER_RING, Shapefile.INNER_RING]);
+
+            var mesh = shapefile.multiPatchMesh(record);
+            expect(mesh.indices.slice(0, 6)).toEqual([0, 1, 2, 2, 1, 3]);
+            // The square with the hole is tessellated into eight triangles.
+            expect(mesh.indices.length).toEqual(6 + 8 * 3);
+            expect(mesh.positions[9].altitude).toEqual(10);
+
+            shapefile._buffer.seek(100);
+            shapefile.addRenderablesForShapefile(layer);
+            expect(layer.renderables[0] instanceof WorldWind.TriangleMesh).toBe(true);
+            expect(layer.renderables[0].altitudeMode).toEqual(WorldWind.ABSOLUTE);
+        });
+
+        it("should reproject the bounds and points of the projected shapefile", function () {
+            var shapefile = polylineShapefile([500000, 5540000, 600000, 5640000], utmWkt);
+            var header = shapefile.readHeader(shapefile._buffer);
+
+            expect(header.shapeType).toEqual(Shapefile.POLYLINE);
+            // The bottom edge of the rectangle bends to the south away from the central meridian.
+            expect(header.boundingRectangle[0]).toBeCloseTo(50.0039, 3);
+            expect(header.boundingRectangle[2]).toBeCloseTo(15, 6);
+            expect(header.boundingRectangle[3]).toBeCloseTo(16.4222, 3);
+
+            shapefile._shapeType = header.shapeType;
+            var points = shapefile.next().pointBuffer(0);
+            expect(points[0]).toBeCloseTo(15, 6);
+            expect(points[1]).toBeCloseTo(50.0123, 3);
+            expect(points[2]).toBeGreaterThan(16.39);
+            expect(points[3]).toBeGreaterThan(50.8);
+        });
+
+        it("should keep the geographic coordinates", function () {
+            var shapefile = polylineShapefile([14, 49, 15, 50], 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+                'SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],' +
+                'UNIT["Degree",0.0174532925199433]]');
+            shapefile.parse();
+
+            var points = shapefile.next().pointBuffer(0);
+            expect(Array.prototype.slice.call(points)).toEqual([14, 49, 15, 50]);
+        });
+
+        it("should clamp the min latitude of the geographic bounds to -90", function () {
+            var shapefile = polylineShapefile([14, -95, 15, 50], 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+                'SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],' +
+                'UNIT["Degree",0.0174532925199433]]');
+            var header = shapefile.readHeader(shapefile._buffer);
+
+            expect(header.boundingRectangle[0]).toEqual(-90);
+            expect(header.boundingRectangle[1]).toEqual(50);
+        });
+
+        it("should fail to read the header of the shapefile with unrecognized projection", function () {
+            var shapefile = polylineShapefile([0, 0, 1, 1],
+                'PROJCS["Custom_Grid",PROJECTION["Unknown_Projection"],UNIT["Meter",1.0]]');
+            var error = null;
+            try {
+                shapefile.readHeader(shapefile._buffer);
+            } catch (e) {
+                error = e;
+            }
+            expect(error instanceof UnsupportedOperationError).toBe(true);
+            expect(error.message).toMatch(/Custom_Grid/);
+        });
+
+        it("should read the shapefile and its attributes from the zip archive", function (done) {
+            var placemark = new WorldWind.Placemark(new WorldWind.Position(55.75, 37.62, 0));
+            placemark.userProperties = {name: "Москва"};
+            var files = ShapefileExporter.exportRenderables([placemark], "data/cities"),
+                zip = new JsZip();
+            Object.keys(files).forEach(function (name) {
+                zip.file(name, files[name]);
+            });
+
+            var shapefile = new Shapefile("cities.zip");
+            zip.generateAsync({type: "arraybuffer"}).then(function (data) {
+                return shapefile.loadArchive(data);
+            }).then(function () {
+                expect(shapefile.shapeType).toEqual(Shapefile.POINT);
+                expect(shapefile.attributeFile.encoding).toEqual("utf-8");
+                expect(shapefile.projectionFile.isGeographicCoordinateSystem()).toBe(true);
+
+                var record = shapefile.next();
+                expect(Array.prototype.slice.call(record.pointBuffer(0))).toEqual([37.62, 55.75]);
+                expect(record.attributes.values.name).toEqual("Москва");
+                done();
+            }).catch(done.fail);
+        });
+
+        it("should recognize the zip archives", function () {
+            expect(Shapefile.isArchive("data/cities.ZIP")).toBe(true);
+            expect(Shapefile.isArchive("data/cities.zip?version=2")).toBe(true);
+            expect(Shapefile.isArchive("data/cities.shp")).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,155 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/util/ByteBuffer',
+    'src/formats/shapefile/DBaseFile',
+    'src/formats/shapefile/Shapefile',
+    'src/formats/shapefile/ShapefileExporter',
+    'src/WorldWind'
+], function (ByteBuffer,
+             DBaseFile,
+             Shapefile,
+             ShapefileExporter,
+             WorldWind) {
+    "use strict";
+
+    describe("ShapefileExporter", function () {
+        // Reads the exported files back by the shapefile and dBase readers.
+        function read(files, name) {
+            var shapefile = new Shapefile(name + ".shp");
+            shapefile.attributeFile = null;
+            shapefile.projectionFile._params = shapefile.projectionFile.decodeOGCCoordinateSystem(files[name + ".prj"]);
+            shapefile._buffer = new ByteBuffer(files[name + ".shp"]);
+            shapefile.parse();
+
+            var records = [], record;
+            while ((record = shapefile.next())) {
+                records.push(record);
+            }
+
+            var dbaseFile = new DBaseFile(name + ".dbf");
+            dbaseFile._buffer = new ByteBuffer(files[name + ".dbf"]);
+            dbaseFile.parse();
+            var attributes = [];
+            while (dbaseFile.hasNext()) {
+                attributes.push(dbaseFile.nextRecord());
+            }
+
+            return {shapefile: shapefile, records: records, attributes: attributes, dbaseFile: dbaseFile};
+        }
+
+        it("exports Placemarks as points with their user properties", function () {
+            var first = new WorldWind.Placemark(new WorldWind.Position(10, 20, 0)),
+                second = new WorldWind.Placemark(new WorldWind.Position(-5, 30, 0));
+            first.userProperties = {name: "Žižkov", population: 51000, visited: true};
+            second.userProperties = {name: "Brno", area: 230.22, population: "unknown"};
+
+            var files = ShapefileExporter.exportRenderables([first, second], "cities");
+            expect(Object.keys(files).sort()).toEqual(
+                ["cities.cpg", "cities.dbf", "cities.prj", "cities.shp", "cities.shx"]);
+
+            var result = read(files, "cities");
+            expect(result.shapefile._shapeType).toEqual(Shapefile.POINT);
+            expect(result.records.length).toEqual(2);
+            expect(Array.prototype.slice.call(result.records[1].pointBuffer(0))).toEqual([30, -5]);
+
+            var fields = result.dbaseFile.getFields().map(function (field) {
+                return field.toString();
+            });
+            expect(fields).toEqual(["name(C)", "population(C)", "visited(L)", "area(N)"]);
+            expect(result.attributes[0].values.population).toEqual("51000");
+            expect(result.attributes[0].values.visited).toBe(true);
+            expect(result.attributes[1].values.name).toEqual("Brno");
+            expect(result.attributes[1].values.area).toEqual(230.22);
+        });
+
+        it("writes the index of the records", function () {
+            var path = new WorldWind.Path([new WorldWind.Position(1, 2, 0), new WorldWind.Position(3, 4, 0)]),
+                line = new WorldWind.SurfacePolyline([new WorldWind.Location(5, 6), new WorldWind.Location(7, 8),
+                    new WorldWind.Location(9, 10)]);
+
+            var shapes = ShapefileExporter.exportShapes([path, line], Shapefile.POLYLINE),
+                shx = new DataView(shapes.shx),
+                shp = new DataView(shapes.shp);
+
+            expect(shx.getInt32(24, false) * 2).toEqual(shapes.shx.byteLength);
+            expect(shp.getInt32(24, false) * 2).toEqual(shapes.shp.byteLength);
+            expect(shx.getInt32(100, false)).toEqual(50);
+            expect(shx.getInt32(104, false)).toEqual((44 + 4 + 32) / 2);
+            expect(shx.getInt32(108, false)).toEqual(50 + 4 + 40);
+            expect(shp.getInt32(shx.getInt32(108, false) * 2, false)).toEqual(2);
+            expect(shp.getFloat64(36, true)).toEqual(2);
+            expect(shp.getFloat64(60, true)).toEqual(9);
+        });
+
+        it("splits the renderables by shape type and orients the polygon rings", function () {
+            var outer = [new WorldWind.Location(0, 0), new WorldWind.Location(0, 10), new WorldWind.Location(10, 10),
+                    new WorldWind.Location(10, 0)],
+                hole = [new WorldWind.Location(2, 2), new WorldWind.Location(4, 2), new WorldWind.Location(4, 4),
+                    new WorldWind.Location(2, 4)],
+                polygon = new WorldWind.SurfacePolygon([outer, hole]),
+                placemark = new WorldWind.Placemark(new WorldWind.Position(1, 1, 0));
+
+            var files = ShapefileExporter.exportRenderables([polygon, placemark, {}], "mixed");
+            expect(files["mixed_point.shp"]).toBeDefined();
+            expect(files["mixed_polygon.prj"]).toEqual(ShapefileExporter.WGS84_WKT);
+
+            var record = read(files, "mixed_polygon").records[0];
+            expect(record.numberOfParts).toEqual(2);
+            // The outer ring is clockwise, the hole counter-clockwise, and both are closed.
+            expect(Array.prototype.slice.call(record.pointBuffer(0))).toEqual([0, 0, 0, 10, 10, 10, 10, 0, 0, 0]);
+            expect(Array.prototype.slice.call(record.pointBuffer(1))).toEqual([2, 2, 4, 2, 4, 4, 2, 4, 2, 2]);
+        });
+
+        it("exports the surface shapes which weren't rendered yet from their parameters", function () {
+            var sector = new WorldWind.SurfaceSector(new WorldWind.Sector(1, 2, 3, 4), null),
+                ellipse = new WorldWind.SurfaceEllipse(new WorldWind.Location(10, 20), 2000, 1000, 0, null);
+
+            var files = ShapefileExporter.exportRenderables([sector, ellipse], "surface"),
+                records = read(files, "surface").records;
+
+            expect(records.length).toEqual(2);
+            expect(Array.prototype.slice.call(records[0].pointBuffer(0))).toEqual([3, 1, 3, 2, 4, 2, 4, 1, 3, 1]);
+            expect(records[1].pointBuffer(0).length).toEqual(2 * (WorldWind.SurfaceEllipse.DEFAULT_NUM_INTERVALS + 1));
+            expect(sector._boundaries).toBeFalsy();
+        });
+
+        it("doesn't split multi-byte characters of long texts", function () {
+            var placemark = new WorldWind.Placemark(new WorldWind.Position(0, 0, 0));
+            placemark.userProperties = {note: "a" + new Array(200).join("ž")};
+
+            var dbf = new Uint8Array(ShapefileExporter.exportShapes([placemark], Shapefile.POINT).dbf);
+            expect(dbf[32 + 16]).toEqual(253);
+        });
+
+        it("bundles the shapefile into the zip archive", function (done) {
+            var placemark = new WorldWind.Placemark(new WorldWind.Position(1, 2, 3));
+
+            ShapefileExporter.exportZip([placemark], "pins").then(function (zip) {
+                expect(zip instanceof Blob).toBe(true);
+                expect(zip.size).toBeGreaterThan(0);
+                done();
+            }).catch(done.fail);
+        });
+
+        it("throws for missing renderables", function () {
+            expect(function () {
+                ShapefileExporter.exportRenderables(null);
+            }).toThrow();
+        });
+    });
+});
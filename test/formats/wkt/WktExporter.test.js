@@ -0,0 +1,64 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/geom/Position',
+    'src/formats/wkt/WktExporter',
+    'src/formats/wkt/WktTokens',
+    'src/WorldWind'
+], function (Position, WktExporter, WktTokens, WorldWind) {
+    "use strict";
+
+    describe("WktExporter", function () {
+        var placemark = new WorldWind.Placemark(new Position(20, 10, 0)),
+            path = new WorldWind.Path([new Position(20, 10, 0), new Position(21, 11, 0)]);
+
+        it("Should write WGS84 coordinates by default", function () {
+            expect(WktExporter.exportRenderable(placemark)).toBe('POINT(10 20)');
+            expect(WktExporter.exportRenderable(placemark, "EPSG:4326")).toBe('POINT(10 20)');
+            expect(WktExporter.exportRenderable(path)).toBe('LINESTRING(10 20, 11 21)');
+        });
+
+        it("Should reproject the coordinates and prefix the SRID", function () {
+            var ewkt = WktExporter.exportRenderable(placemark, "EPSG:3857"),
+                coordinates = /^SRID=3857;POINT\(([-\d.e]+) ([-\d.e]+)\)$/.exec(ewkt);
+
+            expect(coordinates).not.toBeNull();
+            expect(Number(coordinates[1])).toBeCloseTo(1113194.9079327357, 4);
+            expect(Number(coordinates[2])).toBeCloseTo(2273030.926987689, 4);
+        });
+
+        it("Should prefix only the collection with the SRID", function () {
+            var ewkt = WktExporter.exportRenderables([placemark, path], "EPSG:3857");
+
+            expect(ewkt.indexOf('SRID=3857;GEOMETRYCOLLECTION(POINT(')).toBe(0);
+            expect(ewkt.lastIndexOf('SRID')).toBe(0);
+        });
+
+        it("Should require the EPSG code of the coordinate reference system", function () {
+            expect(function () {
+                WktExporter.exportRenderable(placemark, "urn:ogc:def:crs:OGC::CRS84");
+            }).toThrow();
+        });
+
+        it("Should round-trip the reprojected coordinates through EWKT parsing", function () {
+            var objects = new WktTokens(WktExporter.exportRenderable(path, "EPSG:3857")).objects();
+
+            expect(objects[0].coordinates[1].latitude).toBeCloseTo(21, 8);
+            expect(objects[0].coordinates[1].longitude).toBeCloseTo(11, 8);
+        });
+    });
+});
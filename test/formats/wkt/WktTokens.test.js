@@ -409,6 +409,39 @@ define([
             });
         });
 
+        describe('EWKT', function () {
+            it('reprojects the coordinates from the SRID to WGS84', function () {
+                var tokens = new WktTokens('SRID=3857;POINT(1113194.9079327357 2273030.926987689)');
+                var wktObjects = tokens.objects();
+
+                expect(tokens.srid).toBe(3857);
+                expect(wktObjects.length).toBe(1);
+                expect(wktObjects[0] instanceof WktPoint).toBeTruthy();
+                expect(wktObjects[0].coordinates[0].latitude).toBeCloseTo(20, 8);
+                expect(wktObjects[0].coordinates[0].longitude).toBeCloseTo(10, 8);
+            });
+
+            it('keeps the coordinates of the WGS84 SRID', function () {
+                var tokens = new WktTokens('SRID=4326;LINESTRING (33 -75, 37 -80)');
+                var wktObjects = tokens.objects();
+
+                expect(tokens.srid).toBe(4326);
+                expect(wktObjects[0] instanceof WktLineString).toBeTruthy();
+                expect(equalLocations(wktObjects[0].coordinates, [
+                    new Location(33, -75),
+                    new Location(37, -80)
+                ])).toBeTruthy();
+            });
+
+            it('reprojects the geometries of the collection', function () {
+                var wktObjects = new WktTokens(
+                    'SRID=3857;GEOMETRYCOLLECTION(POINT(1113194.9079327357 2273030.926987689))').objects();
+
+                var point = wktObjects[0].objects[0];
+                expect(point.coordinates[0].latitude).toBeCloseTo(20, 8);
+                expect(point.coordinates[0].longitude).toBeCloseTo(10, 8);
+            });
+        });
 
         // Helper functions for verifications.
         function equalLocations(locations1, locations2) {
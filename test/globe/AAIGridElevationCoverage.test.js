@@ -0,0 +1,88 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/globe/AAIGridElevationCoverage',
+    'src/formats/aaigrid/AAIGridReader',
+    'src/globe/ElevationModel',
+    'src/geom/Sector'
+], function (AAIGridElevationCoverage, AAIGridReader, ElevationModel, Sector) {
+    "use strict";
+
+    describe("AAIGridElevationCoverage", function () {
+        var dataSource =
+                'ncols        4\n' +
+                'nrows        3\n' +
+                'xllcorner    10\n' +
+                'yllcorner    20\n' +
+                'cellsize     1\n' +
+                'NODATA_value -1\n' +
+                '10 20 30 40\n' +
+                '50 60 70 80\n' +
+                '90 100 -1 120\n',
+            coverage = new AAIGridElevationCoverage(new AAIGridReader(dataSource));
+
+        it("Should cover the sector of the grid", function () {
+            expect(coverage.coverageSector.minLatitude).toBe(20);
+            expect(coverage.coverageSector.maxLatitude).toBe(23);
+            expect(coverage.coverageSector.minLongitude).toBe(10);
+            expect(coverage.coverageSector.maxLongitude).toBe(14);
+            expect(coverage.resolution).toBe(1);
+        });
+
+        it("Should interpolate the elevations between the centers of the cells", function () {
+            expect(coverage.elevationAtLocation(22.5, 10.5)).toBeCloseTo(10, 6);
+            expect(coverage.elevationAtLocation(22.5, 11)).toBeCloseTo(15, 6);
+            expect(coverage.elevationAtLocation(22, 11)).toBeCloseTo(35, 6);
+        });
+
+        it("Should leave the locations outside of the grid or without data", function () {
+            expect(coverage.elevationAtLocation(19, 10.5)).toBeNull();
+            expect(coverage.elevationAtLocation(20.5, 12.5)).toBeNull();
+        });
+
+        it("Should convert the values to meters", function () {
+            var feet = new AAIGridElevationCoverage(new AAIGridReader(dataSource), 0.3048);
+            expect(feet.elevationAtLocation(22.5, 10.5)).toBeCloseTo(3.048, 6);
+        });
+
+        it("Should return the extreme elevations of the sector", function () {
+            var result = [Number.MAX_VALUE, -Number.MAX_VALUE];
+            expect(coverage.minAndMaxElevationsForSector(new Sector(0, 50, 0, 50), result)).toBe(false);
+            expect(result).toEqual([10, 120]);
+
+            result = [Number.MAX_VALUE, -Number.MAX_VALUE];
+            expect(coverage.minAndMaxElevationsForSector(new Sector(22, 23, 10, 11), result)).toBe(true);
+            expect(result).toEqual([10, 60]);
+        });
+
+        it("Should provide the elevations of the grid through the elevation model", function () {
+            var model = new ElevationModel(),
+                result = new Float64Array(4);
+            model.addCoverage(coverage);
+
+            model.elevationsForGrid(new Sector(21.5, 22.5, 10.5, 11.5), 2, 2, 1, result);
+
+            expect(Array.prototype.slice.call(result)).toEqual([50, 60, 10, 20]);
+        });
+
+        it("Should require the reader", function () {
+            expect(function () {
+                new AAIGridElevationCoverage(null);
+            }).toThrow();
+        });
+    });
+});
@@ -0,0 +1,96 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/globe/ElevationModel',
+    'src/formats/geotiff/GeoTiffConstants',
+    'src/globe/GeoTiffElevationCoverage',
+    'src/formats/geotiff/GeoTiffReader',
+    'src/geom/Sector'
+], function (ElevationModel, GeoTiffConstants, GeoTiffElevationCoverage, GeoTiffReader, Sector) {
+    "use strict";
+
+    describe("GeoTiffElevationCoverage", function () {
+        var FOOT = 0.3048,
+            coverage;
+
+        beforeAll(function (done) {
+            var xhr = new XMLHttpRequest();
+            xhr.open("GET", "../base/test/formats/geotiff/dem-test.tif", true);
+            xhr.responseType = 'arraybuffer';
+            xhr.addEventListener('load', function () {
+                if (xhr.status === 200) {
+                    coverage = new GeoTiffElevationCoverage(new GeoTiffReader(xhr.response));
+                    done();
+                } else {
+                    done.fail("Test GeoTiff Retrieval Error: " + xhr.statusText);
+                }
+            });
+            xhr.send(null);
+        });
+
+        it("Should cover the sector of the geotiff", function () {
+            expect(coverage.coverageSector.minLatitude).toBeCloseTo(49.92, 6);
+            expect(coverage.coverageSector.maxLongitude).toBeCloseTo(14.08, 6);
+            expect(coverage.resolution).toBeCloseTo(0.01, 6);
+            expect(coverage.pixelIsPoint).toBe(false);
+        });
+
+        it("Should convert the elevations from the vertical units to meters", function () {
+            expect(GeoTiffElevationCoverage.metersPerUnit(GeoTiffConstants.LinearUnits.METER)).toBe(1);
+            expect(coverage.elevationAtLocation(49.965, 14.025)).toBeCloseTo(132 * FOOT, 6);
+            // Halfway between the centers of two pixels.
+            expect(coverage.elevationAtLocation(49.965, 14.03)).toBeCloseTo(132.5 * FOOT, 6);
+        });
+
+        it("Should leave the locations outside of the geotiff or without data", function () {
+            expect(coverage.elevationAtLocation(49.9, 14.025)).toBeNull();
+            expect(coverage.elevationAtLocation(49.925, 14.075)).toBeNull();
+        });
+
+        it("Should return the extreme elevations of the sector", function () {
+            var result = [Number.MAX_VALUE, -Number.MAX_VALUE];
+            expect(coverage.minAndMaxElevationsForSector(new Sector(49, 51, 13, 15), result)).toBe(false);
+            expect(result[0]).toBeCloseTo(100 * FOOT, 6);
+            expect(result[1]).toBeCloseTo(176 * FOOT, 6);
+
+            result = [Number.MAX_VALUE, -Number.MAX_VALUE];
+            expect(coverage.minAndMaxElevationsForSector(new Sector(49.975, 50, 14, 14.025), result)).toBe(true);
+            expect(result[0]).toBeCloseTo(100 * FOOT, 6);
+            expect(result[1]).toBeCloseTo(133 * FOOT, 6);
+        });
+
+        it("Should provide the elevations of the grid through the elevation model", function () {
+            var model = new ElevationModel(),
+                result = new Float64Array(4);
+            model.addCoverage(coverage);
+
+            var resolution = model.elevationsForGrid(new Sector(49.965, 49.975, 14.025, 14.035), 2, 2, 0.01, result);
+
+            expect(resolution).toBe(coverage.resolution);
+            expect(result[0]).toBeCloseTo(132 * FOOT, 6);
+            expect(result[1]).toBeCloseTo(133 * FOOT, 6);
+            expect(result[2]).toBeCloseTo(122 * FOOT, 6);
+            expect(result[3]).toBeCloseTo(123 * FOOT, 6);
+        });
+
+        it("Should require the geotiff", function () {
+            expect(function () {
+                new GeoTiffElevationCoverage(null);
+            }).toThrow();
+        });
+    });
+});
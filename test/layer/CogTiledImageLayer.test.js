@@ -0,0 +1,46 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/layer/CogTiledImageLayer',
+    'src/WorldWind'
+], function (CogTiledImageLayer, WorldWind) {
+    "use strict";
+
+    describe("CogTiledImageLayer", function () {
+        it("Should map the images of the geotiff to the levels", function (done) {
+            var layer = new CogTiledImageLayer("../base/test/formats/geotiff/cog-test.tif");
+
+            layer.cog.load().then(function () {
+                expect(layer.levels.sector).toBe(layer.cog.sector);
+                expect(layer.levels.levelZeroDelta.latitude).toBe(5.625);
+                expect(layer.levels.levelZeroDelta.longitude).toBe(5.625);
+                // The last level provides the 0.01 degree resolution of the geotiff.
+                expect(layer.levels.numLevels).toBe(3);
+                expect(layer.levels.lastLevel().texelSize).toBeLessThan(0.01 * Math.PI / 180);
+                done();
+            }, function () {
+                done.fail("Test COG Retrieval Error");
+            });
+        });
+
+        it("Should require the URL of the geotiff", function () {
+            expect(function () {
+                new CogTiledImageLayer(null);
+            }).toThrow();
+        });
+    });
+});
@@ -0,0 +1,135 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/layer/VectorTileLayer',
+    'src/WorldWind'
+], function (VectorTileLayer, WorldWind) {
+    "use strict";
+    describe("VectorTileLayer", function () {
+        var feature = function (layer, type, geometry, properties) {
+            return {id: null, layer: layer, type: type, geometry: geometry, properties: properties || {}};
+        };
+
+        // The tile of the zoom level 1 covering the north western quarter of the world.
+        var mvtTile = {
+            layers: [{
+                name: "water",
+                extent: 256,
+                features: [
+                    feature("water", WorldWind.MvtTile.GeometryType.POLYGON, [
+                        [[0, 0], [128, 0], [128, 256], [0, 256], [0, 0]],
+                        [[32, 32], [32, 64], [64, 64], [64, 32], [32, 32]]
+                    ], {name: "Sea"}),
+                    feature("water", WorldWind.MvtTile.GeometryType.LINESTRING, [[[0, 256], [256, 256]]]),
+                    feature("water", WorldWind.MvtTile.GeometryType.POINT, [[[128, 128]], [[0, 256]]],
+                        {name: "Buoy"})
+                ]
+            }, {
+                name: "buildings",
+                extent: 256,
+                features: [feature("buildings", WorldWind.MvtTile.GeometryType.POLYGON, [[[0, 0], [1, 0], [0, 1]]])]
+            }]
+        };
+
+        var createLayer = function (urlTemplate, style) {
+            return new VectorTileLayer(urlTemplate, style, "Vector Tiles Test", 10);
+        };
+
+        it("Should build the URLs of the tiles from the template", function () {
+            var layer = createLayer("tiles/{z}/{x}/{y}.pbf");
+            var tile = layer.createTile(null, layer.levels.level(1), 1, 2);
+
+            expect(layer.resourceUrlForTile(tile)).toEqual("tiles/2/2/1.pbf");
+            expect(tile.imagePath).toEqual("tiles/{z}/{x}/{y}.pbf-layer/2/2/1.mvt");
+            expect(tile.sector.minLongitude).toBe(0);
+            expect(tile.sector.maxLongitude).toBe(90);
+            expect(tile.sector.minLatitude).toBeCloseTo(0, 9);
+
+            var tmsLayer = createLayer("tiles/{z}/{x}/{-y}.pbf");
+            expect(tmsLayer.resourceUrlForTile(tile)).toEqual("tiles/2/2/2.pbf");
+        });
+
+        it("Should create the shapes of the features matching the style", function () {
+            var polygonAttributes = new WorldWind.ShapeAttributes(null),
+                placemarkAttributes = new WorldWind.PlacemarkAttributes(null),
+                style = new WorldWind.MvtStyle([
+                    {layer: "water", attributes: polygonAttributes, placemarkAttributes: placemarkAttributes,
+                        label: "name"}
+                ]),
+                layer = createLayer("tiles/{z}/{x}/{y}.pbf", style),
+                tile = layer.createTile(null, layer.levels.level(0), 0, 0);
+
+            var shapes = layer.createShapes(tile, mvtTile);
+
+            expect(shapes.length).toBe(4);
+
+            var polygon = shapes[0];
+            expect(polygon instanceof WorldWind.SurfacePolygon).toBeTruthy();
+            expect(polygon.attributes).toBe(polygonAttributes);
+            expect(polygon.displayName).toEqual("Sea");
+            expect(polygon.pickDelegate).toBe(mvtTile.layers[0].features[0]);
+            expect(polygon.boundaries.length).toBe(2);
+            expect(polygon.boundaries[0][0].latitude).toBeCloseTo(85.0511, 4);
+            expect(polygon.boundaries[0][0].longitude).toBe(-180);
+            expect(polygon.boundaries[0][1].longitude).toBe(-90);
+            expect(polygon.boundaries[0][2].latitude).toBeCloseTo(0, 9);
+
+            expect(shapes[1] instanceof WorldWind.SurfacePolyline).toBeTruthy();
+            expect(shapes[1].boundaries.length).toBe(2);
+
+            var placemark = shapes[2];
+            expect(placemark instanceof WorldWind.Placemark).toBeTruthy();
+            expect(placemark.attributes).toBe(placemarkAttributes);
+            expect(placemark.label).toEqual("Buoy");
+            expect(placemark.altitudeMode).toEqual(WorldWind.CLAMP_TO_GROUND);
+            expect(placemark.position.longitude).toBe(-90);
+            expect(shapes[3].position.latitude).toBeCloseTo(0, 9);
+        });
+
+        it("Should display the ancestor instead of its loaded descendants until all of them are loaded", function () {
+            var layer = createLayer("tiles/{z}/{x}/{y}.pbf"),
+                ancestor = layer.createTile(null, layer.levels.level(0), 0, 0),
+                loaded = layer.createTile(null, layer.levels.level(1), 0, 0),
+                missing = layer.createTile(null, layer.levels.level(1), 0, 1),
+                loadedAfter = layer.createTile(null, layer.levels.level(1), 1, 0),
+                other = layer.createTile(null, layer.levels.level(1), 0, 2);
+            [ancestor, loaded, loadedAfter, other].forEach(function (tile) {
+                layer.shapeCache.putEntry(tile.imagePath, [], 1);
+            });
+            spyOn(layer, "retrieveTileImage");
+
+            layer.currentTiles = [];
+            layer.currentAncestorTile = ancestor;
+            layer.addTile(null, loaded);
+            expect(layer.currentTiles).toEqual([loaded]);
+
+            layer.addTile(null, missing);
+            layer.addTile(null, loadedAfter);
+            expect(layer.retrieveTileImage).toHaveBeenCalledWith(null, missing);
+            expect(layer.currentTiles).toEqual([ancestor]);
+
+            layer.addTile(null, other);
+            expect(layer.currentTiles).toEqual([ancestor, other]);
+        });
+
+        it("Should require the URL template", function () {
+            expect(function () {
+                new VectorTileLayer(null);
+            }).toThrow();
+        });
+    });
+});
@@ -0,0 +1,79 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/geom/Matrix',
+    'src/util/Offset',
+    'src/shapes/ScreenImage',
+    'src/WorldWind'
+], function (Matrix,
+             Offset,
+             ScreenImage,
+             WorldWind) {
+    "use strict";
+
+    describe("ScreenImage", function () {
+        var dc = {
+            gpuResourceCache: {
+                resourceForKey: function () {
+                    return {imageWidth: 100, imageHeight: 50};
+                }
+            },
+            viewport: {width: 800, height: 600}
+        };
+
+        function screenImage() {
+            var image = new ScreenImage(
+                new Offset(WorldWind.OFFSET_PIXELS, 400, WorldWind.OFFSET_PIXELS, 300), "image.png");
+            image.imageOffset = new Offset(WorldWind.OFFSET_PIXELS, 0, WorldWind.OFFSET_PIXELS, 0);
+            return image;
+        }
+
+        it("should place the image at the screen offset", function () {
+            var image = screenImage();
+            image.makeOrderedRenderable(dc);
+
+            expect(image.imageBounds.x).toBeCloseTo(400, 9);
+            expect(image.imageBounds.y).toBeCloseTo(300, 9);
+            expect(image.imageBounds.width).toBeCloseTo(100, 9);
+            expect(image.imageBounds.height).toBeCloseTo(50, 9);
+        });
+
+        it("should rotate the image around its center without distortion", function () {
+            var image = screenImage();
+            image.imageRotation = 90;
+            image.makeOrderedRenderable(dc);
+
+            expect(image.imageBounds.x).toBeCloseTo(425, 9);
+            expect(image.imageBounds.y).toBeCloseTo(275, 9);
+            expect(image.imageBounds.width).toBeCloseTo(50, 9);
+            expect(image.imageBounds.height).toBeCloseTo(100, 9);
+        });
+
+        it("should rotate the image around the rotation offset", function () {
+            var image = screenImage();
+            image.imageRotation = 90;
+            image.imageRotationOffset = new Offset(WorldWind.OFFSET_PIXELS, 0, WorldWind.OFFSET_PIXELS, 0);
+            image.makeOrderedRenderable(dc);
+
+            // The image rotated counter-clockwise around its lower-left corner extends to the left.
+            expect(image.imageBounds.x).toBeCloseTo(350, 9);
+            expect(image.imageBounds.y).toBeCloseTo(300, 9);
+            expect(image.imageBounds.width).toBeCloseTo(50, 9);
+            expect(image.imageBounds.height).toBeCloseTo(100, 9);
+        });
+    });
+});
@@ -0,0 +1,62 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/geom/Location',
+    'src/geom/Sector',
+    'src/shapes/SurfaceCircle',
+    'src/shapes/SurfacePolygon',
+    'src/shapes/SurfaceSector',
+    'src/WorldWind'
+], function (Location,
+             Sector,
+             SurfaceCircle,
+             SurfacePolygon,
+             SurfaceSector,
+             WorldWind) {
+    "use strict";
+
+    describe("SurfaceShape", function () {
+        it("should compute the boundaries of the shape which wasn't rendered yet", function () {
+            var circle = new SurfaceCircle(new Location(10, 20), 1000, null);
+
+            var boundaries = circle.computeBoundariesOnGlobe(null);
+
+            expect(boundaries.length).toBeGreaterThan(2);
+            expect(boundaries[0].latitude).toBeCloseTo(10 + 1000 / 6378137 * 180 / Math.PI, 5);
+            expect(circle._boundaries).toBeNull();
+        });
+
+        it("should leave the boundaries cached for rendering untouched", function () {
+            var shape = new SurfaceSector(new Sector(10, 20, 30, 40), null),
+                cached = [new Location(0, 0)];
+            shape._boundaries = cached;
+
+            var boundaries = shape.computeBoundariesOnGlobe(null);
+
+            expect(boundaries.length).toEqual(4);
+            expect(boundaries[2].latitude).toEqual(20);
+            expect(shape._boundaries).toBe(cached);
+        });
+
+        it("should return the specified boundaries of SurfacePolygon", function () {
+            var locations = [new Location(0, 0), new Location(0, 1), new Location(1, 1)],
+                polygon = new SurfacePolygon(locations, null);
+
+            expect(polygon.computeBoundariesOnGlobe(null)).toBe(polygon.boundaries);
+        });
+    });
+});
@@ -0,0 +1,62 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/util/Color',
+    'src/util/ColorRamp'
+], function (Color, ColorRamp) {
+    "use strict";
+
+    describe("ColorRamp", function () {
+        var ramp = new ColorRamp([
+            {value: 1, color: Color.WHITE},
+            {value: 0, color: Color.BLACK},
+            {value: 0.5, color: Color.RED}
+        ]);
+
+        it("Should interpolate the colors between the stops", function () {
+            var color = ramp.colorForValue(0.25, new Color(0, 0, 0, 0));
+            expect(color.red).toBeCloseTo(0.5, 6);
+            expect(color.green).toBeCloseTo(0, 6);
+            expect(color.alpha).toBeCloseTo(1, 6);
+
+            color = ramp.colorForValue(0.75, new Color(0, 0, 0, 0));
+            expect(color.red).toBeCloseTo(1, 6);
+            expect(color.green).toBeCloseTo(0.5, 6);
+        });
+
+        it("Should clamp the values outside of the stops", function () {
+            expect(ramp.colorForValue(-1, new Color(1, 1, 1, 1)).equals(Color.BLACK)).toBe(true);
+            expect(ramp.colorForValue(2, new Color(0, 0, 0, 0)).equals(Color.WHITE)).toBe(true);
+        });
+
+        it("Should colorize the values and leave no data transparent", function () {
+            var result = ColorRamp.GRAYSCALE.colorize([10, 20, -9999, NaN], 10, 20, -9999, new Uint8ClampedArray(16));
+            expect(Array.prototype.slice.call(result)).toEqual([
+                0, 0, 0, 255,
+                255, 255, 255, 255,
+                0, 0, 0, 0,
+                0, 0, 0, 0
+            ]);
+        });
+
+        it("Should require the stops", function () {
+            expect(function () {
+                new ColorRamp([]);
+            }).toThrow();
+        });
+    });
+});